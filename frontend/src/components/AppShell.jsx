@@ -12,6 +12,8 @@ import {
   ArrowRightOnRectangleIcon,
   Bars3Icon,
   XMarkIcon,
+  FolderIcon,
+  ArrowPathIcon,
 } from '@heroicons/react/24/outline'
 
 const AppShell = () => {
@@ -23,6 +25,8 @@ const AppShell = () => {
     { name: 'Dashboard', href: '/dashboard', icon: HomeIcon, current: location.pathname === '/dashboard' },
     { name: 'Submit Expense', href: '/submit', icon: PlusIcon, current: location.pathname === '/submit' },
     { name: 'History', href: '/history', icon: HistoryIcon, current: location.pathname === '/history' },
+    { name: 'Reports', href: '/reports', icon: FolderIcon, current: location.pathname === '/reports' },
+    { name: 'Recurring', href: '/recurring', icon: ArrowPathIcon, current: location.pathname === '/recurring' },
     ...(isManager() ? [
       { name: 'Approvals', href: '/approvals', icon: ClockIcon, current: location.pathname === '/approvals' }
     ] : []),
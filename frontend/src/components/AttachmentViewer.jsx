@@ -0,0 +1,133 @@
+import React, { useState } from 'react'
+import API from '../api/client'
+import {
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  DocumentTextIcon,
+  ArrowTopRightOnSquareIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline'
+
+// Attachment URLs are signed paths on the API server, so they work in <img> tags without a token
+const attachmentUrl = (attachment) => new URL(attachment.url, API.defaults.baseURL).href
+
+// Receipts migrated from before attachments existed have no MIME type, only a file name
+const isImage = (attachment) => attachment.mimeType
+  ? attachment.mimeType.startsWith('image/')
+  : /\.(jpe?g|png|gif)$/i.test(attachment.fileName)
+
+const AttachmentViewer = ({ attachments }) => {
+  const [openIndex, setOpenIndex] = useState(null)
+
+  if (!attachments || attachments.length === 0) {
+    return null
+  }
+
+  const current = openIndex !== null ? attachments[openIndex] : null
+
+  const showPrevious = () => setOpenIndex((openIndex - 1 + attachments.length) % attachments.length)
+  const showNext = () => setOpenIndex((openIndex + 1) % attachments.length)
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-2">
+        {attachments.map((attachment, index) => (
+          <button
+            key={attachment.id}
+            type="button"
+            onClick={() => setOpenIndex(index)}
+            className="h-16 w-16 rounded-md border border-gray-200 overflow-hidden bg-gray-50 flex items-center justify-center hover:border-primary-400"
+            title={attachment.fileName}
+          >
+            {isImage(attachment) ? (
+              <img
+                src={attachmentUrl(attachment)}
+                alt={attachment.fileName}
+                className="h-full w-full object-cover"
+              />
+            ) : (
+              <DocumentTextIcon className="h-8 w-8 text-gray-400" />
+            )}
+          </button>
+        ))}
+      </div>
+
+      {current && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center">
+          <div className="fixed inset-0 bg-gray-900 bg-opacity-75" onClick={() => setOpenIndex(null)} />
+          <div className="relative bg-white rounded-lg shadow-xl w-full max-w-4xl mx-4">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{current.fileName}</p>
+                <p className="text-xs text-gray-500">
+                  {openIndex + 1} of {attachments.length}
+                </p>
+              </div>
+              <div className="flex items-center space-x-3">
+                <a
+                  href={attachmentUrl(current)}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="text-gray-400 hover:text-gray-500"
+                  title="Open in new tab"
+                >
+                  <ArrowTopRightOnSquareIcon className="h-5 w-5" />
+                </a>
+                <button
+                  type="button"
+                  onClick={() => setOpenIndex(null)}
+                  className="text-gray-400 hover:text-gray-500"
+                >
+                  <XMarkIcon className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            <div className="relative flex items-center justify-center bg-gray-100 h-[70vh]">
+              {isImage(current) ? (
+                <img
+                  src={attachmentUrl(current)}
+                  alt={current.fileName}
+                  className="max-h-full max-w-full object-contain"
+                />
+              ) : (
+                <div className="text-center">
+                  <DocumentTextIcon className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+                  <a
+                    href={attachmentUrl(current)}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="btn btn-outline btn-sm"
+                  >
+                    Open document
+                  </a>
+                </div>
+              )}
+
+              {attachments.length > 1 && (
+                <>
+                  <button
+                    type="button"
+                    onClick={showPrevious}
+                    className="absolute left-2 top-1/2 -translate-y-1/2 rounded-full bg-white p-2 shadow text-gray-600 hover:text-gray-900"
+                  >
+                    <ChevronLeftIcon className="h-5 w-5" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={showNext}
+                    className="absolute right-2 top-1/2 -translate-y-1/2 rounded-full bg-white p-2 shadow text-gray-600 hover:text-gray-900"
+                  >
+                    <ChevronRightIcon className="h-5 w-5" />
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default AttachmentViewer
@@ -0,0 +1,25 @@
+import React from 'react'
+import { formatMoney } from '../utils/money'
+
+// Remaining budget of each budget an expense counts against, including the expense itself
+const BudgetStatus = ({ budgets }) => {
+  if (!budgets || budgets.length === 0) return null
+
+  return (
+    <ul className="mt-1 space-y-1">
+      {budgets.map(budget => (
+        <li
+          key={budget.id}
+          className={`text-xs ${budget.overBudget ? 'text-danger-600' : 'text-gray-500'}`}
+        >
+          {budget.name}: {budget.overBudget
+            ? `${formatMoney(-budget.remaining, budget.currency)} over budget`
+            : `${formatMoney(budget.remaining, budget.currency)} left`}
+          {' '}of {formatMoney(budget.amount, budget.currency)}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default BudgetStatus
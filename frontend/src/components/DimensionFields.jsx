@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react'
+import API from '../api/client'
+
+// Project, cost center and tags inputs for expense forms; the selected category decides which are required
+const DimensionFields = ({ register, errors, category, expense }) => {
+  const [projects, setProjects] = useState([])
+  const [costCenters, setCostCenters] = useState([])
+  const [requiredByCategory, setRequiredByCategory] = useState({})
+
+  useEffect(() => {
+    loadDimensions()
+  }, [])
+
+  const loadDimensions = async () => {
+    try {
+      const [dimensionsResponse, categoriesResponse] = await Promise.all([
+        API.get('/dimensions'),
+        API.get('/categories')
+      ])
+      setProjects(dimensionsResponse.data.projects)
+      setCostCenters(dimensionsResponse.data.costCenters)
+      setRequiredByCategory(Object.fromEntries(
+        categoriesResponse.data.categories.map(item => [item.name, item.requiredDimensions])
+      ))
+    } catch (error) {
+      console.error('Failed to load projects and cost centers:', error)
+    }
+  }
+
+  const required = requiredByCategory[category] || []
+
+  // An expense keeps a project or cost center that was deactivated after it was set
+  const withCurrent = (values, current) => (
+    current && !values.some(value => value.id === current.id) ? [current, ...values] : values
+  )
+
+  const fields = [
+    { name: 'projectId', dimension: 'PROJECT', label: 'Project', values: withCurrent(projects, expense?.project) },
+    { name: 'costCenterId', dimension: 'COST_CENTER', label: 'Cost center', values: withCurrent(costCenters, expense?.costCenter) },
+  ]
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      {fields.map(field => (
+        <div key={field.name}>
+          <label className="label">
+            {field.label}{required.includes(field.dimension) && ' *'}
+          </label>
+          <select
+            {...register(field.name, {
+              required: required.includes(field.dimension) && `${category} expenses require a ${field.label.toLowerCase()}`
+            })}
+            className="input"
+          >
+            <option value="">None</option>
+            {field.values.map(value => (
+              <option key={value.id} value={value.id}>
+                {value.code} – {value.name}
+              </option>
+            ))}
+          </select>
+          {errors[field.name] && (
+            <p className="text-danger-600 text-sm mt-1">{errors[field.name].message}</p>
+          )}
+        </div>
+      ))}
+
+      <div>
+        <label className="label">Tags{required.includes('TAGS') && ' *'}</label>
+        <input
+          {...register('tags', {
+            validate: value => !required.includes('TAGS') || value.split(',').some(tag => tag.trim()) || `${category} expenses require tags`
+          })}
+          type="text"
+          className="input"
+          placeholder="Comma-separated, e.g. offsite, q3"
+        />
+        {errors.tags && (
+          <p className="text-danger-600 text-sm mt-1">{errors.tags.message}</p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default DimensionFields
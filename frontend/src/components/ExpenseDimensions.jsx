@@ -0,0 +1,22 @@
+import React from 'react'
+
+// Project, cost center and tags an expense is charged to
+const ExpenseDimensions = ({ expense }) => {
+  if (!expense.project && !expense.costCenter && expense.tags.length === 0) return null
+
+  return (
+    <div className="mt-1 flex flex-wrap items-center gap-1 text-xs text-gray-500">
+      {expense.project && (
+        <span>Project {expense.project.code} – {expense.project.name}</span>
+      )}
+      {expense.costCenter && (
+        <span>{expense.project && '• '}Cost center {expense.costCenter.code} – {expense.costCenter.name}</span>
+      )}
+      {expense.tags.map(tag => (
+        <span key={tag} className="badge badge-gray">{tag}</span>
+      ))}
+    </div>
+  )
+}
+
+export default ExpenseDimensions
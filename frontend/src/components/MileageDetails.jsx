@@ -0,0 +1,24 @@
+import React from 'react'
+import { getVehicleLabel, formatDistance } from '../utils/mileage'
+
+// Route, distance and vehicle of a mileage expense, with the per-km rates it was priced at (in its currency)
+const MileageDetails = ({ expense }) => {
+  if (!expense.mileage) return null
+
+  const { startLocation, endLocation, distanceKm, vehicleType, breakdown } = expense.mileage
+
+  return (
+    <div className="mt-1 text-xs text-gray-500">
+      <p>
+        {startLocation} → {endLocation} • {formatDistance(distanceKm)} by {getVehicleLabel(vehicleType).toLowerCase()}
+      </p>
+      {breakdown.length > 0 && (
+        <p>
+          {breakdown.map(tier => `${formatDistance(tier.distanceKm)} × ${tier.rate} ${expense.originalCurrency}/km`).join(' + ')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default MileageDetails
@@ -0,0 +1,34 @@
+import React from 'react'
+import { formatMoney } from '../utils/money'
+import { formatDestination, meals } from '../utils/perDiem'
+
+const mealLabel = (value) => meals.find(meal => meal.value === value)?.label.toLowerCase() || value
+
+// Destination, stay and daily allowances of a per diem expense
+const PerDiemDetails = ({ expense }) => {
+  if (!expense.perDiem) return null
+
+  const { startDate, endDate, lodgingIncluded, days } = expense.perDiem
+  const currency = expense.originalCurrency
+  const lodging = days.reduce((sum, day) => sum + day.lodging, 0)
+  const mealsAndIncidentals = days.reduce((sum, day) => sum + day.meals, 0)
+  const provided = days.filter(day => day.providedMeals.length > 0)
+
+  return (
+    <div className="mt-1 text-xs text-gray-500">
+      <p>
+        {formatDestination(expense.perDiem)} • {new Date(startDate).toLocaleDateString()} – {new Date(endDate).toLocaleDateString()} ({days.length} day(s))
+      </p>
+      <p>
+        {lodgingIncluded ? `Lodging ${formatMoney(lodging, currency)}` : 'No lodging'} • M&IE {formatMoney(mealsAndIncidentals, currency)}
+      </p>
+      {provided.length > 0 && (
+        <p>
+          Provided: {provided.map(day => `${new Date(day.date).toLocaleDateString()} ${day.providedMeals.map(mealLabel).join(', ')}`).join('; ')}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default PerDiemDetails
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import API from '../api/client'
+import { formatMoney } from '../utils/money'
+import { meals, formatDestination, listTripDays, toProvidedMealsList } from '../utils/perDiem'
+
+// Destination, return date, lodging and provided meals of a per diem, with a preview of the allowance
+// The departure date is the expense form's date field; providedMeals maps YYYY-MM-DD to the meals provided that day
+const PerDiemFields = ({ register, errors, watch, providedMeals, onProvidedMealsChange }) => {
+  const { user } = useAuth()
+  const [destinations, setDestinations] = useState([])
+  const [quote, setQuote] = useState(null)
+
+  const destination = watch('destination')
+  const startDate = watch('date')
+  const endDate = watch('endDate')
+  const includeLodging = watch('includeLodging')
+  const tripDays = listTripDays(startDate, endDate)
+
+  useEffect(() => {
+    loadDestinations()
+  }, [])
+
+  useEffect(() => {
+    if (!destination || tripDays.length === 0) {
+      setQuote(null)
+      return
+    }
+
+    let cancelled = false
+    API.post('/per-diem/quote', {
+      ...JSON.parse(destination),
+      startDate,
+      endDate,
+      includeLodging,
+      providedMeals: toProvidedMealsList(providedMeals, tripDays),
+    })
+      .then(response => !cancelled && setQuote(response.data))
+      .catch(error => !cancelled && setQuote({ error: error.response?.data?.error || 'Failed to compute per diem' }))
+
+    return () => { cancelled = true }
+  }, [destination, startDate, endDate, includeLodging, providedMeals])
+
+  const loadDestinations = async () => {
+    try {
+      const response = await API.get('/per-diem/destinations')
+      // Future rates of a destination are listed too; offer each destination once
+      const unique = new Map()
+      response.data.rates.forEach(rate => {
+        const value = JSON.stringify({ country: rate.country, city: rate.city })
+        if (!unique.has(value)) {
+          unique.set(value, formatDestination(rate))
+        }
+      })
+      setDestinations(Array.from(unique, ([value, label]) => ({ value, label })))
+    } catch (error) {
+      console.error('Failed to load per diem destinations:', error)
+    }
+  }
+
+  const toggleMeal = (day, meal) => {
+    const current = providedMeals[day] || []
+    onProvidedMealsChange({
+      ...providedMeals,
+      [day]: current.includes(meal) ? current.filter(item => item !== meal) : [...current, meal]
+    })
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="label">Destination *</label>
+          <select
+            {...register('destination', { required: 'Destination is required' })}
+            className="input"
+          >
+            <option value="">Select a destination</option>
+            {destinations.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {errors.destination && (
+            <p className="text-danger-600 text-sm mt-1">{errors.destination.message}</p>
+          )}
+          {destinations.length === 0 && (
+            <p className="text-xs text-gray-500 mt-1">No per diem rates are configured yet.</p>
+          )}
+        </div>
+        <div>
+          <label className="label">Return date *</label>
+          <input
+            {...register('endDate', {
+              required: 'Return date is required',
+              validate: value => !startDate || value >= startDate || 'Return date must not be before the departure'
+            })}
+            type="date"
+            className="input"
+          />
+          {errors.endDate && (
+            <p className="text-danger-600 text-sm mt-1">{errors.endDate.message}</p>
+          )}
+        </div>
+      </div>
+
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          {...register('includeLodging')}
+          type="checkbox"
+          className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+        />
+        Claim lodging (uncheck if the company booked the accommodation)
+      </label>
+
+      {tripDays.length > 0 && (
+        <div>
+          <label className="label">Meals provided</label>
+          <p className="text-xs text-gray-500 mb-2">
+            Tick meals paid by a hotel, host or conference; they are deducted from the M&IE allowance.
+          </p>
+          <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-64 overflow-y-auto">
+            {tripDays.map(day => (
+              <div key={day} className="px-3 py-2 flex items-center justify-between text-sm">
+                <span className="text-gray-700">{new Date(day).toLocaleDateString()}</span>
+                <div className="flex space-x-4">
+                  {meals.map(meal => (
+                    <label key={meal.value} className="flex items-center text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={(providedMeals[day] || []).includes(meal.value)}
+                        onChange={() => toggleMeal(day, meal.value)}
+                        className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-1"
+                      />
+                      {meal.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {quote && (
+        quote.error ? (
+          <p className="text-danger-600 text-sm">{quote.error}</p>
+        ) : (
+          <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+            <h4 className="text-sm font-medium text-gray-900 mb-2">
+              Per diem: {formatMoney(quote.amount, quote.currency)}
+            </h4>
+            <ul className="text-sm text-gray-600">
+              {quote.days.map(day => (
+                <li key={day.date}>
+                  {new Date(day.date).toLocaleDateString()}: M&IE {formatMoney(day.meals, quote.currency)}
+                  {day.travelDay && ' (travel day, 75%)'}
+                  {day.lodging > 0 && ` + lodging ${formatMoney(day.lodging, quote.currency)}`}
+                </li>
+              ))}
+            </ul>
+            {quote.currency !== user?.company?.currency && (
+              <p className="text-xs text-gray-500 mt-2">
+                Paid in {quote.currency}, converted to your company currency at the rate of the departure date.
+              </p>
+            )}
+          </div>
+        )
+      )}
+    </div>
+  )
+}
+
+export default PerDiemFields
@@ -0,0 +1,23 @@
+import React from 'react'
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+
+// Company policies an expense breaks; blocking ones in red, warnings in amber
+const PolicyViolations = ({ violations }) => {
+  if (!violations || violations.length === 0) return null
+
+  return (
+    <ul className="mt-1 space-y-1">
+      {violations.map(violation => (
+        <li
+          key={violation.policyId}
+          className={`flex items-start text-xs ${violation.action === 'BLOCK' ? 'text-danger-600' : 'text-warning-600'}`}
+        >
+          <ExclamationTriangleIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+          <span>{violation.message}</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default PolicyViolations
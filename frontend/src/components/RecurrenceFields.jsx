@@ -0,0 +1,66 @@
+import React from 'react'
+import { frequencies, submitModes } from '../utils/recurring'
+
+// Schedule of a recurring expense: frequency, cron expression for custom schedules, end date and what each occurrence becomes
+const RecurrenceFields = ({ register, errors, watch }) => {
+  const frequency = watch('frequency')
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="label">Repeats</label>
+          <select {...register('frequency')} className="input">
+            {frequencies.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="label">Until</label>
+          <input
+            {...register('repeatUntil')}
+            type="date"
+            className="input"
+          />
+          <p className="text-xs text-gray-500 mt-1">Leave empty to repeat until you end it</p>
+        </div>
+        <div>
+          <label className="label">Each occurrence</label>
+          <select {...register('submitMode')} className="input">
+            {submitModes.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {frequency === 'CUSTOM' && (
+        <div>
+          <label className="label">Cron expression *</label>
+          <input
+            {...register('cronExpression', {
+              required: 'Cron expression is required',
+              validate: value => value.trim().split(/\s+/).length === 5 || 'Use 5 fields: minute, hour, day of month, month, day of week'
+            })}
+            type="text"
+            className="input font-mono"
+            placeholder="0 9 1 */2 *"
+          />
+          {errors.cronExpression && (
+            <p className="text-danger-600 text-sm mt-1">{errors.cronExpression.message}</p>
+          )}
+          <p className="text-xs text-gray-500 mt-1">
+            Only the day of month, month and day of week are used; e.g. "0 9 1 */2 *" is the 1st of every other month.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RecurrenceFields
@@ -0,0 +1,179 @@
+import React, { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import API from '../api/client'
+import toast from 'react-hot-toast'
+import { getAmountStep } from '../utils/money'
+import DimensionFields from './DimensionFields'
+
+const toDateInput = (date) => new Date(date).toISOString().split('T')[0]
+
+const ReportLineForm = ({ report, categories, currencies, defaultCurrency, onCancel, onAdded }) => {
+  const [loading, setLoading] = useState(false)
+  const [files, setFiles] = useState([])
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      originalAmount: '',
+      originalCurrency: defaultCurrency,
+      category: '',
+      description: '',
+      merchant: '',
+      date: toDateInput(report.startDate),
+      projectId: '',
+      costCenterId: '',
+      tags: ''
+    }
+  })
+
+  const amountStep = getAmountStep(watch('originalCurrency'))
+
+  const onSubmit = async (data) => {
+    setLoading(true)
+
+    try {
+      const formData = new FormData()
+
+      Object.keys(data).forEach(key => {
+        formData.append(key, data[key])
+      })
+      formData.append('reportId', report.id)
+
+      files.forEach(file => {
+        formData.append('attachments', file)
+      })
+
+      await API.post('/expenses', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      })
+
+      toast.success('Expense added to report')
+      onAdded()
+    } catch (error) {
+      console.error('Add report line failed:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to add expense'
+      toast.error(errorMessage)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="mt-4 pt-4 border-t border-gray-200 space-y-4">
+      <h4 className="text-sm font-medium text-gray-900">Add expense</h4>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="label">Amount</label>
+          <input
+            {...register('originalAmount', {
+              required: 'Amount is required',
+              min: { value: amountStep, message: 'Amount must be greater than 0' }
+            })}
+            type="number"
+            step={amountStep}
+            className="input"
+            placeholder="0.00"
+          />
+          {errors.originalAmount && (
+            <p className="text-danger-600 text-sm mt-1">{errors.originalAmount.message}</p>
+          )}
+        </div>
+
+        <div>
+          <label className="label">Currency</label>
+          <select {...register('originalCurrency')} className="input">
+            {currencies.map(currency => (
+              <option key={currency} value={currency}>
+                {currency}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="label">Category</label>
+          <select
+            {...register('category', { required: 'Category is required' })}
+            className="input"
+          >
+            <option value="">Select a category</option>
+            {categories.map(category => (
+              <option key={category} value={category}>
+                {category}
+              </option>
+            ))}
+          </select>
+          {errors.category && (
+            <p className="text-danger-600 text-sm mt-1">{errors.category.message}</p>
+          )}
+        </div>
+
+        <div>
+          <label className="label">Date</label>
+          <input
+            {...register('date', { required: 'Date is required' })}
+            type="date"
+            min={toDateInput(report.startDate)}
+            max={toDateInput(report.endDate)}
+            className="input"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="label">Merchant</label>
+          <input
+            {...register('merchant')}
+            type="text"
+            className="input"
+          />
+        </div>
+
+        <div>
+          <label className="label">Description</label>
+          <input
+            {...register('description')}
+            type="text"
+            className="input"
+          />
+        </div>
+
+        <div>
+          <label className="label">Receipts & documents</label>
+          <input
+            type="file"
+            accept="image/*,.pdf"
+            multiple
+            onChange={(e) => setFiles(Array.from(e.target.files))}
+            className="input"
+          />
+        </div>
+      </div>
+
+      <DimensionFields
+        register={register}
+        errors={errors}
+        category={watch('category')}
+      />
+
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={onCancel} className="btn btn-outline btn-sm">
+          Cancel
+        </button>
+        <button type="submit" disabled={loading} className="btn btn-primary btn-sm">
+          {loading ? 'Adding...' : 'Add Expense'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default ReportLineForm
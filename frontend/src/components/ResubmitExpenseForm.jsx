@@ -0,0 +1,136 @@
+import React, { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import API from '../api/client'
+import toast from 'react-hot-toast'
+import { getAmountStep } from '../utils/money'
+import DimensionFields from './DimensionFields'
+
+const ResubmitExpenseForm = ({ expense, categories, onCancel, onResubmitted }) => {
+  const [loading, setLoading] = useState(false)
+  const [receiptFile, setReceiptFile] = useState(null)
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      originalAmount: expense.originalAmount,
+      category: expense.category,
+      description: expense.description || '',
+      projectId: expense.project?.id ?? '',
+      costCenterId: expense.costCenter?.id ?? '',
+      tags: expense.tags.join(', ')
+    }
+  })
+
+  const onSubmit = async (data) => {
+    setLoading(true)
+
+    try {
+      const formData = new FormData()
+
+      Object.keys(data).forEach(key => {
+        formData.append(key, data[key])
+      })
+
+      if (receiptFile) {
+        formData.append('receipt', receiptFile)
+      }
+
+      await API.post(`/expenses/${expense.id}/resubmit`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      })
+
+      toast.success('Expense resubmitted successfully!')
+      onResubmitted()
+    } catch (error) {
+      console.error('Resubmit expense failed:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to resubmit expense'
+      toast.error(errorMessage)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="mt-4 pt-4 border-t border-gray-200 space-y-4">
+      <h4 className="text-sm font-medium text-gray-900">Update and resubmit</h4>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="label">Amount ({expense.originalCurrency})</label>
+          <input
+            {...register('originalAmount', {
+              required: 'Amount is required',
+              min: { value: getAmountStep(expense.originalCurrency), message: 'Amount must be greater than 0' }
+            })}
+            type="number"
+            step={getAmountStep(expense.originalCurrency)}
+            className="input"
+          />
+          {errors.originalAmount && (
+            <p className="text-danger-600 text-sm mt-1">{errors.originalAmount.message}</p>
+          )}
+        </div>
+
+        <div>
+          <label className="label">Category</label>
+          <select
+            {...register('category', { required: 'Category is required' })}
+            className="input"
+          >
+            {!categories.includes(expense.category) && (
+              <option value={expense.category}>{expense.category}</option>
+            )}
+            {categories.map(category => (
+              <option key={category} value={category}>
+                {category}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="label">New Receipt</label>
+          <input
+            type="file"
+            accept="image/*,.pdf"
+            onChange={(e) => setReceiptFile(e.target.files[0] || null)}
+            className="input"
+          />
+        </div>
+      </div>
+
+      <DimensionFields
+        register={register}
+        errors={errors}
+        category={watch('category')}
+        expense={expense}
+      />
+
+      <div>
+        <label className="label">Description</label>
+        <textarea
+          {...register('description')}
+          rows={2}
+          className="input"
+        />
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={onCancel} className="btn btn-outline btn-sm">
+          Cancel
+        </button>
+        <button type="submit" disabled={loading} className="btn btn-primary btn-sm">
+          {loading ? 'Resubmitting...' : 'Resubmit'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default ResubmitExpenseForm
@@ -0,0 +1,87 @@
+import React, { useState } from 'react'
+import API from '../api/client'
+import toast from 'react-hot-toast'
+import { formatMoney } from '../utils/money'
+import AttachmentViewer from './AttachmentViewer'
+import { DocumentDuplicateIcon } from '@heroicons/react/24/outline'
+
+// "Possible duplicate" badge for an approval; opens the suspected originals side by side with their receipts
+const SuspectedDuplicates = ({ approvalId, count }) => {
+  const [open, setOpen] = useState(false)
+  const [duplicates, setDuplicates] = useState(null)
+
+  if (!count) return null
+
+  const toggle = async () => {
+    if (open) {
+      setOpen(false)
+      return
+    }
+
+    setOpen(true)
+    if (duplicates) return
+
+    try {
+      const response = await API.get(`/approvals/${approvalId}/duplicates`)
+      setDuplicates(response.data.duplicates)
+    } catch (error) {
+      console.error('Failed to load suspected duplicates:', error)
+      toast.error('Failed to load suspected duplicates')
+      setOpen(false)
+    }
+  }
+
+  return (
+    <div className="mb-4">
+      <button type="button" onClick={toggle} className="badge badge-warning inline-flex items-center">
+        <DocumentDuplicateIcon className="h-3 w-3 mr-1" />
+        Possible duplicate{count > 1 ? ` (${count})` : ''}
+      </button>
+
+      {open && (
+        <div className="mt-2 space-y-3">
+          {!duplicates ? (
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-primary-600"></div>
+          ) : duplicates.length === 0 ? (
+            <p className="text-sm text-gray-500">The suspected originals are no longer available.</p>
+          ) : (
+            duplicates.map(duplicate => (
+              <div
+                key={`${duplicate.duplicateOfId}-${duplicate.expense.id}`}
+                className="bg-warning-50 border border-warning-200 rounded-lg p-3"
+              >
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      Expense #{duplicate.expense.id} by {duplicate.expense.user.fullName}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {duplicate.expense.merchant || duplicate.expense.category} on {new Date(duplicate.expense.date).toLocaleDateString()}
+                      {duplicate.expense.description && ` – ${duplicate.expense.description}`}
+                    </p>
+                    <p className="text-xs text-warning-700">
+                      Same {duplicate.matchedOn.join(', ')} as expense #{duplicate.duplicateOfId}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-sm font-semibold text-gray-900">
+                      {formatMoney(duplicate.expense.originalAmount, duplicate.expense.originalCurrency)}
+                    </p>
+                    <span className="badge badge-gray">{duplicate.expense.status}</span>
+                  </div>
+                </div>
+                {duplicate.expense.attachments.length > 0 && (
+                  <div className="mt-2">
+                    <AttachmentViewer attachments={duplicate.expense.attachments} />
+                  </div>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SuspectedDuplicates
@@ -0,0 +1,354 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import API from '../../api/client'
+import toast from 'react-hot-toast'
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  ArrowUpIcon,
+  ArrowDownIcon,
+} from '@heroicons/react/24/outline'
+
+const ruleTypes = [
+  { value: 'PERCENTAGE', label: 'Percentage of approvers' },
+  { value: 'SPECIFIC', label: 'Specific approver' },
+  { value: 'HYBRID', label: 'Percentage or specific approver' },
+]
+
+const roles = [
+  { value: 'ADMIN', label: 'Admin' },
+  { value: 'MANAGER', label: 'Manager' },
+  { value: 'EMPLOYEE', label: 'Employee' },
+]
+
+const defaultValues = {
+  ruleType: 'PERCENTAGE',
+  percentage: 60,
+  specificApproverId: '',
+  specificRole: '',
+}
+
+// Describe in plain words when a rule auto-approves an expense
+export const describeRule = (rule, users = []) => {
+  const approverName = (approverId, role) => {
+    if (approverId) {
+      const approver = users.find(u => u.id === parseInt(approverId))
+      return approver ? approver.fullName : `user #${approverId}`
+    }
+    if (role) {
+      return `any ${role.toLowerCase()}`
+    }
+    return null
+  }
+
+  switch (rule.ruleType) {
+    case 'PERCENTAGE': {
+      if (!rule.threshold) return 'Choose the share of approvers required.'
+      return `Approved once ${Math.round(rule.threshold * 100)}% of the approvers in the chain have approved.`
+    }
+    case 'SPECIFIC': {
+      const who = approverName(rule.specificApproverId, rule.specificRole)
+      if (!who) return 'Choose the approver whose approval is decisive.'
+      return `Approved as soon as ${who} approves, regardless of the remaining approvers.`
+    }
+    case 'HYBRID': {
+      const config = rule.config || {}
+      const who = approverName(config.specificApproverId, config.specificRole)
+      if (!config.percentageThreshold || !who) return 'Choose both a percentage and an approver.'
+      return `Approved once ${Math.round(config.percentageThreshold * 100)}% of the approvers have approved, or as soon as ${who} approves.`
+    }
+    default:
+      return ''
+  }
+}
+
+// Convert form values into the API payload for a rule
+const toPayload = (data) => {
+  const threshold = data.percentage ? parseFloat(data.percentage) / 100 : null
+  const specificApproverId = data.specificApproverId ? parseInt(data.specificApproverId) : null
+  const specificRole = data.specificRole || null
+
+  if (data.ruleType === 'PERCENTAGE') {
+    return { ruleType: data.ruleType, threshold, specificApproverId: null, specificRole: null, config: null }
+  }
+  if (data.ruleType === 'SPECIFIC') {
+    return { ruleType: data.ruleType, threshold: null, specificApproverId, specificRole: specificApproverId ? null : specificRole, config: null }
+  }
+  return {
+    ruleType: data.ruleType,
+    threshold: null,
+    specificApproverId: null,
+    specificRole: null,
+    config: {
+      percentageThreshold: threshold,
+      ...(specificApproverId ? { specificApproverId } : { specificRole })
+    }
+  }
+}
+
+const ApprovalRulesPanel = ({ users }) => {
+  const [rules, setRules] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingRule, setEditingRule] = useState(null)
+
+  const { register, handleSubmit, reset, watch, formState: { errors } } = useForm({ defaultValues })
+
+  const watchedValues = watch()
+
+  useEffect(() => {
+    loadRules()
+  }, [])
+
+  const loadRules = async () => {
+    try {
+      setLoading(true)
+      const response = await API.get('/admin/approval-rules')
+      setRules(response.data.rules)
+    } catch (error) {
+      console.error('Failed to load approval rules:', error)
+      toast.error('Failed to load approval rules')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const onSubmit = async (data) => {
+    try {
+      if (editingRule) {
+        await API.put(`/admin/approval-rules/${editingRule.id}`, toPayload(data))
+        toast.success('Approval rule updated successfully')
+      } else {
+        await API.post('/admin/approval-rules', toPayload(data))
+        toast.success('Approval rule created successfully')
+      }
+      cancelEdit()
+      loadRules()
+    } catch (error) {
+      console.error('Failed to save approval rule:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to save approval rule'
+      toast.error(errorMessage)
+    }
+  }
+
+  const handleEditRule = (rule) => {
+    const config = rule.config || {}
+    setEditingRule(rule)
+    setShowForm(true)
+    reset({
+      ruleType: rule.ruleType,
+      percentage: Math.round((rule.threshold || config.percentageThreshold || 0) * 100) || '',
+      specificApproverId: rule.specificApproverId || config.specificApproverId || '',
+      specificRole: rule.specificRole || config.specificRole || '',
+    })
+  }
+
+  const cancelEdit = () => {
+    setEditingRule(null)
+    setShowForm(false)
+    reset(defaultValues)
+  }
+
+  const deactivateRule = async (rule) => {
+    if (!window.confirm('Deactivate this approval rule?')) return
+
+    try {
+      await API.delete(`/admin/approval-rules/${rule.id}`)
+      toast.success('Approval rule deactivated')
+      loadRules()
+    } catch (error) {
+      console.error('Failed to deactivate approval rule:', error)
+      toast.error(error.response?.data?.error || 'Failed to deactivate approval rule')
+    }
+  }
+
+  const moveRule = async (index, direction) => {
+    const reordered = [...rules]
+    const [moved] = reordered.splice(index, 1)
+    reordered.splice(index + direction, 0, moved)
+
+    try {
+      const response = await API.put('/admin/approval-rules/reorder', {
+        ruleIds: reordered.map(rule => rule.id)
+      })
+      setRules(response.data.rules.filter(rule => rule.isActive))
+    } catch (error) {
+      console.error('Failed to reorder approval rules:', error)
+      toast.error(error.response?.data?.error || 'Failed to reorder approval rules')
+    }
+  }
+
+  const previewRule = toPayload(watchedValues)
+  const needsPercentage = watchedValues.ruleType !== 'SPECIFIC'
+  const needsApprover = watchedValues.ruleType !== 'PERCENTAGE'
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Approval Rules</h3>
+          <p className="text-sm text-gray-500">
+            Rules are checked top to bottom after every decision. A rejection always rejects the expense.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowForm(true)}
+          className="btn btn-primary"
+        >
+          <PlusIcon className="h-4 w-4 mr-2" />
+          Add Rule
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="bg-gray-50 rounded-lg p-6">
+          <h4 className="text-lg font-medium text-gray-900 mb-4">
+            {editingRule ? 'Edit Rule' : 'Add New Rule'}
+          </h4>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div>
+              <label className="label">Rule Type</label>
+              <select {...register('ruleType')} className="input">
+                {ruleTypes.map(type => (
+                  <option key={type.value} value={type.value}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {needsPercentage && (
+              <div>
+                <label className="label">Required Approvals (%)</label>
+                <input
+                  {...register('percentage', {
+                    required: 'Percentage is required',
+                    min: { value: 1, message: 'Percentage must be at least 1' },
+                    max: { value: 100, message: 'Percentage cannot exceed 100' }
+                  })}
+                  type="number"
+                  className="input"
+                />
+                {errors.percentage && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.percentage.message}</p>
+                )}
+              </div>
+            )}
+
+            {needsApprover && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="label">Specific Approver</label>
+                  <select {...register('specificApproverId')} className="input">
+                    <option value="">None</option>
+                    {users
+                      .filter(u => u.isActive)
+                      .map(user => (
+                        <option key={user.id} value={user.id}>
+                          {user.fullName}
+                        </option>
+                      ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="label">Or Role</label>
+                  <select
+                    {...register('specificRole')}
+                    className="input"
+                    disabled={!!watchedValues.specificApproverId}
+                  >
+                    <option value="">None</option>
+                    {roles.map(role => (
+                      <option key={role.value} value={role.value}>
+                        {role.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+
+            <div className="bg-primary-50 border border-primary-200 rounded-lg p-4">
+              <p className="text-sm font-medium text-primary-900">How this rule behaves</p>
+              <p className="text-sm text-primary-700 mt-1">{describeRule(previewRule, users)}</p>
+            </div>
+
+            <div className="flex space-x-3">
+              <button type="submit" className="btn btn-primary">
+                {editingRule ? 'Update Rule' : 'Create Rule'}
+              </button>
+              <button
+                type="button"
+                onClick={cancelEdit}
+                className="btn btn-secondary"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {rules.length === 0 ? (
+        <p className="text-gray-500">
+          No approval rules configured. Expenses are approved once every approver in the sequence has approved.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {rules.map((rule, index) => (
+            <div key={rule.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+              <div className="flex items-center space-x-4">
+                <div className="w-6 h-6 rounded-full bg-gray-100 text-gray-600 flex items-center justify-center text-xs font-medium">
+                  {index + 1}
+                </div>
+                <div>
+                  <span className="badge badge-info">{rule.ruleType}</span>
+                  <p className="text-sm text-gray-900 mt-1">{describeRule(rule, users)}</p>
+                </div>
+              </div>
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={() => moveRule(index, -1)}
+                  disabled={index === 0}
+                  className="text-gray-400 hover:text-gray-500 disabled:opacity-30"
+                >
+                  <ArrowUpIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => moveRule(index, 1)}
+                  disabled={index === rules.length - 1}
+                  className="text-gray-400 hover:text-gray-500 disabled:opacity-30"
+                >
+                  <ArrowDownIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => handleEditRule(rule)}
+                  className="text-gray-400 hover:text-gray-500"
+                >
+                  <PencilIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => deactivateRule(rule)}
+                  className="text-gray-400 hover:text-danger-500"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ApprovalRulesPanel
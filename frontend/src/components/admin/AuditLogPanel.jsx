@@ -0,0 +1,287 @@
+import React, { useState, useEffect } from 'react'
+import API from '../../api/client'
+import toast from 'react-hot-toast'
+import {
+  ArrowDownTrayIcon,
+  FunnelIcon,
+} from '@heroicons/react/24/outline'
+
+const entityTypes = [
+  { value: '', label: 'All Entities' },
+  { value: 'EXPENSE', label: 'Expenses' },
+  { value: 'APPROVAL', label: 'Approvals' },
+  { value: 'USER', label: 'Users' },
+  { value: 'COMPANY', label: 'Company' },
+  { value: 'APPROVAL_SEQUENCE', label: 'Approval Sequence' },
+  { value: 'APPROVAL_RULE', label: 'Approval Rules' },
+  { value: 'REIMBURSEMENT_BATCH', label: 'Reimbursements' },
+  { value: 'EXPENSE_REPORT', label: 'Expense Reports' },
+  { value: 'EXCHANGE_RATE', label: 'Exchange Rates' },
+  { value: 'EXPENSE_POLICY', label: 'Expense Policies' },
+  { value: 'CATEGORY', label: 'Categories' },
+  { value: 'DIMENSION_VALUE', label: 'Projects & Cost Centers' },
+  { value: 'BUDGET', label: 'Budgets' },
+  { value: 'CARD_TRANSACTION', label: 'Card Transactions' },
+  { value: 'MILEAGE_RATE', label: 'Mileage Rates' },
+  { value: 'PER_DIEM_RATE', label: 'Per Diem Rates' },
+  { value: 'RECURRING_EXPENSE', label: 'Recurring Expenses' },
+]
+
+const emptyFilters = {
+  entityType: '',
+  entityId: '',
+  actorId: '',
+  startDate: '',
+  endDate: ''
+}
+
+// Turn the filter form into query parameters; end dates include the whole day
+const buildParams = (filters) => {
+  const params = new URLSearchParams()
+  if (filters.entityType) params.append('entityType', filters.entityType)
+  if (filters.entityId) params.append('entityId', filters.entityId)
+  if (filters.actorId) params.append('actorId', filters.actorId)
+  if (filters.startDate) params.append('startDate', filters.startDate)
+  if (filters.endDate) params.append('endDate', `${filters.endDate}T23:59:59.999Z`)
+  return params
+}
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value))
+
+const AuditLogPanel = ({ users = [] }) => {
+  const [logs, setLogs] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [exporting, setExporting] = useState(false)
+  const [filters, setFilters] = useState(emptyFilters)
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 50,
+    total: 0,
+    pages: 0
+  })
+
+  useEffect(() => {
+    loadLogs()
+  }, [pagination.page, filters])
+
+  const loadLogs = async () => {
+    try {
+      setLoading(true)
+      const params = buildParams(filters)
+      params.append('page', pagination.page.toString())
+      params.append('limit', pagination.limit.toString())
+
+      const response = await API.get(`/admin/audit-logs?${params}`)
+      setLogs(response.data.logs)
+      setPagination(response.data.pagination)
+    } catch (error) {
+      console.error('Failed to load audit logs:', error)
+      toast.error('Failed to load audit logs')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }))
+    setPagination(prev => ({ ...prev, page: 1 }))
+  }
+
+  const clearFilters = () => {
+    setFilters(emptyFilters)
+    setPagination(prev => ({ ...prev, page: 1 }))
+  }
+
+  const exportCsv = async () => {
+    setExporting(true)
+    try {
+      const response = await API.get(`/admin/audit-logs/export?${buildParams(filters)}`, {
+        responseType: 'blob'
+      })
+
+      const url = window.URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`
+      link.click()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Failed to export audit logs:', error)
+      toast.error('Failed to export audit logs')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">Audit Log</h3>
+        <div className="flex space-x-2">
+          <button
+            onClick={clearFilters}
+            className="btn btn-outline btn-sm flex items-center"
+          >
+            <FunnelIcon className="h-4 w-4 mr-2" />
+            Clear Filters
+          </button>
+          <button
+            onClick={exportCsv}
+            disabled={exporting}
+            className="btn btn-primary btn-sm flex items-center"
+          >
+            <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+        <div>
+          <label className="label">Entity</label>
+          <select
+            value={filters.entityType}
+            onChange={(e) => handleFilterChange('entityType', e.target.value)}
+            className="input"
+          >
+            {entityTypes.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="label">Entity ID</label>
+          <input
+            type="number"
+            value={filters.entityId}
+            onChange={(e) => handleFilterChange('entityId', e.target.value)}
+            className="input"
+            placeholder="Any"
+          />
+        </div>
+
+        <div>
+          <label className="label">Actor</label>
+          <select
+            value={filters.actorId}
+            onChange={(e) => handleFilterChange('actorId', e.target.value)}
+            className="input"
+          >
+            <option value="">Anyone</option>
+            {users.map(u => (
+              <option key={u.id} value={u.id}>
+                {u.fullName}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="label">From</label>
+          <input
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => handleFilterChange('startDate', e.target.value)}
+            className="input"
+          />
+        </div>
+
+        <div>
+          <label className="label">To</label>
+          <input
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => handleFilterChange('endDate', e.target.value)}
+            className="input"
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : logs.length === 0 ? (
+        <p className="text-gray-500">No audit entries match these filters.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actor</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Entity</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changes</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {logs.map(log => (
+                <tr key={log.id} className="align-top">
+                  <td className="px-4 py-3 text-sm text-gray-500 whitespace-nowrap">
+                    {new Date(log.createdAt).toLocaleString()}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    {log.actor ? log.actor.fullName : 'System'}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900 font-mono">{log.action}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500">
+                    {log.entityType}{log.entityId ? ` #${log.entityId}` : ''}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-500">
+                    {Object.keys(log.changes).length === 0 ? (
+                      '—'
+                    ) : (
+                      <ul className="space-y-1">
+                        {Object.entries(log.changes).map(([field, change]) => (
+                          <li key={field}>
+                            <span className="font-medium text-gray-700">{field}</span>:{' '}
+                            {formatValue(change.from)} → {formatValue(change.to)}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-xs text-gray-400">
+                    <p>{log.ipAddress || '—'}</p>
+                    <p className="truncate max-w-xs" title={log.userAgent || ''}>{log.userAgent}</p>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination.pages > 1 && (
+        <div className="flex items-center justify-between">
+          <div className="text-sm text-gray-500">
+            Page {pagination.page} of {pagination.pages} • {pagination.total} entries
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+              disabled={pagination.page === 1}
+              className="btn btn-outline btn-sm"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+              disabled={pagination.page === pagination.pages}
+              className="btn btn-outline btn-sm"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AuditLogPanel
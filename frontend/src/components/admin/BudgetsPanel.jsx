@@ -0,0 +1,380 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { useAuth } from '../../contexts/AuthContext'
+import API from '../../api/client'
+import toast from 'react-hot-toast'
+import { formatMoney, getAmountStep } from '../../utils/money'
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  ArrowPathIcon,
+} from '@heroicons/react/24/outline'
+
+const scopes = [
+  { value: 'COST_CENTER', label: 'Cost center' },
+  { value: 'PROJECT', label: 'Project' },
+  { value: 'USER', label: 'Employee' },
+]
+
+const defaultValues = {
+  name: '',
+  scope: 'COST_CENTER',
+  targetId: '',
+  periodStart: '',
+  periodEnd: '',
+  amount: '',
+  overBudgetApproverId: '',
+}
+
+const toDateInput = (date) => new Date(date).toISOString().split('T')[0]
+
+const BudgetsPanel = ({ users }) => {
+  const { user } = useAuth()
+  const currency = user?.company?.currency
+  const [budgets, setBudgets] = useState([])
+  const [dimensionValues, setDimensionValues] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingBudget, setEditingBudget] = useState(null)
+
+  const { register, handleSubmit, reset, watch, formState: { errors } } = useForm({ defaultValues })
+  const scope = watch('scope')
+
+  useEffect(() => {
+    loadBudgets()
+    loadDimensionValues()
+  }, [])
+
+  const loadBudgets = async () => {
+    try {
+      setLoading(true)
+      const response = await API.get('/admin/budgets?includeInactive=true')
+      setBudgets(response.data.budgets)
+    } catch (error) {
+      console.error('Failed to load budgets:', error)
+      toast.error('Failed to load budgets')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadDimensionValues = async () => {
+    try {
+      const response = await API.get('/admin/dimensions')
+      setDimensionValues(response.data.values)
+    } catch (error) {
+      console.error('Failed to load projects and cost centers:', error)
+    }
+  }
+
+  const buildPayload = (data) => ({
+    name: data.name,
+    scope: data.scope,
+    dimensionValueId: data.scope === 'USER' ? null : data.targetId,
+    userId: data.scope === 'USER' ? data.targetId : null,
+    periodStart: data.periodStart,
+    periodEnd: data.periodEnd,
+    amount: data.amount,
+    overBudgetApproverId: data.overBudgetApproverId || null,
+  })
+
+  const onSubmit = async (data) => {
+    try {
+      if (editingBudget) {
+        await API.put(`/admin/budgets/${editingBudget.id}`, buildPayload(data))
+        toast.success('Budget updated successfully')
+      } else {
+        await API.post('/admin/budgets', buildPayload(data))
+        toast.success('Budget created successfully')
+      }
+      cancelEdit()
+      loadBudgets()
+    } catch (error) {
+      console.error('Failed to save budget:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to save budget'
+      toast.error(errorMessage)
+    }
+  }
+
+  const toFormValues = (budget) => ({
+    name: budget.name,
+    scope: budget.scope,
+    targetId: (budget.scope === 'USER' ? budget.user?.id : budget.dimensionValue?.id) ?? '',
+    periodStart: toDateInput(budget.periodStart),
+    periodEnd: toDateInput(budget.periodEnd),
+    amount: budget.amount,
+    overBudgetApproverId: budget.overBudgetApprover?.id ?? '',
+  })
+
+  const handleEditBudget = (budget) => {
+    setEditingBudget(budget)
+    setShowForm(true)
+    reset(toFormValues(budget))
+  }
+
+  const cancelEdit = () => {
+    setEditingBudget(null)
+    setShowForm(false)
+    reset(defaultValues)
+  }
+
+  const deactivateBudget = async (budget) => {
+    if (!window.confirm(`Deactivate the budget "${budget.name}"?`)) return
+
+    try {
+      await API.delete(`/admin/budgets/${budget.id}`)
+      toast.success('Budget deactivated')
+      loadBudgets()
+    } catch (error) {
+      console.error('Failed to deactivate budget:', error)
+      toast.error(error.response?.data?.error || 'Failed to deactivate budget')
+    }
+  }
+
+  const reactivateBudget = async (budget) => {
+    try {
+      await API.put(`/admin/budgets/${budget.id}`, {
+        ...buildPayload(toFormValues(budget)),
+        isActive: true,
+      })
+      toast.success('Budget reactivated')
+      loadBudgets()
+    } catch (error) {
+      console.error('Failed to reactivate budget:', error)
+      toast.error(error.response?.data?.error || 'Failed to reactivate budget')
+    }
+  }
+
+  const describeTarget = (budget) => {
+    if (budget.scope === 'USER') return budget.user?.fullName || 'Unknown employee'
+    if (!budget.dimensionValue) return 'Unknown'
+    return `${budget.dimensionValue.code} – ${budget.dimensionValue.name}`
+  }
+
+  const targetOptions = scope === 'USER'
+    ? users.map(option => ({ id: option.id, label: option.fullName }))
+    : dimensionValues
+      .filter(value => value.dimension === scope && (value.isActive || value.id === editingBudget?.dimensionValue?.id))
+      .map(value => ({ id: value.id, label: `${value.code} – ${value.name}` }))
+
+  const approvers = users.filter(option => option.isActive && ['MANAGER', 'ADMIN'].includes(option.role))
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Budgets</h3>
+          <p className="text-sm text-gray-500">
+            Budgets cap what a cost center, project or employee spends in a period. Approved and pending expenses count against them, and approvers see what is left. Expenses that take a budget over its amount can get an extra approval step.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowForm(true)}
+          className="btn btn-primary"
+        >
+          <PlusIcon className="h-4 w-4 mr-2" />
+          Add Budget
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="bg-gray-50 rounded-lg p-6">
+          <h4 className="text-lg font-medium text-gray-900 mb-4">
+            {editingBudget ? 'Edit Budget' : 'Add New Budget'}
+          </h4>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Name</label>
+                <input
+                  {...register('name', { required: 'Name is required' })}
+                  type="text"
+                  className="input"
+                  placeholder="e.g. Marketing Q3"
+                />
+                {errors.name && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.name.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">Budget for</label>
+                <select {...register('scope')} className="input">
+                  {scopes.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label">{scopes.find(option => option.value === scope)?.label}</label>
+                <select
+                  {...register('targetId', { required: 'Select what the budget is for' })}
+                  className="input"
+                >
+                  <option value="">Select...</option>
+                  {targetOptions.map(option => (
+                    <option key={option.id} value={option.id}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                {errors.targetId && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.targetId.message}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label className="label">From</label>
+                <input
+                  {...register('periodStart', { required: 'Start date is required' })}
+                  type="date"
+                  className="input"
+                />
+                {errors.periodStart && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.periodStart.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">To</label>
+                <input
+                  {...register('periodEnd', { required: 'End date is required' })}
+                  type="date"
+                  className="input"
+                />
+                {errors.periodEnd && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.periodEnd.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">Amount ({currency})</label>
+                <input
+                  {...register('amount', {
+                    required: 'Amount is required',
+                    min: { value: getAmountStep(currency), message: 'Amount must be greater than 0' }
+                  })}
+                  type="number"
+                  step={getAmountStep(currency)}
+                  className="input"
+                />
+                {errors.amount && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.amount.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">Over-budget approver</label>
+                <select {...register('overBudgetApproverId')} className="input">
+                  <option value="">None</option>
+                  {approvers.map(approver => (
+                    <option key={approver.id} value={approver.id}>
+                      {approver.fullName}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="flex space-x-3">
+              <button type="submit" className="btn btn-primary">
+                {editingBudget ? 'Update Budget' : 'Create Budget'}
+              </button>
+              <button
+                type="button"
+                onClick={cancelEdit}
+                className="btn btn-secondary"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {budgets.length === 0 ? (
+        <p className="text-gray-500">No budgets configured.</p>
+      ) : (
+        <div className="space-y-4">
+          {budgets.map(budget => {
+            const usedShare = budget.amount > 0
+              ? Math.min(100, ((budget.approved + budget.pending) / budget.amount) * 100)
+              : 100
+
+            return (
+              <div key={budget.id} className="p-4 border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="flex items-center space-x-2">
+                      <p className={`text-sm font-medium ${budget.isActive ? 'text-gray-900' : 'text-gray-400'}`}>
+                        {budget.name}
+                      </p>
+                      {!budget.isActive && (
+                        <span className="badge badge-gray">Inactive</span>
+                      )}
+                      {budget.isActive && budget.overBudget && (
+                        <span className="badge badge-danger">Over budget</span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-500">
+                      {scopes.find(option => option.value === budget.scope)?.label} {describeTarget(budget)}
+                      {' • '}{new Date(budget.periodStart).toLocaleDateString()} – {new Date(budget.periodEnd).toLocaleDateString()}
+                      {budget.overBudgetApprover && ` • Over budget: ${budget.overBudgetApprover.fullName} approves`}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <button
+                      onClick={() => handleEditBudget(budget)}
+                      className="text-gray-400 hover:text-gray-500"
+                    >
+                      <PencilIcon className="h-4 w-4" />
+                    </button>
+                    {budget.isActive ? (
+                      <button
+                        onClick={() => deactivateBudget(budget)}
+                        className="text-gray-400 hover:text-danger-500"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => reactivateBudget(budget)}
+                        className="text-gray-400 hover:text-success-500"
+                        title="Reactivate"
+                      >
+                        <ArrowPathIcon className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                <div className="mt-3">
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className={`h-2 rounded-full ${budget.overBudget ? 'bg-danger-500' : 'bg-primary-600'}`}
+                      style={{ width: `${usedShare}%` }}
+                    ></div>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {formatMoney(budget.approved, currency)} approved • {formatMoney(budget.pending, currency)} pending • {formatMoney(budget.remaining, currency)} left of {formatMoney(budget.amount, currency)}
+                  </p>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BudgetsPanel
@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import API from '../../api/client'
+import toast from 'react-hot-toast'
+import { formatMoney } from '../../utils/money'
+import {
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon,
+} from '@heroicons/react/24/outline'
+
+const today = () => new Date().toISOString().split('T')[0]
+
+const CardTransactionsPanel = ({ users }) => {
+  const [groups, setGroups] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [importing, setImporting] = useState(false)
+  const [exporting, setExporting] = useState(false)
+  const [olderThanDays, setOlderThanDays] = useState(30)
+
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({
+    defaultValues: { userId: '', statement: null }
+  })
+
+  useEffect(() => {
+    loadUnclaimed()
+  }, [olderThanDays])
+
+  const loadUnclaimed = async () => {
+    try {
+      setLoading(true)
+      const response = await API.get(`/card-transactions/unclaimed?olderThanDays=${olderThanDays}`)
+      setGroups(response.data.groups)
+    } catch (error) {
+      console.error('Failed to load unclaimed card transactions:', error)
+      toast.error('Failed to load unclaimed card transactions')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const importStatement = async (data) => {
+    setImporting(true)
+    try {
+      const formData = new FormData()
+      formData.append('userId', data.userId)
+      formData.append('statement', data.statement[0])
+
+      const response = await API.post('/card-transactions/import', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      })
+
+      const { imported, skipped, matched } = response.data
+      toast.success(`${imported} imported, ${matched} matched to expenses${skipped > 0 ? `, ${skipped} already imported` : ''}`)
+      reset({ userId: data.userId, statement: null })
+      loadUnclaimed()
+    } catch (error) {
+      console.error('Failed to import card statement:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to import card statement'
+      toast.error(errorMessage)
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const exportCsv = async () => {
+    setExporting(true)
+    try {
+      const response = await API.get(`/card-transactions/unclaimed?olderThanDays=${olderThanDays}&format=csv`, {
+        responseType: 'blob'
+      })
+
+      const url = window.URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `unclaimed-card-transactions-${today()}.csv`
+      link.click()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Failed to export unclaimed card transactions:', error)
+      toast.error('Failed to export unclaimed card transactions')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const cardholders = users.filter(option => option.isActive)
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Company Cards</h3>
+        <p className="text-sm text-gray-500">
+          Import card statements (CSV, OFX/QFX or CAMT.053) per cardholder. Charges are matched to the cardholder's expenses by amount, date and merchant, and cardholders claim the rest when they submit the expense. Card expenses are not reimbursed.
+        </p>
+      </div>
+
+      <div className="bg-gray-50 rounded-lg p-6">
+        <h4 className="text-lg font-medium text-gray-900 mb-4">Import Statement</h4>
+        <form onSubmit={handleSubmit(importStatement)} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="label">Cardholder</label>
+              <select
+                {...register('userId', { required: 'Select the cardholder' })}
+                className="input"
+              >
+                <option value="">Select...</option>
+                {cardholders.map(cardholder => (
+                  <option key={cardholder.id} value={cardholder.id}>
+                    {cardholder.fullName}
+                  </option>
+                ))}
+              </select>
+              {errors.userId && (
+                <p className="text-danger-600 text-sm mt-1">{errors.userId.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="label">Statement file</label>
+              <input
+                {...register('statement', { required: 'Select a statement file' })}
+                type="file"
+                accept=".csv,.ofx,.qfx,.xml"
+                className="input"
+              />
+              {errors.statement && (
+                <p className="text-danger-600 text-sm mt-1">{errors.statement.message}</p>
+              )}
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            CSV files need a header row with date, amount and merchant (or payee/description) columns; positive amounts are charges. Transactions already imported are skipped.
+          </p>
+          <button type="submit" disabled={importing} className="btn btn-primary">
+            <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+            {importing ? 'Importing...' : 'Import'}
+          </button>
+        </form>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h4 className="text-lg font-medium text-gray-900">Unclaimed Card Spend</h4>
+            <p className="text-sm text-gray-500">Charges without an expense, by cardholder</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <select
+              value={olderThanDays}
+              onChange={(e) => setOlderThanDays(e.target.value)}
+              className="input"
+            >
+              <option value={0}>All</option>
+              <option value={7}>Older than 7 days</option>
+              <option value={30}>Older than 30 days</option>
+              <option value={60}>Older than 60 days</option>
+            </select>
+            <button
+              onClick={exportCsv}
+              disabled={exporting || groups.length === 0}
+              className="btn btn-outline btn-sm flex items-center whitespace-nowrap"
+            >
+              <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+              Export CSV
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : groups.length === 0 ? (
+          <p className="text-gray-500">No unclaimed card spend.</p>
+        ) : (
+          <div className="space-y-4">
+            {groups.map(group => (
+              <div key={`${group.user.id}-${group.currency}`} className="p-4 border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{group.user.fullName}</p>
+                    <p className="text-sm text-gray-500">{group.user.email}</p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-sm font-medium text-gray-900">{formatMoney(group.totalAmount, group.currency)}</p>
+                    <p className="text-xs text-gray-500">{group.count} charge(s)</p>
+                  </div>
+                </div>
+                <ul className="mt-3 divide-y divide-gray-100">
+                  {group.transactions.map(transaction => (
+                    <li key={transaction.id} className="py-1 flex items-center justify-between text-sm">
+                      <span className="text-gray-700">
+                        {new Date(transaction.transactionDate).toLocaleDateString()} • {transaction.merchant}
+                      </span>
+                      <span className="text-gray-900">{formatMoney(transaction.amount, transaction.currency)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CardTransactionsPanel
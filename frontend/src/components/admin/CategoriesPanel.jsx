@@ -0,0 +1,304 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import API from '../../api/client'
+import toast from 'react-hot-toast'
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  ArrowPathIcon,
+} from '@heroicons/react/24/outline'
+
+const defaultValues = {
+  name: '',
+  glAccountCode: '',
+  defaultTaxRate: '',
+  ocrKeywords: '',
+  requiredDimensions: [],
+}
+
+const dimensionOptions = [
+  { value: 'PROJECT', label: 'Project' },
+  { value: 'COST_CENTER', label: 'Cost center' },
+  { value: 'TAGS', label: 'Tags' },
+]
+
+const CategoriesPanel = () => {
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingCategory, setEditingCategory] = useState(null)
+
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({ defaultValues })
+
+  useEffect(() => {
+    loadCategories()
+  }, [])
+
+  const loadCategories = async () => {
+    try {
+      setLoading(true)
+      const response = await API.get('/admin/categories')
+      setCategories(response.data.categories)
+    } catch (error) {
+      console.error('Failed to load categories:', error)
+      toast.error('Failed to load categories')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const buildPayload = (data) => ({
+    name: data.name,
+    glAccountCode: data.glAccountCode || null,
+    defaultTaxRate: data.defaultTaxRate === '' ? null : parseFloat(data.defaultTaxRate),
+    ocrKeywords: data.ocrKeywords.split(',').map(keyword => keyword.trim()).filter(Boolean),
+    requiredDimensions: [].concat(data.requiredDimensions || []),
+  })
+
+  const onSubmit = async (data) => {
+    try {
+      if (editingCategory) {
+        await API.put(`/admin/categories/${editingCategory.id}`, buildPayload(data))
+        toast.success('Category updated successfully')
+      } else {
+        await API.post('/admin/categories', buildPayload(data))
+        toast.success('Category created successfully')
+      }
+      cancelEdit()
+      loadCategories()
+    } catch (error) {
+      console.error('Failed to save category:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to save category'
+      toast.error(errorMessage)
+    }
+  }
+
+  const handleEditCategory = (category) => {
+    setEditingCategory(category)
+    setShowForm(true)
+    reset({
+      name: category.name,
+      glAccountCode: category.glAccountCode || '',
+      defaultTaxRate: category.defaultTaxRate ?? '',
+      ocrKeywords: category.ocrKeywords.join(', '),
+      requiredDimensions: category.requiredDimensions,
+    })
+  }
+
+  const cancelEdit = () => {
+    setEditingCategory(null)
+    setShowForm(false)
+    reset(defaultValues)
+  }
+
+  const deactivateCategory = async (category) => {
+    if (!window.confirm(`Deactivate the category "${category.name}"? Existing expenses keep it.`)) return
+
+    try {
+      await API.delete(`/admin/categories/${category.id}`)
+      toast.success('Category deactivated')
+      loadCategories()
+    } catch (error) {
+      console.error('Failed to deactivate category:', error)
+      toast.error(error.response?.data?.error || 'Failed to deactivate category')
+    }
+  }
+
+  const reactivateCategory = async (category) => {
+    try {
+      await API.put(`/admin/categories/${category.id}`, {
+        ...buildPayload({
+          name: category.name,
+          glAccountCode: category.glAccountCode,
+          defaultTaxRate: category.defaultTaxRate ?? '',
+          ocrKeywords: category.ocrKeywords.join(','),
+          requiredDimensions: category.requiredDimensions,
+        }),
+        isActive: true,
+      })
+      toast.success('Category reactivated')
+      loadCategories()
+    } catch (error) {
+      console.error('Failed to reactivate category:', error)
+      toast.error(error.response?.data?.error || 'Failed to reactivate category')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Expense Categories</h3>
+          <p className="text-sm text-gray-500">
+            Employees file expenses under the active categories. Each category can map to a general ledger account, and its OCR keywords suggest the category of a scanned receipt.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowForm(true)}
+          className="btn btn-primary"
+        >
+          <PlusIcon className="h-4 w-4 mr-2" />
+          Add Category
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="bg-gray-50 rounded-lg p-6">
+          <h4 className="text-lg font-medium text-gray-900 mb-4">
+            {editingCategory ? 'Edit Category' : 'Add New Category'}
+          </h4>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Name</label>
+                <input
+                  {...register('name', { required: 'Name is required' })}
+                  type="text"
+                  className="input"
+                  placeholder="e.g. Client Entertainment"
+                />
+                {errors.name && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.name.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">GL account</label>
+                <input
+                  {...register('glAccountCode')}
+                  type="text"
+                  className="input"
+                  placeholder="e.g. 6640"
+                />
+              </div>
+              <div>
+                <label className="label">Default tax rate (%)</label>
+                <input
+                  {...register('defaultTaxRate', {
+                    min: { value: 0, message: 'Tax rate must be between 0 and 100' },
+                    max: { value: 100, message: 'Tax rate must be between 0 and 100' }
+                  })}
+                  type="number"
+                  step="0.01"
+                  className="input"
+                />
+                {errors.defaultTaxRate && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.defaultTaxRate.message}</p>
+                )}
+              </div>
+            </div>
+
+            <div>
+              <label className="label">OCR keywords</label>
+              <input
+                {...register('ocrKeywords')}
+                type="text"
+                className="input"
+                placeholder="Comma-separated, e.g. restaurant, bistro, catering"
+              />
+            </div>
+
+            <div>
+              <label className="label">Required on expenses</label>
+              <div className="flex items-center space-x-6">
+                {dimensionOptions.map(option => (
+                  <label key={option.value} className="flex items-center text-sm text-gray-700">
+                    <input
+                      {...register('requiredDimensions')}
+                      type="checkbox"
+                      value={option.value}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    />
+                    <span className="ml-2">{option.label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {editingCategory && (
+              <p className="text-xs text-gray-500">
+                Renaming a category also updates the policies that use it. Existing expenses keep the name they were filed under.
+              </p>
+            )}
+
+            <div className="flex space-x-3">
+              <button type="submit" className="btn btn-primary">
+                {editingCategory ? 'Update Category' : 'Create Category'}
+              </button>
+              <button
+                type="button"
+                onClick={cancelEdit}
+                className="btn btn-secondary"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {categories.length === 0 ? (
+        <p className="text-gray-500">No categories configured.</p>
+      ) : (
+        <div className="space-y-4">
+          {categories.map(category => (
+            <div key={category.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+              <div>
+                <div className="flex items-center space-x-2">
+                  <p className={`text-sm font-medium ${category.isActive ? 'text-gray-900' : 'text-gray-400'}`}>
+                    {category.name}
+                  </p>
+                  {!category.isActive && (
+                    <span className="badge badge-gray">Inactive</span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-500">
+                  GL {category.glAccountCode || '—'}
+                  {category.defaultTaxRate !== null && ` • Tax ${category.defaultTaxRate}%`}
+                  {category.ocrKeywords.length > 0 && ` • Keywords: ${category.ocrKeywords.join(', ')}`}
+                  {category.requiredDimensions.length > 0 && ` • Requires ${category.requiredDimensions
+                    .map(dimension => dimensionOptions.find(option => option.value === dimension)?.label.toLowerCase())
+                    .join(', ')}`}
+                </p>
+              </div>
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={() => handleEditCategory(category)}
+                  className="text-gray-400 hover:text-gray-500"
+                >
+                  <PencilIcon className="h-4 w-4" />
+                </button>
+                {category.isActive ? (
+                  <button
+                    onClick={() => deactivateCategory(category)}
+                    className="text-gray-400 hover:text-danger-500"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => reactivateCategory(category)}
+                    className="text-gray-400 hover:text-success-500"
+                    title="Reactivate"
+                  >
+                    <ArrowPathIcon className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CategoriesPanel
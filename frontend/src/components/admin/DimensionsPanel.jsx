@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import API from '../../api/client'
+import toast from 'react-hot-toast'
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  ArrowPathIcon,
+} from '@heroicons/react/24/outline'
+
+const dimensionTypes = [
+  { value: 'PROJECT', label: 'Projects', singular: 'Project' },
+  { value: 'COST_CENTER', label: 'Cost Centers', singular: 'Cost center' },
+]
+
+const defaultValues = {
+  dimension: 'PROJECT',
+  code: '',
+  name: '',
+}
+
+const DimensionsPanel = () => {
+  const [values, setValues] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingValue, setEditingValue] = useState(null)
+
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({ defaultValues })
+
+  useEffect(() => {
+    loadValues()
+  }, [])
+
+  const loadValues = async () => {
+    try {
+      setLoading(true)
+      const response = await API.get('/admin/dimensions')
+      setValues(response.data.values)
+    } catch (error) {
+      console.error('Failed to load projects and cost centers:', error)
+      toast.error('Failed to load projects and cost centers')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const onSubmit = async (data) => {
+    try {
+      if (editingValue) {
+        // The type select is disabled while editing, so its value is not submitted
+        await API.put(`/admin/dimensions/${editingValue.id}`, { ...data, dimension: editingValue.dimension })
+        toast.success('Updated successfully')
+      } else {
+        await API.post('/admin/dimensions', data)
+        toast.success('Created successfully')
+      }
+      cancelEdit()
+      loadValues()
+    } catch (error) {
+      console.error('Failed to save dimension value:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to save'
+      toast.error(errorMessage)
+    }
+  }
+
+  const handleEditValue = (value) => {
+    setEditingValue(value)
+    setShowForm(true)
+    reset({
+      dimension: value.dimension,
+      code: value.code,
+      name: value.name,
+    })
+  }
+
+  const cancelEdit = () => {
+    setEditingValue(null)
+    setShowForm(false)
+    reset(defaultValues)
+  }
+
+  const deactivateValue = async (value) => {
+    if (!window.confirm(`Deactivate ${value.code} – ${value.name}? Existing expenses keep it.`)) return
+
+    try {
+      await API.delete(`/admin/dimensions/${value.id}`)
+      toast.success('Deactivated')
+      loadValues()
+    } catch (error) {
+      console.error('Failed to deactivate dimension value:', error)
+      toast.error(error.response?.data?.error || 'Failed to deactivate')
+    }
+  }
+
+  const reactivateValue = async (value) => {
+    try {
+      await API.put(`/admin/dimensions/${value.id}`, {
+        dimension: value.dimension,
+        code: value.code,
+        name: value.name,
+        isActive: true,
+      })
+      toast.success('Reactivated')
+      loadValues()
+    } catch (error) {
+      console.error('Failed to reactivate dimension value:', error)
+      toast.error(error.response?.data?.error || 'Failed to reactivate')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Projects & Cost Centers</h3>
+          <p className="text-sm text-gray-500">
+            Employees charge expenses to the active projects and cost centers. Categories can require them on every expense.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowForm(true)}
+          className="btn btn-primary"
+        >
+          <PlusIcon className="h-4 w-4 mr-2" />
+          Add
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="bg-gray-50 rounded-lg p-6">
+          <h4 className="text-lg font-medium text-gray-900 mb-4">
+            {editingValue ? 'Edit' : 'Add Project or Cost Center'}
+          </h4>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Type</label>
+                <select
+                  {...register('dimension')}
+                  className="input"
+                  disabled={!!editingValue}
+                >
+                  {dimensionTypes.map(type => (
+                    <option key={type.value} value={type.value}>
+                      {type.singular}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label">Code</label>
+                <input
+                  {...register('code', { required: 'Code is required' })}
+                  type="text"
+                  className="input"
+                  placeholder="e.g. PRJ-104"
+                />
+                {errors.code && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.code.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">Name</label>
+                <input
+                  {...register('name', { required: 'Name is required' })}
+                  type="text"
+                  className="input"
+                  placeholder="e.g. Website relaunch"
+                />
+                {errors.name && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.name.message}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="flex space-x-3">
+              <button type="submit" className="btn btn-primary">
+                {editingValue ? 'Update' : 'Create'}
+              </button>
+              <button
+                type="button"
+                onClick={cancelEdit}
+                className="btn btn-secondary"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {dimensionTypes.map(type => {
+        const typeValues = values.filter(value => value.dimension === type.value)
+
+        return (
+          <div key={type.value}>
+            <h4 className="text-sm font-medium text-gray-900 mb-2">{type.label}</h4>
+            {typeValues.length === 0 ? (
+              <p className="text-gray-500">No {type.label.toLowerCase()} configured.</p>
+            ) : (
+              <div className="space-y-4">
+                {typeValues.map(value => (
+                  <div key={value.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                    <div className="flex items-center space-x-2">
+                      <p className={`text-sm font-medium ${value.isActive ? 'text-gray-900' : 'text-gray-400'}`}>
+                        {value.code} – {value.name}
+                      </p>
+                      {!value.isActive && (
+                        <span className="badge badge-gray">Inactive</span>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      <button
+                        onClick={() => handleEditValue(value)}
+                        className="text-gray-400 hover:text-gray-500"
+                      >
+                        <PencilIcon className="h-4 w-4" />
+                      </button>
+                      {value.isActive ? (
+                        <button
+                          onClick={() => deactivateValue(value)}
+                          className="text-gray-400 hover:text-danger-500"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => reactivateValue(value)}
+                          className="text-gray-400 hover:text-success-500"
+                          title="Reactivate"
+                        >
+                          <ArrowPathIcon className="h-4 w-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default DimensionsPanel
@@ -0,0 +1,285 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import API from '../../api/client'
+import toast from 'react-hot-toast'
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline'
+
+const defaultValues = {
+  baseCurrency: '',
+  targetCurrency: '',
+  rate: '',
+  validFrom: '',
+  validTo: '',
+  note: '',
+}
+
+const toDateInput = (value) => (value ? value.split('T')[0] : '')
+
+const ExchangeRatesPanel = () => {
+  const [rates, setRates] = useState([])
+  const [currencies, setCurrencies] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingRate, setEditingRate] = useState(null)
+
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({ defaultValues })
+
+  useEffect(() => {
+    loadRates()
+    loadCurrencies()
+  }, [])
+
+  const loadRates = async () => {
+    try {
+      setLoading(true)
+      const response = await API.get('/admin/exchange-rates')
+      setRates(response.data.rates)
+    } catch (error) {
+      console.error('Failed to load exchange rates:', error)
+      toast.error('Failed to load exchange rates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadCurrencies = async () => {
+    try {
+      const response = await API.get('/currency/currencies')
+      setCurrencies(response.data.currencies)
+    } catch (error) {
+      console.error('Failed to load currencies:', error)
+    }
+  }
+
+  const onSubmit = async (data) => {
+    const payload = {
+      baseCurrency: data.baseCurrency,
+      targetCurrency: data.targetCurrency,
+      rate: parseFloat(data.rate),
+      validFrom: data.validFrom,
+      validTo: data.validTo || null,
+      note: data.note || null
+    }
+
+    try {
+      if (editingRate) {
+        await API.put(`/admin/exchange-rates/${editingRate.id}`, payload)
+        toast.success('Exchange rate updated successfully')
+      } else {
+        await API.post('/admin/exchange-rates', payload)
+        toast.success('Exchange rate created successfully')
+      }
+      cancelEdit()
+      loadRates()
+    } catch (error) {
+      console.error('Failed to save exchange rate:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to save exchange rate'
+      toast.error(errorMessage)
+    }
+  }
+
+  const handleEditRate = (rate) => {
+    setEditingRate(rate)
+    setShowForm(true)
+    reset({
+      baseCurrency: rate.baseCurrency,
+      targetCurrency: rate.targetCurrency,
+      rate: rate.rate,
+      validFrom: toDateInput(rate.validFrom),
+      validTo: toDateInput(rate.validTo),
+      note: rate.note || '',
+    })
+  }
+
+  const cancelEdit = () => {
+    setEditingRate(null)
+    setShowForm(false)
+    reset(defaultValues)
+  }
+
+  const deleteRate = async (rate) => {
+    if (!window.confirm(`Delete the fixed ${rate.baseCurrency}/${rate.targetCurrency} rate?`)) return
+
+    try {
+      await API.delete(`/admin/exchange-rates/${rate.id}`)
+      toast.success('Exchange rate deleted')
+      loadRates()
+    } catch (error) {
+      console.error('Failed to delete exchange rate:', error)
+      toast.error(error.response?.data?.error || 'Failed to delete exchange rate')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Fixed Exchange Rates</h3>
+          <p className="text-sm text-gray-500">
+            Fixed rates, such as a monthly treasury rate, replace the market rate for expenses dated within their period.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowForm(true)}
+          className="btn btn-primary"
+        >
+          <PlusIcon className="h-4 w-4 mr-2" />
+          Add Rate
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="bg-gray-50 rounded-lg p-6">
+          <h4 className="text-lg font-medium text-gray-900 mb-4">
+            {editingRate ? 'Edit Rate' : 'Add New Rate'}
+          </h4>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">From Currency</label>
+                <select
+                  {...register('baseCurrency', { required: 'From currency is required' })}
+                  className="input"
+                >
+                  <option value="">Select currency</option>
+                  {currencies.map(currency => (
+                    <option key={currency} value={currency}>{currency}</option>
+                  ))}
+                </select>
+                {errors.baseCurrency && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.baseCurrency.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">To Currency</label>
+                <select
+                  {...register('targetCurrency', { required: 'To currency is required' })}
+                  className="input"
+                >
+                  <option value="">Select currency</option>
+                  {currencies.map(currency => (
+                    <option key={currency} value={currency}>{currency}</option>
+                  ))}
+                </select>
+                {errors.targetCurrency && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.targetCurrency.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">Rate</label>
+                <input
+                  {...register('rate', {
+                    required: 'Rate is required',
+                    min: { value: 0.000001, message: 'Rate must be positive' }
+                  })}
+                  type="number"
+                  step="any"
+                  className="input"
+                  placeholder="1 unit of the from currency in the to currency"
+                />
+                {errors.rate && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.rate.message}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Valid From</label>
+                <input
+                  {...register('validFrom', { required: 'Start date is required' })}
+                  type="date"
+                  className="input"
+                />
+                {errors.validFrom && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.validFrom.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">Valid To</label>
+                <input
+                  {...register('validTo')}
+                  type="date"
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="label">Note</label>
+                <input
+                  {...register('note')}
+                  type="text"
+                  className="input"
+                  placeholder="e.g. Treasury rate October"
+                />
+              </div>
+            </div>
+
+            <div className="flex space-x-3">
+              <button type="submit" className="btn btn-primary">
+                {editingRate ? 'Update Rate' : 'Create Rate'}
+              </button>
+              <button
+                type="button"
+                onClick={cancelEdit}
+                className="btn btn-secondary"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {rates.length === 0 ? (
+        <p className="text-gray-500">
+          No fixed rates configured. Expenses are converted at the ECB reference rate of the expense date.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {rates.map(rate => (
+            <div key={rate.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  1 {rate.baseCurrency} = {rate.rate} {rate.targetCurrency}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {new Date(rate.validFrom).toLocaleDateString()} – {rate.validTo ? new Date(rate.validTo).toLocaleDateString() : 'open-ended'}
+                  {rate.note && ` · ${rate.note}`}
+                </p>
+                <p className="text-xs text-gray-400">Added by {rate.createdBy.fullName}</p>
+              </div>
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={() => handleEditRate(rate)}
+                  className="text-gray-400 hover:text-gray-500"
+                >
+                  <PencilIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => deleteRate(rate)}
+                  className="text-gray-400 hover:text-danger-500"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ExchangeRatesPanel
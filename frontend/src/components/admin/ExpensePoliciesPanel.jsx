@@ -0,0 +1,347 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { useAuth } from '../../contexts/AuthContext'
+import API from '../../api/client'
+import toast from 'react-hot-toast'
+import { formatMoney, getAmountStep } from '../../utils/money'
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline'
+
+const policyTypes = [
+  { value: 'CATEGORY_LIMIT', label: 'Spending limit' },
+  { value: 'RECEIPT_REQUIRED', label: 'Receipt required' },
+  { value: 'MAX_AGE', label: 'Maximum age' },
+  { value: 'WEEKEND', label: 'No weekend expenses' },
+  { value: 'MERCHANT', label: 'Disallowed merchants' },
+]
+
+const periods = [
+  { value: 'EXPENSE', label: 'Per expense' },
+  { value: 'DAY', label: 'Per day' },
+  { value: 'TRIP', label: 'Per trip (report)' },
+]
+
+const defaultValues = {
+  name: '',
+  policyType: 'CATEGORY_LIMIT',
+  category: '',
+  action: 'WARN',
+  amount: '',
+  period: 'EXPENSE',
+  maxAgeDays: '',
+  merchants: '',
+}
+
+const ExpensePoliciesPanel = () => {
+  const { user } = useAuth()
+  const currency = user?.company?.currency
+  const [policies, setPolicies] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingPolicy, setEditingPolicy] = useState(null)
+
+  const { register, handleSubmit, reset, watch, formState: { errors } } = useForm({ defaultValues })
+  const policyType = watch('policyType')
+
+  useEffect(() => {
+    loadPolicies()
+    loadCategories()
+  }, [])
+
+  const loadPolicies = async () => {
+    try {
+      setLoading(true)
+      const response = await API.get('/admin/expense-policies')
+      setPolicies(response.data.policies)
+    } catch (error) {
+      console.error('Failed to load expense policies:', error)
+      toast.error('Failed to load expense policies')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadCategories = async () => {
+    try {
+      const response = await API.get('/admin/categories')
+      setCategories(response.data.categories.map(category => category.name))
+    } catch (error) {
+      console.error('Failed to load categories:', error)
+    }
+  }
+
+  const onSubmit = async (data) => {
+    const payload = {
+      name: data.name,
+      policyType: data.policyType,
+      category: data.category || null,
+      action: data.action,
+      amount: data.amount === '' ? null : parseFloat(data.amount),
+      period: data.period,
+      maxAgeDays: data.maxAgeDays === '' ? null : parseInt(data.maxAgeDays),
+      merchants: data.merchants.split(',').map(merchant => merchant.trim()).filter(Boolean),
+    }
+
+    try {
+      if (editingPolicy) {
+        await API.put(`/admin/expense-policies/${editingPolicy.id}`, payload)
+        toast.success('Expense policy updated successfully')
+      } else {
+        await API.post('/admin/expense-policies', payload)
+        toast.success('Expense policy created successfully')
+      }
+      cancelEdit()
+      loadPolicies()
+    } catch (error) {
+      console.error('Failed to save expense policy:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to save expense policy'
+      toast.error(errorMessage)
+    }
+  }
+
+  const handleEditPolicy = (policy) => {
+    setEditingPolicy(policy)
+    setShowForm(true)
+    reset({
+      name: policy.name,
+      policyType: policy.policyType,
+      category: policy.category || '',
+      action: policy.action,
+      amount: policy.amount ?? '',
+      period: policy.period || 'EXPENSE',
+      maxAgeDays: policy.maxAgeDays ?? '',
+      merchants: policy.merchants.join(', '),
+    })
+  }
+
+  const cancelEdit = () => {
+    setEditingPolicy(null)
+    setShowForm(false)
+    reset(defaultValues)
+  }
+
+  const deactivatePolicy = async (policy) => {
+    if (!window.confirm(`Deactivate the policy "${policy.name}"?`)) return
+
+    try {
+      await API.delete(`/admin/expense-policies/${policy.id}`)
+      toast.success('Expense policy deactivated')
+      loadPolicies()
+    } catch (error) {
+      console.error('Failed to deactivate expense policy:', error)
+      toast.error(error.response?.data?.error || 'Failed to deactivate expense policy')
+    }
+  }
+
+  const describePolicy = (policy) => {
+    const scope = policy.category || 'All categories'
+    switch (policy.policyType) {
+      case 'CATEGORY_LIMIT':
+        return `${scope}: at most ${formatMoney(policy.amount, currency)} ${periods.find(period => period.value === policy.period)?.label.toLowerCase()}`
+      case 'RECEIPT_REQUIRED':
+        return `${scope}: receipt required above ${formatMoney(policy.amount || 0, currency)}`
+      case 'MAX_AGE':
+        return `${scope}: claimed within ${policy.maxAgeDays} days`
+      case 'WEEKEND':
+        return `${scope}: not on Saturdays or Sundays`
+      case 'MERCHANT':
+        return `${scope}: not at ${policy.merchants.join(', ')}`
+      default:
+        return scope
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Expense Policies</h3>
+          <p className="text-sm text-gray-500">
+            Policies are checked whenever an expense is submitted or changed. Blocking policies stop submission; warnings are shown to approvers.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowForm(true)}
+          className="btn btn-primary"
+        >
+          <PlusIcon className="h-4 w-4 mr-2" />
+          Add Policy
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="bg-gray-50 rounded-lg p-6">
+          <h4 className="text-lg font-medium text-gray-900 mb-4">
+            {editingPolicy ? 'Edit Policy' : 'Add New Policy'}
+          </h4>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Name</label>
+                <input
+                  {...register('name', { required: 'Name is required' })}
+                  type="text"
+                  className="input"
+                  placeholder="e.g. Meal cap"
+                />
+                {errors.name && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.name.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">Type</label>
+                <select {...register('policyType')} className="input">
+                  {policyTypes.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Category</label>
+                <select {...register('category')} className="input">
+                  <option value="">All categories</option>
+                  {categories.map(category => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label">When violated</label>
+                <select {...register('action')} className="input">
+                  <option value="WARN">Warn approvers</option>
+                  <option value="BLOCK">Block submission</option>
+                </select>
+              </div>
+            </div>
+
+            {(policyType === 'CATEGORY_LIMIT' || policyType === 'RECEIPT_REQUIRED') && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="label">
+                    {policyType === 'CATEGORY_LIMIT' ? 'Limit' : 'Receipt required above'} ({currency})
+                  </label>
+                  <input
+                    {...register('amount', {
+                      required: policyType === 'CATEGORY_LIMIT' ? 'Limit is required' : false
+                    })}
+                    type="number"
+                    step={getAmountStep(currency)}
+                    min="0"
+                    className="input"
+                  />
+                  {errors.amount && (
+                    <p className="text-danger-600 text-sm mt-1">{errors.amount.message}</p>
+                  )}
+                </div>
+                {policyType === 'CATEGORY_LIMIT' && (
+                  <div>
+                    <label className="label">Applies</label>
+                    <select {...register('period')} className="input">
+                      {periods.map(period => (
+                        <option key={period.value} value={period.value}>{period.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {policyType === 'MAX_AGE' && (
+              <div>
+                <label className="label">Maximum age (days)</label>
+                <input
+                  {...register('maxAgeDays', { required: 'Maximum age is required' })}
+                  type="number"
+                  min="1"
+                  className="input"
+                />
+                {errors.maxAgeDays && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.maxAgeDays.message}</p>
+                )}
+              </div>
+            )}
+
+            {policyType === 'MERCHANT' && (
+              <div>
+                <label className="label">Merchants</label>
+                <input
+                  {...register('merchants', { required: 'Enter at least one merchant' })}
+                  type="text"
+                  className="input"
+                  placeholder="Comma-separated, e.g. Casino Royale, Duty Free"
+                />
+                {errors.merchants && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.merchants.message}</p>
+                )}
+              </div>
+            )}
+
+            <div className="flex space-x-3">
+              <button type="submit" className="btn btn-primary">
+                {editingPolicy ? 'Update Policy' : 'Create Policy'}
+              </button>
+              <button
+                type="button"
+                onClick={cancelEdit}
+                className="btn btn-secondary"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {policies.length === 0 ? (
+        <p className="text-gray-500">No expense policies configured.</p>
+      ) : (
+        <div className="space-y-4">
+          {policies.map(policy => (
+            <div key={policy.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+              <div>
+                <div className="flex items-center space-x-2">
+                  <p className="text-sm font-medium text-gray-900">{policy.name}</p>
+                  <span className={policy.action === 'BLOCK' ? 'badge badge-danger' : 'badge badge-warning'}>
+                    {policy.action === 'BLOCK' ? 'Blocks' : 'Warns'}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-500">{describePolicy(policy)}</p>
+              </div>
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={() => handleEditPolicy(policy)}
+                  className="text-gray-400 hover:text-gray-500"
+                >
+                  <PencilIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => deactivatePolicy(policy)}
+                  className="text-gray-400 hover:text-danger-500"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ExpensePoliciesPanel
@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import API from '../../api/client'
+import toast from 'react-hot-toast'
+import { useAuth } from '../../contexts/AuthContext'
+import { vehicleTypes, getVehicleLabel, formatDistance } from '../../utils/mileage'
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline'
+
+const defaultValues = {
+  vehicleType: 'CAR',
+  effectiveFrom: '',
+  note: '',
+}
+
+const defaultTiers = [{ fromKm: 0, rate: '' }]
+
+const toDateInput = (value) => (value ? value.split('T')[0] : '')
+
+// Describe the tiers of a rate, e.g. "0.30/km up to 10,000 km, then 0.20/km"
+const describeTiers = (tiers, currency) => tiers
+  .map((tier, index) => {
+    const next = tiers[index + 1]
+    const price = `${tier.rate} ${currency}/km`
+    if (next) {
+      return index === 0 ? `${price} up to ${formatDistance(next.fromKm)}` : `${price} to ${formatDistance(next.fromKm)}`
+    }
+    return index === 0 ? price : `then ${price}`
+  })
+  .join(', ')
+
+const MileageRatesPanel = () => {
+  const { user } = useAuth()
+  const [rates, setRates] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingRate, setEditingRate] = useState(null)
+  // Tiers are edited as rows outside the form; the first one always starts at 0 km
+  const [tiers, setTiers] = useState(defaultTiers)
+
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({ defaultValues })
+
+  const currency = user?.company?.currency
+
+  useEffect(() => {
+    loadRates()
+  }, [])
+
+  const loadRates = async () => {
+    try {
+      setLoading(true)
+      const response = await API.get('/admin/mileage-rates')
+      setRates(response.data.rates)
+    } catch (error) {
+      console.error('Failed to load mileage rates:', error)
+      toast.error('Failed to load mileage rates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateTier = (index, field, value) => {
+    setTiers(prev => prev.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)))
+  }
+
+  const addTier = () => {
+    setTiers(prev => [...prev, { fromKm: '', rate: '' }])
+  }
+
+  const removeTier = (index) => {
+    setTiers(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const onSubmit = async (data) => {
+    const payload = {
+      vehicleType: data.vehicleType,
+      effectiveFrom: data.effectiveFrom,
+      tiers: tiers.map(tier => ({
+        fromKm: parseFloat(tier.fromKm),
+        rate: parseFloat(tier.rate)
+      })),
+      note: data.note || null
+    }
+
+    try {
+      if (editingRate) {
+        await API.put(`/admin/mileage-rates/${editingRate.id}`, payload)
+        toast.success('Mileage rate updated successfully')
+      } else {
+        await API.post('/admin/mileage-rates', payload)
+        toast.success('Mileage rate created successfully')
+      }
+      cancelEdit()
+      loadRates()
+    } catch (error) {
+      console.error('Failed to save mileage rate:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to save mileage rate'
+      toast.error(errorMessage)
+    }
+  }
+
+  const handleEditRate = (rate) => {
+    setEditingRate(rate)
+    setShowForm(true)
+    setTiers(rate.tiers)
+    reset({
+      vehicleType: rate.vehicleType,
+      effectiveFrom: toDateInput(rate.effectiveFrom),
+      note: rate.note || '',
+    })
+  }
+
+  const cancelEdit = () => {
+    setEditingRate(null)
+    setShowForm(false)
+    setTiers(defaultTiers)
+    reset(defaultValues)
+  }
+
+  const deleteRate = async (rate) => {
+    if (!window.confirm(`Delete the ${getVehicleLabel(rate.vehicleType).toLowerCase()} rate from ${new Date(rate.effectiveFrom).toLocaleDateString()}?`)) return
+
+    try {
+      await API.delete(`/admin/mileage-rates/${rate.id}`)
+      toast.success('Mileage rate deleted')
+      loadRates()
+    } catch (error) {
+      console.error('Failed to delete mileage rate:', error)
+      toast.error(error.response?.data?.error || 'Failed to delete mileage rate')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Mileage Rates</h3>
+          <p className="text-sm text-gray-500">
+            Per-km rates for mileage expenses in {currency}. A rate applies to trips from its effective date until the next rate of the vehicle type; tiers apply to the distance an employee claimed in the calendar year.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowForm(true)}
+          className="btn btn-primary"
+        >
+          <PlusIcon className="h-4 w-4 mr-2" />
+          Add Rate
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="bg-gray-50 rounded-lg p-6">
+          <h4 className="text-lg font-medium text-gray-900 mb-4">
+            {editingRate ? 'Edit Rate' : 'Add New Rate'}
+          </h4>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Vehicle</label>
+                <select {...register('vehicleType')} className="input">
+                  {vehicleTypes.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label">Effective From</label>
+                <input
+                  {...register('effectiveFrom', { required: 'Effective date is required' })}
+                  type="date"
+                  className="input"
+                />
+                {errors.effectiveFrom && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.effectiveFrom.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">Note</label>
+                <input
+                  {...register('note')}
+                  type="text"
+                  className="input"
+                  placeholder="e.g. Statutory rate 2025"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="label">Tiers</label>
+              <div className="space-y-2">
+                {tiers.map((tier, index) => (
+                  <div key={index} className="flex items-center space-x-3">
+                    <span className="text-sm text-gray-500 w-12">From</span>
+                    <input
+                      value={tier.fromKm}
+                      onChange={(e) => updateTier(index, 'fromKm', e.target.value)}
+                      type="number"
+                      step="1"
+                      min="0"
+                      disabled={index === 0}
+                      className="input"
+                      placeholder="km per year"
+                      required
+                    />
+                    <span className="text-sm text-gray-500">km</span>
+                    <input
+                      value={tier.rate}
+                      onChange={(e) => updateTier(index, 'rate', e.target.value)}
+                      type="number"
+                      step="any"
+                      min="0"
+                      className="input"
+                      placeholder="Rate"
+                      required
+                    />
+                    <span className="text-sm text-gray-500 whitespace-nowrap">{currency}/km</span>
+                    {index > 0 ? (
+                      <button
+                        type="button"
+                        onClick={() => removeTier(index)}
+                        className="text-gray-400 hover:text-danger-500"
+                      >
+                        <XMarkIcon className="h-4 w-4" />
+                      </button>
+                    ) : (
+                      <span className="w-4" />
+                    )}
+                  </div>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={addTier}
+                className="btn btn-outline btn-sm mt-2"
+              >
+                <PlusIcon className="h-4 w-4 mr-1" />
+                Add Tier
+              </button>
+            </div>
+
+            <div className="flex space-x-3">
+              <button type="submit" className="btn btn-primary">
+                {editingRate ? 'Update Rate' : 'Create Rate'}
+              </button>
+              <button
+                type="button"
+                onClick={cancelEdit}
+                className="btn btn-secondary"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {rates.length === 0 ? (
+        <p className="text-gray-500">
+          No mileage rates configured. Employees cannot submit mileage expenses until a rate exists for their vehicle.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {rates.map(rate => (
+            <div key={rate.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {getVehicleLabel(rate.vehicleType)}: {describeTiers(rate.tiers, currency)}
+                </p>
+                <p className="text-sm text-gray-500">
+                  From {new Date(rate.effectiveFrom).toLocaleDateString()}
+                  {rate.note && ` · ${rate.note}`}
+                </p>
+                <p className="text-xs text-gray-400">Added by {rate.createdBy.fullName}</p>
+              </div>
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={() => handleEditRate(rate)}
+                  className="text-gray-400 hover:text-gray-500"
+                >
+                  <PencilIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => deleteRate(rate)}
+                  className="text-gray-400 hover:text-danger-500"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MileageRatesPanel
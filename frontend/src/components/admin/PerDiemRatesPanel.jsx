@@ -0,0 +1,316 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import API from '../../api/client'
+import toast from 'react-hot-toast'
+import { formatMoney } from '../../utils/money'
+import { formatDestination } from '../../utils/perDiem'
+import {
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline'
+
+const defaultValues = {
+  country: '',
+  city: '',
+  currency: '',
+  lodgingRate: '',
+  mealsRate: '',
+  validFrom: '',
+  validTo: '',
+  note: '',
+}
+
+const toDateInput = (value) => (value ? value.split('T')[0] : '')
+
+const PerDiemRatesPanel = () => {
+  const [rates, setRates] = useState([])
+  const [currencies, setCurrencies] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingRate, setEditingRate] = useState(null)
+
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({ defaultValues })
+
+  useEffect(() => {
+    loadRates()
+    loadCurrencies()
+  }, [])
+
+  const loadRates = async () => {
+    try {
+      setLoading(true)
+      const response = await API.get('/admin/per-diem-rates')
+      setRates(response.data.rates)
+    } catch (error) {
+      console.error('Failed to load per diem rates:', error)
+      toast.error('Failed to load per diem rates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadCurrencies = async () => {
+    try {
+      const response = await API.get('/currency/currencies')
+      setCurrencies(response.data.currencies)
+    } catch (error) {
+      console.error('Failed to load currencies:', error)
+    }
+  }
+
+  const onSubmit = async (data) => {
+    const payload = {
+      country: data.country,
+      city: data.city || null,
+      currency: data.currency,
+      lodgingRate: parseFloat(data.lodgingRate),
+      mealsRate: parseFloat(data.mealsRate),
+      validFrom: data.validFrom,
+      validTo: data.validTo || null,
+      note: data.note || null
+    }
+
+    try {
+      if (editingRate) {
+        await API.put(`/admin/per-diem-rates/${editingRate.id}`, payload)
+        toast.success('Per diem rate updated successfully')
+      } else {
+        await API.post('/admin/per-diem-rates', payload)
+        toast.success('Per diem rate created successfully')
+      }
+      cancelEdit()
+      loadRates()
+    } catch (error) {
+      console.error('Failed to save per diem rate:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to save per diem rate'
+      toast.error(errorMessage)
+    }
+  }
+
+  const handleEditRate = (rate) => {
+    setEditingRate(rate)
+    setShowForm(true)
+    reset({
+      country: rate.country,
+      city: rate.city || '',
+      currency: rate.currency,
+      lodgingRate: rate.lodgingRate,
+      mealsRate: rate.mealsRate,
+      validFrom: toDateInput(rate.validFrom),
+      validTo: toDateInput(rate.validTo),
+      note: rate.note || '',
+    })
+  }
+
+  const cancelEdit = () => {
+    setEditingRate(null)
+    setShowForm(false)
+    reset(defaultValues)
+  }
+
+  const deleteRate = async (rate) => {
+    if (!window.confirm(`Delete the per diem rate for ${formatDestination(rate)}?`)) return
+
+    try {
+      await API.delete(`/admin/per-diem-rates/${rate.id}`)
+      toast.success('Per diem rate deleted')
+      loadRates()
+    } catch (error) {
+      console.error('Failed to delete per diem rate:', error)
+      toast.error(error.response?.data?.error || 'Failed to delete per diem rate')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Per Diem Rates</h3>
+          <p className="text-sm text-gray-500">
+            Daily allowances by destination, in the destination's currency: lodging per night and meals & incidental expenses (M&IE) per day. A city rate takes precedence over its country's rate.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowForm(true)}
+          className="btn btn-primary"
+        >
+          <PlusIcon className="h-4 w-4 mr-2" />
+          Add Rate
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="bg-gray-50 rounded-lg p-6">
+          <h4 className="text-lg font-medium text-gray-900 mb-4">
+            {editingRate ? 'Edit Rate' : 'Add New Rate'}
+          </h4>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Country</label>
+                <input
+                  {...register('country', { required: 'Country is required' })}
+                  type="text"
+                  className="input"
+                  placeholder="e.g. France"
+                />
+                {errors.country && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.country.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">City</label>
+                <input
+                  {...register('city')}
+                  type="text"
+                  className="input"
+                  placeholder="Leave empty for the rest of the country"
+                />
+              </div>
+              <div>
+                <label className="label">Currency</label>
+                <select
+                  {...register('currency', { required: 'Currency is required' })}
+                  className="input"
+                >
+                  <option value="">Select currency</option>
+                  {currencies.map(currency => (
+                    <option key={currency} value={currency}>{currency}</option>
+                  ))}
+                </select>
+                {errors.currency && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.currency.message}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Lodging per night</label>
+                <input
+                  {...register('lodgingRate', {
+                    required: 'Lodging rate is required',
+                    min: { value: 0, message: 'Lodging rate must be zero or more' }
+                  })}
+                  type="number"
+                  step="any"
+                  className="input"
+                />
+                {errors.lodgingRate && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.lodgingRate.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">M&IE per day</label>
+                <input
+                  {...register('mealsRate', {
+                    required: 'M&IE rate is required',
+                    min: { value: 0.01, message: 'M&IE rate must be positive' }
+                  })}
+                  type="number"
+                  step="any"
+                  className="input"
+                />
+                {errors.mealsRate && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.mealsRate.message}</p>
+                )}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Valid From</label>
+                <input
+                  {...register('validFrom', { required: 'Start date is required' })}
+                  type="date"
+                  className="input"
+                />
+                {errors.validFrom && (
+                  <p className="text-danger-600 text-sm mt-1">{errors.validFrom.message}</p>
+                )}
+              </div>
+              <div>
+                <label className="label">Valid To</label>
+                <input
+                  {...register('validTo')}
+                  type="date"
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="label">Note</label>
+                <input
+                  {...register('note')}
+                  type="text"
+                  className="input"
+                  placeholder="e.g. Official rates 2025"
+                />
+              </div>
+            </div>
+
+            <div className="flex space-x-3">
+              <button type="submit" className="btn btn-primary">
+                {editingRate ? 'Update Rate' : 'Create Rate'}
+              </button>
+              <button
+                type="button"
+                onClick={cancelEdit}
+                className="btn btn-secondary"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {rates.length === 0 ? (
+        <p className="text-gray-500">
+          No per diem rates configured. Employees cannot claim per diems until their destination has a rate.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {rates.map(rate => (
+            <div key={rate.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {formatDestination(rate)}: lodging {formatMoney(rate.lodgingRate, rate.currency)}, M&IE {formatMoney(rate.mealsRate, rate.currency)}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {new Date(rate.validFrom).toLocaleDateString()} – {rate.validTo ? new Date(rate.validTo).toLocaleDateString() : 'open-ended'}
+                  {rate.note && ` · ${rate.note}`}
+                </p>
+                <p className="text-xs text-gray-400">Added by {rate.createdBy.fullName}</p>
+              </div>
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={() => handleEditRate(rate)}
+                  className="text-gray-400 hover:text-gray-500"
+                >
+                  <PencilIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => deleteRate(rate)}
+                  className="text-gray-400 hover:text-danger-500"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PerDiemRatesPanel
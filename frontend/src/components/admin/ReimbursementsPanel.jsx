@@ -0,0 +1,296 @@
+import React, { useState, useEffect } from 'react'
+import API from '../../api/client'
+import toast from 'react-hot-toast'
+import { formatMoney } from '../../utils/money'
+import {
+  ArrowDownTrayIcon,
+  BanknotesIcon,
+  CalendarDaysIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline'
+
+const batchStatuses = [
+  { value: 'SCHEDULED', label: 'Scheduled' },
+  { value: 'PAID', label: 'Paid' },
+  { value: 'CANCELLED', label: 'Cancelled' },
+  { value: '', label: 'All' },
+]
+
+const today = () => new Date().toISOString().split('T')[0]
+
+const getBatchBadge = (status) => {
+  switch (status) {
+    case 'PAID':
+      return 'badge-success'
+    case 'SCHEDULED':
+      return 'badge-info'
+    default:
+      return 'badge-gray'
+  }
+}
+
+const ReimbursementsPanel = () => {
+  const [groups, setGroups] = useState([])
+  const [batches, setBatches] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [scheduling, setScheduling] = useState(false)
+  const [exporting, setExporting] = useState(null)
+  const [statusFilter, setStatusFilter] = useState('SCHEDULED')
+  const [scheduledFor, setScheduledFor] = useState(today())
+
+  useEffect(() => {
+    loadData()
+  }, [statusFilter])
+
+  const loadData = async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams()
+      if (statusFilter) params.append('status', statusFilter)
+
+      const [eligibleResponse, batchesResponse] = await Promise.all([
+        API.get('/reimbursements/eligible'),
+        API.get(`/reimbursements/batches?${params}`)
+      ])
+      setGroups(eligibleResponse.data.groups)
+      setBatches(batchesResponse.data.batches)
+    } catch (error) {
+      console.error('Failed to load reimbursements:', error)
+      toast.error('Failed to load reimbursements')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const scheduleAll = async () => {
+    setScheduling(true)
+    try {
+      const response = await API.post('/reimbursements/batches', { scheduledFor })
+      toast.success(response.data.message)
+      loadData()
+    } catch (error) {
+      console.error('Failed to schedule reimbursements:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to schedule reimbursements'
+      toast.error(errorMessage)
+    } finally {
+      setScheduling(false)
+    }
+  }
+
+  const markPaid = async (batch) => {
+    const paymentReference = window.prompt('Bank payment reference:')
+    if (!paymentReference) return
+
+    const paidAt = window.prompt('Payment date (YYYY-MM-DD):', today())
+    if (!paidAt) return
+
+    try {
+      await API.post(`/reimbursements/batches/${batch.id}/pay`, { paymentReference, paidAt })
+      toast.success('Batch marked as paid')
+      loadData()
+    } catch (error) {
+      console.error('Failed to mark batch as paid:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to mark batch as paid'
+      toast.error(errorMessage)
+    }
+  }
+
+  const cancelBatch = async (batch) => {
+    if (!window.confirm(`Cancel the payout to ${batch.user.fullName}? Its expenses return to Approved.`)) return
+
+    try {
+      await API.post(`/reimbursements/batches/${batch.id}/cancel`)
+      toast.success('Batch cancelled')
+      loadData()
+    } catch (error) {
+      console.error('Failed to cancel batch:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to cancel batch'
+      toast.error(errorMessage)
+    }
+  }
+
+  const exportFile = async (format) => {
+    setExporting(format)
+    try {
+      const response = await API.get(`/reimbursements/export?format=${format}`, {
+        responseType: 'blob'
+      })
+
+      const url = window.URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `reimbursements-${today()}.${format === 'sepa' ? 'xml' : 'csv'}`
+      link.click()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Failed to export payment file:', error)
+      // Error bodies arrive as blobs because of the blob response type
+      let errorMessage = 'Failed to export payment file'
+      if (error.response?.data instanceof Blob) {
+        try {
+          errorMessage = JSON.parse(await error.response.data.text()).error || errorMessage
+        } catch (parseError) {
+          // Keep the generic message
+        }
+      }
+      toast.error(errorMessage)
+    } finally {
+      setExporting(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="space-y-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Awaiting Payout</h3>
+            <p className="text-sm text-gray-500">
+              Approved expenses are grouped into one payment per employee and currency.
+            </p>
+          </div>
+          {groups.length > 0 && (
+            <div className="flex items-center space-x-2">
+              <input
+                type="date"
+                value={scheduledFor}
+                onChange={(e) => setScheduledFor(e.target.value)}
+                className="input"
+              />
+              <button
+                onClick={scheduleAll}
+                disabled={scheduling}
+                className="btn btn-primary btn-sm flex items-center whitespace-nowrap"
+              >
+                <CalendarDaysIcon className="h-4 w-4 mr-2" />
+                {scheduling ? 'Scheduling...' : 'Schedule Payouts'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {groups.length === 0 ? (
+          <p className="text-gray-500">No approved expenses are waiting to be paid.</p>
+        ) : (
+          <div className="space-y-2">
+            {groups.map(group => (
+              <div
+                key={`${group.user.id}-${group.currency}`}
+                className="flex items-center justify-between p-4 border border-gray-200 rounded-lg"
+              >
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900">{group.user.fullName}</h4>
+                  <p className="text-sm text-gray-500">
+                    {group.expenses.length} expense{group.expenses.length === 1 ? '' : 's'}
+                    {!group.user.iban && ' • No IBAN on file'}
+                  </p>
+                </div>
+                <p className="text-lg font-semibold text-gray-900">
+                  {formatMoney(group.totalAmount, group.currency)}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">Payment Batches</h3>
+          <div className="flex items-center space-x-2">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="input"
+            >
+              {batchStatuses.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => exportFile('sepa')}
+              disabled={exporting !== null}
+              className="btn btn-outline btn-sm flex items-center whitespace-nowrap"
+            >
+              <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+              {exporting === 'sepa' ? 'Exporting...' : 'SEPA XML'}
+            </button>
+            <button
+              onClick={() => exportFile('csv')}
+              disabled={exporting !== null}
+              className="btn btn-outline btn-sm flex items-center whitespace-nowrap"
+            >
+              <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+              {exporting === 'csv' ? 'Exporting...' : 'CSV'}
+            </button>
+          </div>
+        </div>
+
+        {batches.length === 0 ? (
+          <p className="text-gray-500">No payment batches.</p>
+        ) : (
+          <div className="space-y-2">
+            {batches.map(batch => (
+              <div key={batch.id} className="p-4 border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-900">
+                      #{batch.id} • {batch.user.fullName}
+                    </h4>
+                    <p className="text-sm text-gray-500">
+                      {batch.expenses.length} expense{batch.expenses.length === 1 ? '' : 's'} •
+                      Scheduled for {new Date(batch.scheduledFor).toLocaleDateString()}
+                    </p>
+                    {batch.status === 'PAID' && (
+                      <p className="text-xs text-gray-400">
+                        Paid {new Date(batch.paidAt).toLocaleDateString()} • Ref {batch.paymentReference}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <p className="text-lg font-semibold text-gray-900">
+                      {formatMoney(batch.totalAmount, batch.currency)}
+                    </p>
+                    <span className={`badge ${getBatchBadge(batch.status)}`}>
+                      {batch.status}
+                    </span>
+                    {batch.status === 'SCHEDULED' && (
+                      <>
+                        <button
+                          onClick={() => markPaid(batch)}
+                          className="btn btn-primary btn-sm flex items-center"
+                        >
+                          <BanknotesIcon className="h-4 w-4 mr-2" />
+                          Mark Paid
+                        </button>
+                        <button
+                          onClick={() => cancelBatch(batch)}
+                          className="text-gray-400 hover:text-danger-600"
+                          title="Cancel batch"
+                        >
+                          <XMarkIcon className="h-4 w-4" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ReimbursementsPanel
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import API from '../../api/client'
+import toast from 'react-hot-toast'
+
+const WorkflowSettingsPanel = () => {
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  const { register, handleSubmit, reset, formState: { errors } } = useForm()
+
+  useEffect(() => {
+    loadSettings()
+  }, [])
+
+  const loadSettings = async () => {
+    try {
+      setLoading(true)
+      const response = await API.get('/admin/settings')
+      const { settings } = response.data
+      reset({
+        approvalSlaHours: settings.approvalSlaHours || '',
+        escalationRole: settings.escalationRole || '',
+        resubmissionPolicy: settings.resubmissionPolicy,
+        iban: settings.iban || '',
+        bic: settings.bic || ''
+      })
+    } catch (error) {
+      console.error('Failed to load settings:', error)
+      toast.error('Failed to load settings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const saveSettings = async (data) => {
+    setSaving(true)
+    try {
+      await API.put('/admin/settings', {
+        approvalSlaHours: data.approvalSlaHours ? parseInt(data.approvalSlaHours) : null,
+        escalationRole: data.escalationRole || null,
+        resubmissionPolicy: data.resubmissionPolicy,
+        iban: data.iban || null,
+        bic: data.bic || null
+      })
+      toast.success('Settings updated successfully')
+    } catch (error) {
+      console.error('Failed to update settings:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to update settings'
+      toast.error(errorMessage)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit(saveSettings)} className="space-y-6">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Approval Escalation</h3>
+        <p className="text-sm text-gray-500">
+          Approvals pending longer than the SLA are reassigned to the approver's manager, or to the fallback role if they have none.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="label">Approval SLA (hours)</label>
+          <input
+            {...register('approvalSlaHours', {
+              min: { value: 1, message: 'SLA must be at least 1 hour' }
+            })}
+            type="number"
+            className="input"
+            placeholder="Leave empty to disable escalation"
+          />
+          {errors.approvalSlaHours && (
+            <p className="text-danger-600 text-sm mt-1">{errors.approvalSlaHours.message}</p>
+          )}
+        </div>
+
+        <div>
+          <label className="label">Fallback Role</label>
+          <select {...register('escalationRole')} className="input">
+            <option value="">None</option>
+            <option value="MANAGER">Manager</option>
+            <option value="ADMIN">Admin</option>
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Resubmission</h3>
+        <p className="text-sm text-gray-500">
+          What happens to the approval chain when an employee resubmits an expense sent back for changes.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="label">Resubmission Policy</label>
+          <select {...register('resubmissionPolicy')} className="input">
+            <option value="RESTART">Restart the approval chain</option>
+            <option value="RESUME">Resume at the step that requested changes</option>
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Payment Account</h3>
+        <p className="text-sm text-gray-500">
+          The account reimbursements are paid from. Required for SEPA payment files.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="label">IBAN</label>
+          <input
+            {...register('iban')}
+            type="text"
+            className="input"
+            placeholder="DE89 3704 0044 0532 0130 00"
+          />
+        </div>
+
+        <div>
+          <label className="label">BIC</label>
+          <input
+            {...register('bic')}
+            type="text"
+            className="input"
+            placeholder="Optional"
+          />
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button type="submit" disabled={saving} className="btn btn-primary">
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default WorkflowSettingsPanel
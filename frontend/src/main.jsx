@@ -11,6 +11,8 @@ import SubmitExpense from './pages/SubmitExpense'
 import AdminSettings from './pages/AdminSettings'
 import ApprovalsQueue from './pages/ApprovalsQueue'
 import History from './pages/History'
+import Reports from './pages/Reports'
+import RecurringExpenses from './pages/RecurringExpenses'
 import Profile from './pages/Profile'
 
 // Components
@@ -64,6 +66,8 @@ ReactDOM.createRoot(document.getElementById('root')).render(
             <Route path="dashboard" element={<Dashboard />} />
             <Route path="submit" element={<SubmitExpense />} />
             <Route path="history" element={<History />} />
+            <Route path="reports" element={<Reports />} />
+            <Route path="recurring" element={<RecurringExpenses />} />
             <Route path="profile" element={<Profile />} />
             <Route path="admin" element={
               <ProtectedRoute requiredRole="ADMIN">
@@ -3,6 +3,18 @@ import { useAuth } from '../contexts/AuthContext'
 import { useForm } from 'react-hook-form'
 import API from '../api/client'
 import toast from 'react-hot-toast'
+import ApprovalRulesPanel from '../components/admin/ApprovalRulesPanel'
+import WorkflowSettingsPanel from '../components/admin/WorkflowSettingsPanel'
+import AuditLogPanel from '../components/admin/AuditLogPanel'
+import ReimbursementsPanel from '../components/admin/ReimbursementsPanel'
+import ExchangeRatesPanel from '../components/admin/ExchangeRatesPanel'
+import ExpensePoliciesPanel from '../components/admin/ExpensePoliciesPanel'
+import CategoriesPanel from '../components/admin/CategoriesPanel'
+import DimensionsPanel from '../components/admin/DimensionsPanel'
+import BudgetsPanel from '../components/admin/BudgetsPanel'
+import CardTransactionsPanel from '../components/admin/CardTransactionsPanel'
+import MileageRatesPanel from '../components/admin/MileageRatesPanel'
+import PerDiemRatesPanel from '../components/admin/PerDiemRatesPanel'
 import {
   UserPlusIcon,
   UsersIcon,
@@ -11,6 +23,17 @@ import {
   PlusIcon,
   PencilIcon,
   TrashIcon,
+  ScaleIcon,
+  ClipboardDocumentListIcon,
+  BanknotesIcon,
+  CurrencyDollarIcon,
+  ShieldCheckIcon,
+  TagIcon,
+  BriefcaseIcon,
+  CalculatorIcon,
+  CreditCardIcon,
+  MapIcon,
+  GlobeAltIcon,
 } from '@heroicons/react/24/outline'
 
 const AdminSettings = () => {
@@ -90,6 +113,8 @@ const AdminSettings = () => {
     setValue('role', user.role)
     setValue('reportsTo', user.reportsTo || '')
     setValue('isActive', user.isActive)
+    setValue('iban', user.iban || '')
+    setValue('bic', user.bic || '')
   }
 
   const cancelEdit = () => {
@@ -100,7 +125,18 @@ const AdminSettings = () => {
 
   const tabs = [
     { id: 'users', name: 'Users', icon: UsersIcon },
+    { id: 'rules', name: 'Approval Rules', icon: ScaleIcon },
+    { id: 'categories', name: 'Categories', icon: TagIcon },
+    { id: 'dimensions', name: 'Projects', icon: BriefcaseIcon },
+    { id: 'budgets', name: 'Budgets', icon: CalculatorIcon },
+    { id: 'policies', name: 'Policies', icon: ShieldCheckIcon },
     { id: 'stats', name: 'Statistics', icon: ChartBarIcon },
+    { id: 'reimbursements', name: 'Reimbursements', icon: BanknotesIcon },
+    { id: 'card-transactions', name: 'Company Cards', icon: CreditCardIcon },
+    { id: 'mileage', name: 'Mileage', icon: MapIcon },
+    { id: 'per-diem', name: 'Per Diem', icon: GlobeAltIcon },
+    { id: 'exchange-rates', name: 'Exchange Rates', icon: CurrencyDollarIcon },
+    { id: 'audit', name: 'Audit Log', icon: ClipboardDocumentListIcon },
     { id: 'settings', name: 'Settings', icon: CogIcon },
   ]
 
@@ -245,6 +281,30 @@ const AdminSettings = () => {
                       </div>
                     </div>
 
+                    {editingUser && (
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                          <label className="label">IBAN</label>
+                          <input
+                            {...register('iban')}
+                            type="text"
+                            className="input"
+                            placeholder="Account for reimbursements"
+                          />
+                        </div>
+
+                        <div>
+                          <label className="label">BIC</label>
+                          <input
+                            {...register('bic')}
+                            type="text"
+                            className="input"
+                            placeholder="Optional"
+                          />
+                        </div>
+                      </div>
+                    )}
+
                     {editingUser && (
                       <div>
                         <label className="flex items-center">
@@ -312,6 +372,50 @@ const AdminSettings = () => {
             </div>
           )}
 
+          {activeTab === 'rules' && (
+            <ApprovalRulesPanel users={users} />
+          )}
+
+          {activeTab === 'categories' && (
+            <CategoriesPanel />
+          )}
+
+          {activeTab === 'dimensions' && (
+            <DimensionsPanel />
+          )}
+
+          {activeTab === 'budgets' && (
+            <BudgetsPanel users={users} />
+          )}
+
+          {activeTab === 'policies' && (
+            <ExpensePoliciesPanel />
+          )}
+
+          {activeTab === 'reimbursements' && (
+            <ReimbursementsPanel />
+          )}
+
+          {activeTab === 'card-transactions' && (
+            <CardTransactionsPanel users={users} />
+          )}
+
+          {activeTab === 'mileage' && (
+            <MileageRatesPanel />
+          )}
+
+          {activeTab === 'per-diem' && (
+            <PerDiemRatesPanel />
+          )}
+
+          {activeTab === 'exchange-rates' && (
+            <ExchangeRatesPanel />
+          )}
+
+          {activeTab === 'audit' && (
+            <AuditLogPanel users={users} />
+          )}
+
           {activeTab === 'stats' && (
             <div className="space-y-6">
               <h3 className="text-lg font-medium text-gray-900">Company Statistics</h3>
@@ -355,10 +459,7 @@ const AdminSettings = () => {
           )}
 
           {activeTab === 'settings' && (
-            <div className="space-y-6">
-              <h3 className="text-lg font-medium text-gray-900">System Settings</h3>
-              <p className="text-gray-500">System configuration options will be available here.</p>
-            </div>
+            <WorkflowSettingsPanel />
           )}
         </div>
       </div>
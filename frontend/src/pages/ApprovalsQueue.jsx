@@ -2,11 +2,19 @@ import React, { useState, useEffect } from 'react'
 import { useAuth } from '../contexts/AuthContext'
 import API from '../api/client'
 import toast from 'react-hot-toast'
+import { formatMoney, formatAmount } from '../utils/money'
+import AttachmentViewer from '../components/AttachmentViewer'
+import PolicyViolations from '../components/PolicyViolations'
+import ExpenseDimensions from '../components/ExpenseDimensions'
+import MileageDetails from '../components/MileageDetails'
+import PerDiemDetails from '../components/PerDiemDetails'
+import BudgetStatus from '../components/BudgetStatus'
+import SuspectedDuplicates from '../components/SuspectedDuplicates'
 import {
   CheckCircleIcon,
   XCircleIcon,
+  ArrowUturnLeftIcon,
   ClockIcon,
-  EyeIcon,
   UserIcon,
   CurrencyDollarIcon,
 } from '@heroicons/react/24/outline'
@@ -16,15 +24,16 @@ const ApprovalsQueue = () => {
   const [pendingApprovals, setPendingApprovals] = useState([])
   const [loading, setLoading] = useState(true)
   const [actionLoading, setActionLoading] = useState(null)
+  const [showWaiting, setShowWaiting] = useState(false)
 
   useEffect(() => {
     loadPendingApprovals()
-  }, [])
+  }, [showWaiting])
 
   const loadPendingApprovals = async () => {
     try {
       setLoading(true)
-      const response = await API.get('/approvals/pending')
+      const response = await API.get(`/approvals/pending?state=${showWaiting ? 'all' : 'actionable'}`)
       setPendingApprovals(response.data.approvals)
     } catch (error) {
       console.error('Failed to load pending approvals:', error)
@@ -34,18 +43,42 @@ const ApprovalsQueue = () => {
     }
   }
 
+  const decisionActions = {
+    APPROVED: { endpoint: 'approve', success: 'Expense approved successfully', failure: 'Failed to approve expense' },
+    REJECTED: { endpoint: 'reject', success: 'Expense rejected successfully', failure: 'Failed to reject expense' },
+    CHANGES_REQUESTED: { endpoint: 'request-changes', success: 'Expense sent back for changes', failure: 'Failed to request changes' }
+  }
+
   const handleApproval = async (approvalId, decision, comment = '') => {
     setActionLoading(approvalId)
+    const action = decisionActions[decision]
     
     try {
-      const endpoint = decision === 'APPROVED' ? 'approve' : 'reject'
-      await API.post(`/approvals/${approvalId}/${endpoint}`, { comment })
+      await API.post(`/approvals/${approvalId}/${action.endpoint}`, { comment })
       
-      toast.success(`Expense ${decision.toLowerCase()} successfully`)
+      toast.success(action.success)
       loadPendingApprovals() // Refresh the list
     } catch (error) {
-      console.error(`Failed to ${decision.toLowerCase()} expense:`, error)
-      const errorMessage = error.response?.data?.error || `Failed to ${decision.toLowerCase()} expense`
+      console.error(`${action.failure}:`, error)
+      const errorMessage = error.response?.data?.error || action.failure
+      toast.error(errorMessage)
+    } finally {
+      setActionLoading(null)
+    }
+  }
+
+  const rejectLine = async (approvalId, expense) => {
+    const comment = prompt(`Why are you rejecting the ${expense.category} expense of ${formatMoney(expense.originalAmount, expense.originalCurrency)}?`)
+    if (!comment || !comment.trim()) return
+
+    setActionLoading(approvalId)
+    try {
+      const response = await API.post(`/approvals/${approvalId}/lines/${expense.id}/reject`, { comment })
+      toast.success(response.data.message)
+      loadPendingApprovals()
+    } catch (error) {
+      console.error('Failed to reject line:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to reject line'
       toast.error(errorMessage)
     } finally {
       setActionLoading(null)
@@ -92,8 +125,19 @@ const ApprovalsQueue = () => {
             Review and approve pending expense claims
           </p>
         </div>
-        <div className="text-sm text-gray-500">
-          {pendingApprovals.length} pending approval{pendingApprovals.length !== 1 ? 's' : ''}
+        <div className="flex items-center space-x-4">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={showWaiting}
+              onChange={(e) => setShowWaiting(e.target.checked)}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+            <span className="ml-2">Show steps waiting on earlier approvers</span>
+          </label>
+          <div className="text-sm text-gray-500">
+            {pendingApprovals.length} pending approval{pendingApprovals.length !== 1 ? 's' : ''}
+          </div>
         </div>
       </div>
 
@@ -109,7 +153,14 @@ const ApprovalsQueue = () => {
         </div>
       ) : (
         <div className="space-y-4">
-          {pendingApprovals.map((approval) => (
+          {pendingApprovals.map((approval) => {
+            // Standalone expenses and expense reports share the same approval chain layout
+            const subject = approval.expense || approval.report
+            const duplicateCount = approval.expense
+              ? approval.expense.suspectedDuplicates.length
+              : approval.report.expenses.reduce((count, expense) => count + expense.suspectedDuplicates.length, 0)
+
+            return (
             <div key={approval.id} className="card">
               <div className="card-body">
                 <div className="flex items-start justify-between">
@@ -122,25 +173,119 @@ const ApprovalsQueue = () => {
                       </div>
                       <div>
                         <h3 className="text-lg font-medium text-gray-900">
-                          {approval.expense.user.fullName}
+                          {subject.user.fullName}
                         </h3>
                         <p className="text-sm text-gray-500">
-                          {approval.expense.user.email}
+                          {subject.user.email}
                         </p>
                       </div>
                     </div>
 
+                    {approval.report && (
+                      <div className="mb-4">
+                        <div className="flex items-start justify-between mb-2">
+                          <div>
+                            <p className="text-sm font-medium text-gray-500">Expense Report</p>
+                            <p className="text-lg font-semibold text-gray-900">{approval.report.title}</p>
+                            {approval.report.purpose && (
+                              <p className="text-sm text-gray-500">{approval.report.purpose}</p>
+                            )}
+                            <p className="text-sm text-gray-500">
+                              {new Date(approval.report.startDate).toLocaleDateString()} – {new Date(approval.report.endDate).toLocaleDateString()}
+                            </p>
+                          </div>
+                          <div className="text-right">
+                            <p className="text-lg font-semibold text-gray-900">
+                              {formatMoney(approval.report.totals.companyAmount, approval.report.companyCurrency)}
+                            </p>
+                            <p className="text-sm text-gray-500">
+                              {approval.report.totals.originalAmounts
+                                .map(total => formatMoney(total.amount, total.currency))
+                                .join(' + ')}
+                            </p>
+                          </div>
+                        </div>
+
+                        <div className="overflow-x-auto">
+                          <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                              <tr>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{approval.report.companyCurrency}</th>
+                                <th className="px-3 py-2"></th>
+                              </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                              {approval.report.expenses.map(expense => (
+                                <tr key={expense.id} className={expense.status === 'PENDING' ? '' : 'text-gray-400'}>
+                                  <td className="px-3 py-2 text-sm whitespace-nowrap">{new Date(expense.date).toLocaleDateString()}</td>
+                                  <td className="px-3 py-2 text-sm">{expense.category}</td>
+                                  <td className="px-3 py-2 text-sm">
+                                    {expense.merchant && <p className="text-xs text-gray-500">{expense.merchant}</p>}
+                                    {expense.description || '—'}
+                                    <MileageDetails expense={expense} />
+                                    <PerDiemDetails expense={expense} />
+                                    <ExpenseDimensions expense={expense} />
+                                    <BudgetStatus budgets={expense.budgets} />
+                                    <PolicyViolations violations={expense.policyViolations} />
+                                    {expense.status === 'REJECTED' && (
+                                      <p className="text-xs text-danger-600">Rejected: {expense.reviewComment}</p>
+                                    )}
+                                    {expense.attachments.length > 0 && (
+                                      <div className="mt-2">
+                                        <AttachmentViewer attachments={expense.attachments} />
+                                      </div>
+                                    )}
+                                  </td>
+                                  <td className="px-3 py-2 text-sm text-right whitespace-nowrap">
+                                    {formatMoney(expense.originalAmount, expense.originalCurrency)}
+                                  </td>
+                                  <td className="px-3 py-2 text-sm text-right whitespace-nowrap">
+                                    {formatAmount(expense.companyAmount, approval.report.companyCurrency)}
+                                  </td>
+                                  <td className="px-3 py-2 text-right whitespace-nowrap">
+                                    {expense.status === 'PENDING' && (
+                                      <button
+                                        onClick={() => rejectLine(approval.id, expense)}
+                                        disabled={actionLoading === approval.id || approval.state === 'waiting'}
+                                        className="text-gray-400 hover:text-danger-600"
+                                        title="Reject this line"
+                                      >
+                                        <XCircleIcon className="h-4 w-4" />
+                                      </button>
+                                    )}
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </div>
+                    )}
+
+                    {approval.expense && (
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
                       <div>
                         <p className="text-sm font-medium text-gray-500">Amount</p>
                         <p className="text-lg font-semibold text-gray-900">
-                          {approval.expense.originalCurrency} {approval.expense.originalAmount.toFixed(2)}
+                          {formatMoney(approval.expense.originalAmount, approval.expense.originalCurrency)}
                         </p>
                         {approval.expense.companyAmount && approval.expense.originalCurrency !== approval.expense.companyCurrency && (
                           <p className="text-sm text-gray-500">
-                            ≈ {approval.expense.companyCurrency} {approval.expense.companyAmount.toFixed(2)}
+                            ≈ {formatMoney(approval.expense.companyAmount, approval.expense.companyCurrency)}
+                          </p>
+                        )}
+                        {approval.expense.conversion?.rate && approval.expense.originalCurrency !== approval.expense.companyCurrency && (
+                          <p className="text-xs text-gray-400">
+                            Rate {approval.expense.conversion.rate} ({approval.expense.conversion.source}, {new Date(approval.expense.conversion.rateDate).toLocaleDateString()})
                           </p>
                         )}
+                        {approval.expense.conversion?.status === 'PENDING' && (
+                          <span className="badge badge-warning">Conversion pending</span>
+                        )}
                       </div>
                       <div>
                         <p className="text-sm font-medium text-gray-500">Category</p>
@@ -153,29 +298,89 @@ const ApprovalsQueue = () => {
                         </p>
                       </div>
                     </div>
+                    )}
+
+                    {approval.expense?.mileage && (
+                      <div className="mb-4">
+                        <p className="text-sm font-medium text-gray-500">Mileage</p>
+                        <MileageDetails expense={approval.expense} />
+                      </div>
+                    )}
+
+                    {approval.expense?.perDiem && (
+                      <div className="mb-4">
+                        <p className="text-sm font-medium text-gray-500">Per diem</p>
+                        <PerDiemDetails expense={approval.expense} />
+                      </div>
+                    )}
 
-                    {approval.expense.description && (
+                    {approval.expense?.merchant && (
+                      <div className="mb-4">
+                        <p className="text-sm font-medium text-gray-500">Merchant</p>
+                        <p className="text-sm text-gray-900">{approval.expense.merchant}</p>
+                      </div>
+                    )}
+
+                    {approval.expense && (approval.expense.project || approval.expense.costCenter || approval.expense.tags.length > 0) && (
+                      <div className="mb-4">
+                        <p className="text-sm font-medium text-gray-500">Charged to</p>
+                        <ExpenseDimensions expense={approval.expense} />
+                      </div>
+                    )}
+
+                    {approval.expense?.budgets.length > 0 && (
+                      <div className="mb-4">
+                        <p className="text-sm font-medium text-gray-500">Remaining budget</p>
+                        <BudgetStatus budgets={approval.expense.budgets} />
+                      </div>
+                    )}
+
+                    {approval.expense?.description && (
                       <div className="mb-4">
                         <p className="text-sm font-medium text-gray-500">Description</p>
                         <p className="text-sm text-gray-900">{approval.expense.description}</p>
                       </div>
                     )}
 
+                    {approval.expense?.policyViolations.length > 0 && (
+                      <div className="mb-4">
+                        <p className="text-sm font-medium text-gray-500">Policy violations</p>
+                        <PolicyViolations violations={approval.expense.policyViolations} />
+                      </div>
+                    )}
+
+                    <SuspectedDuplicates approvalId={approval.id} count={duplicateCount} />
+
+                    {approval.expense && approval.expense.attachments.length > 0 && (
+                      <div className="mb-4">
+                        <p className="text-sm font-medium text-gray-500 mb-1">
+                          Receipts & documents ({approval.expense.attachments.length})
+                        </p>
+                        <AttachmentViewer attachments={approval.expense.attachments} />
+                      </div>
+                    )}
+
                     <div className="flex items-center space-x-4 text-sm text-gray-500">
                       <div className="flex items-center">
                         <ClockIcon className="h-4 w-4 mr-1" />
-                        Submitted {formatDate(approval.expense.createdAt)}
+                        Submitted {formatDate(subject.submittedAt || subject.createdAt)}
                       </div>
-                      <span className={`badge ${getStatusBadge(approval.expense.status)}`}>
-                        {approval.expense.status}
+                      <span className={`badge ${getStatusBadge(subject.status)}`}>
+                        {subject.status}
                       </span>
+                      {approval.state === 'waiting' && (
+                        <span className="badge badge-gray">Waiting on earlier steps</span>
+                      )}
+                      {approval.onBehalfOf && (
+                        <span className="badge badge-info">On behalf of {approval.onBehalfOf.fullName}</span>
+                      )}
                     </div>
                   </div>
 
                   <div className="flex flex-col space-y-2 ml-6">
                     <button
                       onClick={() => handleApproval(approval.id, 'APPROVED')}
-                      disabled={actionLoading === approval.id}
+                      disabled={actionLoading === approval.id || approval.state === 'waiting'}
                       className="btn btn-success btn-sm flex items-center"
                     >
                       {actionLoading === approval.id ? (
@@ -193,7 +398,7 @@ const ApprovalsQueue = () => {
                           handleApproval(approval.id, 'REJECTED', comment)
                         }
                       }}
-                      disabled={actionLoading === approval.id}
+                      disabled={actionLoading === approval.id || approval.state === 'waiting'}
                       className="btn btn-danger btn-sm flex items-center"
                     >
                       {actionLoading === approval.id ? (
@@ -204,24 +409,28 @@ const ApprovalsQueue = () => {
                       Reject
                     </button>
 
-                    {approval.expense.receiptPath && (
-                      <button
-                        onClick={() => window.open(`http://localhost:8000/${approval.expense.receiptPath}`, '_blank')}
-                        className="btn btn-outline btn-sm flex items-center"
-                      >
-                        <EyeIcon className="h-4 w-4 mr-2" />
-                        View Receipt
-                      </button>
-                    )}
+                    <button
+                      onClick={() => {
+                        const comment = prompt('What should the submitter change?')
+                        if (comment && comment.trim()) {
+                          handleApproval(approval.id, 'CHANGES_REQUESTED', comment)
+                        }
+                      }}
+                      disabled={actionLoading === approval.id || approval.state === 'waiting'}
+                      className="btn btn-outline btn-sm flex items-center"
+                    >
+                      <ArrowUturnLeftIcon className="h-4 w-4 mr-2" />
+                      Request Changes
+                    </button>
                   </div>
                 </div>
 
                 {/* Approval Chain */}
-                {approval.expense.approvals && approval.expense.approvals.length > 0 && (
+                {subject.approvals && subject.approvals.length > 0 && (
                   <div className="mt-4 pt-4 border-t border-gray-200">
                     <h4 className="text-sm font-medium text-gray-900 mb-2">Approval Chain</h4>
                     <div className="space-y-2">
-                      {approval.expense.approvals.map((chainApproval, index) => (
+                      {subject.approvals.map((chainApproval, index) => (
                         <div key={chainApproval.id} className="flex items-center space-x-3 text-sm">
                           <div className={`w-6 h-6 rounded-full flex items-center justify-center text-xs font-medium ${
                             chainApproval.status === 'APPROVED' 
@@ -241,10 +450,17 @@ const ApprovalsQueue = () => {
                                 ? 'badge-success'
                                 : chainApproval.status === 'REJECTED'
                                 ? 'badge-danger'
+                                : chainApproval.state === 'waiting'
+                                ? 'badge-gray'
                                 : 'badge-warning'
                             }`}>
-                              {chainApproval.status}
+                              {chainApproval.state === 'waiting' ? 'WAITING' : chainApproval.status}
                             </span>
+                            {chainApproval.originalApprover && (
+                              <p className="text-xs text-gray-400 mt-1">
+                                Delegated from {chainApproval.originalApprover.fullName}
+                              </p>
+                            )}
                             {chainApproval.comment && (
                               <p className="text-gray-500 mt-1">{chainApproval.comment}</p>
                             )}
@@ -252,11 +468,22 @@ const ApprovalsQueue = () => {
                         </div>
                       ))}
                     </div>
+                    {subject.escalations && subject.escalations.length > 0 && (
+                      <div className="mt-3 space-y-1">
+                        {subject.escalations.map((escalation) => (
+                          <p key={escalation.id} className="text-xs text-warning-700">
+                            Escalated {new Date(escalation.createdAt).toLocaleString()} from{' '}
+                            {escalation.fromApprover?.fullName || 'unassigned'} to {escalation.toApprover.fullName}: {escalation.reason}
+                          </p>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
             </div>
-          ))}
+            )
+          })}
         </div>
       )}
     </div>
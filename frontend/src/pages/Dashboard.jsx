@@ -3,6 +3,7 @@ import { Link } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import API from '../api/client'
 import toast from 'react-hot-toast'
+import { formatMoney } from '../utils/money'
 import {
   PlusIcon,
   ClockIcon,
@@ -12,6 +13,9 @@ import {
   ReceiptPercentIcon,
   ArrowTrendingUpIcon,
   ArrowTrendingDownIcon,
+  ArrowUturnLeftIcon,
+  CalendarDaysIcon,
+  BanknotesIcon,
 } from '@heroicons/react/24/outline'
 
 const Dashboard = () => {
@@ -44,7 +48,7 @@ const Dashboard = () => {
       const stats = {
         totalExpenses: expensesResponse.data.pagination.total,
         pendingExpenses: expenses.filter(e => e.status === 'PENDING').length,
-        approvedExpenses: expenses.filter(e => e.status === 'APPROVED').length,
+        approvedExpenses: expenses.filter(e => ['APPROVED', 'SCHEDULED', 'PAID'].includes(e.status)).length,
         rejectedExpenses: expenses.filter(e => e.status === 'REJECTED').length,
         totalAmount: expensesResponse.data.summary.totalApprovedAmount,
         monthlyAmount: 0, // Will be calculated separately
@@ -79,6 +83,12 @@ const Dashboard = () => {
         return <XCircleIcon className="h-5 w-5 text-danger-500" />
       case 'PENDING':
         return <ClockIcon className="h-5 w-5 text-warning-500" />
+      case 'CHANGES_REQUESTED':
+        return <ArrowUturnLeftIcon className="h-5 w-5 text-warning-500" />
+      case 'SCHEDULED':
+        return <CalendarDaysIcon className="h-5 w-5 text-primary-500" />
+      case 'PAID':
+        return <BanknotesIcon className="h-5 w-5 text-success-500" />
       default:
         return <ClockIcon className="h-5 w-5 text-gray-400" />
     }
@@ -87,11 +97,15 @@ const Dashboard = () => {
   const getStatusBadge = (status) => {
     switch (status) {
       case 'APPROVED':
+      case 'PAID':
         return 'badge-success'
       case 'REJECTED':
         return 'badge-danger'
       case 'PENDING':
         return 'badge-warning'
+      case 'CHANGES_REQUESTED':
+      case 'SCHEDULED':
+        return 'badge-info'
       default:
         return 'badge-gray'
     }
@@ -180,7 +194,7 @@ const Dashboard = () => {
               <div className="ml-4">
                 <p className="text-sm font-medium text-gray-500">Total Amount</p>
                 <p className="text-2xl font-semibold text-gray-900">
-                  {user?.company?.currency} {stats.totalAmount.toFixed(2)}
+                  {formatMoney(stats.totalAmount, user?.company?.currency)}
                 </p>
               </div>
             </div>
@@ -265,7 +279,7 @@ const Dashboard = () => {
                   <div className="flex items-center space-x-4">
                     <div className="text-right">
                       <p className="text-sm font-medium text-gray-900">
-                        {expense.originalCurrency} {expense.originalAmount.toFixed(2)}
+                        {formatMoney(expense.originalAmount, expense.originalCurrency)}
                       </p>
                       <p className="text-xs text-gray-500">
                         {new Date(expense.date).toLocaleDateString()}
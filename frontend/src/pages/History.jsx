@@ -1,24 +1,47 @@
 import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import API from '../api/client'
 import toast from 'react-hot-toast'
+import { formatMoney } from '../utils/money'
+import ResubmitExpenseForm from '../components/ResubmitExpenseForm'
+import AttachmentViewer from '../components/AttachmentViewer'
+import PolicyViolations from '../components/PolicyViolations'
+import ExpenseDimensions from '../components/ExpenseDimensions'
+import MileageDetails from '../components/MileageDetails'
+import PerDiemDetails from '../components/PerDiemDetails'
 import {
   CheckCircleIcon,
   XCircleIcon,
   ClockIcon,
-  EyeIcon,
   FunnelIcon,
+  ArrowUturnLeftIcon,
+  CalendarDaysIcon,
+  BanknotesIcon,
+  PaperAirplaneIcon,
+  ArrowPathIcon,
+  PencilSquareIcon,
+  TrashIcon,
 } from '@heroicons/react/24/outline'
 
 const History = () => {
   const { user } = useAuth()
   const [expenses, setExpenses] = useState([])
+  // Standalone drafts, listed apart from the submitted expenses
+  const [drafts, setDrafts] = useState([])
   const [loading, setLoading] = useState(true)
+  const [resubmittingId, setResubmittingId] = useState(null)
+  const [submittingId, setSubmittingId] = useState(null)
+  const [categories, setCategories] = useState([])
+  const [dimensions, setDimensions] = useState({ projects: [], costCenters: [] })
   const [filters, setFilters] = useState({
     status: '',
     category: '',
     startDate: '',
-    endDate: ''
+    endDate: '',
+    projectId: '',
+    costCenterId: '',
+    tag: ''
   })
   const [pagination, setPagination] = useState({
     page: 1,
@@ -27,6 +50,12 @@ const History = () => {
     pages: 0
   })
 
+  useEffect(() => {
+    loadCategories()
+    loadDimensions()
+    loadDrafts()
+  }, [])
+
   useEffect(() => {
     loadExpenses()
   }, [pagination.page, filters])
@@ -43,6 +72,9 @@ const History = () => {
       if (filters.category) params.append('category', filters.category)
       if (filters.startDate) params.append('startDate', filters.startDate)
       if (filters.endDate) params.append('endDate', filters.endDate)
+      if (filters.projectId) params.append('projectId', filters.projectId)
+      if (filters.costCenterId) params.append('costCenterId', filters.costCenterId)
+      if (filters.tag) params.append('tag', filters.tag)
 
       const response = await API.get(`/expenses?${params}`)
       setExpenses(response.data.expenses)
@@ -55,6 +87,62 @@ const History = () => {
     }
   }
 
+  const loadDrafts = async () => {
+    try {
+      const response = await API.get('/expenses/drafts')
+      setDrafts(response.data.drafts)
+    } catch (error) {
+      console.error('Failed to load drafts:', error)
+    }
+  }
+
+  const loadCategories = async () => {
+    try {
+      const response = await API.get('/categories')
+      setCategories(response.data.categories.map(category => category.name))
+    } catch (error) {
+      console.error('Failed to load categories:', error)
+    }
+  }
+
+  const loadDimensions = async () => {
+    try {
+      const response = await API.get('/dimensions')
+      setDimensions(response.data)
+    } catch (error) {
+      console.error('Failed to load projects and cost centers:', error)
+    }
+  }
+
+  const submitDraft = async (expense) => {
+    setSubmittingId(expense.id)
+    try {
+      await API.post(`/expenses/${expense.id}/submit`)
+      toast.success('Expense submitted successfully')
+      loadDrafts()
+      loadExpenses()
+    } catch (error) {
+      console.error('Failed to submit draft:', error)
+      // A draft that is still incomplete fails validation; name the first missing field
+      toast.error(error.response?.data?.details?.[0]?.msg || error.response?.data?.error || 'Failed to submit expense')
+    } finally {
+      setSubmittingId(null)
+    }
+  }
+
+  const discardDraft = async (draft) => {
+    if (!window.confirm('Discard this draft? It cannot be submitted afterwards.')) return
+
+    try {
+      await API.delete(`/expenses/${draft.id}`)
+      toast.success('Draft discarded')
+      loadDrafts()
+    } catch (error) {
+      console.error('Failed to discard draft:', error)
+      toast.error(error.response?.data?.error || 'Failed to discard draft')
+    }
+  }
+
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }))
     setPagination(prev => ({ ...prev, page: 1 }))
@@ -65,7 +153,10 @@ const History = () => {
       status: '',
       category: '',
       startDate: '',
-      endDate: ''
+      endDate: '',
+      projectId: '',
+      costCenterId: '',
+      tag: ''
     })
     setPagination(prev => ({ ...prev, page: 1 }))
   }
@@ -78,6 +169,12 @@ const History = () => {
         return <XCircleIcon className="h-5 w-5 text-danger-500" />
       case 'PENDING':
         return <ClockIcon className="h-5 w-5 text-warning-500" />
+      case 'CHANGES_REQUESTED':
+        return <ArrowUturnLeftIcon className="h-5 w-5 text-warning-500" />
+      case 'SCHEDULED':
+        return <CalendarDaysIcon className="h-5 w-5 text-primary-500" />
+      case 'PAID':
+        return <BanknotesIcon className="h-5 w-5 text-success-500" />
       default:
         return <ClockIcon className="h-5 w-5 text-gray-400" />
     }
@@ -86,11 +183,15 @@ const History = () => {
   const getStatusBadge = (status) => {
     switch (status) {
       case 'APPROVED':
+      case 'PAID':
         return 'badge-success'
       case 'REJECTED':
         return 'badge-danger'
       case 'PENDING':
         return 'badge-warning'
+      case 'CHANGES_REQUESTED':
+      case 'SCHEDULED':
+        return 'badge-info'
       default:
         return 'badge-gray'
     }
@@ -98,17 +199,16 @@ const History = () => {
 
   const statusOptions = [
     { value: '', label: 'All Statuses' },
+    { value: 'DRAFT', label: 'Draft' },
     { value: 'PENDING', label: 'Pending' },
+    { value: 'CHANGES_REQUESTED', label: 'Changes Requested' },
     { value: 'APPROVED', label: 'Approved' },
+    { value: 'SCHEDULED', label: 'Payout Scheduled' },
+    { value: 'PAID', label: 'Paid' },
     { value: 'REJECTED', label: 'Rejected' },
     { value: 'CANCELLED', label: 'Cancelled' }
   ]
 
-  const categories = [
-    'Meals', 'Transportation', 'Accommodation', 
-    'Office Supplies', 'Software', 'Marketing', 'Travel', 'Other'
-  ]
-
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
@@ -121,6 +221,67 @@ const History = () => {
         </div>
       </div>
 
+      {/* Drafts */}
+      {drafts.length > 0 && (
+        <div className="card">
+          <div className="card-body">
+            <h3 className="text-lg font-medium text-gray-900 mb-1">Drafts</h3>
+            <p className="text-sm text-gray-500 mb-3">
+              Expenses you started but have not submitted yet. They are checked in full when you submit them.
+            </p>
+            <ul className="divide-y divide-gray-200">
+              {drafts.map(draft => (
+                <li key={draft.id} className="py-3 flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {draft.category || 'No category yet'}
+                      {' • '}
+                      {draft.expenseType !== 'RECEIPT'
+                        ? 'Priced when submitted'
+                        : draft.originalAmount > 0
+                          ? formatMoney(draft.originalAmount, draft.originalCurrency)
+                          : 'No amount yet'}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {draft.merchant && `${draft.merchant} • `}
+                      {new Date(draft.date).toLocaleDateString()} • Last saved {new Date(draft.updatedAt).toLocaleString()}
+                      {draft.attachments.length > 0 && ` • ${draft.attachments.length} file${draft.attachments.length !== 1 ? 's' : ''}`}
+                    </p>
+                    {draft.recurringExpenseId && (
+                      <Link to="/recurring" className="badge badge-gray inline-flex items-center mt-1" title="Created by a recurring expense">
+                        <ArrowPathIcon className="h-3 w-3 mr-1" />
+                        Recurring
+                      </Link>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <Link to={`/submit?draft=${draft.id}`} className="btn btn-outline btn-sm flex items-center">
+                      <PencilSquareIcon className="h-4 w-4 mr-2" />
+                      Continue
+                    </Link>
+                    <button
+                      onClick={() => submitDraft(draft)}
+                      disabled={submittingId === draft.id}
+                      className="btn btn-primary btn-sm flex items-center"
+                    >
+                      <PaperAirplaneIcon className="h-4 w-4 mr-2" />
+                      Submit
+                    </button>
+                    <button
+                      onClick={() => discardDraft(draft)}
+                      className="text-gray-400 hover:text-danger-500"
+                      title="Discard draft"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
       {/* Filters */}
       <div className="card">
         <div className="card-body">
@@ -186,6 +347,49 @@ const History = () => {
                 className="input"
               />
             </div>
+
+            <div>
+              <label className="label">Project</label>
+              <select
+                value={filters.projectId}
+                onChange={(e) => handleFilterChange('projectId', e.target.value)}
+                className="input"
+              >
+                <option value="">All Projects</option>
+                {dimensions.projects.map(project => (
+                  <option key={project.id} value={project.id}>
+                    {project.code} – {project.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="label">Cost Center</label>
+              <select
+                value={filters.costCenterId}
+                onChange={(e) => handleFilterChange('costCenterId', e.target.value)}
+                className="input"
+              >
+                <option value="">All Cost Centers</option>
+                {dimensions.costCenters.map(costCenter => (
+                  <option key={costCenter.id} value={costCenter.id}>
+                    {costCenter.code} – {costCenter.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="label">Tag</label>
+              <input
+                type="text"
+                value={filters.tag}
+                onChange={(e) => handleFilterChange('tag', e.target.value)}
+                className="input"
+                placeholder="e.g. offsite"
+              />
+            </div>
           </div>
         </div>
       </div>
@@ -221,39 +425,103 @@ const History = () => {
                         {expense.category}
                       </h3>
                       <p className="text-sm text-gray-500">
+                        {expense.merchant && `${expense.merchant} • `}
                         {expense.description || 'No description'}
                       </p>
                       <p className="text-sm text-gray-500">
                         {new Date(expense.date).toLocaleDateString()} • 
                         Submitted {new Date(expense.createdAt).toLocaleDateString()}
                       </p>
+                      <MileageDetails expense={expense} />
+                      <PerDiemDetails expense={expense} />
+                      <ExpenseDimensions expense={expense} />
+                      {expense.report && (
+                        <p className="text-sm text-gray-500">
+                          Part of report: {expense.report.title}
+                        </p>
+                      )}
+                      {expense.reviewComment && (
+                        <p className="text-sm text-danger-600">
+                          Rejected: {expense.reviewComment}
+                        </p>
+                      )}
+                      <PolicyViolations violations={expense.policyViolations} />
+                      {expense.attachments.length > 0 && (
+                        <div className="mt-2">
+                          <AttachmentViewer attachments={expense.attachments} />
+                        </div>
+                      )}
                     </div>
                   </div>
                   
                   <div className="flex items-center space-x-4">
                     <div className="text-right">
                       <p className="text-lg font-semibold text-gray-900">
-                        {expense.originalCurrency} {expense.originalAmount.toFixed(2)}
+                        {formatMoney(expense.originalAmount, expense.originalCurrency)}
                       </p>
                       {expense.companyAmount && expense.originalCurrency !== expense.companyCurrency && (
                         <p className="text-sm text-gray-500">
-                          ≈ {expense.companyCurrency} {expense.companyAmount.toFixed(2)}
+                          ≈ {formatMoney(expense.companyAmount, expense.companyCurrency)}
+                        </p>
+                      )}
+                      {expense.conversion?.rate && expense.originalCurrency !== expense.companyCurrency && (
+                        <p className="text-xs text-gray-400">
+                          Rate {expense.conversion.rate} ({expense.conversion.source}, {new Date(expense.conversion.rateDate).toLocaleDateString()})
                         </p>
                       )}
+                      {expense.conversion?.status === 'PENDING' && (
+                        <span className="badge badge-warning">Conversion pending</span>
+                      )}
                     </div>
                     
                     <div className="flex flex-col items-end space-y-2">
                       <span className={`badge ${getStatusBadge(expense.status)}`}>
                         {expense.status}
                       </span>
+
+                      {expense.cardTransaction && (
+                        <span className="badge badge-info" title="Paid with a company card; not reimbursed">
+                          Company card
+                        </span>
+                      )}
+
+                      {expense.recurringExpenseId && (
+                        <Link to="/recurring" className="badge badge-gray flex items-center" title="Created by a recurring expense">
+                          <ArrowPathIcon className="h-3 w-3 mr-1" />
+                          Recurring
+                        </Link>
+                      )}
+
+                      {expense.reimbursement && expense.reimbursement.status === 'SCHEDULED' && (
+                        <p className="text-xs text-gray-500">
+                          Payout on {new Date(expense.reimbursement.scheduledFor).toLocaleDateString()}
+                        </p>
+                      )}
+
+                      {expense.reimbursement && expense.reimbursement.status === 'PAID' && (
+                        <p className="text-xs text-gray-500">
+                          Paid {new Date(expense.reimbursement.paidAt).toLocaleDateString()} • Ref {expense.reimbursement.paymentReference}
+                        </p>
+                      )}
                       
-                      {expense.receiptPath && (
+                      {expense.status === 'DRAFT' && !expense.report && (
+                        <button
+                          onClick={() => submitDraft(expense)}
+                          disabled={submittingId === expense.id}
+                          className="btn btn-primary btn-sm flex items-center"
+                        >
+                          <PaperAirplaneIcon className="h-4 w-4 mr-2" />
+                          Submit
+                        </button>
+                      )}
+
+                      {expense.status === 'CHANGES_REQUESTED' && !expense.report && resubmittingId !== expense.id && (
                         <button
-                          onClick={() => window.open(`http://localhost:8000/${expense.receiptPath}`, '_blank')}
-                          className="btn btn-outline btn-sm flex items-center"
+                          onClick={() => setResubmittingId(expense.id)}
+                          className="btn btn-primary btn-sm flex items-center"
                         >
-                          <EyeIcon className="h-4 w-4 mr-2" />
-                          Receipt
+                          <ArrowUturnLeftIcon className="h-4 w-4 mr-2" />
+                          Resubmit
                         </button>
                       )}
                     </div>
@@ -272,6 +540,8 @@ const History = () => {
                               ? 'bg-success-100 text-success-800'
                               : approval.status === 'REJECTED'
                               ? 'bg-danger-100 text-danger-800'
+                              : approval.status === 'CHANGES_REQUESTED'
+                              ? 'bg-primary-100 text-primary-800'
                               : 'bg-gray-100 text-gray-600'
                           }`}>
                             {index + 1}
@@ -285,10 +555,19 @@ const History = () => {
                                 ? 'badge-success'
                                 : approval.status === 'REJECTED'
                                 ? 'badge-danger'
+                                : approval.status === 'CHANGES_REQUESTED'
+                                ? 'badge-info'
+                                : approval.state === 'waiting'
+                                ? 'badge-gray'
                                 : 'badge-warning'
                             }`}>
-                              {approval.status}
+                              {approval.state === 'waiting' ? 'WAITING' : approval.status}
                             </span>
+                            {approval.actedBy && approval.originalApprover && (
+                              <p className="text-xs text-gray-400 mt-1">
+                                {approval.actedBy.fullName} on behalf of {approval.originalApprover.fullName}
+                              </p>
+                            )}
                             {approval.comment && (
                               <p className="text-gray-500 mt-1">{approval.comment}</p>
                             )}
@@ -296,6 +575,54 @@ const History = () => {
                         </div>
                       ))}
                     </div>
+                    {expense.escalations && expense.escalations.length > 0 && (
+                      <div className="mt-3 space-y-1">
+                        {expense.escalations.map((escalation) => (
+                          <p key={escalation.id} className="text-xs text-warning-700">
+                            Escalated {new Date(escalation.createdAt).toLocaleString()} from{' '}
+                            {escalation.fromApprover?.fullName || 'unassigned'} to {escalation.toApprover.fullName}: {escalation.reason}
+                          </p>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {resubmittingId === expense.id && (
+                  <ResubmitExpenseForm
+                    expense={expense}
+                    categories={categories}
+                    onCancel={() => setResubmittingId(null)}
+                    onResubmitted={() => {
+                      setResubmittingId(null)
+                      loadExpenses()
+                    }}
+                  />
+                )}
+
+                {/* Revision History */}
+                {expense.revisions && expense.revisions.length > 0 && (
+                  <div className="mt-4 pt-4 border-t border-gray-200">
+                    <h4 className="text-sm font-medium text-gray-900 mb-2">Revision History</h4>
+                    <div className="space-y-2">
+                      {expense.revisions.map((revision) => (
+                        <div key={revision.revision} className="text-sm">
+                          <p className="text-gray-900">
+                            Revision {revision.revision}: {formatMoney(revision.originalAmount, revision.originalCurrency)} • {revision.category}
+                          </p>
+                          {revision.approvals
+                            .filter(approval => approval.status === 'CHANGES_REQUESTED')
+                            .map(approval => (
+                              <p key={approval.id} className="text-gray-500">
+                                {approval.approverName || approval.approverRole} requested changes: {approval.comment}
+                              </p>
+                            ))}
+                          <p className="text-xs text-gray-400">
+                            Resubmitted {new Date(revision.resubmittedAt).toLocaleString()}
+                          </p>
+                        </div>
+                      ))}
+                    </div>
                   </div>
                 )}
               </div>
@@ -1,4 +1,4 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect } from 'react'
 import { useAuth } from '../contexts/AuthContext'
 import { useForm } from 'react-hook-form'
 import API from '../api/client'
@@ -10,13 +10,16 @@ import {
   GlobeAltIcon,
   EyeIcon,
   EyeSlashIcon,
+  UserGroupIcon,
 } from '@heroicons/react/24/outline'
 
 const Profile = () => {
-  const { user, updateUser } = useAuth()
+  const { user, updateUser, isManager } = useAuth()
   const [activeTab, setActiveTab] = useState('profile')
   const [showPassword, setShowPassword] = useState(false)
   const [loading, setLoading] = useState(false)
+  const [delegation, setDelegation] = useState(null)
+  const [delegateCandidates, setDelegateCandidates] = useState([])
 
   const { register, handleSubmit, formState: { errors } } = useForm({
     defaultValues: {
@@ -27,6 +30,68 @@ const Profile = () => {
 
   const { register: registerPassword, handleSubmit: handlePasswordSubmit, reset: resetPassword, formState: { errors: passwordErrors } } = useForm()
 
+  const { register: registerDelegation, handleSubmit: handleDelegationSubmit, reset: resetDelegation, formState: { errors: delegationErrors } } = useForm()
+
+  useEffect(() => {
+    if (activeTab === 'delegation') {
+      loadDelegation()
+    }
+  }, [activeTab])
+
+  const loadDelegation = async () => {
+    try {
+      const [delegationResponse, candidatesResponse] = await Promise.all([
+        API.get('/auth/delegation'),
+        API.get('/auth/delegation/candidates')
+      ])
+      const current = delegationResponse.data.delegation
+      setDelegation(current)
+      setDelegateCandidates(candidatesResponse.data.candidates)
+      resetDelegation({
+        delegateId: current.delegate?.id || '',
+        delegateFrom: current.delegateFrom ? current.delegateFrom.split('T')[0] : '',
+        delegateUntil: current.delegateUntil ? current.delegateUntil.split('T')[0] : ''
+      })
+    } catch (error) {
+      console.error('Failed to load delegation:', error)
+      toast.error('Failed to load delegation')
+    }
+  }
+
+  const saveDelegation = async (data) => {
+    setLoading(true)
+    try {
+      const response = await API.put('/auth/delegation', {
+        delegateId: parseInt(data.delegateId),
+        delegateFrom: new Date(`${data.delegateFrom}T00:00:00`).toISOString(),
+        delegateUntil: new Date(`${data.delegateUntil}T23:59:59`).toISOString()
+      })
+      setDelegation(response.data.delegation)
+      toast.success('Delegation saved successfully')
+    } catch (error) {
+      console.error('Failed to save delegation:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to save delegation'
+      toast.error(errorMessage)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const removeDelegation = async () => {
+    setLoading(true)
+    try {
+      await API.delete('/auth/delegation')
+      setDelegation(null)
+      resetDelegation({ delegateId: '', delegateFrom: '', delegateUntil: '' })
+      toast.success('Delegation removed')
+    } catch (error) {
+      console.error('Failed to remove delegation:', error)
+      toast.error(error.response?.data?.error || 'Failed to remove delegation')
+    } finally {
+      setLoading(false)
+    }
+  }
+
   const updateProfile = async (data) => {
     setLoading(true)
     try {
@@ -60,6 +125,9 @@ const Profile = () => {
   const tabs = [
     { id: 'profile', name: 'Profile', icon: UserIcon },
     { id: 'password', name: 'Password', icon: EyeIcon },
+    ...(isManager() ? [
+      { id: 'delegation', name: 'Delegation', icon: UserGroupIcon }
+    ] : []),
   ]
 
   return (
@@ -269,6 +337,90 @@ const Profile = () => {
               </div>
             </form>
           )}
+
+          {activeTab === 'delegation' && (
+            <form onSubmit={handleDelegationSubmit(saveDelegation)} className="space-y-6">
+              <p className="text-sm text-gray-600">
+                While you are away, new approvals are routed to your delegate and they can act on approvals already waiting for you.
+              </p>
+
+              {delegation?.delegate && (
+                <div className={`rounded-lg p-4 border ${delegation.isActive ? 'bg-primary-50 border-primary-200' : 'bg-gray-50 border-gray-200'}`}>
+                  <p className="text-sm text-gray-900">
+                    {delegation.delegate.fullName} covers your approvals from{' '}
+                    {new Date(delegation.delegateFrom).toLocaleDateString()} to{' '}
+                    {new Date(delegation.delegateUntil).toLocaleDateString()}
+                  </p>
+                  <span className={`badge mt-2 ${delegation.isActive ? 'badge-success' : 'badge-gray'}`}>
+                    {delegation.isActive ? 'Active now' : 'Not active now'}
+                  </span>
+                </div>
+              )}
+
+              <div>
+                <label className="label">Delegate</label>
+                <select
+                  {...registerDelegation('delegateId', { required: 'Delegate is required' })}
+                  className="input"
+                >
+                  <option value="">Select a delegate</option>
+                  {delegateCandidates.map(candidate => (
+                    <option key={candidate.id} value={candidate.id}>
+                      {candidate.fullName} ({candidate.role})
+                    </option>
+                  ))}
+                </select>
+                {delegationErrors.delegateId && (
+                  <p className="text-danger-600 text-sm mt-1">{delegationErrors.delegateId.message}</p>
+                )}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="label">From</label>
+                  <input
+                    {...registerDelegation('delegateFrom', { required: 'Start date is required' })}
+                    type="date"
+                    className="input"
+                  />
+                  {delegationErrors.delegateFrom && (
+                    <p className="text-danger-600 text-sm mt-1">{delegationErrors.delegateFrom.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label className="label">Until</label>
+                  <input
+                    {...registerDelegation('delegateUntil', { required: 'End date is required' })}
+                    type="date"
+                    className="input"
+                  />
+                  {delegationErrors.delegateUntil && (
+                    <p className="text-danger-600 text-sm mt-1">{delegationErrors.delegateUntil.message}</p>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                {delegation?.delegate && (
+                  <button
+                    type="button"
+                    onClick={removeDelegation}
+                    disabled={loading}
+                    className="btn btn-outline"
+                  >
+                    Remove Delegation
+                  </button>
+                )}
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="btn btn-primary"
+                >
+                  Save Delegation
+                </button>
+              </div>
+            </form>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,417 @@
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import API from '../api/client'
+import toast from 'react-hot-toast'
+import { formatMoney, getAmountStep } from '../utils/money'
+import { describeSchedule, submitModes } from '../utils/recurring'
+import DimensionFields from '../components/DimensionFields'
+import ExpenseDimensions from '../components/ExpenseDimensions'
+import RecurrenceFields from '../components/RecurrenceFields'
+import {
+  ArrowPathIcon,
+  PauseIcon,
+  PlayIcon,
+  PencilIcon,
+  StopIcon,
+  PaperClipIcon,
+  ExclamationTriangleIcon,
+} from '@heroicons/react/24/outline'
+
+const getStatusBadge = (status) => {
+  switch (status) {
+    case 'ACTIVE':
+      return 'badge-success'
+    case 'PAUSED':
+      return 'badge-warning'
+    default:
+      return 'badge-gray'
+  }
+}
+
+const toDateInput = (value) => (value ? value.split('T')[0] : '')
+
+const RecurringExpenses = () => {
+  const [series, setSeries] = useState([])
+  const [currencies, setCurrencies] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [editingSeries, setEditingSeries] = useState(null)
+  // Replacement receipt picked in the edit form
+  const [receiptFile, setReceiptFile] = useState(null)
+  const [actionLoading, setActionLoading] = useState(null)
+
+  const { register, handleSubmit, reset, watch, formState: { errors } } = useForm()
+
+  const amountStep = getAmountStep(watch('originalCurrency'))
+
+  useEffect(() => {
+    loadSeries()
+    loadCurrencies()
+    loadCategories()
+  }, [])
+
+  const loadSeries = async () => {
+    try {
+      setLoading(true)
+      const response = await API.get('/recurring-expenses')
+      setSeries(response.data.recurringExpenses)
+    } catch (error) {
+      console.error('Failed to load recurring expenses:', error)
+      toast.error('Failed to load recurring expenses')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadCurrencies = async () => {
+    try {
+      const response = await API.get('/currency/currencies')
+      setCurrencies(response.data.currencies)
+    } catch (error) {
+      console.error('Failed to load currencies:', error)
+    }
+  }
+
+  const loadCategories = async () => {
+    try {
+      const response = await API.get('/categories')
+      setCategories(response.data.categories.map(category => category.name))
+    } catch (error) {
+      console.error('Failed to load categories:', error)
+    }
+  }
+
+  const runSeriesAction = async (seriesId, request, success, failure) => {
+    setActionLoading(seriesId)
+    try {
+      await request()
+      toast.success(success)
+      loadSeries()
+    } catch (error) {
+      console.error(`${failure}:`, error)
+      const errorMessage = error.response?.data?.error || failure
+      toast.error(errorMessage)
+    } finally {
+      setActionLoading(null)
+    }
+  }
+
+  const pauseSeries = (item) => runSeriesAction(
+    item.id,
+    () => API.post(`/recurring-expenses/${item.id}/pause`),
+    'Recurring expense paused',
+    'Failed to pause recurring expense'
+  )
+
+  const resumeSeries = (item) => runSeriesAction(
+    item.id,
+    () => API.post(`/recurring-expenses/${item.id}/resume`),
+    'Recurring expense resumed',
+    'Failed to resume recurring expense'
+  )
+
+  const endSeries = (item) => {
+    if (!window.confirm('End this series? No more expenses will be created; the ones already created are kept.')) return
+    runSeriesAction(
+      item.id,
+      () => API.post(`/recurring-expenses/${item.id}/end`),
+      'Recurring expense ended',
+      'Failed to end recurring expense'
+    )
+  }
+
+  const startEdit = (item) => {
+    setEditingSeries(item)
+    setReceiptFile(null)
+    reset({
+      originalAmount: item.originalAmount,
+      originalCurrency: item.originalCurrency,
+      category: item.category,
+      merchant: item.merchant || '',
+      description: item.description || '',
+      projectId: item.project?.id || '',
+      costCenterId: item.costCenter?.id || '',
+      tags: item.tags.join(', '),
+      startDate: toDateInput(item.startDate),
+      frequency: item.frequency,
+      cronExpression: item.cronExpression || '',
+      repeatUntil: toDateInput(item.endDate),
+      submitMode: item.submitMode,
+      removeReceipt: false,
+    })
+  }
+
+  const cancelEdit = () => {
+    setEditingSeries(null)
+    setReceiptFile(null)
+  }
+
+  const saveSeries = async (data) => {
+    const formData = new FormData()
+    formData.append('originalAmount', data.originalAmount)
+    formData.append('originalCurrency', data.originalCurrency)
+    formData.append('category', data.category)
+    formData.append('merchant', data.merchant)
+    formData.append('description', data.description)
+    formData.append('projectId', data.projectId)
+    formData.append('costCenterId', data.costCenterId)
+    formData.append('tags', data.tags)
+    formData.append('startDate', data.startDate)
+    formData.append('frequency', data.frequency)
+    formData.append('cronExpression', data.frequency === 'CUSTOM' ? data.cronExpression : '')
+    formData.append('endDate', data.repeatUntil)
+    formData.append('submitMode', data.submitMode)
+    formData.append('removeReceipt', data.removeReceipt)
+    if (receiptFile) {
+      formData.append('receipt', receiptFile)
+    }
+
+    try {
+      await API.put(`/recurring-expenses/${editingSeries.id}`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      })
+      toast.success('Recurring expense updated')
+      cancelEdit()
+      loadSeries()
+    } catch (error) {
+      console.error('Failed to update recurring expense:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to update recurring expense'
+      toast.error(errorMessage)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Recurring Expenses</h1>
+        <p className="text-gray-600 mt-1">
+          Subscriptions and other repeating costs, created automatically on their schedule.
+          To start a series, tick "Repeat this expense" when you <Link to="/submit" className="text-primary-600 hover:text-primary-500">submit an expense</Link>.
+        </p>
+      </div>
+
+      {series.length === 0 ? (
+        <div className="card">
+          <div className="card-body text-center py-12">
+            <ArrowPathIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No recurring expenses</h3>
+            <p className="text-gray-500">Expenses you repeat will show up here.</p>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {series.map(item => (
+            <div key={item.id} className="card">
+              <div className="card-body">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <h3 className="text-lg font-medium text-gray-900">
+                      {item.merchant || item.category}
+                    </h3>
+                    <p className="text-sm text-gray-500">
+                      {item.category}{item.description && ` • ${item.description}`}
+                    </p>
+                    <ExpenseDimensions expense={item} />
+                    <p className="text-sm text-gray-500 mt-1">
+                      {describeSchedule(item)}
+                      {item.endDate && ` until ${new Date(item.endDate).toLocaleDateString()}`}
+                      {' '}• {submitModes.find(mode => mode.value === item.submitMode)?.label}
+                    </p>
+                    <p className="text-xs text-gray-400">
+                      {item.occurrences} expense{item.occurrences === 1 ? '' : 's'} so far
+                      {item.lastRunDate && `, last on ${new Date(item.lastRunDate).toLocaleDateString()}`}
+                      {item.status === 'ACTIVE' && item.nextRunDate && ` • Next on ${new Date(item.nextRunDate).toLocaleDateString()}`}
+                    </p>
+                    {item.receipt && (
+                      <p className="text-xs text-gray-500 flex items-center mt-1">
+                        <PaperClipIcon className="h-3 w-3 mr-1" />
+                        {item.receipt.fileName} is attached to every occurrence
+                      </p>
+                    )}
+                    {item.lastError && (
+                      <p className="text-sm text-danger-600 flex items-center mt-1">
+                        <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+                        Paused automatically: {item.lastError}
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="flex flex-col items-end space-y-2">
+                    <p className="text-lg font-semibold text-gray-900">
+                      {formatMoney(item.originalAmount, item.originalCurrency)}
+                    </p>
+                    <span className={`badge ${getStatusBadge(item.status)}`}>
+                      {item.status}
+                    </span>
+                  </div>
+                </div>
+
+                {item.status !== 'ENDED' && editingSeries?.id !== item.id && (
+                  <div className="mt-4 flex justify-end space-x-3">
+                    <button
+                      onClick={() => startEdit(item)}
+                      className="btn btn-outline btn-sm flex items-center"
+                    >
+                      <PencilIcon className="h-4 w-4 mr-2" />
+                      Edit
+                    </button>
+                    {item.status === 'ACTIVE' ? (
+                      <button
+                        onClick={() => pauseSeries(item)}
+                        disabled={actionLoading === item.id}
+                        className="btn btn-outline btn-sm flex items-center"
+                      >
+                        <PauseIcon className="h-4 w-4 mr-2" />
+                        Pause
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => resumeSeries(item)}
+                        disabled={actionLoading === item.id}
+                        className="btn btn-primary btn-sm flex items-center"
+                      >
+                        <PlayIcon className="h-4 w-4 mr-2" />
+                        Resume
+                      </button>
+                    )}
+                    <button
+                      onClick={() => endSeries(item)}
+                      disabled={actionLoading === item.id}
+                      className="btn btn-outline btn-sm flex items-center text-danger-600"
+                    >
+                      <StopIcon className="h-4 w-4 mr-2" />
+                      End
+                    </button>
+                  </div>
+                )}
+
+                {editingSeries?.id === item.id && (
+                  <form onSubmit={handleSubmit(saveSeries)} className="mt-4 pt-4 border-t border-gray-200 space-y-4">
+                    <p className="text-sm text-gray-500">
+                      Changes apply to the next occurrences; expenses already created are not changed.
+                    </p>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <div>
+                        <label className="label">Amount *</label>
+                        <input
+                          {...register('originalAmount', {
+                            required: 'Amount is required',
+                            min: { value: amountStep, message: 'Amount must be greater than 0' }
+                          })}
+                          type="number"
+                          step={amountStep}
+                          className="input"
+                        />
+                        {errors.originalAmount && (
+                          <p className="text-danger-600 text-sm mt-1">{errors.originalAmount.message}</p>
+                        )}
+                      </div>
+                      <div>
+                        <label className="label">Currency *</label>
+                        <select {...register('originalCurrency')} className="input">
+                          {currencies.map(currency => (
+                            <option key={currency} value={currency}>{currency}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="label">Category *</label>
+                        <select
+                          {...register('category', { required: 'Category is required' })}
+                          className="input"
+                        >
+                          {!categories.includes(item.category) && (
+                            <option value={item.category}>{item.category}</option>
+                          )}
+                          {categories.map(category => (
+                            <option key={category} value={category}>{category}</option>
+                          ))}
+                        </select>
+                        {errors.category && (
+                          <p className="text-danger-600 text-sm mt-1">{errors.category.message}</p>
+                        )}
+                      </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className="label">Merchant</label>
+                        <input {...register('merchant')} type="text" className="input" />
+                      </div>
+                      <div>
+                        <label className="label">Description</label>
+                        <input {...register('description')} type="text" className="input" />
+                      </div>
+                    </div>
+
+                    <DimensionFields
+                      register={register}
+                      errors={errors}
+                      category={watch('category')}
+                      expense={item}
+                    />
+
+                    <div>
+                      <label className="label">Start date</label>
+                      <input
+                        {...register('startDate', { required: 'Start date is required' })}
+                        type="date"
+                        className="input"
+                      />
+                      <p className="text-xs text-gray-500 mt-1">Monthly and quarterly series repeat on this day of the month.</p>
+                    </div>
+
+                    <RecurrenceFields register={register} errors={errors} watch={watch} />
+
+                    <div>
+                      <label className="label">Receipt</label>
+                      <input
+                        type="file"
+                        accept="image/*,.pdf"
+                        onChange={(e) => setReceiptFile(e.target.files[0] || null)}
+                        className="block text-sm text-gray-500"
+                      />
+                      {item.receipt && !receiptFile && (
+                        <label className="flex items-center text-sm text-gray-700 mt-2">
+                          <input
+                            {...register('removeReceipt')}
+                            type="checkbox"
+                            className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+                          />
+                          Stop attaching {item.receipt.fileName}
+                        </label>
+                      )}
+                    </div>
+
+                    <div className="flex justify-end space-x-3">
+                      <button type="button" onClick={cancelEdit} className="btn btn-outline btn-sm">
+                        Cancel
+                      </button>
+                      <button type="submit" className="btn btn-primary btn-sm">
+                        Save Changes
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RecurringExpenses
@@ -0,0 +1,417 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { useAuth } from '../contexts/AuthContext'
+import API from '../api/client'
+import toast from 'react-hot-toast'
+import { formatMoney, formatAmount } from '../utils/money'
+import ReportLineForm from '../components/ReportLineForm'
+import AttachmentViewer from '../components/AttachmentViewer'
+import PolicyViolations from '../components/PolicyViolations'
+import ExpenseDimensions from '../components/ExpenseDimensions'
+import MileageDetails from '../components/MileageDetails'
+import PerDiemDetails from '../components/PerDiemDetails'
+import {
+  PlusIcon,
+  PaperAirplaneIcon,
+  ArrowUturnLeftIcon,
+  TrashIcon,
+  XMarkIcon,
+  FolderIcon,
+} from '@heroicons/react/24/outline'
+
+const editableStatuses = ['DRAFT', 'CHANGES_REQUESTED']
+
+const getStatusBadge = (status) => {
+  switch (status) {
+    case 'APPROVED':
+      return 'badge-success'
+    case 'REJECTED':
+      return 'badge-danger'
+    case 'PENDING':
+      return 'badge-warning'
+    case 'CHANGES_REQUESTED':
+      return 'badge-info'
+    default:
+      return 'badge-gray'
+  }
+}
+
+const formatOriginalTotals = (totals) =>
+  totals.originalAmounts.map(total => formatMoney(total.amount, total.currency)).join(' + ')
+
+const Reports = () => {
+  const { user } = useAuth()
+  const [reports, setReports] = useState([])
+  const [currencies, setCurrencies] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showCreateForm, setShowCreateForm] = useState(false)
+  const [addingLineTo, setAddingLineTo] = useState(null)
+  const [actionLoading, setActionLoading] = useState(null)
+
+  const { register, handleSubmit, reset, formState: { errors } } = useForm()
+
+  useEffect(() => {
+    loadReports()
+    loadCurrencies()
+    loadCategories()
+  }, [])
+
+  const loadReports = async () => {
+    try {
+      setLoading(true)
+      const response = await API.get('/reports')
+      setReports(response.data.reports)
+    } catch (error) {
+      console.error('Failed to load reports:', error)
+      toast.error('Failed to load expense reports')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadCurrencies = async () => {
+    try {
+      const response = await API.get('/currency/currencies')
+      setCurrencies(response.data.currencies)
+    } catch (error) {
+      console.error('Failed to load currencies:', error)
+    }
+  }
+
+  const loadCategories = async () => {
+    try {
+      const response = await API.get('/categories')
+      setCategories(response.data.categories.map(category => category.name))
+    } catch (error) {
+      console.error('Failed to load categories:', error)
+    }
+  }
+
+  const createReport = async (data) => {
+    try {
+      await API.post('/reports', data)
+      toast.success('Expense report created')
+      setShowCreateForm(false)
+      reset()
+      loadReports()
+    } catch (error) {
+      console.error('Failed to create report:', error)
+      const errorMessage = error.response?.data?.error || 'Failed to create expense report'
+      toast.error(errorMessage)
+    }
+  }
+
+  const runReportAction = async (reportId, request, success, failure) => {
+    setActionLoading(reportId)
+    try {
+      await request()
+      toast.success(success)
+      loadReports()
+    } catch (error) {
+      console.error(`${failure}:`, error)
+      const errorMessage = error.response?.data?.error || failure
+      toast.error(errorMessage)
+    } finally {
+      setActionLoading(null)
+    }
+  }
+
+  const submitReport = (report) => runReportAction(
+    report.id,
+    () => API.post(`/reports/${report.id}/${report.status === 'DRAFT' ? 'submit' : 'resubmit'}`),
+    report.status === 'DRAFT' ? 'Expense report submitted' : 'Expense report resubmitted',
+    'Failed to submit expense report'
+  )
+
+  const cancelReport = (report) => {
+    if (!window.confirm(`Cancel "${report.title}" and all of its open expenses?`)) return
+    runReportAction(
+      report.id,
+      () => API.delete(`/reports/${report.id}`),
+      'Expense report cancelled',
+      'Failed to cancel expense report'
+    )
+  }
+
+  const removeLine = (report, expense) => runReportAction(
+    report.id,
+    () => API.delete(`/expenses/${expense.id}`),
+    'Expense removed from report',
+    'Failed to remove expense'
+  )
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Expense Reports</h1>
+          <p className="text-gray-600 mt-1">Bundle the expenses of a trip or project into one claim</p>
+        </div>
+        <button
+          onClick={() => setShowCreateForm(!showCreateForm)}
+          className="btn btn-primary flex items-center"
+        >
+          <PlusIcon className="h-4 w-4 mr-2" />
+          New Report
+        </button>
+      </div>
+
+      {showCreateForm && (
+        <div className="card">
+          <div className="card-body">
+            <form onSubmit={handleSubmit(createReport)} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="label">Title</label>
+                  <input
+                    {...register('title', { required: 'Title is required' })}
+                    type="text"
+                    className="input"
+                    placeholder="e.g. Berlin client visit"
+                  />
+                  {errors.title && (
+                    <p className="text-danger-600 text-sm mt-1">{errors.title.message}</p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="label">Purpose</label>
+                  <input
+                    {...register('purpose')}
+                    type="text"
+                    className="input"
+                  />
+                </div>
+
+                <div>
+                  <label className="label">Start Date</label>
+                  <input
+                    {...register('startDate', { required: 'Start date is required' })}
+                    type="date"
+                    className="input"
+                  />
+                  {errors.startDate && (
+                    <p className="text-danger-600 text-sm mt-1">{errors.startDate.message}</p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="label">End Date</label>
+                  <input
+                    {...register('endDate', { required: 'End date is required' })}
+                    type="date"
+                    className="input"
+                  />
+                  {errors.endDate && (
+                    <p className="text-danger-600 text-sm mt-1">{errors.endDate.message}</p>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setShowCreateForm(false)} className="btn btn-outline btn-sm">
+                  Cancel
+                </button>
+                <button type="submit" className="btn btn-primary btn-sm">
+                  Create Report
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {reports.length === 0 ? (
+        <div className="card">
+          <div className="card-body text-center py-12">
+            <FolderIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No expense reports</h3>
+            <p className="text-gray-500">Create a report to submit several expenses together.</p>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {reports.map(report => {
+            const editable = editableStatuses.includes(report.status)
+
+            return (
+              <div key={report.id} className="card">
+                <div className="card-body">
+                  <div className="flex items-start justify-between">
+                    <div>
+                      <h3 className="text-lg font-medium text-gray-900">{report.title}</h3>
+                      {report.purpose && (
+                        <p className="text-sm text-gray-500">{report.purpose}</p>
+                      )}
+                      <p className="text-sm text-gray-500">
+                        {new Date(report.startDate).toLocaleDateString()} – {new Date(report.endDate).toLocaleDateString()} •
+                        {' '}{report.totals.lineCount} expense{report.totals.lineCount === 1 ? '' : 's'}
+                      </p>
+                    </div>
+
+                    <div className="flex items-start space-x-4">
+                      <div className="text-right">
+                        <p className="text-lg font-semibold text-gray-900">
+                          {formatMoney(report.totals.companyAmount, report.companyCurrency)}
+                        </p>
+                        {report.totals.originalAmounts.length > 0 && (
+                          <p className="text-sm text-gray-500">{formatOriginalTotals(report.totals)}</p>
+                        )}
+                      </div>
+                      <span className={`badge ${getStatusBadge(report.status)}`}>
+                        {report.status}
+                      </span>
+                    </div>
+                  </div>
+
+                  {/* Lines */}
+                  {report.expenses.length > 0 && (
+                    <div className="mt-4 overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{report.companyCurrency}</th>
+                            <th className="px-4 py-2"></th>
+                          </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                          {report.expenses.map(expense => (
+                            <tr key={expense.id} className={expense.status === 'REJECTED' || expense.status === 'CANCELLED' ? 'text-gray-400' : ''}>
+                              <td className="px-4 py-2 text-sm whitespace-nowrap">{new Date(expense.date).toLocaleDateString()}</td>
+                              <td className="px-4 py-2 text-sm">{expense.category}</td>
+                              <td className="px-4 py-2 text-sm">
+                                {expense.merchant && <p className="text-xs text-gray-500">{expense.merchant}</p>}
+                                {expense.description || '—'}
+                                <MileageDetails expense={expense} />
+                                <PerDiemDetails expense={expense} />
+                                <ExpenseDimensions expense={expense} />
+                                <PolicyViolations violations={expense.policyViolations} />
+                                {expense.status === 'REJECTED' && (
+                                  <p className="text-xs text-danger-600">Rejected: {expense.reviewComment}</p>
+                                )}
+                                {expense.status === 'CANCELLED' && (
+                                  <p className="text-xs">Removed</p>
+                                )}
+                                {expense.attachments.length > 0 && (
+                                  <div className="mt-2">
+                                    <AttachmentViewer attachments={expense.attachments} />
+                                  </div>
+                                )}
+                              </td>
+                              <td className="px-4 py-2 text-sm text-right whitespace-nowrap">
+                                {formatMoney(expense.originalAmount, expense.originalCurrency)}
+                              </td>
+                              <td className="px-4 py-2 text-sm text-right whitespace-nowrap">
+                                {formatAmount(expense.companyAmount, report.companyCurrency)}
+                              </td>
+                              <td className="px-4 py-2 text-right whitespace-nowrap">
+                                {editable && editableStatuses.includes(expense.status) && (
+                                  <button
+                                    onClick={() => removeLine(report, expense)}
+                                    className="text-gray-400 hover:text-danger-600"
+                                    title="Remove expense"
+                                  >
+                                    <TrashIcon className="h-4 w-4" />
+                                  </button>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  {addingLineTo === report.id && (
+                    <ReportLineForm
+                      report={report}
+                      categories={categories}
+                      currencies={currencies}
+                      defaultCurrency={user?.company?.currency || 'USD'}
+                      onCancel={() => setAddingLineTo(null)}
+                      onAdded={() => {
+                        setAddingLineTo(null)
+                        loadReports()
+                      }}
+                    />
+                  )}
+
+                  {/* Approval Chain */}
+                  {report.approvals.length > 0 && (
+                    <div className="mt-4 pt-4 border-t border-gray-200">
+                      <h4 className="text-sm font-medium text-gray-900 mb-2">Approval Progress</h4>
+                      <div className="space-y-1">
+                        {report.approvals.map(approval => (
+                          <p key={approval.id} className="text-sm text-gray-700">
+                            {approval.approver?.fullName || approval.approverRole}
+                            <span className={`ml-2 badge ${getStatusBadge(approval.status)}`}>
+                              {approval.state === 'waiting' ? 'WAITING' : approval.status}
+                            </span>
+                            {approval.comment && (
+                              <span className="ml-2 text-gray-500">{approval.comment}</span>
+                            )}
+                          </p>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {(editable || report.status === 'PENDING') && (
+                    <div className="mt-4 pt-4 border-t border-gray-200 flex justify-end space-x-2">
+                      {editable && addingLineTo !== report.id && (
+                        <button
+                          onClick={() => setAddingLineTo(report.id)}
+                          className="btn btn-outline btn-sm flex items-center"
+                        >
+                          <PlusIcon className="h-4 w-4 mr-2" />
+                          Add Expense
+                        </button>
+                      )}
+                      {editable && (
+                        <button
+                          onClick={() => submitReport(report)}
+                          disabled={actionLoading === report.id || report.totals.lineCount === 0}
+                          className="btn btn-primary btn-sm flex items-center"
+                        >
+                          {report.status === 'DRAFT' ? (
+                            <PaperAirplaneIcon className="h-4 w-4 mr-2" />
+                          ) : (
+                            <ArrowUturnLeftIcon className="h-4 w-4 mr-2" />
+                          )}
+                          {report.status === 'DRAFT' ? 'Submit Report' : 'Resubmit Report'}
+                        </button>
+                      )}
+                      <button
+                        onClick={() => cancelReport(report)}
+                        disabled={actionLoading === report.id}
+                        className="btn btn-outline btn-sm flex items-center"
+                      >
+                        <XMarkIcon className="h-4 w-4 mr-2" />
+                        Cancel Report
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Reports
@@ -1,47 +1,203 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
 import { useForm } from 'react-hook-form'
 import { useAuth } from '../contexts/AuthContext'
 import API from '../api/client'
 import toast from 'react-hot-toast'
+import { formatMoney, getAmountStep } from '../utils/money'
+import DimensionFields from '../components/DimensionFields'
+import PolicyViolations from '../components/PolicyViolations'
+import AttachmentViewer from '../components/AttachmentViewer'
+import PerDiemFields from '../components/PerDiemFields'
+import RecurrenceFields from '../components/RecurrenceFields'
+import { vehicleTypes, getVehicleLabel, formatDistance } from '../utils/mileage'
+import { listTripDays, toProvidedMealsList } from '../utils/perDiem'
 import {
   CameraIcon,
   DocumentArrowUpIcon,
   XMarkIcon,
   SparklesIcon,
+  DocumentTextIcon,
+  PlusIcon,
+  ExclamationTriangleIcon,
+  CreditCardIcon,
+  MapIcon,
+  GlobeAltIcon,
+  ArrowPathIcon,
 } from '@heroicons/react/24/outline'
 
+// Matches the backend's default MAX_ATTACHMENTS_PER_EXPENSE
+const MAX_ATTACHMENTS = 10
+
+// The form is saved as a draft this long after the last change
+const AUTOSAVE_DELAY_MS = 2000
+
+// The mileage amount is previewed this long after the employee stops typing
+const QUOTE_DELAY_MS = 500
+
+// Fields only sent for one expense type; the backend prices mileage trips and per diems itself
+const TYPE_FIELDS = {
+  RECEIPT: ['originalAmount', 'originalCurrency', 'merchant'],
+  MILEAGE: ['startLocation', 'endLocation', 'distance', 'vehicleType'],
+  PER_DIEM: ['destination', 'endDate', 'includeLodging'],
+}
+
+// Settings of the recurring series a receipt expense can start; not sent with the expense itself
+const RECURRENCE_FIELDS = ['repeat', 'frequency', 'cronExpression', 'repeatUntil', 'submitMode', 'includeReceipt']
+
+const UPLOAD_HINTS = {
+  RECEIPT: 'Upload the receipt plus any folios, boarding passes or invoices (images or PDF, max 5MB each)',
+  MILEAGE: 'Optional: attach a route map or parking and toll receipts (images or PDF, max 5MB each)',
+  PER_DIEM: 'Optional: attach the itinerary or invitation (images or PDF, max 5MB each)',
+}
+
+// SHA-256 of a file, the same content hash the backend stores for uploaded receipts
+const hashFile = async (file) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer())
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
 const SubmitExpense = () => {
   const { user } = useAuth()
+  const [searchParams, setSearchParams] = useSearchParams()
   const [loading, setLoading] = useState(false)
   const [ocrLoading, setOcrLoading] = useState(false)
-  const [receiptFile, setReceiptFile] = useState(null)
-  const [receiptPreview, setReceiptPreview] = useState(null)
+  // The first attachment is the receipt used for OCR; the rest are supporting documents
+  const [attachments, setAttachments] = useState([])
   const [extractedData, setExtractedData] = useState(null)
+  const [violations, setViolations] = useState([])
+  // Suspected duplicates shown before submitting; null until the current details were checked
+  const [duplicates, setDuplicates] = useState(null)
   const [currencies, setCurrencies] = useState([])
+  const [categories, setCategories] = useState([])
+  // Unmatched company card charges; the claimed one is linked to the expense when it is submitted
+  const [cardTransactions, setCardTransactions] = useState([])
+  const [claimedTransaction, setClaimedTransaction] = useState(null)
+  // RECEIPT expenses are entered from a receipt; MILEAGE trips and PER_DIEM allowances are priced from the company's rate tables
+  const [expenseType, setExpenseType] = useState('RECEIPT')
+  const [mileageQuote, setMileageQuote] = useState(null)
+  const [mileageSummary, setMileageSummary] = useState(null)
+  // Meals provided on each day of a per diem trip, by YYYY-MM-DD
+  const [providedMeals, setProvidedMeals] = useState({})
+  // Draft the form is autosaved to; refs so a queued save sees the draft an earlier save created
+  const draftId = useRef(parseInt(searchParams.get('draft')) || null)
+  const draftReady = useRef(!draftId.current)
+  const autosaveTimer = useRef(null)
+  const autosaveQueue = useRef(Promise.resolve())
+  const [draftSaving, setDraftSaving] = useState(false)
+  const [draftSavedAt, setDraftSavedAt] = useState(null)
+  // Files already uploaded to the draft
+  const [draftAttachments, setDraftAttachments] = useState([])
+
+  const defaultValues = {
+    originalAmount: '',
+    originalCurrency: user?.company?.currency || 'USD',
+    category: '',
+    description: '',
+    merchant: '',
+    date: new Date().toISOString().split('T')[0],
+    projectId: '',
+    costCenterId: '',
+    tags: '',
+    startLocation: '',
+    endLocation: '',
+    distance: '',
+    vehicleType: 'CAR',
+    destination: '',
+    endDate: '',
+    includeLodging: true,
+    repeat: false,
+    frequency: 'MONTHLY',
+    cronExpression: '',
+    repeatUntil: '',
+    submitMode: 'SUBMIT',
+    includeReceipt: true
+  }
 
   const {
     register,
     handleSubmit,
     setValue,
+    getValues,
+    reset,
     watch,
-    formState: { errors }
-  } = useForm({
-    defaultValues: {
-      originalAmount: '',
-      originalCurrency: user?.company?.currency || 'USD',
-      category: '',
-      description: '',
-      date: new Date().toISOString().split('T')[0]
-    }
-  })
+    formState: { errors, isDirty }
+  } = useForm({ defaultValues })
 
   const watchedAmount = watch('originalAmount')
   const watchedCurrency = watch('originalCurrency')
+  const amountStep = getAmountStep(watchedCurrency)
+  const watchedDistance = watch('distance')
+  const watchedVehicleType = watch('vehicleType')
+  const watchedDate = watch('date')
+  const watchedRepeat = watch('repeat')
+  const isReceipt = expenseType === 'RECEIPT'
+  const isMileage = expenseType === 'MILEAGE'
+  const isPerDiem = expenseType === 'PER_DIEM'
 
   useEffect(() => {
     loadCurrencies()
+    loadCategories()
+    loadMileageSummary()
+    if (draftId.current) {
+      loadDraft(draftId.current)
+    } else {
+      loadCardTransactions()
+    }
   }, [])
 
+  // Preview what the trip will be reimbursed once the employee pauses typing the distance
+  useEffect(() => {
+    if (!isMileage || !(parseFloat(watchedDistance) > 0) || !watchedDate) {
+      setMileageQuote(null)
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(() => {
+      API.post('/mileage/quote', {
+        distance: watchedDistance,
+        vehicleType: watchedVehicleType,
+        date: watchedDate,
+      })
+        .then(response => !cancelled && setMileageQuote(response.data))
+        .catch(error => !cancelled && setMileageQuote({ error: error.response?.data?.error || 'Failed to compute mileage amount' }))
+    }, QUOTE_DELAY_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [isMileage, watchedDistance, watchedVehicleType, watchedDate])
+
+  // Changed details or receipts need a fresh duplicate check
+  useEffect(() => {
+    const subscription = watch(() => setDuplicates(null))
+    return () => subscription.unsubscribe()
+  }, [watch])
+
+  useEffect(() => {
+    setDuplicates(null)
+  }, [attachments])
+
+  // Save the form as a draft shortly after each change, and right away when leaving the page
+  useEffect(() => {
+    const subscription = watch(() => scheduleAutosave())
+    return () => {
+      subscription.unsubscribe()
+      if (autosaveTimer.current) {
+        clearTimeout(autosaveTimer.current)
+        queueAutosave()
+      }
+    }
+  }, [watch])
+
+  useEffect(() => {
+    scheduleAutosave()
+  }, [expenseType, providedMeals, claimedTransaction])
+
   const loadCurrencies = async () => {
     try {
       const response = await API.get('/currency/currencies')
@@ -51,20 +207,220 @@ const SubmitExpense = () => {
     }
   }
 
-  const handleFileSelect = (e) => {
-    const file = e.target.files[0]
-    if (file) {
-      setReceiptFile(file)
-      
-      // Create preview
-      const reader = new FileReader()
-      reader.onload = (e) => {
-        setReceiptPreview(e.target.result)
+  const loadCategories = async () => {
+    try {
+      const response = await API.get('/categories')
+      setCategories(response.data.categories.map(category => category.name))
+    } catch (error) {
+      console.error('Failed to load categories:', error)
+    }
+  }
+
+  const loadCardTransactions = async () => {
+    try {
+      const response = await API.get('/card-transactions?status=UNMATCHED')
+      setCardTransactions(response.data.transactions)
+      return response.data.transactions
+    } catch (error) {
+      console.error('Failed to load card transactions:', error)
+      return []
+    }
+  }
+
+  const loadMileageSummary = async () => {
+    try {
+      const response = await API.get('/mileage/summary')
+      setMileageSummary(response.data)
+    } catch (error) {
+      console.error('Failed to load mileage summary:', error)
+    }
+  }
+
+  // Form values of a saved draft: the reverse of buildExpenseFields
+  const toFormValues = (fields) => ({
+    ...defaultValues,
+    ...Object.fromEntries(
+      Object.keys(defaultValues)
+        .filter(key => fields[key] !== undefined && fields[key] !== null)
+        .map(key => [key, String(fields[key])])
+    ),
+    date: fields.date ? String(fields.date).split('T')[0] : defaultValues.date,
+    tags: Array.isArray(fields.tags) ? fields.tags.join(', ') : fields.tags || '',
+    includeLodging: String(fields.includeLodging) !== 'false',
+    destination: fields.country ? JSON.stringify({ country: fields.country, city: fields.city || null }) : '',
+  })
+
+  // Continue a draft started earlier, possibly on another device
+  const loadDraft = async (id) => {
+    try {
+      const [draftsResponse, transactions] = await Promise.all([
+        API.get('/expenses/drafts'),
+        loadCardTransactions(),
+      ])
+      const draft = draftsResponse.data.drafts.find(item => item.id === id)
+      if (!draft) {
+        draftId.current = null
+        setSearchParams({}, { replace: true })
+        toast.error('Draft not found; it may have been submitted or discarded')
+        return
       }
-      reader.readAsDataURL(file)
+
+      // Drafts generated by a recurring series have no saved form yet
+      const fields = draft.fields || {
+        expenseType: draft.expenseType,
+        originalAmount: draft.originalAmount,
+        originalCurrency: draft.originalCurrency,
+        category: draft.category,
+        description: draft.description,
+        merchant: draft.merchant,
+        date: draft.date,
+        projectId: draft.project?.id,
+        costCenterId: draft.costCenter?.id,
+        tags: draft.tags,
+      }
+
+      setExpenseType(fields.expenseType || 'RECEIPT')
+      reset(toFormValues(fields))
+      setProvidedMeals(Object.fromEntries((fields.providedMeals || []).map(day => [day.date, day.meals])))
+      setClaimedTransaction(transactions.find(transaction => transaction.id === parseInt(fields.cardTransactionId)) || null)
+      setDraftAttachments(draft.attachments)
+      setDraftSavedAt(new Date(draft.updatedAt))
+    } catch (error) {
+      // Start a new draft rather than overwrite one that could not be loaded
+      draftId.current = null
+      console.error('Failed to load draft:', error)
+      toast.error('Failed to load draft')
+    } finally {
+      draftReady.current = true
+    }
+  }
+
+  // Expense fields as POST /expenses takes them; a draft saves the same fields
+  const buildExpenseFields = (data) => {
+    const skippedFields = Object.entries(TYPE_FIELDS)
+      .filter(([type]) => type !== expenseType)
+      .flatMap(([, fields]) => fields)
+    const fields = {}
+    Object.keys(data)
+      .filter(key => !skippedFields.includes(key) && !RECURRENCE_FIELDS.includes(key) && key !== 'destination')
+      .forEach(key => {
+        fields[key] = data[key]
+      })
+    fields.expenseType = expenseType
+    if (isPerDiem) {
+      // A draft may not have a destination yet
+      if (data.destination) {
+        const { country, city } = JSON.parse(data.destination)
+        fields.country = country
+        if (city) {
+          fields.city = city
+        }
+      }
+      fields.providedMeals = toProvidedMealsList(providedMeals, listTripDays(data.date, data.endDate))
+    }
+    if (claimedTransaction) {
+      fields.cardTransactionId = claimedTransaction.id
+    }
+    return fields
+  }
+
+  const saveDraft = async () => {
+    // Nothing worth keeping until the employee changes something
+    if (!draftReady.current || loading || (!draftId.current && !isDirty && !claimedTransaction)) {
+      return
+    }
+
+    setDraftSaving(true)
+    try {
+      const fields = buildExpenseFields(getValues())
+      if (draftId.current) {
+        await API.put(`/expenses/drafts/${draftId.current}`, fields)
+      } else {
+        const response = await API.post('/expenses/drafts', fields)
+        draftId.current = response.data.draft.id
+        // Reloading the page continues the draft
+        setSearchParams({ draft: draftId.current }, { replace: true })
+      }
+      setDraftSavedAt(new Date())
+    } catch (error) {
+      console.error('Autosave failed:', error)
+    } finally {
+      setDraftSaving(false)
+    }
+  }
+
+  // Timers and queued saves run the latest saveDraft, which sees the current form state
+  const saveDraftRef = useRef(saveDraft)
+  saveDraftRef.current = saveDraft
+
+  // One save at a time, so a second change cannot start a second draft
+  const queueAutosave = () => {
+    autosaveQueue.current = autosaveQueue.current.then(() => saveDraftRef.current())
+    return autosaveQueue.current
+  }
+
+  const scheduleAutosave = () => {
+    clearTimeout(autosaveTimer.current)
+    autosaveTimer.current = setTimeout(() => {
+      autosaveTimer.current = null
+      queueAutosave()
+    }, AUTOSAVE_DELAY_MS)
+  }
+
+  const changeExpenseType = (type) => {
+    setExpenseType(type)
+    setDuplicates(null)
+    setViolations([])
+    // Card charges are documented by receipt expenses only
+    if (type !== 'RECEIPT') {
+      setClaimedTransaction(null)
+    }
+  }
+
+  // Pre-fill the form from the card charge; amount and currency must stay as charged
+  const claimTransaction = (transaction) => {
+    setClaimedTransaction(transaction)
+    setValue('originalAmount', transaction.amount)
+    setValue('originalCurrency', transaction.currency)
+    setValue('date', new Date(transaction.transactionDate).toISOString().split('T')[0])
+    setValue('merchant', transaction.merchant)
+    if (transaction.description) {
+      setValue('description', transaction.description)
     }
   }
 
+  const handleFileSelect = (e) => {
+    const selected = Array.from(e.target.files)
+    e.target.value = ''
+
+    if (draftAttachments.length + attachments.length + selected.length > MAX_ATTACHMENTS) {
+      toast.error(`You can attach at most ${MAX_ATTACHMENTS} files`)
+      return
+    }
+
+    setAttachments(prev => [
+      ...prev,
+      ...selected.map(file => ({
+        file,
+        // Create preview for images
+        preview: file.type.startsWith('image/') ? URL.createObjectURL(file) : null
+      }))
+    ])
+  }
+
+  const removeAttachment = (index) => {
+    const removed = attachments[index]
+    if (removed.preview) {
+      URL.revokeObjectURL(removed.preview)
+    }
+    if (index === 0) {
+      setExtractedData(null)
+    }
+    setAttachments(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const receiptFile = attachments.length > 0 ? attachments[0].file : null
+
   const processReceipt = async () => {
     if (!receiptFile) {
       toast.error('Please select a receipt file first')
@@ -109,67 +465,149 @@ const SubmitExpense = () => {
     }
   }
 
+  const checkDuplicates = async (data) => {
+    try {
+      const contentHashes = window.crypto?.subtle
+        ? await Promise.all(attachments.map(attachment => hashFile(attachment.file)))
+        : []
+
+      const response = await API.post('/expenses/duplicate-check', {
+        originalAmount: data.originalAmount,
+        originalCurrency: data.originalCurrency,
+        date: data.date,
+        category: data.category,
+        merchant: data.merchant,
+        contentHashes,
+        expenseId: draftId.current || undefined,
+      })
+      return response.data.duplicates
+    } catch (error) {
+      // The check only warns, so a failure should not stop the submission
+      console.error('Duplicate check failed:', error)
+      return []
+    }
+  }
+
+  // The submitted expense becomes the first occurrence of the series
+  const createRecurringSeries = async (expenseId, data) => {
+    try {
+      await API.post('/recurring-expenses', {
+        expenseId,
+        frequency: data.frequency,
+        cronExpression: data.frequency === 'CUSTOM' ? data.cronExpression : null,
+        endDate: data.repeatUntil || null,
+        submitMode: data.submitMode,
+        includeReceipt: data.includeReceipt,
+      })
+      toast.success('Expense will repeat on its schedule')
+    } catch (error) {
+      console.error('Create recurring expense failed:', error)
+      toast.error(`Expense submitted, but it could not be repeated: ${error.response?.data?.error || 'unknown error'}`)
+    }
+  }
+
   const onSubmit = async (data) => {
     setLoading(true)
+    setViolations([])
     
     try {
-      const formData = new FormData()
-      
-      // Add expense data
-      Object.keys(data).forEach(key => {
-        formData.append(key, data[key])
-      })
-
-      // Add receipt file if exists
-      if (receiptFile) {
-        formData.append('receipt', receiptFile)
+      // Submitting again after the warning was shown means the user confirmed it
+      if (isReceipt && duplicates === null) {
+        const found = await checkDuplicates(data)
+        if (found.length > 0) {
+          setDuplicates(found)
+          return
+        }
       }
 
-      const response = await API.post('/expenses', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-      })
+      // Let a running autosave finish, so the draft it may have started is the one submitted
+      clearTimeout(autosaveTimer.current)
+      autosaveTimer.current = null
+      await autosaveQueue.current
+
+      const fields = buildExpenseFields(data)
+      let response
+      if (draftId.current) {
+        await API.put(`/expenses/drafts/${draftId.current}`, fields)
+
+        // Files are uploaded to the draft once; if the submission fails they stay on it
+        if (attachments.length > 0) {
+          const formData = new FormData()
+          attachments.forEach(attachment => {
+            formData.append('attachments', attachment.file)
+          })
+          const uploaded = await API.post(`/expenses/${draftId.current}/attachments`, formData, {
+            headers: {
+              'Content-Type': 'multipart/form-data',
+            },
+          })
+          attachments.forEach(attachment => attachment.preview && URL.revokeObjectURL(attachment.preview))
+          setAttachments([])
+          setDraftAttachments(prev => [...prev, ...uploaded.data.attachments])
+        }
 
-      toast.success('Expense submitted successfully!')
+        response = await API.post(`/expenses/${draftId.current}/submit`)
+      } else {
+        const formData = new FormData()
+
+        // Add expense data
+        Object.entries(fields).forEach(([key, value]) => {
+          formData.append(key, key === 'providedMeals' ? JSON.stringify(value) : value)
+        })
+
+        // Add receipt and supporting documents
+        attachments.forEach(attachment => {
+          formData.append('attachments', attachment.file)
+        })
+
+        response = await API.post('/expenses', formData, {
+          headers: {
+            'Content-Type': 'multipart/form-data',
+          },
+        })
+      }
+
+      toast.success(response.data.expense.policyViolations.length > 0
+        ? 'Expense submitted with policy warnings'
+        : 'Expense submitted successfully!')
+      if (!claimedTransaction && response.data.expense.cardTransaction) {
+        toast.success('Matched to a card transaction from your statement')
+      }
+      if (isReceipt && data.repeat) {
+        await createRecurringSeries(response.data.expense.id, data)
+      }
       
       // Reset form
-      setReceiptFile(null)
-      setReceiptPreview(null)
+      attachments.forEach(attachment => attachment.preview && URL.revokeObjectURL(attachment.preview))
+      setAttachments([])
       setExtractedData(null)
+      setDuplicates(null)
+      setClaimedTransaction(null)
+      setMileageQuote(null)
+      loadCardTransactions()
+      loadMileageSummary()
       
-      // Reset form values
-      setValue('originalAmount', '')
-      setValue('category', '')
-      setValue('description', '')
-      setValue('date', new Date().toISOString().split('T')[0])
-      
+      // Start over, keeping the currency and vehicle; a clean form starts no new draft
+      draftId.current = null
+      setDraftAttachments([])
+      setDraftSavedAt(null)
+      setSearchParams({}, { replace: true })
+      setProvidedMeals({})
+      reset({
+        ...defaultValues,
+        originalCurrency: data.originalCurrency,
+        vehicleType: data.vehicleType,
+      })
     } catch (error) {
       console.error('Submit expense failed:', error)
       const errorMessage = error.response?.data?.error || 'Failed to submit expense'
       toast.error(errorMessage)
+      setViolations(error.response?.data?.violations || [])
     } finally {
       setLoading(false)
     }
   }
 
-  const removeReceipt = () => {
-    setReceiptFile(null)
-    setReceiptPreview(null)
-    setExtractedData(null)
-  }
-
-  const expenseCategories = [
-    'Meals',
-    'Transportation',
-    'Accommodation',
-    'Office Supplies',
-    'Software',
-    'Marketing',
-    'Travel',
-    'Other'
-  ]
-
   return (
     <div className="max-w-2xl mx-auto space-y-6">
       <div className="text-center">
@@ -177,71 +615,182 @@ const SubmitExpense = () => {
         <p className="text-gray-600 mt-2">Submit a new expense claim with receipt</p>
       </div>
 
+      {isReceipt && cardTransactions.length > 0 && (
+        <div className="card">
+          <div className="card-body">
+            <div className="flex items-center mb-3">
+              <CreditCardIcon className="h-5 w-5 text-gray-400 mr-2" />
+              <h3 className="text-lg font-medium text-gray-900">Unclaimed card charges</h3>
+            </div>
+            <p className="text-sm text-gray-500 mb-3">
+              These company card charges have no expense yet. Claim one to fill in the form from the statement.
+            </p>
+            <ul className="divide-y divide-gray-200">
+              {cardTransactions.map(transaction => (
+                <li key={transaction.id} className="py-2 flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {formatMoney(transaction.amount, transaction.currency)} • {transaction.merchant}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(transaction.transactionDate).toLocaleDateString()}
+                      {transaction.description && ` • ${transaction.description}`}
+                    </p>
+                  </div>
+                  {claimedTransaction?.id === transaction.id ? (
+                    <span className="badge badge-info">Claimed</span>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => claimTransaction(transaction)}
+                      className="btn btn-secondary btn-sm"
+                    >
+                      Claim
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
       <div className="card">
         <div className="card-body">
           <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+            <div className="flex rounded-lg border border-gray-200 p-1">
+              {[
+                { value: 'RECEIPT', label: 'Receipt', icon: DocumentTextIcon },
+                { value: 'MILEAGE', label: 'Mileage', icon: MapIcon },
+                { value: 'PER_DIEM', label: 'Per diem', icon: GlobeAltIcon },
+              ].map(option => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => changeExpenseType(option.value)}
+                  className={`flex-1 flex items-center justify-center py-2 text-sm font-medium rounded-md ${
+                    expenseType === option.value
+                      ? 'bg-primary-100 text-primary-700'
+                      : 'text-gray-500 hover:text-gray-700'
+                  }`}
+                >
+                  <option.icon className="h-4 w-4 mr-2" />
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            {claimedTransaction && (
+              <div className="bg-primary-50 border border-primary-200 rounded-lg p-4 flex items-start justify-between">
+                <div className="flex items-start">
+                  <CreditCardIcon className="h-5 w-5 text-primary-600 mr-2 flex-shrink-0" />
+                  <p className="text-sm text-primary-900">
+                    Claiming the card charge of {formatMoney(claimedTransaction.amount, claimedTransaction.currency)} at {claimedTransaction.merchant} on {new Date(claimedTransaction.transactionDate).toLocaleDateString()}. Amount and currency must stay as charged.
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setClaimedTransaction(null)}
+                  className="text-primary-400 hover:text-primary-500"
+                  title="Don't claim"
+                >
+                  <XMarkIcon className="h-4 w-4" />
+                </button>
+              </div>
+            )}
+
             {/* Receipt Upload Section */}
             <div className="space-y-4">
-              <h3 className="text-lg font-medium text-gray-900">Receipt Upload</h3>
+              <h3 className="text-lg font-medium text-gray-900">Receipts & Documents</h3>
+
+              {draftAttachments.length > 0 && (
+                <div>
+                  <p className="text-sm text-gray-500 mb-2">Already attached to this draft:</p>
+                  <AttachmentViewer attachments={draftAttachments} />
+                </div>
+              )}
               
-              {!receiptFile ? (
+              {attachments.length === 0 ? (
                 <div className="border-2 border-dashed border-gray-300 rounded-lg p-6">
                   <div className="text-center">
                     <CameraIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
                     <div className="flex justify-center">
                       <label className="btn btn-primary cursor-pointer">
                         <DocumentArrowUpIcon className="h-4 w-4 mr-2" />
-                        Upload Receipt
+                        {isReceipt ? 'Upload Receipt' : 'Upload Files'}
                         <input
                           type="file"
                           accept="image/*,.pdf"
+                          multiple
                           onChange={handleFileSelect}
                           className="hidden"
                         />
                       </label>
                     </div>
                     <p className="text-sm text-gray-500 mt-2">
-                      Upload a receipt image or PDF (max 5MB)
+                      {UPLOAD_HINTS[expenseType]}
                     </p>
                   </div>
                 </div>
               ) : (
                 <div className="space-y-4">
-                  <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
-                    <div className="flex items-center space-x-3">
-                      <DocumentArrowUpIcon className="h-8 w-8 text-primary-600" />
-                      <div>
-                        <p className="text-sm font-medium text-gray-900">{receiptFile.name}</p>
-                        <p className="text-sm text-gray-500">
-                          {(receiptFile.size / 1024 / 1024).toFixed(2)} MB
-                        </p>
+                  <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                    {attachments.map((attachment, index) => (
+                      <div
+                        key={`${attachment.file.name}-${index}`}
+                        className="relative rounded-lg border border-gray-200 bg-gray-50 overflow-hidden"
+                      >
+                        {attachment.preview ? (
+                          <img
+                            src={attachment.preview}
+                            alt={attachment.file.name}
+                            className="h-32 w-full object-cover"
+                          />
+                        ) : (
+                          <div className="h-32 flex items-center justify-center">
+                            <DocumentTextIcon className="h-12 w-12 text-gray-400" />
+                          </div>
+                        )}
+                        <div className="px-2 py-1 border-t border-gray-200 bg-white">
+                          <p className="text-xs font-medium text-gray-900 truncate">{attachment.file.name}</p>
+                          <p className="text-xs text-gray-500">
+                            {(attachment.file.size / 1024 / 1024).toFixed(2)} MB
+                          </p>
+                        </div>
+                        {index === 0 && isReceipt && draftAttachments.length === 0 && (
+                          <span className="absolute top-1 left-1 badge badge-info">Receipt</span>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => removeAttachment(index)}
+                          className="absolute top-1 right-1 rounded-full bg-white p-1 shadow text-gray-400 hover:text-gray-500"
+                        >
+                          <XMarkIcon className="h-4 w-4" />
+                        </button>
                       </div>
-                    </div>
-                    <button
-                      type="button"
-                      onClick={removeReceipt}
-                      className="text-gray-400 hover:text-gray-500"
-                    >
-                      <XMarkIcon className="h-5 w-5" />
-                    </button>
-                  </div>
+                    ))}
 
-                  {receiptPreview && (
-                    <div className="text-center">
-                      <img
-                        src={receiptPreview}
-                        alt="Receipt preview"
-                        className="max-h-64 mx-auto rounded-lg shadow-sm border border-gray-200"
-                      />
-                    </div>
-                  )}
+                    {draftAttachments.length + attachments.length < MAX_ATTACHMENTS && (
+                      <label className="h-full min-h-[10rem] rounded-lg border-2 border-dashed border-gray-300 flex flex-col items-center justify-center cursor-pointer text-gray-500 hover:border-primary-400 hover:text-primary-600">
+                        <PlusIcon className="h-8 w-8 mb-1" />
+                        <span className="text-sm">Add Files</span>
+                        <input
+                          type="file"
+                          accept="image/*,.pdf"
+                          multiple
+                          onChange={handleFileSelect}
+                          className="hidden"
+                        />
+                      </label>
+                    )}
+                  </div>
 
-                  <div className="flex space-x-3">
+                  {isReceipt && (
                     <button
                       type="button"
                       onClick={processReceipt}
                       disabled={ocrLoading}
-                      className="btn btn-secondary flex-1"
+                      className="btn btn-secondary w-full"
                     >
                       {ocrLoading ? (
                         <div className="flex items-center">
@@ -251,27 +800,17 @@ const SubmitExpense = () => {
                       ) : (
                         <div className="flex items-center">
                           <SparklesIcon className="h-4 w-4 mr-2" />
-                          Extract Data with OCR
+                          Extract Data from Receipt with OCR
                         </div>
                       )}
                     </button>
-                    <label className="btn btn-outline flex-1 cursor-pointer">
-                      <DocumentArrowUpIcon className="h-4 w-4 mr-2" />
-                      Change File
-                      <input
-                        type="file"
-                        accept="image/*,.pdf"
-                        onChange={handleFileSelect}
-                        className="hidden"
-                      />
-                    </label>
-                  </div>
+                  )}
                 </div>
               )}
             </div>
 
             {/* Extracted Data Display */}
-            {extractedData && (
+            {isReceipt && extractedData && (
               <div className="bg-primary-50 border border-primary-200 rounded-lg p-4">
                 <h4 className="text-sm font-medium text-primary-900 mb-2">Extracted Data:</h4>
                 <div className="grid grid-cols-2 gap-4 text-sm">
@@ -304,35 +843,139 @@ const SubmitExpense = () => {
             )}
 
             {/* Expense Form */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label className="label">Amount *</label>
-                <input
-                  {...register('originalAmount', { 
-                    required: 'Amount is required',
-                    min: { value: 0.01, message: 'Amount must be greater than 0' }
-                  })}
-                  type="number"
-                  step="0.01"
-                  className="input"
-                  placeholder="0.00"
-                />
-                {errors.originalAmount && (
-                  <p className="text-danger-600 text-sm mt-1">{errors.originalAmount.message}</p>
+            {isMileage && (
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="label">From *</label>
+                    <input
+                      {...register('startLocation', { required: isMileage && 'Start location is required' })}
+                      type="text"
+                      className="input"
+                      placeholder="e.g. Office, Berlin"
+                    />
+                    {errors.startLocation && (
+                      <p className="text-danger-600 text-sm mt-1">{errors.startLocation.message}</p>
+                    )}
+                  </div>
+                  <div>
+                    <label className="label">To *</label>
+                    <input
+                      {...register('endLocation', { required: isMileage && 'End location is required' })}
+                      type="text"
+                      className="input"
+                      placeholder="e.g. Customer site, Potsdam"
+                    />
+                    {errors.endLocation && (
+                      <p className="text-danger-600 text-sm mt-1">{errors.endLocation.message}</p>
+                    )}
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="label">Distance (km) *</label>
+                    <input
+                      {...register('distance', {
+                        required: isMileage && 'Distance is required',
+                        min: isMileage ? { value: 0.1, message: 'Distance must be greater than 0' } : undefined
+                      })}
+                      type="number"
+                      step="0.1"
+                      className="input"
+                      placeholder="0.0"
+                    />
+                    {errors.distance && (
+                      <p className="text-danger-600 text-sm mt-1">{errors.distance.message}</p>
+                    )}
+                  </div>
+                  <div>
+                    <label className="label">Vehicle *</label>
+                    <select {...register('vehicleType')} className="input">
+                      {vehicleTypes.map(type => (
+                        <option key={type.value} value={type.value}>
+                          {type.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                {mileageQuote && (
+                  mileageQuote.error ? (
+                    <p className="text-danger-600 text-sm">{mileageQuote.error}</p>
+                  ) : (
+                    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+                      <h4 className="text-sm font-medium text-gray-900 mb-2">
+                        Reimbursement: {formatMoney(mileageQuote.amount, mileageQuote.currency)}
+                      </h4>
+                      <ul className="text-sm text-gray-600">
+                        {mileageQuote.breakdown.map(tier => (
+                          <li key={tier.fromKm}>
+                            {formatDistance(tier.distanceKm)} × {tier.rate} {mileageQuote.currency}/km
+                            {tier.fromKm > 0 && ` (rate above ${formatDistance(tier.fromKm)} a year)`}
+                          </li>
+                        ))}
+                      </ul>
+                      <p className="text-xs text-gray-500 mt-2">
+                        You already claimed {formatDistance(mileageQuote.priorDistanceKm)} this year.
+                      </p>
+                    </div>
+                  )
+                )}
+
+                {mileageSummary?.vehicles.length > 0 && (
+                  <p className="text-xs text-gray-500">
+                    Claimed in {mileageSummary.year}:{' '}
+                    {mileageSummary.vehicles
+                      .map(vehicle => `${formatDistance(vehicle.distanceKm)} by ${getVehicleLabel(vehicle.vehicleType).toLowerCase()} (${vehicle.trips} trip(s))`)
+                      .join(', ')}
+                  </p>
                 )}
               </div>
+            )}
 
-              <div>
-                <label className="label">Currency *</label>
-                <select {...register('originalCurrency')} className="input">
-                  {currencies.map((currency) => (
-                    <option key={currency} value={currency}>
-                      {currency}
-                    </option>
-                  ))}
-                </select>
+            {isPerDiem && (
+              <PerDiemFields
+                register={register}
+                errors={errors}
+                watch={watch}
+                providedMeals={providedMeals}
+                onProvidedMealsChange={setProvidedMeals}
+              />
+            )}
+
+            {isReceipt && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="label">Amount *</label>
+                  <input
+                    {...register('originalAmount', {
+                      required: isReceipt && 'Amount is required',
+                      min: isReceipt ? { value: amountStep, message: 'Amount must be greater than 0' } : undefined
+                    })}
+                    type="number"
+                    step={amountStep}
+                    className="input"
+                    placeholder="0.00"
+                  />
+                  {errors.originalAmount && (
+                    <p className="text-danger-600 text-sm mt-1">{errors.originalAmount.message}</p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="label">Currency *</label>
+                  <select {...register('originalCurrency')} className="input">
+                    {currencies.map((currency) => (
+                      <option key={currency} value={currency}>
+                        {currency}
+                      </option>
+                    ))}
+                  </select>
+                </div>
               </div>
-            </div>
+            )}
 
             <div>
               <label className="label">Category *</label>
@@ -341,7 +984,7 @@ const SubmitExpense = () => {
                 className="input"
               >
                 <option value="">Select a category</option>
-                {expenseCategories.map((category) => (
+                {categories.map((category) => (
                   <option key={category} value={category}>
                     {category}
                   </option>
@@ -352,6 +995,24 @@ const SubmitExpense = () => {
               )}
             </div>
 
+            {isReceipt && (
+              <div>
+                <label className="label">Merchant</label>
+                <input
+                  {...register('merchant')}
+                  type="text"
+                  className="input"
+                  placeholder="e.g. Hotel Adlon"
+                />
+              </div>
+            )}
+
+            <DimensionFields
+              register={register}
+              errors={errors}
+              category={watch('category')}
+            />
+
             <div>
               <label className="label">Description</label>
               <textarea
@@ -363,7 +1024,7 @@ const SubmitExpense = () => {
             </div>
 
             <div>
-              <label className="label">Date *</label>
+              <label className="label">{isPerDiem ? 'Departure date *' : 'Date *'}</label>
               <input
                 {...register('date', { required: 'Date is required' })}
                 type="date"
@@ -374,8 +1035,42 @@ const SubmitExpense = () => {
               )}
             </div>
 
+            {isReceipt && (
+              <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    {...register('repeat')}
+                    type="checkbox"
+                    className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+                  />
+                  <ArrowPathIcon className="h-4 w-4 mr-1 text-gray-400" />
+                  Repeat this expense, e.g. a subscription or phone bill
+                </label>
+
+                {watchedRepeat && (
+                  <>
+                    <RecurrenceFields register={register} errors={errors} watch={watch} />
+                    {attachments.length > 0 && (
+                      <label className="flex items-center text-sm text-gray-700">
+                        <input
+                          {...register('includeReceipt')}
+                          type="checkbox"
+                          className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+                        />
+                        Attach {attachments[0].file.name} to every occurrence
+                      </label>
+                    )}
+                    <p className="text-xs text-gray-500">
+                      This expense is the first occurrence; the next ones are created automatically.
+                      Pause, edit or end the series under <Link to="/recurring" className="text-primary-600 hover:text-primary-500">Recurring</Link>.
+                    </p>
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Company Currency Conversion Display */}
-            {watchedAmount && watchedCurrency !== user?.company?.currency && (
+            {isReceipt && watchedAmount && watchedCurrency !== user?.company?.currency && (
               <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
                 <h4 className="text-sm font-medium text-gray-900 mb-2">Currency Conversion:</h4>
                 <p className="text-sm text-gray-600">
@@ -384,6 +1079,48 @@ const SubmitExpense = () => {
               </div>
             )}
 
+            {violations.length > 0 && (
+              <div className="bg-danger-50 border border-danger-200 rounded-lg p-4">
+                <h4 className="text-sm font-medium text-danger-800">This expense breaks company policy:</h4>
+                <PolicyViolations violations={violations} />
+              </div>
+            )}
+
+            {duplicates?.length > 0 && (
+              <div className="bg-warning-50 border border-warning-200 rounded-lg p-4">
+                <div className="flex items-start">
+                  <ExclamationTriangleIcon className="h-5 w-5 text-warning-600 mr-2 flex-shrink-0" />
+                  <div className="flex-1">
+                    <h4 className="text-sm font-medium text-warning-800">
+                      This looks like an expense that was already submitted:
+                    </h4>
+                    <ul className="mt-2 space-y-2">
+                      {duplicates.map(duplicate => (
+                        <li key={duplicate.expenseId} className="text-sm text-warning-800">
+                          <span className="font-medium">
+                            {formatMoney(duplicate.originalAmount, duplicate.originalCurrency)}
+                          </span>
+                          {' '}{duplicate.merchant || duplicate.category} on {new Date(duplicate.date).toLocaleDateString()}
+                          {' '}({duplicate.isOwn ? 'your expense' : `submitted by ${duplicate.submittedBy}`}, {duplicate.status.toLowerCase()})
+                          <span className="block text-xs text-warning-700">
+                            Same {duplicate.matchedOn.join(', ')}
+                          </span>
+                          {duplicate.isOwn && (
+                            <Link to="/history" className="text-xs font-medium text-primary-600 hover:text-primary-500">
+                              View in history
+                            </Link>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                    <p className="text-sm text-warning-700 mt-2">
+                      If this is a different expense, submit it anyway; approvers will see the possible duplicate.
+                    </p>
+                  </div>
+                </div>
+              </div>
+            )}
+
             <div className="flex space-x-4">
               <button
                 type="submit"
@@ -395,11 +1132,21 @@ const SubmitExpense = () => {
                     <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
                     Submitting...
                   </div>
+                ) : duplicates?.length > 0 ? (
+                  'Submit Anyway'
                 ) : (
                   'Submit Expense'
                 )}
               </button>
             </div>
+
+            {(draftSaving || draftSavedAt) && (
+              <p className="text-xs text-gray-500 text-right">
+                {draftSaving
+                  ? 'Saving draft...'
+                  : `Draft saved at ${draftSavedAt.toLocaleTimeString()}; finish it later from your history`}
+              </p>
+            )}
       </form>
         </div>
       </div>
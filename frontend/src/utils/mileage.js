@@ -0,0 +1,14 @@
+// Vehicle types mileage rates are configured for; matches the backend's VEHICLE_TYPES
+export const vehicleTypes = [
+  { value: 'CAR', label: 'Car' },
+  { value: 'ELECTRIC_CAR', label: 'Electric car' },
+  { value: 'MOTORCYCLE', label: 'Motorcycle' },
+  { value: 'BICYCLE', label: 'Bicycle' },
+]
+
+export const getVehicleLabel = (vehicleType) =>
+  vehicleTypes.find(type => type.value === vehicleType)?.label || vehicleType
+
+// Distances are recorded to 0.1 km
+export const formatDistance = (distanceKm) =>
+  `${Number(distanceKm || 0).toLocaleString(undefined, { maximumFractionDigits: 1 })} km`
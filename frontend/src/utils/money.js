@@ -0,0 +1,49 @@
+const formatters = new Map()
+
+const getFormatter = (currency) => {
+  if (!formatters.has(currency)) {
+    formatters.set(currency, new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency,
+      currencyDisplay: 'code',
+    }))
+  }
+  return formatters.get(currency)
+}
+
+// Number of decimals of a currency: 2 for USD, 0 for JPY, 3 for KWD
+export const getMinorUnits = (currency) => {
+  try {
+    return getFormatter(currency).resolvedOptions().maximumFractionDigits
+  } catch (error) {
+    return 2
+  }
+}
+
+// Format an amount with its currency code and the currency's own number of decimals
+export const formatMoney = (amount, currency) => {
+  if (amount === null || amount === undefined) return '—'
+
+  try {
+    return getFormatter(currency).format(amount)
+  } catch (error) {
+    return `${currency} ${Number(amount).toFixed(2)}`
+  }
+}
+
+// Format an amount with the currency's number of decimals but without the code, for columns headed by it
+export const formatAmount = (amount, currency) => {
+  if (amount === null || amount === undefined) return '—'
+
+  const minorUnits = getMinorUnits(currency)
+  return Number(amount).toLocaleString(undefined, {
+    minimumFractionDigits: minorUnits,
+    maximumFractionDigits: minorUnits,
+  })
+}
+
+// Smallest amount that can be entered in a currency, used as the step and minimum of amount inputs
+export const getAmountStep = (currency) => {
+  const minorUnits = getMinorUnits(currency)
+  return minorUnits === 0 ? 1 : Number(`0.${'0'.repeat(minorUnits - 1)}1`)
+}
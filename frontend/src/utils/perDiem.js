@@ -0,0 +1,27 @@
+// Meals that can be deducted from a per diem; matches the backend's MEALS
+export const meals = [
+  { value: 'BREAKFAST', label: 'Breakfast' },
+  { value: 'LUNCH', label: 'Lunch' },
+  { value: 'DINNER', label: 'Dinner' },
+]
+
+// Matches the backend's MAX_TRIP_DAYS
+export const MAX_TRIP_DAYS = 90
+
+export const formatDestination = ({ country, city }) => (city ? `${city}, ${country}` : country)
+
+// Calendar days from the departure to the return date, as YYYY-MM-DD
+export const listTripDays = (startDate, endDate) => {
+  const days = []
+  if (!startDate || !endDate) return days
+
+  for (let day = new Date(startDate); day <= new Date(endDate) && days.length < MAX_TRIP_DAYS; day.setUTCDate(day.getUTCDate() + 1)) {
+    days.push(day.toISOString().split('T')[0])
+  }
+  return days
+}
+
+// Meals provided on the days of a trip, in the form the API takes them: [{ date, meals }]
+export const toProvidedMealsList = (providedMeals, tripDays) => tripDays
+  .filter(day => providedMeals[day]?.length > 0)
+  .map(day => ({ date: day, meals: providedMeals[day] }))
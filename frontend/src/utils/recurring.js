@@ -0,0 +1,24 @@
+// Schedules of recurring expenses; matches the backend's FREQUENCIES
+export const frequencies = [
+  { value: 'MONTHLY', label: 'Monthly' },
+  { value: 'QUARTERLY', label: 'Quarterly' },
+  { value: 'CUSTOM', label: 'Custom (cron)' },
+]
+
+export const submitModes = [
+  { value: 'SUBMIT', label: 'Submit for approval' },
+  { value: 'DRAFT', label: 'Save as draft to review' },
+]
+
+// Monthly and quarterly series repeat on the day of month of their start date
+export const describeSchedule = (series) => {
+  const day = new Date(series.startDate).getUTCDate()
+  switch (series.frequency) {
+    case 'MONTHLY':
+      return `Monthly on day ${day}`
+    case 'QUARTERLY':
+      return `Every 3 months on day ${day}`
+    default:
+      return `Cron: ${series.cronExpression}`
+  }
+}
@@ -1,7 +1,7 @@
 const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('@prisma/client');
+const { createPrismaClient } = require('../utils/prisma');
 
-const prisma = new PrismaClient();
+const prisma = createPrismaClient();
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
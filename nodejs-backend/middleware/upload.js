@@ -1,25 +1,29 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
+const { getStorageDriver, createStorageKey, streamToBuffer } = require('../utils/storage');
+const { hashContent } = require('../utils/duplicates');
 
-// Ensure upload directory exists
-const uploadDir = process.env.UPLOAD_PATH || './uploads';
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+// Configure multer to write uploads to the configured storage backend
+// Uploaded files get `key`, `storage` (the driver name) and `contentHash` instead of a disk path
+const storage = {
+  _handleFile: (req, file, cb) => {
+    const key = createStorageKey(file.originalname);
+    const driver = getStorageDriver();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
+    // Uploads are capped by MAX_FILE_SIZE, so buffering them is cheap
+    streamToBuffer(file.stream)
+      .then(async (body) => {
+        await driver.put(key, body, file.mimetype);
+        cb(null, { key: key, storage: driver.name, size: body.length, contentHash: hashContent(body) });
+      })
+      .catch(cb);
   },
-  filename: (req, file, cb) => {
-    // Generate unique filename with timestamp
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, `receipt-${uniqueSuffix}${ext}`);
+  _removeFile: (req, file, cb) => {
+    getStorageDriver(file.storage).remove(file.key)
+      .then(() => cb(null))
+      .catch(cb);
   }
-});
+};
 
 // File filter for receipts
 const fileFilter = (req, file, cb) => {
@@ -35,14 +39,35 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+const limits = {
+  fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB default
+};
+
 const upload = multer({
   storage: storage,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB default
-  },
+  limits: limits,
   fileFilter: fileFilter
 });
 
+// Files that are only processed and never kept (e.g. OCR) stay in memory
+const memoryUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: limits,
+  fileFilter: fileFilter
+});
+
+// Data files such as card statements are parsed in memory and never kept
+const dataFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: limits,
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|ofx|qfx|xml)$/.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV, OFX, QFX and XML files are allowed'));
+  }
+});
+
 // Middleware for single file upload
 const uploadSingle = (fieldName = 'receipt') => {
   return (req, res, next) => {
@@ -87,8 +112,54 @@ const uploadMultiple = (fieldName = 'receipts', maxCount = 5) => {
   };
 };
 
+// Middleware for a single file read from memory (req.file.buffer) instead of being stored
+const uploadToMemory = (fieldName = 'receipt') => {
+  return (req, res, next) => {
+    const uploadMiddleware = memoryUpload.single(fieldName);
+
+    uploadMiddleware(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({
+            error: 'File too large',
+            maxSize: process.env.MAX_FILE_SIZE || '5MB'
+          });
+        }
+        return res.status(400).json({ error: err.message });
+      } else if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      next();
+    });
+  };
+};
+
+// Middleware for a single data file read from memory (req.file.buffer)
+const uploadDataFile = (fieldName = 'file') => {
+  return (req, res, next) => {
+    const uploadMiddleware = dataFileUpload.single(fieldName);
+
+    uploadMiddleware(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({
+            error: 'File too large',
+            maxSize: process.env.MAX_FILE_SIZE || '5MB'
+          });
+        }
+        return res.status(400).json({ error: err.message });
+      } else if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      next();
+    });
+  };
+};
+
 module.exports = {
   upload,
   uploadSingle,
-  uploadMultiple
+  uploadMultiple,
+  uploadToMemory,
+  uploadDataFile
 };
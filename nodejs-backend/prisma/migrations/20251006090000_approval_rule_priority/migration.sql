@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "approval_rules" ADD COLUMN "priority" INTEGER NOT NULL DEFAULT 0;
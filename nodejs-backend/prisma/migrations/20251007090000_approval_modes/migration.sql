@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "approval_sequences" ADD COLUMN "mode" TEXT NOT NULL DEFAULT 'SEQUENTIAL';
+
+-- AlterTable
+ALTER TABLE "expense_approvals" ADD COLUMN "stage" INTEGER NOT NULL DEFAULT 0;
+
+-- Existing chains follow the default sequential mode
+UPDATE "expense_approvals" SET "stage" = "order";
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "delegateId" INTEGER REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "users" ADD COLUMN "delegateFrom" DATETIME;
+ALTER TABLE "users" ADD COLUMN "delegateUntil" DATETIME;
+
+-- AlterTable
+ALTER TABLE "expense_approvals" ADD COLUMN "originalApproverId" INTEGER REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "expense_approvals" ADD COLUMN "actedById" INTEGER REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
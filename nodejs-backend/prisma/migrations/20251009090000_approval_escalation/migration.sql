@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "companies" ADD COLUMN "approvalSlaHours" INTEGER;
+ALTER TABLE "companies" ADD COLUMN "escalationRole" TEXT;
+
+-- AlterTable
+ALTER TABLE "expense_approvals" ADD COLUMN "escalatedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "approval_escalations" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "approvalId" INTEGER NOT NULL,
+    "expenseId" INTEGER NOT NULL,
+    "fromApproverId" INTEGER,
+    "toApproverId" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "approval_escalations_approvalId_fkey" FOREIGN KEY ("approvalId") REFERENCES "expense_approvals" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "approval_escalations_expenseId_fkey" FOREIGN KEY ("expenseId") REFERENCES "expenses" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "approval_escalations_fromApproverId_fkey" FOREIGN KEY ("fromApproverId") REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "approval_escalations_toApproverId_fkey" FOREIGN KEY ("toApproverId") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "companies" ADD COLUMN "resubmissionPolicy" TEXT NOT NULL DEFAULT 'RESTART';
+
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN "revision" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "expense_approvals" ADD COLUMN "supersededAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "expense_revisions" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "expenseId" INTEGER NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "originalAmount" REAL NOT NULL,
+    "originalCurrency" TEXT NOT NULL,
+    "companyAmount" REAL,
+    "category" TEXT NOT NULL,
+    "description" TEXT,
+    "date" DATETIME NOT NULL,
+    "receiptPath" TEXT,
+    "approvals" TEXT NOT NULL,
+    "createdById" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "expense_revisions_expenseId_fkey" FOREIGN KEY ("expenseId") REFERENCES "expenses" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "expense_revisions_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "expense_revisions_expenseId_revision_key" ON "expense_revisions"("expenseId", "revision");
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "companies" ADD COLUMN "iban" TEXT;
+ALTER TABLE "companies" ADD COLUMN "bic" TEXT;
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "iban" TEXT;
+ALTER TABLE "users" ADD COLUMN "bic" TEXT;
+
+-- CreateTable
+CREATE TABLE "reimbursement_batches" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "totalAmount" REAL NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'SCHEDULED',
+    "scheduledFor" DATETIME NOT NULL,
+    "paymentReference" TEXT,
+    "paidAt" DATETIME,
+    "createdById" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "reimbursement_batches_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "reimbursement_batches_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "reimbursement_batches_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN "reimbursementBatchId" INTEGER REFERENCES "reimbursement_batches" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,75 @@
+-- CreateTable
+CREATE TABLE "expense_reports" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "purpose" TEXT,
+    "startDate" DATETIME NOT NULL,
+    "endDate" DATETIME NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'DRAFT',
+    "submittedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "expense_reports_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "expense_reports_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN "reportId" INTEGER REFERENCES "expense_reports" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "expenses" ADD COLUMN "reviewComment" TEXT;
+
+-- Approvals and escalations belong to either an expense or a report, so expenseId becomes optional
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+
+-- RedefineTables
+CREATE TABLE "new_expense_approvals" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "expenseId" INTEGER,
+    "reportId" INTEGER,
+    "approverId" INTEGER,
+    "originalApproverId" INTEGER,
+    "actedById" INTEGER,
+    "approverRole" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "comment" TEXT,
+    "order" INTEGER NOT NULL,
+    "stage" INTEGER NOT NULL DEFAULT 0,
+    "escalatedAt" DATETIME,
+    "supersededAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "expense_approvals_expenseId_fkey" FOREIGN KEY ("expenseId") REFERENCES "expenses" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "expense_approvals_reportId_fkey" FOREIGN KEY ("reportId") REFERENCES "expense_reports" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "expense_approvals_approverId_fkey" FOREIGN KEY ("approverId") REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "expense_approvals_originalApproverId_fkey" FOREIGN KEY ("originalApproverId") REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "expense_approvals_actedById_fkey" FOREIGN KEY ("actedById") REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_expense_approvals" ("id", "expenseId", "approverId", "originalApproverId", "actedById", "approverRole", "status", "comment", "order", "stage", "escalatedAt", "supersededAt", "createdAt", "updatedAt")
+SELECT "id", "expenseId", "approverId", "originalApproverId", "actedById", "approverRole", "status", "comment", "order", "stage", "escalatedAt", "supersededAt", "createdAt", "updatedAt" FROM "expense_approvals";
+DROP TABLE "expense_approvals";
+ALTER TABLE "new_expense_approvals" RENAME TO "expense_approvals";
+
+CREATE TABLE "new_approval_escalations" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "approvalId" INTEGER NOT NULL,
+    "expenseId" INTEGER,
+    "reportId" INTEGER,
+    "fromApproverId" INTEGER,
+    "toApproverId" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "approval_escalations_approvalId_fkey" FOREIGN KEY ("approvalId") REFERENCES "expense_approvals" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "approval_escalations_expenseId_fkey" FOREIGN KEY ("expenseId") REFERENCES "expenses" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "approval_escalations_reportId_fkey" FOREIGN KEY ("reportId") REFERENCES "expense_reports" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "approval_escalations_fromApproverId_fkey" FOREIGN KEY ("fromApproverId") REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "approval_escalations_toApproverId_fkey" FOREIGN KEY ("toApproverId") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_approval_escalations" ("id", "approvalId", "expenseId", "fromApproverId", "toApproverId", "reason", "createdAt")
+SELECT "id", "approvalId", "expenseId", "fromApproverId", "toApproverId", "reason", "createdAt" FROM "approval_escalations";
+DROP TABLE "approval_escalations";
+ALTER TABLE "new_approval_escalations" RENAME TO "approval_escalations";
+
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
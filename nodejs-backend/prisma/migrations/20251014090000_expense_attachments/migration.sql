@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "expense_attachments" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "expenseId" INTEGER NOT NULL,
+    "filePath" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "mimeType" TEXT,
+    "size" INTEGER,
+    "uploadedById" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "expense_attachments_expenseId_fkey" FOREIGN KEY ("expenseId") REFERENCES "expenses" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "expense_attachments_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- Existing receipts become each expense's first attachment
+INSERT INTO "expense_attachments" ("expenseId", "filePath", "fileName", "uploadedById", "createdAt")
+SELECT "id", "receiptPath", replace(replace("receiptPath", '\', '/'), 'uploads/', ''), "userId", "createdAt"
+FROM "expenses"
+WHERE "receiptPath" IS NOT NULL;
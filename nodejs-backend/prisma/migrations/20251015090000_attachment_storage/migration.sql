@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "expense_attachments" RENAME COLUMN "filePath" TO "storageKey";
+ALTER TABLE "expense_attachments" ADD COLUMN "storage" TEXT NOT NULL DEFAULT 'local';
+
+-- Disk paths under the default upload directory become keys relative to it
+UPDATE "expense_attachments"
+SET "storageKey" = substr("storageKey", 9)
+WHERE "storageKey" LIKE 'uploads/%' OR "storageKey" LIKE 'uploads\%';
+
+UPDATE "expenses"
+SET "receiptPath" = substr("receiptPath", 9)
+WHERE "receiptPath" LIKE 'uploads/%' OR "receiptPath" LIKE 'uploads\%';
+
+UPDATE "expense_revisions"
+SET "receiptPath" = substr("receiptPath", 9)
+WHERE "receiptPath" LIKE 'uploads/%' OR "receiptPath" LIKE 'uploads\%';
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN "exchangeRate" REAL;
+ALTER TABLE "expenses" ADD COLUMN "rateSource" TEXT;
+ALTER TABLE "expenses" ADD COLUMN "rateDate" DATETIME;
+ALTER TABLE "expenses" ADD COLUMN "rateFetchedAt" DATETIME;
+ALTER TABLE "expenses" ADD COLUMN "conversionStatus" TEXT NOT NULL DEFAULT 'CONVERTED';
+
+-- Same-currency expenses need no rate
+UPDATE "expenses"
+SET "exchangeRate" = 1.0, "rateSource" = 'SAME_CURRENCY', "rateDate" = "date"
+WHERE "originalCurrency" = "companyCurrency";
+
+-- Conversions that failed silently are retried by the background job
+UPDATE "expenses"
+SET "conversionStatus" = 'PENDING'
+WHERE "companyAmount" IS NULL;
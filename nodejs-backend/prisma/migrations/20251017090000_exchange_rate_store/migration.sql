@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "exchange_rates" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "baseCurrency" TEXT NOT NULL,
+    "targetCurrency" TEXT NOT NULL,
+    "rate" REAL NOT NULL,
+    "rateDate" DATETIME NOT NULL,
+    "source" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "company_exchange_rates" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "baseCurrency" TEXT NOT NULL,
+    "targetCurrency" TEXT NOT NULL,
+    "rate" REAL NOT NULL,
+    "validFrom" DATETIME NOT NULL,
+    "validTo" DATETIME,
+    "note" TEXT,
+    "createdById" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "company_exchange_rates_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "company_exchange_rates_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "exchange_rates_baseCurrency_targetCurrency_rateDate_key" ON "exchange_rates"("baseCurrency", "targetCurrency", "rateDate");
+
+-- CreateIndex
+CREATE INDEX "exchange_rates_baseCurrency_targetCurrency_idx" ON "exchange_rates"("baseCurrency", "targetCurrency");
+
+-- CreateIndex
+CREATE INDEX "company_exchange_rates_companyId_baseCurrency_targetCurrency_idx" ON "company_exchange_rates"("companyId", "baseCurrency", "targetCurrency");
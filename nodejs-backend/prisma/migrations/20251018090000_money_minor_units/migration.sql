@@ -0,0 +1,56 @@
+-- Amounts become integers in the currency's minor unit (ISO 4217 exponent: 0 for JPY, 3 for KWD, 2 otherwise)
+
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN "originalAmountMinor" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "expenses" ADD COLUMN "companyAmountMinor" INTEGER;
+
+UPDATE "expenses" SET "originalAmountMinor" = CAST(ROUND("originalAmount" * CASE
+    WHEN "originalCurrency" IN ('BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF') THEN 1
+    WHEN "originalCurrency" IN ('BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND') THEN 1000
+    ELSE 100
+  END) AS INTEGER);
+
+UPDATE "expenses" SET "companyAmountMinor" = CAST(ROUND("companyAmount" * CASE
+    WHEN "companyCurrency" IN ('BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF') THEN 1
+    WHEN "companyCurrency" IN ('BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND') THEN 1000
+    ELSE 100
+  END) AS INTEGER)
+WHERE "companyAmount" IS NOT NULL;
+
+ALTER TABLE "expenses" DROP COLUMN "originalAmount";
+ALTER TABLE "expenses" DROP COLUMN "companyAmount";
+
+-- AlterTable
+ALTER TABLE "expense_revisions" ADD COLUMN "originalAmountMinor" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "expense_revisions" ADD COLUMN "companyAmountMinor" INTEGER;
+
+UPDATE "expense_revisions" SET "originalAmountMinor" = CAST(ROUND("originalAmount" * CASE
+    WHEN "originalCurrency" IN ('BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF') THEN 1
+    WHEN "originalCurrency" IN ('BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND') THEN 1000
+    ELSE 100
+  END) AS INTEGER);
+
+-- Revisions do not store the company currency; it is the expense's
+UPDATE "expense_revisions" SET "companyAmountMinor" = CAST(ROUND("companyAmount" * (
+    SELECT CASE
+        WHEN e."companyCurrency" IN ('BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF') THEN 1
+        WHEN e."companyCurrency" IN ('BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND') THEN 1000
+        ELSE 100
+      END
+    FROM "expenses" e WHERE e."id" = "expense_revisions"."expenseId"
+  )) AS INTEGER)
+WHERE "companyAmount" IS NOT NULL;
+
+ALTER TABLE "expense_revisions" DROP COLUMN "originalAmount";
+ALTER TABLE "expense_revisions" DROP COLUMN "companyAmount";
+
+-- AlterTable
+ALTER TABLE "reimbursement_batches" ADD COLUMN "totalAmountMinor" INTEGER NOT NULL DEFAULT 0;
+
+UPDATE "reimbursement_batches" SET "totalAmountMinor" = CAST(ROUND("totalAmount" * CASE
+    WHEN "currency" IN ('BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF') THEN 1
+    WHEN "currency" IN ('BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND') THEN 1000
+    ELSE 100
+  END) AS INTEGER);
+
+ALTER TABLE "reimbursement_batches" DROP COLUMN "totalAmount";
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "expense_policies" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "policyType" TEXT NOT NULL,
+    "category" TEXT,
+    "action" TEXT NOT NULL DEFAULT 'WARN',
+    "amountMinor" INTEGER,
+    "period" TEXT,
+    "maxAgeDays" INTEGER,
+    "merchants" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "expense_policies_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "expense_policies_companyId_isActive_idx" ON "expense_policies"("companyId", "isActive");
+
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN "merchant" TEXT;
+ALTER TABLE "expenses" ADD COLUMN "policyViolations" TEXT;
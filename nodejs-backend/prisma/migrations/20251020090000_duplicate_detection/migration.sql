@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "expense_attachments" ADD COLUMN "contentHash" TEXT;
+
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN "suspectedDuplicates" TEXT;
+
+-- CreateIndex
+CREATE INDEX "expense_attachments_contentHash_idx" ON "expense_attachments"("contentHash");
@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "categories" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "glAccountCode" TEXT,
+    "defaultTaxRate" REAL,
+    "ocrKeywords" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "categories_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "categories_companyId_name_key" ON "categories"("companyId", "name");
+
+-- Give existing companies the categories that used to be hard-coded
+INSERT INTO "categories" ("companyId", "name", "ocrKeywords", "updatedAt")
+SELECT "companies"."id", "defaults"."name", "defaults"."ocrKeywords", CURRENT_TIMESTAMP
+FROM "companies"
+CROSS JOIN (
+    SELECT 'Meals' AS "name", '["restaurant","food","dining","meal","lunch","dinner","breakfast","cafe","coffee"]' AS "ocrKeywords"
+    UNION ALL SELECT 'Transportation', '["taxi","uber","lyft","flight","airline","train","bus","metro","gas","fuel","parking"]'
+    UNION ALL SELECT 'Accommodation', '["hotel","motel","lodging","accommodation","airbnb"]'
+    UNION ALL SELECT 'Office Supplies', '["office","supplies","stationery","paper","pen","pencil","stapler"]'
+    UNION ALL SELECT 'Software', '["software","subscription","license","app","tool"]'
+    UNION ALL SELECT 'Marketing', '["marketing","advertising","promotion","campaign","social media"]'
+    UNION ALL SELECT 'Travel', '["travel","trip","conference","meeting","seminar","workshop"]'
+    UNION ALL SELECT 'Other', '[]'
+) AS "defaults";
+
+-- Keep other categories already used by expenses, inactive until an admin reviews them
+INSERT INTO "categories" ("companyId", "name", "isActive", "updatedAt")
+SELECT DISTINCT "expenses"."companyId", "expenses"."category", false, CURRENT_TIMESTAMP
+FROM "expenses"
+WHERE NOT EXISTS (
+    SELECT 1 FROM "categories"
+    WHERE "categories"."companyId" = "expenses"."companyId"
+      AND "categories"."name" = "expenses"."category"
+);
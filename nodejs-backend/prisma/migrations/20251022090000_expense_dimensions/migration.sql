@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "dimension_values" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "dimension" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "dimension_values_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "dimension_values_companyId_dimension_code_key" ON "dimension_values"("companyId", "dimension", "code");
+
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN "projectId" INTEGER REFERENCES "dimension_values" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "expenses" ADD COLUMN "costCenterId" INTEGER REFERENCES "dimension_values" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "expenses" ADD COLUMN "tags" TEXT;
+
+-- CreateIndex
+CREATE INDEX "expenses_projectId_idx" ON "expenses"("projectId");
+CREATE INDEX "expenses_costCenterId_idx" ON "expenses"("costCenterId");
+
+-- AlterTable
+ALTER TABLE "categories" ADD COLUMN "requiredDimensions" TEXT;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "budgets" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "dimensionValueId" INTEGER,
+    "userId" INTEGER,
+    "periodStart" DATETIME NOT NULL,
+    "periodEnd" DATETIME NOT NULL,
+    "amountMinor" INTEGER NOT NULL,
+    "overBudgetApproverId" INTEGER,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "budgets_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "budgets_dimensionValueId_fkey" FOREIGN KEY ("dimensionValueId") REFERENCES "dimension_values" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "budgets_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "budgets_overBudgetApproverId_fkey" FOREIGN KEY ("overBudgetApproverId") REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "budgets_companyId_isActive_idx" ON "budgets"("companyId", "isActive");
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "card_transactions" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "externalId" TEXT NOT NULL,
+    "transactionDate" DATETIME NOT NULL,
+    "amountMinor" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "merchant" TEXT NOT NULL,
+    "description" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'UNMATCHED',
+    "expenseId" INTEGER,
+    "matchedAt" DATETIME,
+    "matchMethod" TEXT,
+    "format" TEXT NOT NULL,
+    "sourceFile" TEXT,
+    "importedById" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "card_transactions_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "card_transactions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "card_transactions_expenseId_fkey" FOREIGN KEY ("expenseId") REFERENCES "expenses" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "card_transactions_importedById_fkey" FOREIGN KEY ("importedById") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "card_transactions_expenseId_key" ON "card_transactions"("expenseId");
+
+-- CreateIndex
+CREATE INDEX "card_transactions_userId_status_idx" ON "card_transactions"("userId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "card_transactions_companyId_externalId_key" ON "card_transactions"("companyId", "externalId");
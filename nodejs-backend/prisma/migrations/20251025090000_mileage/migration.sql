@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN "expenseType" TEXT NOT NULL DEFAULT 'RECEIPT';
+ALTER TABLE "expenses" ADD COLUMN "startLocation" TEXT;
+ALTER TABLE "expenses" ADD COLUMN "endLocation" TEXT;
+ALTER TABLE "expenses" ADD COLUMN "distanceKm" REAL;
+ALTER TABLE "expenses" ADD COLUMN "vehicleType" TEXT;
+ALTER TABLE "expenses" ADD COLUMN "mileageBreakdown" TEXT;
+
+-- CreateIndex
+CREATE INDEX "expenses_userId_expenseType_date_idx" ON "expenses"("userId", "expenseType", "date");
+
+-- CreateTable
+CREATE TABLE "mileage_rates" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "vehicleType" TEXT NOT NULL,
+    "effectiveFrom" DATETIME NOT NULL,
+    "tiers" TEXT NOT NULL,
+    "note" TEXT,
+    "createdById" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "mileage_rates_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "mileage_rates_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "mileage_rates_companyId_vehicleType_effectiveFrom_key" ON "mileage_rates"("companyId", "vehicleType", "effectiveFrom");
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN "destinationCountry" TEXT;
+ALTER TABLE "expenses" ADD COLUMN "destinationCity" TEXT;
+ALTER TABLE "expenses" ADD COLUMN "tripEndDate" DATETIME;
+ALTER TABLE "expenses" ADD COLUMN "perDiemBreakdown" TEXT;
+
+-- CreateTable
+CREATE TABLE "per_diem_rates" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "country" TEXT NOT NULL,
+    "city" TEXT,
+    "currency" TEXT NOT NULL,
+    "lodgingRateMinor" INTEGER NOT NULL,
+    "mealsRateMinor" INTEGER NOT NULL,
+    "validFrom" DATETIME NOT NULL,
+    "validTo" DATETIME,
+    "note" TEXT,
+    "createdById" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "per_diem_rates_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "per_diem_rates_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "per_diem_rates_companyId_country_idx" ON "per_diem_rates"("companyId", "country");
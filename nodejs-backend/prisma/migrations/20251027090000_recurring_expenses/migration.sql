@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE "recurring_expenses" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "originalAmountMinor" INTEGER NOT NULL,
+    "originalCurrency" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "description" TEXT,
+    "merchant" TEXT,
+    "projectId" INTEGER,
+    "costCenterId" INTEGER,
+    "tags" TEXT,
+    "frequency" TEXT NOT NULL,
+    "cronExpression" TEXT,
+    "startDate" DATETIME NOT NULL,
+    "endDate" DATETIME,
+    "nextRunDate" DATETIME,
+    "lastRunDate" DATETIME,
+    "submitMode" TEXT NOT NULL DEFAULT 'SUBMIT',
+    "status" TEXT NOT NULL DEFAULT 'ACTIVE',
+    "lastError" TEXT,
+    "receiptKey" TEXT,
+    "receiptStorage" TEXT,
+    "receiptFileName" TEXT,
+    "receiptMimeType" TEXT,
+    "receiptSize" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "recurring_expenses_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "recurring_expenses_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "recurring_expenses_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "dimension_values" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "recurring_expenses_costCenterId_fkey" FOREIGN KEY ("costCenterId") REFERENCES "dimension_values" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN "recurringExpenseId" INTEGER REFERENCES "recurring_expenses" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- CreateIndex
+CREATE INDEX "recurring_expenses_status_nextRunDate_idx" ON "recurring_expenses"("status", "nextRunDate");
+
+-- CreateIndex
+CREATE INDEX "recurring_expenses_userId_idx" ON "recurring_expenses"("userId");
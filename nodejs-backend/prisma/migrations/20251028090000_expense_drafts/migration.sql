@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "expenses" ADD COLUMN "draftData" TEXT;
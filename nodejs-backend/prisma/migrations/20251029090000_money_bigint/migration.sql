@@ -0,0 +1,253 @@
+-- Amounts in minor units outgrow 32-bit integers (e.g. IDR 25,000,000.00 is 2,500,000,000 sen)
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+
+-- RedefineTables
+CREATE TABLE "new_expenses" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "companyId" INTEGER NOT NULL,
+    "originalCurrency" TEXT NOT NULL,
+    "companyCurrency" TEXT,
+    "category" TEXT NOT NULL,
+    "description" TEXT,
+    "date" DATETIME NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "receiptPath" TEXT,
+    "receiptUrl" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "revision" INTEGER NOT NULL DEFAULT 1,
+    "reimbursementBatchId" INTEGER,
+    "reportId" INTEGER,
+    "reviewComment" TEXT,
+    "exchangeRate" REAL,
+    "rateSource" TEXT,
+    "rateDate" DATETIME,
+    "rateFetchedAt" DATETIME,
+    "conversionStatus" TEXT NOT NULL DEFAULT 'CONVERTED',
+    "originalAmountMinor" BIGINT NOT NULL DEFAULT 0,
+    "companyAmountMinor" BIGINT,
+    "merchant" TEXT,
+    "policyViolations" TEXT,
+    "suspectedDuplicates" TEXT,
+    "projectId" INTEGER,
+    "costCenterId" INTEGER,
+    "tags" TEXT,
+    "expenseType" TEXT NOT NULL DEFAULT 'RECEIPT',
+    "startLocation" TEXT,
+    "endLocation" TEXT,
+    "distanceKm" REAL,
+    "vehicleType" TEXT,
+    "mileageBreakdown" TEXT,
+    "destinationCountry" TEXT,
+    "destinationCity" TEXT,
+    "tripEndDate" DATETIME,
+    "perDiemBreakdown" TEXT,
+    "recurringExpenseId" INTEGER,
+    "draftData" TEXT,
+    CONSTRAINT "expenses_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "expenses_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "expenses_reimbursementBatchId_fkey" FOREIGN KEY ("reimbursementBatchId") REFERENCES "reimbursement_batches" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "expenses_reportId_fkey" FOREIGN KEY ("reportId") REFERENCES "expense_reports" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "expenses_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "dimension_values" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "expenses_costCenterId_fkey" FOREIGN KEY ("costCenterId") REFERENCES "dimension_values" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "expenses_recurringExpenseId_fkey" FOREIGN KEY ("recurringExpenseId") REFERENCES "recurring_expenses" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_expenses" ("id", "userId", "companyId", "originalCurrency", "companyCurrency", "category", "description", "date", "status", "receiptPath", "receiptUrl", "createdAt", "updatedAt", "revision", "reimbursementBatchId", "reportId", "reviewComment", "exchangeRate", "rateSource", "rateDate", "rateFetchedAt", "conversionStatus", "originalAmountMinor", "companyAmountMinor", "merchant", "policyViolations", "suspectedDuplicates", "projectId", "costCenterId", "tags", "expenseType", "startLocation", "endLocation", "distanceKm", "vehicleType", "mileageBreakdown", "destinationCountry", "destinationCity", "tripEndDate", "perDiemBreakdown", "recurringExpenseId", "draftData")
+SELECT "id", "userId", "companyId", "originalCurrency", "companyCurrency", "category", "description", "date", "status", "receiptPath", "receiptUrl", "createdAt", "updatedAt", "revision", "reimbursementBatchId", "reportId", "reviewComment", "exchangeRate", "rateSource", "rateDate", "rateFetchedAt", "conversionStatus", "originalAmountMinor", "companyAmountMinor", "merchant", "policyViolations", "suspectedDuplicates", "projectId", "costCenterId", "tags", "expenseType", "startLocation", "endLocation", "distanceKm", "vehicleType", "mileageBreakdown", "destinationCountry", "destinationCity", "tripEndDate", "perDiemBreakdown", "recurringExpenseId", "draftData" FROM "expenses";
+DROP TABLE "expenses";
+ALTER TABLE "new_expenses" RENAME TO "expenses";
+CREATE INDEX "expenses_projectId_idx" ON "expenses"("projectId");
+CREATE INDEX "expenses_costCenterId_idx" ON "expenses"("costCenterId");
+CREATE INDEX "expenses_userId_expenseType_date_idx" ON "expenses"("userId", "expenseType", "date");
+
+CREATE TABLE "new_expense_revisions" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "expenseId" INTEGER NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "originalCurrency" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "description" TEXT,
+    "date" DATETIME NOT NULL,
+    "receiptPath" TEXT,
+    "approvals" TEXT NOT NULL,
+    "createdById" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "originalAmountMinor" BIGINT NOT NULL DEFAULT 0,
+    "companyAmountMinor" BIGINT,
+    CONSTRAINT "expense_revisions_expenseId_fkey" FOREIGN KEY ("expenseId") REFERENCES "expenses" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "expense_revisions_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_expense_revisions" ("id", "expenseId", "revision", "originalCurrency", "category", "description", "date", "receiptPath", "approvals", "createdById", "createdAt", "originalAmountMinor", "companyAmountMinor")
+SELECT "id", "expenseId", "revision", "originalCurrency", "category", "description", "date", "receiptPath", "approvals", "createdById", "createdAt", "originalAmountMinor", "companyAmountMinor" FROM "expense_revisions";
+DROP TABLE "expense_revisions";
+ALTER TABLE "new_expense_revisions" RENAME TO "expense_revisions";
+CREATE UNIQUE INDEX "expense_revisions_expenseId_revision_key" ON "expense_revisions"("expenseId", "revision");
+
+CREATE TABLE "new_reimbursement_batches" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'SCHEDULED',
+    "scheduledFor" DATETIME NOT NULL,
+    "paymentReference" TEXT,
+    "paidAt" DATETIME,
+    "createdById" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "totalAmountMinor" BIGINT NOT NULL DEFAULT 0,
+    CONSTRAINT "reimbursement_batches_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "reimbursement_batches_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "reimbursement_batches_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_reimbursement_batches" ("id", "companyId", "userId", "currency", "status", "scheduledFor", "paymentReference", "paidAt", "createdById", "createdAt", "updatedAt", "totalAmountMinor")
+SELECT "id", "companyId", "userId", "currency", "status", "scheduledFor", "paymentReference", "paidAt", "createdById", "createdAt", "updatedAt", "totalAmountMinor" FROM "reimbursement_batches";
+DROP TABLE "reimbursement_batches";
+ALTER TABLE "new_reimbursement_batches" RENAME TO "reimbursement_batches";
+
+CREATE TABLE "new_expense_policies" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "policyType" TEXT NOT NULL,
+    "category" TEXT,
+    "action" TEXT NOT NULL DEFAULT 'WARN',
+    "amountMinor" BIGINT,
+    "period" TEXT,
+    "maxAgeDays" INTEGER,
+    "merchants" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "expense_policies_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_expense_policies" ("id", "companyId", "name", "policyType", "category", "action", "amountMinor", "period", "maxAgeDays", "merchants", "isActive", "createdAt", "updatedAt")
+SELECT "id", "companyId", "name", "policyType", "category", "action", "amountMinor", "period", "maxAgeDays", "merchants", "isActive", "createdAt", "updatedAt" FROM "expense_policies";
+DROP TABLE "expense_policies";
+ALTER TABLE "new_expense_policies" RENAME TO "expense_policies";
+CREATE INDEX "expense_policies_companyId_isActive_idx" ON "expense_policies"("companyId", "isActive");
+
+CREATE TABLE "new_budgets" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "dimensionValueId" INTEGER,
+    "userId" INTEGER,
+    "periodStart" DATETIME NOT NULL,
+    "periodEnd" DATETIME NOT NULL,
+    "amountMinor" BIGINT NOT NULL,
+    "overBudgetApproverId" INTEGER,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "budgets_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "budgets_dimensionValueId_fkey" FOREIGN KEY ("dimensionValueId") REFERENCES "dimension_values" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "budgets_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "budgets_overBudgetApproverId_fkey" FOREIGN KEY ("overBudgetApproverId") REFERENCES "users" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_budgets" ("id", "companyId", "name", "scope", "dimensionValueId", "userId", "periodStart", "periodEnd", "amountMinor", "overBudgetApproverId", "isActive", "createdAt", "updatedAt")
+SELECT "id", "companyId", "name", "scope", "dimensionValueId", "userId", "periodStart", "periodEnd", "amountMinor", "overBudgetApproverId", "isActive", "createdAt", "updatedAt" FROM "budgets";
+DROP TABLE "budgets";
+ALTER TABLE "new_budgets" RENAME TO "budgets";
+CREATE INDEX "budgets_companyId_isActive_idx" ON "budgets"("companyId", "isActive");
+
+CREATE TABLE "new_card_transactions" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "externalId" TEXT NOT NULL,
+    "transactionDate" DATETIME NOT NULL,
+    "amountMinor" BIGINT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "merchant" TEXT NOT NULL,
+    "description" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'UNMATCHED',
+    "expenseId" INTEGER,
+    "matchedAt" DATETIME,
+    "matchMethod" TEXT,
+    "format" TEXT NOT NULL,
+    "sourceFile" TEXT,
+    "importedById" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "card_transactions_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "card_transactions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "card_transactions_expenseId_fkey" FOREIGN KEY ("expenseId") REFERENCES "expenses" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "card_transactions_importedById_fkey" FOREIGN KEY ("importedById") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_card_transactions" ("id", "companyId", "userId", "externalId", "transactionDate", "amountMinor", "currency", "merchant", "description", "status", "expenseId", "matchedAt", "matchMethod", "format", "sourceFile", "importedById", "createdAt", "updatedAt")
+SELECT "id", "companyId", "userId", "externalId", "transactionDate", "amountMinor", "currency", "merchant", "description", "status", "expenseId", "matchedAt", "matchMethod", "format", "sourceFile", "importedById", "createdAt", "updatedAt" FROM "card_transactions";
+DROP TABLE "card_transactions";
+ALTER TABLE "new_card_transactions" RENAME TO "card_transactions";
+CREATE UNIQUE INDEX "card_transactions_expenseId_key" ON "card_transactions"("expenseId");
+CREATE INDEX "card_transactions_userId_status_idx" ON "card_transactions"("userId", "status");
+CREATE UNIQUE INDEX "card_transactions_companyId_externalId_key" ON "card_transactions"("companyId", "externalId");
+
+CREATE TABLE "new_per_diem_rates" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "country" TEXT NOT NULL,
+    "city" TEXT,
+    "currency" TEXT NOT NULL,
+    "lodgingRateMinor" BIGINT NOT NULL,
+    "mealsRateMinor" BIGINT NOT NULL,
+    "validFrom" DATETIME NOT NULL,
+    "validTo" DATETIME,
+    "note" TEXT,
+    "createdById" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "per_diem_rates_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "per_diem_rates_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_per_diem_rates" ("id", "companyId", "country", "city", "currency", "lodgingRateMinor", "mealsRateMinor", "validFrom", "validTo", "note", "createdById", "createdAt", "updatedAt")
+SELECT "id", "companyId", "country", "city", "currency", "lodgingRateMinor", "mealsRateMinor", "validFrom", "validTo", "note", "createdById", "createdAt", "updatedAt" FROM "per_diem_rates";
+DROP TABLE "per_diem_rates";
+ALTER TABLE "new_per_diem_rates" RENAME TO "per_diem_rates";
+CREATE INDEX "per_diem_rates_companyId_country_idx" ON "per_diem_rates"("companyId", "country");
+
+CREATE TABLE "new_recurring_expenses" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "companyId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "originalAmountMinor" BIGINT NOT NULL,
+    "originalCurrency" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "description" TEXT,
+    "merchant" TEXT,
+    "projectId" INTEGER,
+    "costCenterId" INTEGER,
+    "tags" TEXT,
+    "frequency" TEXT NOT NULL,
+    "cronExpression" TEXT,
+    "startDate" DATETIME NOT NULL,
+    "endDate" DATETIME,
+    "nextRunDate" DATETIME,
+    "lastRunDate" DATETIME,
+    "submitMode" TEXT NOT NULL DEFAULT 'SUBMIT',
+    "status" TEXT NOT NULL DEFAULT 'ACTIVE',
+    "lastError" TEXT,
+    "receiptKey" TEXT,
+    "receiptStorage" TEXT,
+    "receiptFileName" TEXT,
+    "receiptMimeType" TEXT,
+    "receiptSize" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "recurring_expenses_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "recurring_expenses_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "recurring_expenses_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "dimension_values" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "recurring_expenses_costCenterId_fkey" FOREIGN KEY ("costCenterId") REFERENCES "dimension_values" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_recurring_expenses" ("id", "companyId", "userId", "originalAmountMinor", "originalCurrency", "category", "description", "merchant", "projectId", "costCenterId", "tags", "frequency", "cronExpression", "startDate", "endDate", "nextRunDate", "lastRunDate", "submitMode", "status", "lastError", "receiptKey", "receiptStorage", "receiptFileName", "receiptMimeType", "receiptSize", "createdAt", "updatedAt")
+SELECT "id", "companyId", "userId", "originalAmountMinor", "originalCurrency", "category", "description", "merchant", "projectId", "costCenterId", "tags", "frequency", "cronExpression", "startDate", "endDate", "nextRunDate", "lastRunDate", "submitMode", "status", "lastError", "receiptKey", "receiptStorage", "receiptFileName", "receiptMimeType", "receiptSize", "createdAt", "updatedAt" FROM "recurring_expenses";
+DROP TABLE "recurring_expenses";
+ALTER TABLE "new_recurring_expenses" RENAME TO "recurring_expenses";
+CREATE INDEX "recurring_expenses_status_nextRunDate_idx" ON "recurring_expenses"("status", "nextRunDate");
+CREATE INDEX "recurring_expenses_userId_idx" ON "recurring_expenses"("userId");
+
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
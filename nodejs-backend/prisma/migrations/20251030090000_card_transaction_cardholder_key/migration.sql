@@ -0,0 +1,6 @@
+-- Statement IDs are only unique per cardholder
+-- DropIndex
+DROP INDEX "card_transactions_companyId_externalId_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "card_transactions_companyId_userId_externalId_key" ON "card_transactions"("companyId", "userId", "externalId");
@@ -1,11 +1,38 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult, query } = require('express-validator');
-const { PrismaClient } = require('@prisma/client');
-const { requireAdmin, requireManager } = require('../middleware/auth');
+const { createPrismaClient } = require('../utils/prisma');
+const { requireAdmin } = require('../middleware/auth');
+const { parseJsonField, serializeJsonField } = require('../utils/json');
+const { parseCondition } = require('../utils/approvalConditions');
+const { AUDIT_ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { toCsv } = require('../utils/csv');
+const { APPROVAL_MODES, RESUBMISSION_POLICIES } = require('../utils/approvalWorkflow');
+const { normalizeIban, isValidIban, isValidBic } = require('../utils/payments');
+const { startOfDay } = require('../utils/exchangeRates');
+const { MAX_AMOUNT, toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { POLICY_TYPES, POLICY_ACTIONS, LIMIT_PERIODS } = require('../utils/expensePolicies');
+const { formatCategory } = require('../utils/categories');
+const {
+  DIMENSION_TYPES,
+  REQUIRABLE_DIMENSIONS,
+  dimensionInclude,
+  buildDimensionFilters,
+  formatDimensions,
+  formatDimensionValue
+} = require('../utils/dimensions');
+const {
+  BUDGET_SCOPES,
+  budgetInclude,
+  getBudgetConsumption,
+  formatBudget
+} = require('../utils/budgets');
+const { getMonthlyStatsStart, groupByMonth } = require('../utils/stats');
+const { VEHICLE_TYPES, validateTiers, normalizeTiers, formatMileageRate } = require('../utils/mileage');
+const { formatPerDiemRate } = require('../utils/perDiem');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = createPrismaClient();
 
 // All admin routes require admin role
 router.use(requireAdmin);
@@ -19,6 +46,85 @@ const userValidation = [
   body('reportsTo').optional().isInt()
 ];
 
+const ruleTypes = ['PERCENTAGE', 'SPECIFIC', 'HYBRID'];
+const approverRoles = ['ADMIN', 'MANAGER', 'EMPLOYEE'];
+
+const approvalRuleValidation = [
+  body('ruleType').optional().isIn(ruleTypes).withMessage('Rule type must be PERCENTAGE, SPECIFIC or HYBRID'),
+  body('threshold').optional({ nullable: true }).isFloat({ gt: 0, max: 1 }).withMessage('Threshold must be between 0 and 1'),
+  body('specificApproverId').optional({ nullable: true }).isInt(),
+  body('specificRole').optional({ nullable: true }).isIn(approverRoles).withMessage('Invalid role'),
+  body('config').optional({ nullable: true }).isObject().withMessage('Config must be an object'),
+  body('priority').optional().isInt({ min: 0 }),
+  body('isActive').optional().isBoolean()
+];
+
+/**
+ * Check that a rule has the fields its type requires and that any referenced
+ * approver belongs to the company
+ * @param {Object} rule - Rule fields after merging with the stored record
+ * @param {number} companyId - ID of the admin's company
+ * @returns {Promise<string|null>} - Error message or null if valid
+ */
+async function validateApprovalRule(rule, companyId) {
+  const config = rule.config || {};
+  let approverId = null;
+
+  if (rule.ruleType === 'PERCENTAGE') {
+    if (rule.threshold === null || rule.threshold === undefined) {
+      return 'Percentage rules require a threshold';
+    }
+  } else if (rule.ruleType === 'SPECIFIC') {
+    if (!rule.specificApproverId && !rule.specificRole) {
+      return 'Specific rules require an approver or a role';
+    }
+    approverId = rule.specificApproverId;
+  } else if (rule.ruleType === 'HYBRID') {
+    const percentageThreshold = config.percentageThreshold;
+    if (typeof percentageThreshold !== 'number' || percentageThreshold <= 0 || percentageThreshold > 1) {
+      return 'Hybrid rules require config.percentageThreshold between 0 and 1';
+    }
+    if (!config.specificApproverId && !config.specificRole) {
+      return 'Hybrid rules require config.specificApproverId or config.specificRole';
+    }
+    if (config.specificRole && !approverRoles.includes(config.specificRole)) {
+      return 'Invalid role specified';
+    }
+    approverId = config.specificApproverId;
+  } else {
+    return 'Invalid rule type';
+  }
+
+  if (approverId) {
+    const approver = await prisma.user.findFirst({
+      where: {
+        id: parseInt(approverId),
+        companyId: companyId,
+        isActive: true
+      }
+    });
+
+    if (!approver) {
+      return `User with ID ${approverId} not found`;
+    }
+  }
+
+  return null;
+}
+
+const formatApprovalRule = (rule) => ({
+  id: rule.id,
+  ruleType: rule.ruleType,
+  threshold: rule.threshold,
+  specificApproverId: rule.specificApproverId,
+  specificRole: rule.specificRole,
+  config: parseJsonField(rule.config),
+  priority: rule.priority,
+  isActive: rule.isActive,
+  createdAt: rule.createdAt,
+  updatedAt: rule.updatedAt
+});
+
 /**
  * @route   GET /api/admin/users
  * @desc    Get all users in the company
@@ -196,6 +302,14 @@ router.post('/users', userValidation, async (req, res) => {
 
     const { password: _, ...userWithoutPassword } = user;
 
+    await recordAudit({
+      req,
+      action: 'user.create',
+      entityType: 'USER',
+      entityId: user.id,
+      after: user
+    });
+
     res.status(201).json({
       message: 'User created successfully',
       user: userWithoutPassword
@@ -218,7 +332,9 @@ router.put('/users/:id', [
   body('fullName').optional().trim().isLength({ min: 2 }),
   body('role').optional().isIn(['ADMIN', 'MANAGER', 'EMPLOYEE']),
   body('reportsTo').optional().isInt(),
-  body('isActive').optional().isBoolean()
+  body('isActive').optional().isBoolean(),
+  body('iban').optional({ nullable: true, checkFalsy: true }).custom(isValidIban).withMessage('Invalid IBAN'),
+  body('bic').optional({ nullable: true, checkFalsy: true }).custom(isValidBic).withMessage('Invalid BIC')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -237,7 +353,9 @@ router.put('/users/:id', [
       fullName,
       role,
       reportsTo,
-      isActive
+      isActive,
+      iban,
+      bic
     } = req.body;
 
     // Check if user exists and belongs to company
@@ -291,6 +409,8 @@ router.put('/users/:id', [
     if (role) updateData.role = role;
     if (reportsTo !== undefined) updateData.reportsTo = reportsTo ? parseInt(reportsTo) : null;
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (iban !== undefined) updateData.iban = iban ? normalizeIban(iban) : null;
+    if (bic !== undefined) updateData.bic = bic ? bic.toUpperCase() : null;
 
     const updatedUser = await prisma.user.update({
       where: { id: userId },
@@ -316,6 +436,15 @@ router.put('/users/:id', [
 
     const { password: _, ...userWithoutPassword } = updatedUser;
 
+    await recordAudit({
+      req,
+      action: 'user.update',
+      entityType: 'USER',
+      entityId: userId,
+      before: existingUser,
+      after: updatedUser
+    });
+
     res.json({
       message: 'User updated successfully',
       user: userWithoutPassword
@@ -336,8 +465,11 @@ router.put('/users/:id', [
 router.get('/expenses', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('status').optional().isIn(['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED']),
-  query('userId').optional().isInt()
+  query('status').optional().isIn(['DRAFT', 'PENDING', 'CHANGES_REQUESTED', 'APPROVED', 'SCHEDULED', 'PAID', 'REJECTED', 'CANCELLED']),
+  query('userId').optional().isInt(),
+  query('projectId').optional().isInt(),
+  query('costCenterId').optional().isInt(),
+  query('tag').optional().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -360,11 +492,15 @@ router.get('/expenses', [
 
     // Build where clause
     const where = {
-      companyId: companyId
+      companyId: companyId,
+      ...buildDimensionFilters(req.query)
     };
 
+    // Employees' standalone drafts are not claims yet, so they are only listed when asked for
     if (status) {
       where.status = status;
+    } else {
+      where.NOT = { reportId: null, status: 'DRAFT' };
     }
 
     if (userId) {
@@ -385,6 +521,7 @@ router.get('/expenses', [
             }
           },
           approvals: {
+            where: { supersededAt: null },
             include: {
               approver: {
                 select: {
@@ -392,10 +529,23 @@ router.get('/expenses', [
                   fullName: true,
                   email: true
                 }
+              },
+              originalApprover: {
+                select: {
+                  id: true,
+                  fullName: true
+                }
+              },
+              actedBy: {
+                select: {
+                  id: true,
+                  fullName: true
+                }
               }
             },
             orderBy: { order: 'asc' }
-          }
+          },
+          ...dimensionInclude
         },
         orderBy: { createdAt: 'desc' },
         skip: skip,
@@ -404,8 +554,18 @@ router.get('/expenses', [
       prisma.expense.count({ where: where })
     ]);
 
+    // GL accounts for bookkeeping exports, looked up by the category name each expense was filed under
+    const categories = await prisma.category.findMany({
+      where: { companyId: companyId }
+    });
+    const glAccounts = new Map(categories.map(category => [category.name, category.glAccountCode]));
+
     res.json({
-      expenses: expenses,
+      expenses: expenses.map(expense => ({
+        ...expense,
+        ...formatDimensions(expense),
+        glAccountCode: glAccounts.get(expense.category) || null
+      })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -447,35 +607,53 @@ router.get('/stats', async (req, res) => {
         by: ['status'],
         where: { companyId: companyId },
         _count: { id: true },
-        _sum: { companyAmount: true }
+        _sum: { companyAmountMinor: true }
       }),
       // Approval statistics
       prisma.expenseApproval.groupBy({
         by: ['status'],
         _count: { id: true }
       }),
-      // Monthly expenses for the last 12 months
-      prisma.$queryRaw`
-        SELECT 
-          DATE_TRUNC('month', "createdAt") as month,
-          COUNT(*) as total_expenses,
-          SUM("companyAmount") as total_amount,
-          COUNT(*) FILTER (WHERE status = 'APPROVED') as approved_expenses,
-          SUM("companyAmount") FILTER (WHERE status = 'APPROVED') as approved_amount
-        FROM "expenses"
-        WHERE "companyId" = ${companyId}
-          AND "createdAt" >= NOW() - INTERVAL '12 months'
-        GROUP BY DATE_TRUNC('month', "createdAt")
-        ORDER BY month DESC
-        LIMIT 12
-      `
+      // Expenses of the last 12 months, totalled per month below
+      prisma.expense.findMany({
+        where: {
+          companyId: companyId,
+          createdAt: { gte: getMonthlyStatsStart() }
+        },
+        select: {
+          createdAt: true,
+          status: true,
+          companyAmountMinor: true
+        }
+      })
     ]);
 
+    // Totals are summed in minor units and converted once
+    const currency = req.user.company.currency;
+    const sumAmounts = (expenses) => fromMinorUnits(
+      expenses.reduce((sum, expense) => sum + (expense.companyAmountMinor ?? 0), 0),
+      currency
+    );
+
     res.json({
       userStats: userStats,
-      expenseStats: expenseStats,
+      expenseStats: expenseStats.map(stat => ({
+        status: stat.status,
+        _count: stat._count,
+        _sum: { companyAmount: fromMinorUnits(stat._sum.companyAmountMinor ?? 0, currency) }
+      })),
       approvalStats: approvalStats,
-      monthlyExpenses: monthlyExpenses
+      monthlyExpenses: groupByMonth(monthlyExpenses, expense => expense.createdAt).map(({ month, records }) => {
+        const approved = records.filter(expense => ['APPROVED', 'SCHEDULED', 'PAID'].includes(expense.status));
+        return {
+          month: month,
+          total_expenses: records.length,
+          total_amount: sumAmounts(records),
+          approved_expenses: approved.length,
+          approved_amount: sumAmounts(approved)
+        };
+      }),
+      currency: currency
     });
   } catch (error) {
     console.error('Get admin stats error:', error);
@@ -493,7 +671,15 @@ router.get('/stats', async (req, res) => {
 router.put('/approval-sequence', [
   body('sequence').isArray().withMessage('Sequence must be an array'),
   body('sequence.*.type').isIn(['role', 'user', 'manager']).withMessage('Invalid sequence step type'),
-  body('sequence.*.value').notEmpty().withMessage('Sequence step value is required')
+  body('sequence').custom(steps => steps.every(step =>
+    step.type === 'manager' || (step.value !== undefined && step.value !== null && step.value !== '')
+  )).withMessage('Sequence step value is required'),
+  body('sequence.*.stage').optional().isInt({ min: 0 }).withMessage('Stage must be a non-negative integer'),
+  body('sequence.*.condition').optional({ nullable: true }).custom(condition => {
+    parseCondition(condition);
+    return true;
+  }),
+  body('mode').optional().isIn(APPROVAL_MODES).withMessage('Mode must be SEQUENTIAL, PARALLEL or STAGED')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -504,9 +690,15 @@ router.put('/approval-sequence', [
       });
     }
 
-    const { sequence } = req.body;
+    const { sequence, mode = 'SEQUENTIAL' } = req.body;
     const companyId = req.user.companyId;
 
+    if (mode === 'STAGED' && sequence.some(step => step.stage === undefined || step.stage === null)) {
+      return res.status(400).json({
+        error: 'Every step needs a stage in STAGED mode'
+      });
+    }
+
     // Validate sequence steps
     for (const step of sequence) {
       if (step.type === 'user') {
@@ -532,25 +724,46 @@ router.put('/approval-sequence', [
     }
 
     // Update or create approval sequence
-    await prisma.approvalSequence.upsert({
+    const existingSequence = await prisma.approvalSequence.findFirst({
       where: {
         companyId: companyId,
         isActive: true
-      },
-      update: {
-        sequence: sequence,
-        updatedAt: new Date()
-      },
-      create: {
-        companyId: companyId,
-        sequence: sequence,
-        isActive: true
       }
     });
 
+    let savedSequence;
+    if (existingSequence) {
+      savedSequence = await prisma.approvalSequence.update({
+        where: { id: existingSequence.id },
+        data: {
+          sequence: serializeJsonField(sequence),
+          mode: mode
+        }
+      });
+    } else {
+      savedSequence = await prisma.approvalSequence.create({
+        data: {
+          companyId: companyId,
+          sequence: serializeJsonField(sequence),
+          mode: mode,
+          isActive: true
+        }
+      });
+    }
+
+    await recordAudit({
+      req,
+      action: 'approval_sequence.update',
+      entityType: 'APPROVAL_SEQUENCE',
+      entityId: savedSequence.id,
+      before: existingSequence,
+      after: savedSequence
+    });
+
     res.json({
       message: 'Approval sequence updated successfully',
-      sequence: sequence
+      sequence: sequence,
+      mode: mode
     });
   } catch (error) {
     console.error('Update approval sequence error:', error);
@@ -577,7 +790,8 @@ router.get('/approval-sequence', async (req, res) => {
     });
 
     res.json({
-      sequence: sequence ? sequence.sequence : []
+      sequence: sequence ? parseJsonField(sequence.sequence, []) : [],
+      mode: sequence ? sequence.mode : 'SEQUENTIAL'
     });
   } catch (error) {
     console.error('Get approval sequence error:', error);
@@ -587,4 +801,2421 @@ router.get('/approval-sequence', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/approval-rules
+ * @desc    Get company's approval rules in evaluation order
+ * @access  Private (Admin)
+ */
+router.get('/approval-rules', [
+  query('includeInactive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const where = {
+      companyId: req.user.companyId
+    };
+
+    if (req.query.includeInactive !== 'true') {
+      where.isActive = true;
+    }
+
+    const rules = await prisma.approvalRule.findMany({
+      where: where,
+      orderBy: [{ priority: 'asc' }, { id: 'asc' }]
+    });
+
+    res.json({
+      rules: rules.map(formatApprovalRule)
+    });
+  } catch (error) {
+    console.error('Get approval rules error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch approval rules'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/approval-rules
+ * @desc    Create an approval rule
+ * @access  Private (Admin)
+ */
+router.post('/approval-rules', [
+  body('ruleType').exists().withMessage('Rule type is required'),
+  ...approvalRuleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const companyId = req.user.companyId;
+    const {
+      ruleType,
+      threshold,
+      specificApproverId,
+      specificRole,
+      config,
+      priority
+    } = req.body;
+
+    const ruleData = {
+      ruleType: ruleType,
+      threshold: threshold !== undefined && threshold !== null ? parseFloat(threshold) : null,
+      specificApproverId: specificApproverId ? parseInt(specificApproverId) : null,
+      specificRole: specificRole || null,
+      config: config || null
+    };
+
+    const validationError = await validateApprovalRule(ruleData, companyId);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    // New rules go to the end of the evaluation order unless placed explicitly
+    let rulePriority = priority !== undefined ? parseInt(priority) : null;
+    if (rulePriority === null) {
+      const lastRule = await prisma.approvalRule.findFirst({
+        where: { companyId: companyId },
+        orderBy: { priority: 'desc' }
+      });
+      rulePriority = lastRule ? lastRule.priority + 1 : 0;
+    }
+
+    const rule = await prisma.approvalRule.create({
+      data: {
+        ...ruleData,
+        config: serializeJsonField(ruleData.config),
+        companyId: companyId,
+        priority: rulePriority,
+        isActive: true
+      }
+    });
+
+    await recordAudit({
+      req,
+      action: 'approval_rule.create',
+      entityType: 'APPROVAL_RULE',
+      entityId: rule.id,
+      after: rule
+    });
+
+    res.status(201).json({
+      message: 'Approval rule created successfully',
+      rule: formatApprovalRule(rule)
+    });
+  } catch (error) {
+    console.error('Create approval rule error:', error);
+    res.status(500).json({
+      error: 'Failed to create approval rule'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/approval-rules/reorder
+ * @desc    Set the evaluation order of the company's approval rules
+ * @access  Private (Admin)
+ */
+router.put('/approval-rules/reorder', [
+  body('ruleIds').isArray({ min: 1 }).withMessage('Rule IDs must be a non-empty array'),
+  body('ruleIds.*').isInt().withMessage('Rule IDs must be integers')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const companyId = req.user.companyId;
+    const ruleIds = req.body.ruleIds.map(id => parseInt(id));
+
+    if (new Set(ruleIds).size !== ruleIds.length) {
+      return res.status(400).json({
+        error: 'Rule IDs must be unique'
+      });
+    }
+
+    const matchingRules = await prisma.approvalRule.findMany({
+      where: {
+        id: { in: ruleIds },
+        companyId: companyId
+      }
+    });
+
+    if (matchingRules.length !== ruleIds.length) {
+      return res.status(400).json({
+        error: 'One or more approval rules not found'
+      });
+    }
+
+    await prisma.$transaction(
+      ruleIds.map((id, index) => prisma.approvalRule.update({
+        where: { id: id },
+        data: { priority: index }
+      }))
+    );
+
+    for (const previousRule of matchingRules) {
+      const newPriority = ruleIds.indexOf(previousRule.id);
+      if (newPriority !== previousRule.priority) {
+        await recordAudit({
+          req,
+          action: 'approval_rule.reorder',
+          entityType: 'APPROVAL_RULE',
+          entityId: previousRule.id,
+          before: { priority: previousRule.priority },
+          after: { priority: newPriority }
+        });
+      }
+    }
+
+    const rules = await prisma.approvalRule.findMany({
+      where: { companyId: companyId },
+      orderBy: [{ priority: 'asc' }, { id: 'asc' }]
+    });
+
+    res.json({
+      message: 'Approval rules reordered successfully',
+      rules: rules.map(formatApprovalRule)
+    });
+  } catch (error) {
+    console.error('Reorder approval rules error:', error);
+    res.status(500).json({
+      error: 'Failed to reorder approval rules'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/approval-rules/:id
+ * @desc    Update an approval rule
+ * @access  Private (Admin)
+ */
+router.put('/approval-rules/:id', approvalRuleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const ruleId = parseInt(req.params.id);
+    const companyId = req.user.companyId;
+
+    const existingRule = await prisma.approvalRule.findFirst({
+      where: {
+        id: ruleId,
+        companyId: companyId
+      }
+    });
+
+    if (!existingRule) {
+      return res.status(404).json({
+        error: 'Approval rule not found'
+      });
+    }
+
+    const {
+      ruleType,
+      threshold,
+      specificApproverId,
+      specificRole,
+      config,
+      priority,
+      isActive
+    } = req.body;
+
+    // Validate the rule as it will look after the update
+    const ruleData = {
+      ruleType: ruleType || existingRule.ruleType,
+      threshold: threshold !== undefined
+        ? (threshold === null ? null : parseFloat(threshold))
+        : existingRule.threshold,
+      specificApproverId: specificApproverId !== undefined
+        ? (specificApproverId ? parseInt(specificApproverId) : null)
+        : existingRule.specificApproverId,
+      specificRole: specificRole !== undefined ? (specificRole || null) : existingRule.specificRole,
+      config: config !== undefined ? config : parseJsonField(existingRule.config)
+    };
+
+    const validationError = await validateApprovalRule(ruleData, companyId);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const updateData = {
+      ...ruleData,
+      config: serializeJsonField(ruleData.config)
+    };
+    if (priority !== undefined) updateData.priority = parseInt(priority);
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    const rule = await prisma.approvalRule.update({
+      where: { id: ruleId },
+      data: updateData
+    });
+
+    await recordAudit({
+      req,
+      action: 'approval_rule.update',
+      entityType: 'APPROVAL_RULE',
+      entityId: ruleId,
+      before: existingRule,
+      after: rule
+    });
+
+    res.json({
+      message: 'Approval rule updated successfully',
+      rule: formatApprovalRule(rule)
+    });
+  } catch (error) {
+    console.error('Update approval rule error:', error);
+    res.status(500).json({
+      error: 'Failed to update approval rule'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/approval-rules/:id
+ * @desc    Deactivate an approval rule
+ * @access  Private (Admin)
+ */
+router.delete('/approval-rules/:id', async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+    const companyId = req.user.companyId;
+
+    const existingRule = await prisma.approvalRule.findFirst({
+      where: {
+        id: ruleId,
+        companyId: companyId
+      }
+    });
+
+    if (!existingRule) {
+      return res.status(404).json({
+        error: 'Approval rule not found'
+      });
+    }
+
+    const deactivatedRule = await prisma.approvalRule.update({
+      where: { id: ruleId },
+      data: { isActive: false }
+    });
+
+    await recordAudit({
+      req,
+      action: 'approval_rule.deactivate',
+      entityType: 'APPROVAL_RULE',
+      entityId: ruleId,
+      before: existingRule,
+      after: deactivatedRule
+    });
+
+    res.json({
+      message: 'Approval rule deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Deactivate approval rule error:', error);
+    res.status(500).json({
+      error: 'Failed to deactivate approval rule'
+    });
+  }
+});
+
+/**
+ * Format company workflow settings for API responses
+ * @param {Object} company - Company record
+ * @returns {Object} - Workflow settings
+ */
+function formatSettings(company) {
+  return {
+    approvalSlaHours: company.approvalSlaHours,
+    escalationRole: company.escalationRole,
+    resubmissionPolicy: company.resubmissionPolicy,
+    iban: company.iban,
+    bic: company.bic
+  };
+}
+
+/**
+ * @route   GET /api/admin/settings
+ * @desc    Get company workflow settings
+ * @access  Private (Admin)
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const company = await prisma.company.findUnique({
+      where: { id: req.user.companyId }
+    });
+
+    res.json({
+      settings: formatSettings(company)
+    });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch settings'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/settings
+ * @desc    Update company workflow settings
+ * @access  Private (Admin)
+ */
+router.put('/settings', [
+  body('approvalSlaHours').optional({ nullable: true }).isInt({ min: 1 }).withMessage('SLA must be at least 1 hour'),
+  body('escalationRole').optional({ nullable: true }).isIn(['ADMIN', 'MANAGER']).withMessage('Escalation role must be ADMIN or MANAGER'),
+  body('resubmissionPolicy').optional().isIn(RESUBMISSION_POLICIES).withMessage('Resubmission policy must be RESTART or RESUME'),
+  body('iban').optional({ nullable: true, checkFalsy: true }).custom(isValidIban).withMessage('Invalid IBAN'),
+  body('bic').optional({ nullable: true, checkFalsy: true }).custom(isValidBic).withMessage('Invalid BIC')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { approvalSlaHours, escalationRole, resubmissionPolicy, iban, bic } = req.body;
+
+    const updateData = {};
+    if (approvalSlaHours !== undefined) updateData.approvalSlaHours = approvalSlaHours ? parseInt(approvalSlaHours) : null;
+    if (escalationRole !== undefined) updateData.escalationRole = escalationRole || null;
+    if (resubmissionPolicy !== undefined) updateData.resubmissionPolicy = resubmissionPolicy;
+    if (iban !== undefined) updateData.iban = iban ? normalizeIban(iban) : null;
+    if (bic !== undefined) updateData.bic = bic ? bic.toUpperCase() : null;
+
+    const previousCompany = await prisma.company.findUnique({
+      where: { id: req.user.companyId }
+    });
+
+    const company = await prisma.company.update({
+      where: { id: req.user.companyId },
+      data: updateData
+    });
+
+    await recordAudit({
+      req,
+      action: 'company.settings_update',
+      entityType: 'COMPANY',
+      entityId: company.id,
+      before: previousCompany,
+      after: company
+    });
+
+    res.json({
+      message: 'Settings updated successfully',
+      settings: formatSettings(company)
+    });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({
+      error: 'Failed to update settings'
+    });
+  }
+});
+
+const exchangeRateValidation = [
+  body('baseCurrency').trim().matches(/^[A-Za-z]{3}$/).withMessage('Base currency must be a 3-letter code'),
+  body('targetCurrency').trim().matches(/^[A-Za-z]{3}$/).withMessage('Target currency must be a 3-letter code'),
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+  body('validFrom').isISO8601().withMessage('Valid from must be a date'),
+  body('validTo').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid to must be a date'),
+  body('note').optional({ nullable: true }).trim().isLength({ max: 200 }).withMessage('Note must be at most 200 characters')
+];
+
+/**
+ * Check the currencies and validity period of a fixed rate
+ * @param {Object} rateData - Fixed rate fields
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateExchangeRate(rateData) {
+  if (rateData.baseCurrency === rateData.targetCurrency) {
+    return 'Base and target currency must differ';
+  }
+
+  if (rateData.validTo && rateData.validTo < rateData.validFrom) {
+    return 'Valid to must not be before valid from';
+  }
+
+  return null;
+}
+
+/**
+ * Build fixed rate fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - CompanyExchangeRate fields
+ */
+function buildExchangeRateData(body) {
+  return {
+    baseCurrency: body.baseCurrency.trim().toUpperCase(),
+    targetCurrency: body.targetCurrency.trim().toUpperCase(),
+    rate: parseFloat(body.rate),
+    validFrom: startOfDay(body.validFrom),
+    validTo: body.validTo ? startOfDay(body.validTo) : null,
+    note: body.note || null
+  };
+}
+
+const exchangeRateInclude = {
+  createdBy: {
+    select: {
+      id: true,
+      fullName: true
+    }
+  }
+};
+
+/**
+ * @route   GET /api/admin/exchange-rates
+ * @desc    Get the company's fixed exchange rates
+ * @access  Private (Admin)
+ */
+router.get('/exchange-rates', async (req, res) => {
+  try {
+    const rates = await prisma.companyExchangeRate.findMany({
+      where: { companyId: req.user.companyId },
+      include: exchangeRateInclude,
+      orderBy: [{ validFrom: 'desc' }, { id: 'desc' }]
+    });
+
+    res.json({
+      rates: rates
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch exchange rates'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/exchange-rates
+ * @desc    Add a fixed exchange rate that overrides the provider for a period
+ * @access  Private (Admin)
+ */
+router.post('/exchange-rates', exchangeRateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rateData = buildExchangeRateData(req.body);
+    const validationError = validateExchangeRate(rateData);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const rate = await prisma.companyExchangeRate.create({
+      data: {
+        ...rateData,
+        companyId: req.user.companyId,
+        createdById: req.user.id
+      },
+      include: exchangeRateInclude
+    });
+
+    await recordAudit({
+      req,
+      action: 'exchange_rate.create',
+      entityType: 'EXCHANGE_RATE',
+      entityId: rate.id,
+      after: rateData
+    });
+
+    res.status(201).json({
+      message: 'Exchange rate created successfully',
+      rate: rate
+    });
+  } catch (error) {
+    console.error('Create exchange rate error:', error);
+    res.status(500).json({
+      error: 'Failed to create exchange rate'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/exchange-rates/:id
+ * @desc    Update a fixed exchange rate
+ * @access  Private (Admin)
+ */
+router.put('/exchange-rates/:id', exchangeRateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rateId = parseInt(req.params.id);
+    const existingRate = await prisma.companyExchangeRate.findFirst({
+      where: {
+        id: rateId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingRate) {
+      return res.status(404).json({
+        error: 'Exchange rate not found'
+      });
+    }
+
+    const rateData = buildExchangeRateData(req.body);
+    const validationError = validateExchangeRate(rateData);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    // Expenses already converted keep the rate they were converted at
+    const rate = await prisma.companyExchangeRate.update({
+      where: { id: rateId },
+      data: rateData,
+      include: exchangeRateInclude
+    });
+
+    await recordAudit({
+      req,
+      action: 'exchange_rate.update',
+      entityType: 'EXCHANGE_RATE',
+      entityId: rateId,
+      before: existingRate,
+      after: rateData
+    });
+
+    res.json({
+      message: 'Exchange rate updated successfully',
+      rate: rate
+    });
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    res.status(500).json({
+      error: 'Failed to update exchange rate'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/exchange-rates/:id
+ * @desc    Delete a fixed exchange rate
+ * @access  Private (Admin)
+ */
+router.delete('/exchange-rates/:id', async (req, res) => {
+  try {
+    const rateId = parseInt(req.params.id);
+    const existingRate = await prisma.companyExchangeRate.findFirst({
+      where: {
+        id: rateId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingRate) {
+      return res.status(404).json({
+        error: 'Exchange rate not found'
+      });
+    }
+
+    await prisma.companyExchangeRate.delete({
+      where: { id: rateId }
+    });
+
+    await recordAudit({
+      req,
+      action: 'exchange_rate.delete',
+      entityType: 'EXCHANGE_RATE',
+      entityId: rateId,
+      before: existingRate
+    });
+
+    res.json({
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      error: 'Failed to delete exchange rate'
+    });
+  }
+});
+
+const mileageRateValidation = [
+  body('vehicleType').isIn(VEHICLE_TYPES).withMessage(`Vehicle type must be one of ${VEHICLE_TYPES.join(', ')}`),
+  body('effectiveFrom').isISO8601().withMessage('Effective from must be a date'),
+  body('tiers').isArray({ min: 1 }).withMessage('At least one rate tier is required'),
+  body('note').optional({ nullable: true }).trim().isLength({ max: 200 }).withMessage('Note must be at most 200 characters')
+];
+
+/**
+ * Build mileage rate fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - MileageRate fields
+ */
+function buildMileageRateData(body) {
+  return {
+    vehicleType: body.vehicleType,
+    effectiveFrom: startOfDay(body.effectiveFrom),
+    tiers: serializeJsonField(normalizeTiers(body.tiers)),
+    note: body.note || null
+  };
+}
+
+/**
+ * Check that no other rate of the vehicle type starts on the same day
+ * @param {number} companyId - ID of the company
+ * @param {Object} rateData - Mileage rate fields
+ * @param {number} [excludeId] - Rate being updated
+ * @returns {Promise<string|null>} - Error message or null if the date is free
+ */
+async function checkMileageRateDate(companyId, rateData, excludeId = null) {
+  const clash = await prisma.mileageRate.findFirst({
+    where: {
+      companyId: companyId,
+      vehicleType: rateData.vehicleType,
+      effectiveFrom: rateData.effectiveFrom,
+      ...(excludeId && { id: { not: excludeId } })
+    }
+  });
+
+  return clash ? 'A rate for this vehicle type already takes effect on that date' : null;
+}
+
+const mileageRateInclude = {
+  createdBy: {
+    select: {
+      id: true,
+      fullName: true
+    }
+  }
+};
+
+/**
+ * @route   GET /api/admin/mileage-rates
+ * @desc    Get the company's per-km mileage rates, newest first
+ * @access  Private (Admin)
+ */
+router.get('/mileage-rates', async (req, res) => {
+  try {
+    const rates = await prisma.mileageRate.findMany({
+      where: { companyId: req.user.companyId },
+      include: mileageRateInclude,
+      orderBy: [{ vehicleType: 'asc' }, { effectiveFrom: 'desc' }]
+    });
+
+    res.json({
+      rates: rates.map(formatMileageRate)
+    });
+  } catch (error) {
+    console.error('Get mileage rates error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch mileage rates'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/mileage-rates
+ * @desc    Add a mileage rate for a vehicle type, in effect from a date until the next one
+ * @access  Private (Admin)
+ */
+router.post('/mileage-rates', mileageRateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const validationError = validateTiers(req.body.tiers);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const rateData = buildMileageRateData(req.body);
+    const dateError = await checkMileageRateDate(req.user.companyId, rateData);
+    if (dateError) {
+      return res.status(400).json({
+        error: dateError
+      });
+    }
+
+    const rate = await prisma.mileageRate.create({
+      data: {
+        ...rateData,
+        companyId: req.user.companyId,
+        createdById: req.user.id
+      },
+      include: mileageRateInclude
+    });
+
+    await recordAudit({
+      req,
+      action: 'mileage_rate.create',
+      entityType: 'MILEAGE_RATE',
+      entityId: rate.id,
+      after: rateData
+    });
+
+    res.status(201).json({
+      message: 'Mileage rate created successfully',
+      rate: formatMileageRate(rate)
+    });
+  } catch (error) {
+    console.error('Create mileage rate error:', error);
+    res.status(500).json({
+      error: 'Failed to create mileage rate'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/mileage-rates/:id
+ * @desc    Update a mileage rate
+ * @access  Private (Admin)
+ */
+router.put('/mileage-rates/:id', mileageRateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rateId = parseInt(req.params.id);
+    const existingRate = await prisma.mileageRate.findFirst({
+      where: {
+        id: rateId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingRate) {
+      return res.status(404).json({
+        error: 'Mileage rate not found'
+      });
+    }
+
+    const validationError = validateTiers(req.body.tiers);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const rateData = buildMileageRateData(req.body);
+    const dateError = await checkMileageRateDate(req.user.companyId, rateData, rateId);
+    if (dateError) {
+      return res.status(400).json({
+        error: dateError
+      });
+    }
+
+    // Trips already submitted keep the amount they were priced at
+    const rate = await prisma.mileageRate.update({
+      where: { id: rateId },
+      data: rateData,
+      include: mileageRateInclude
+    });
+
+    await recordAudit({
+      req,
+      action: 'mileage_rate.update',
+      entityType: 'MILEAGE_RATE',
+      entityId: rateId,
+      before: existingRate,
+      after: rateData
+    });
+
+    res.json({
+      message: 'Mileage rate updated successfully',
+      rate: formatMileageRate(rate)
+    });
+  } catch (error) {
+    console.error('Update mileage rate error:', error);
+    res.status(500).json({
+      error: 'Failed to update mileage rate'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/mileage-rates/:id
+ * @desc    Delete a mileage rate
+ * @access  Private (Admin)
+ */
+router.delete('/mileage-rates/:id', async (req, res) => {
+  try {
+    const rateId = parseInt(req.params.id);
+    const existingRate = await prisma.mileageRate.findFirst({
+      where: {
+        id: rateId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingRate) {
+      return res.status(404).json({
+        error: 'Mileage rate not found'
+      });
+    }
+
+    await prisma.mileageRate.delete({
+      where: { id: rateId }
+    });
+
+    await recordAudit({
+      req,
+      action: 'mileage_rate.delete',
+      entityType: 'MILEAGE_RATE',
+      entityId: rateId,
+      before: existingRate
+    });
+
+    res.json({
+      message: 'Mileage rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete mileage rate error:', error);
+    res.status(500).json({
+      error: 'Failed to delete mileage rate'
+    });
+  }
+});
+
+const perDiemRateValidation = [
+  body('country').trim().isLength({ min: 2, max: 100 }).withMessage('Country is required'),
+  body('city').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('City must be at most 100 characters'),
+  body('currency').trim().matches(/^[A-Za-z]{3}$/).withMessage('Currency must be a 3-letter code'),
+  body('lodgingRate').isFloat({ min: 0, max: MAX_AMOUNT }).withMessage(`Lodging rate must be between 0 and ${MAX_AMOUNT}`),
+  body('mealsRate').isFloat({ gt: 0, max: MAX_AMOUNT }).withMessage(`M&IE rate must be a positive number up to ${MAX_AMOUNT}`),
+  body('validFrom').isISO8601().withMessage('Valid from must be a date'),
+  body('validTo').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid to must be a date'),
+  body('note').optional({ nullable: true }).trim().isLength({ max: 200 }).withMessage('Note must be at most 200 characters')
+];
+
+/**
+ * Build per diem rate fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - PerDiemRate fields
+ */
+function buildPerDiemRateData(body) {
+  const currency = body.currency.trim().toUpperCase();
+
+  return {
+    country: body.country.trim(),
+    city: body.city ? body.city.trim() : null,
+    currency: currency,
+    lodgingRateMinor: toMinorUnits(body.lodgingRate, currency),
+    mealsRateMinor: toMinorUnits(body.mealsRate, currency),
+    validFrom: startOfDay(body.validFrom),
+    validTo: body.validTo ? startOfDay(body.validTo) : null,
+    note: body.note || null
+  };
+}
+
+/**
+ * Check the validity period of a per diem rate against the destination's other rates
+ * @param {number} companyId - ID of the company
+ * @param {Object} rateData - Per diem rate fields
+ * @param {number} [excludeId] - Rate being updated
+ * @returns {Promise<string|null>} - Error message or null if valid
+ */
+async function validatePerDiemRate(companyId, rateData, excludeId = null) {
+  if (rateData.validTo && rateData.validTo < rateData.validFrom) {
+    return 'Valid to must not be before valid from';
+  }
+
+  const rates = await prisma.perDiemRate.findMany({
+    where: {
+      companyId: companyId,
+      ...(excludeId && { id: { not: excludeId } })
+    }
+  });
+
+  // Destinations are matched without regard to case, like trips are
+  const isSame = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+  const overlapping = rates.find(rate =>
+    isSame(rate.country, rateData.country) &&
+    isSame(rate.city, rateData.city) &&
+    (!rate.validTo || rate.validTo >= rateData.validFrom) &&
+    (!rateData.validTo || rateData.validTo >= rate.validFrom)
+  );
+
+  return overlapping ? 'Another rate for this destination is valid during this period' : null;
+}
+
+const perDiemRateInclude = {
+  createdBy: {
+    select: {
+      id: true,
+      fullName: true
+    }
+  }
+};
+
+/**
+ * @route   GET /api/admin/per-diem-rates
+ * @desc    Get the company's per diem rates by destination
+ * @access  Private (Admin)
+ */
+router.get('/per-diem-rates', async (req, res) => {
+  try {
+    const rates = await prisma.perDiemRate.findMany({
+      where: { companyId: req.user.companyId },
+      include: perDiemRateInclude,
+      orderBy: [{ country: 'asc' }, { city: 'asc' }, { validFrom: 'desc' }]
+    });
+
+    res.json({
+      rates: rates.map(formatPerDiemRate)
+    });
+  } catch (error) {
+    console.error('Get per diem rates error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch per diem rates'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/per-diem-rates
+ * @desc    Add a per diem rate for a country or city and period
+ * @access  Private (Admin)
+ */
+router.post('/per-diem-rates', perDiemRateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rateData = buildPerDiemRateData(req.body);
+    const validationError = await validatePerDiemRate(req.user.companyId, rateData);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const rate = await prisma.perDiemRate.create({
+      data: {
+        ...rateData,
+        companyId: req.user.companyId,
+        createdById: req.user.id
+      },
+      include: perDiemRateInclude
+    });
+
+    await recordAudit({
+      req,
+      action: 'per_diem_rate.create',
+      entityType: 'PER_DIEM_RATE',
+      entityId: rate.id,
+      after: rateData
+    });
+
+    res.status(201).json({
+      message: 'Per diem rate created successfully',
+      rate: formatPerDiemRate(rate)
+    });
+  } catch (error) {
+    console.error('Create per diem rate error:', error);
+    res.status(500).json({
+      error: 'Failed to create per diem rate'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/per-diem-rates/:id
+ * @desc    Update a per diem rate
+ * @access  Private (Admin)
+ */
+router.put('/per-diem-rates/:id', perDiemRateValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const rateId = parseInt(req.params.id);
+    const existingRate = await prisma.perDiemRate.findFirst({
+      where: {
+        id: rateId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingRate) {
+      return res.status(404).json({
+        error: 'Per diem rate not found'
+      });
+    }
+
+    const rateData = buildPerDiemRateData(req.body);
+    const validationError = await validatePerDiemRate(req.user.companyId, rateData, rateId);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    // Per diems already submitted keep the amount they were computed at
+    const rate = await prisma.perDiemRate.update({
+      where: { id: rateId },
+      data: rateData,
+      include: perDiemRateInclude
+    });
+
+    await recordAudit({
+      req,
+      action: 'per_diem_rate.update',
+      entityType: 'PER_DIEM_RATE',
+      entityId: rateId,
+      before: existingRate,
+      after: rateData
+    });
+
+    res.json({
+      message: 'Per diem rate updated successfully',
+      rate: formatPerDiemRate(rate)
+    });
+  } catch (error) {
+    console.error('Update per diem rate error:', error);
+    res.status(500).json({
+      error: 'Failed to update per diem rate'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/per-diem-rates/:id
+ * @desc    Delete a per diem rate
+ * @access  Private (Admin)
+ */
+router.delete('/per-diem-rates/:id', async (req, res) => {
+  try {
+    const rateId = parseInt(req.params.id);
+    const existingRate = await prisma.perDiemRate.findFirst({
+      where: {
+        id: rateId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingRate) {
+      return res.status(404).json({
+        error: 'Per diem rate not found'
+      });
+    }
+
+    await prisma.perDiemRate.delete({
+      where: { id: rateId }
+    });
+
+    await recordAudit({
+      req,
+      action: 'per_diem_rate.delete',
+      entityType: 'PER_DIEM_RATE',
+      entityId: rateId,
+      before: existingRate
+    });
+
+    res.json({
+      message: 'Per diem rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete per diem rate error:', error);
+    res.status(500).json({
+      error: 'Failed to delete per diem rate'
+    });
+  }
+});
+
+const expensePolicyValidation = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name is required'),
+  body('policyType').isIn(POLICY_TYPES).withMessage(`Policy type must be one of ${POLICY_TYPES.join(', ')}`),
+  body('category').optional({ nullable: true }).trim(),
+  body('action').isIn(POLICY_ACTIONS).withMessage('Action must be BLOCK or WARN'),
+  body('amount').optional({ nullable: true }).isFloat({ min: 0, max: MAX_AMOUNT }).withMessage(`Amount must be between 0 and ${MAX_AMOUNT}`),
+  body('period').optional({ nullable: true }).isIn(LIMIT_PERIODS).withMessage(`Period must be one of ${LIMIT_PERIODS.join(', ')}`),
+  body('maxAgeDays').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Maximum age must be at least 1 day'),
+  body('merchants').optional({ nullable: true }).isArray().withMessage('Merchants must be an array'),
+  body('merchants.*').optional().isString().trim(),
+  body('isActive').optional().isBoolean()
+];
+
+/**
+ * Build policy fields from a request body
+ * Only the fields the policy type uses are kept.
+ * @param {Object} body - Request body
+ * @param {string} currency - Company currency amounts are entered in
+ * @returns {Object} - ExpensePolicy fields
+ */
+function buildExpensePolicyData(body, currency) {
+  const hasAmount = ['CATEGORY_LIMIT', 'RECEIPT_REQUIRED'].includes(body.policyType);
+  const hasAmountValue = body.amount !== undefined && body.amount !== null && body.amount !== '';
+
+  return {
+    name: body.name,
+    policyType: body.policyType,
+    category: body.category || null,
+    action: body.action,
+    amountMinor: hasAmount && hasAmountValue ? toMinorUnits(body.amount, currency) : null,
+    period: body.policyType === 'CATEGORY_LIMIT' ? (body.period || 'EXPENSE') : null,
+    maxAgeDays: body.policyType === 'MAX_AGE' && body.maxAgeDays ? parseInt(body.maxAgeDays) : null,
+    merchants: body.policyType === 'MERCHANT'
+      ? serializeJsonField((body.merchants || []).filter(Boolean))
+      : null
+  };
+}
+
+/**
+ * Check that a policy has the settings its type requires
+ * @param {Object} policyData - Policy fields
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateExpensePolicy(policyData) {
+  if (policyData.policyType === 'CATEGORY_LIMIT' && !(policyData.amountMinor > 0)) {
+    return 'Category limits require an amount greater than 0';
+  }
+
+  if (policyData.policyType === 'MAX_AGE' && !policyData.maxAgeDays) {
+    return 'Maximum age policies require maxAgeDays';
+  }
+
+  if (policyData.policyType === 'MERCHANT' && parseJsonField(policyData.merchants, []).length === 0) {
+    return 'Merchant policies require at least one merchant';
+  }
+
+  return null;
+}
+
+/**
+ * Format an expense policy for API responses
+ * @param {Object} policy - ExpensePolicy record
+ * @param {string} currency - Company currency
+ * @returns {Object} - Policy with the amount in major units
+ */
+function formatExpensePolicy(policy, currency) {
+  return {
+    id: policy.id,
+    name: policy.name,
+    policyType: policy.policyType,
+    category: policy.category,
+    action: policy.action,
+    amount: fromMinorUnits(policy.amountMinor, currency),
+    period: policy.period,
+    maxAgeDays: policy.maxAgeDays,
+    merchants: parseJsonField(policy.merchants, []),
+    isActive: policy.isActive,
+    createdAt: policy.createdAt,
+    updatedAt: policy.updatedAt
+  };
+}
+
+/**
+ * @route   GET /api/admin/expense-policies
+ * @desc    Get the company's expense policies
+ * @access  Private (Admin)
+ */
+router.get('/expense-policies', [
+  query('includeInactive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const where = {
+      companyId: req.user.companyId
+    };
+
+    if (req.query.includeInactive !== 'true') {
+      where.isActive = true;
+    }
+
+    const policies = await prisma.expensePolicy.findMany({
+      where: where,
+      orderBy: { id: 'asc' }
+    });
+
+    res.json({
+      policies: policies.map(policy => formatExpensePolicy(policy, req.user.company.currency))
+    });
+  } catch (error) {
+    console.error('Get expense policies error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch expense policies'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/expense-policies
+ * @desc    Create an expense policy
+ * @access  Private (Admin)
+ */
+router.post('/expense-policies', expensePolicyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const policyData = buildExpensePolicyData(req.body, req.user.company.currency);
+    const validationError = validateExpensePolicy(policyData);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const policy = await prisma.expensePolicy.create({
+      data: {
+        ...policyData,
+        companyId: req.user.companyId,
+        isActive: true
+      }
+    });
+
+    await recordAudit({
+      req,
+      action: 'expense_policy.create',
+      entityType: 'EXPENSE_POLICY',
+      entityId: policy.id,
+      after: policy
+    });
+
+    res.status(201).json({
+      message: 'Expense policy created successfully',
+      policy: formatExpensePolicy(policy, req.user.company.currency)
+    });
+  } catch (error) {
+    console.error('Create expense policy error:', error);
+    res.status(500).json({
+      error: 'Failed to create expense policy'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/expense-policies/:id
+ * @desc    Update an expense policy
+ * @access  Private (Admin)
+ */
+router.put('/expense-policies/:id', expensePolicyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const policyId = parseInt(req.params.id);
+    const existingPolicy = await prisma.expensePolicy.findFirst({
+      where: {
+        id: policyId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingPolicy) {
+      return res.status(404).json({
+        error: 'Expense policy not found'
+      });
+    }
+
+    const policyData = buildExpensePolicyData(req.body, req.user.company.currency);
+    const validationError = validateExpensePolicy(policyData);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    if (req.body.isActive !== undefined) {
+      policyData.isActive = req.body.isActive;
+    }
+
+    // Violations already stored on expenses are kept until those expenses change
+    const policy = await prisma.expensePolicy.update({
+      where: { id: policyId },
+      data: policyData
+    });
+
+    await recordAudit({
+      req,
+      action: 'expense_policy.update',
+      entityType: 'EXPENSE_POLICY',
+      entityId: policyId,
+      before: existingPolicy,
+      after: policy
+    });
+
+    res.json({
+      message: 'Expense policy updated successfully',
+      policy: formatExpensePolicy(policy, req.user.company.currency)
+    });
+  } catch (error) {
+    console.error('Update expense policy error:', error);
+    res.status(500).json({
+      error: 'Failed to update expense policy'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/expense-policies/:id
+ * @desc    Deactivate an expense policy
+ * @access  Private (Admin)
+ */
+router.delete('/expense-policies/:id', async (req, res) => {
+  try {
+    const policyId = parseInt(req.params.id);
+    const existingPolicy = await prisma.expensePolicy.findFirst({
+      where: {
+        id: policyId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingPolicy) {
+      return res.status(404).json({
+        error: 'Expense policy not found'
+      });
+    }
+
+    const deactivatedPolicy = await prisma.expensePolicy.update({
+      where: { id: policyId },
+      data: { isActive: false }
+    });
+
+    await recordAudit({
+      req,
+      action: 'expense_policy.deactivate',
+      entityType: 'EXPENSE_POLICY',
+      entityId: policyId,
+      before: existingPolicy,
+      after: deactivatedPolicy
+    });
+
+    res.json({
+      message: 'Expense policy deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Deactivate expense policy error:', error);
+    res.status(500).json({
+      error: 'Failed to deactivate expense policy'
+    });
+  }
+});
+
+const categoryValidation = [
+  body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be 2 to 50 characters'),
+  body('glAccountCode').optional({ nullable: true }).trim().isLength({ max: 30 }).withMessage('GL account code must be at most 30 characters'),
+  body('defaultTaxRate').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Default tax rate must be between 0 and 100'),
+  body('ocrKeywords').optional({ nullable: true }).isArray().withMessage('OCR keywords must be an array'),
+  body('ocrKeywords.*').optional().isString().trim(),
+  body('requiredDimensions').optional({ nullable: true }).isArray().withMessage('Required dimensions must be an array'),
+  body('requiredDimensions.*').isIn(REQUIRABLE_DIMENSIONS).withMessage(`Required dimensions must be among ${REQUIRABLE_DIMENSIONS.join(', ')}`),
+  body('isActive').optional().isBoolean()
+];
+
+/**
+ * Build category fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Category fields
+ */
+function buildCategoryData(body) {
+  const hasTaxRate = body.defaultTaxRate !== undefined && body.defaultTaxRate !== null && body.defaultTaxRate !== '';
+
+  return {
+    name: body.name,
+    glAccountCode: body.glAccountCode || null,
+    defaultTaxRate: hasTaxRate ? parseFloat(body.defaultTaxRate) : null,
+    ocrKeywords: serializeJsonField((body.ocrKeywords || []).map(keyword => keyword.toLowerCase()).filter(Boolean)),
+    requiredDimensions: serializeJsonField([...new Set(body.requiredDimensions || [])])
+  };
+}
+
+/**
+ * Find another category of the company with the same name, ignoring case
+ * @param {number} companyId - ID of the company
+ * @param {string} name - Category name
+ * @param {number} [excludeId] - Category being renamed
+ * @returns {Promise<Object|undefined>} - Conflicting category
+ */
+async function findCategoryNameConflict(companyId, name, excludeId) {
+  const categories = await prisma.category.findMany({
+    where: { companyId: companyId }
+  });
+
+  return categories.find(category =>
+    category.id !== excludeId && category.name.toLowerCase() === name.toLowerCase()
+  );
+}
+
+/**
+ * @route   GET /api/admin/categories
+ * @desc    Get the company's expense categories, including inactive ones
+ * @access  Private (Admin)
+ */
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = await prisma.category.findMany({
+      where: { companyId: req.user.companyId },
+      orderBy: { id: 'asc' }
+    });
+
+    res.json({
+      categories: categories.map(formatCategory)
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch categories'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/categories
+ * @desc    Create an expense category
+ * @access  Private (Admin)
+ */
+router.post('/categories', categoryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const categoryData = buildCategoryData(req.body);
+    if (await findCategoryNameConflict(req.user.companyId, categoryData.name)) {
+      return res.status(400).json({
+        error: 'A category with this name already exists'
+      });
+    }
+
+    const category = await prisma.category.create({
+      data: {
+        ...categoryData,
+        companyId: req.user.companyId,
+        isActive: true
+      }
+    });
+
+    await recordAudit({
+      req,
+      action: 'category.create',
+      entityType: 'CATEGORY',
+      entityId: category.id,
+      after: category
+    });
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: formatCategory(category)
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      error: 'Failed to create category'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/categories/:id
+ * @desc    Update an expense category
+ * @access  Private (Admin)
+ */
+router.put('/categories/:id', categoryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const categoryId = parseInt(req.params.id);
+    const existingCategory = await prisma.category.findFirst({
+      where: {
+        id: categoryId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingCategory) {
+      return res.status(404).json({
+        error: 'Category not found'
+      });
+    }
+
+    const categoryData = buildCategoryData(req.body);
+    if (await findCategoryNameConflict(req.user.companyId, categoryData.name, categoryId)) {
+      return res.status(400).json({
+        error: 'A category with this name already exists'
+      });
+    }
+
+    if (req.body.isActive !== undefined) {
+      categoryData.isActive = req.body.isActive;
+    }
+
+    // Policies follow a renamed category; expenses keep the name they were filed under
+    const category = await prisma.$transaction(async (tx) => {
+      if (categoryData.name !== existingCategory.name) {
+        await tx.expensePolicy.updateMany({
+          where: {
+            companyId: req.user.companyId,
+            category: existingCategory.name
+          },
+          data: { category: categoryData.name }
+        });
+      }
+
+      return tx.category.update({
+        where: { id: categoryId },
+        data: categoryData
+      });
+    });
+
+    await recordAudit({
+      req,
+      action: 'category.update',
+      entityType: 'CATEGORY',
+      entityId: categoryId,
+      before: existingCategory,
+      after: category
+    });
+
+    res.json({
+      message: 'Category updated successfully',
+      category: formatCategory(category)
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      error: 'Failed to update category'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/categories/:id
+ * @desc    Deactivate an expense category; existing expenses keep it
+ * @access  Private (Admin)
+ */
+router.delete('/categories/:id', async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+    const existingCategory = await prisma.category.findFirst({
+      where: {
+        id: categoryId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingCategory) {
+      return res.status(404).json({
+        error: 'Category not found'
+      });
+    }
+
+    const deactivatedCategory = await prisma.category.update({
+      where: { id: categoryId },
+      data: { isActive: false }
+    });
+
+    await recordAudit({
+      req,
+      action: 'category.deactivate',
+      entityType: 'CATEGORY',
+      entityId: categoryId,
+      before: existingCategory,
+      after: deactivatedCategory
+    });
+
+    res.json({
+      message: 'Category deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Deactivate category error:', error);
+    res.status(500).json({
+      error: 'Failed to deactivate category'
+    });
+  }
+});
+
+const dimensionValueValidation = [
+  body('dimension').isIn(DIMENSION_TYPES).withMessage(`Dimension must be one of ${DIMENSION_TYPES.join(', ')}`),
+  body('code').trim().isLength({ min: 1, max: 30 }).withMessage('Code must be 1 to 30 characters'),
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2 to 100 characters'),
+  body('isActive').optional().isBoolean()
+];
+
+/**
+ * @route   GET /api/admin/dimensions
+ * @desc    Get the company's projects and cost centers, including inactive ones
+ * @access  Private (Admin)
+ */
+router.get('/dimensions', [
+  query('dimension').optional().isIn(DIMENSION_TYPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const where = {
+      companyId: req.user.companyId
+    };
+
+    if (req.query.dimension) {
+      where.dimension = req.query.dimension;
+    }
+
+    const values = await prisma.dimensionValue.findMany({
+      where: where,
+      orderBy: [{ dimension: 'asc' }, { code: 'asc' }]
+    });
+
+    res.json({
+      values: values.map(formatDimensionValue)
+    });
+  } catch (error) {
+    console.error('Get dimensions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch dimensions'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/dimensions
+ * @desc    Create a project or cost center
+ * @access  Private (Admin)
+ */
+router.post('/dimensions', dimensionValueValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { dimension, code, name } = req.body;
+
+    const existingValue = await prisma.dimensionValue.findFirst({
+      where: {
+        companyId: req.user.companyId,
+        dimension: dimension,
+        code: code
+      }
+    });
+
+    if (existingValue) {
+      return res.status(400).json({
+        error: `Code ${code} is already used`
+      });
+    }
+
+    const value = await prisma.dimensionValue.create({
+      data: {
+        companyId: req.user.companyId,
+        dimension: dimension,
+        code: code,
+        name: name,
+        isActive: true
+      }
+    });
+
+    await recordAudit({
+      req,
+      action: 'dimension_value.create',
+      entityType: 'DIMENSION_VALUE',
+      entityId: value.id,
+      after: value
+    });
+
+    res.status(201).json({
+      message: 'Dimension value created successfully',
+      value: formatDimensionValue(value)
+    });
+  } catch (error) {
+    console.error('Create dimension value error:', error);
+    res.status(500).json({
+      error: 'Failed to create dimension value'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/dimensions/:id
+ * @desc    Update or reactivate a project or cost center
+ * @access  Private (Admin)
+ */
+router.put('/dimensions/:id', dimensionValueValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const valueId = parseInt(req.params.id);
+    const existingValue = await prisma.dimensionValue.findFirst({
+      where: {
+        id: valueId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingValue) {
+      return res.status(404).json({
+        error: 'Dimension value not found'
+      });
+    }
+
+    // Expenses point at the value, so it cannot move to the other dimension
+    if (req.body.dimension !== existingValue.dimension) {
+      return res.status(400).json({
+        error: 'The dimension of a value cannot be changed'
+      });
+    }
+
+    const conflictingValue = await prisma.dimensionValue.findFirst({
+      where: {
+        companyId: req.user.companyId,
+        dimension: existingValue.dimension,
+        code: req.body.code,
+        id: { not: valueId }
+      }
+    });
+
+    if (conflictingValue) {
+      return res.status(400).json({
+        error: `Code ${req.body.code} is already used`
+      });
+    }
+
+    const updateData = {
+      code: req.body.code,
+      name: req.body.name
+    };
+
+    if (req.body.isActive !== undefined) {
+      updateData.isActive = req.body.isActive;
+    }
+
+    const value = await prisma.dimensionValue.update({
+      where: { id: valueId },
+      data: updateData
+    });
+
+    await recordAudit({
+      req,
+      action: 'dimension_value.update',
+      entityType: 'DIMENSION_VALUE',
+      entityId: valueId,
+      before: existingValue,
+      after: value
+    });
+
+    res.json({
+      message: 'Dimension value updated successfully',
+      value: formatDimensionValue(value)
+    });
+  } catch (error) {
+    console.error('Update dimension value error:', error);
+    res.status(500).json({
+      error: 'Failed to update dimension value'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/dimensions/:id
+ * @desc    Deactivate a project or cost center; expenses charged to it keep it
+ * @access  Private (Admin)
+ */
+router.delete('/dimensions/:id', async (req, res) => {
+  try {
+    const valueId = parseInt(req.params.id);
+    const existingValue = await prisma.dimensionValue.findFirst({
+      where: {
+        id: valueId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingValue) {
+      return res.status(404).json({
+        error: 'Dimension value not found'
+      });
+    }
+
+    const deactivatedValue = await prisma.dimensionValue.update({
+      where: { id: valueId },
+      data: { isActive: false }
+    });
+
+    await recordAudit({
+      req,
+      action: 'dimension_value.deactivate',
+      entityType: 'DIMENSION_VALUE',
+      entityId: valueId,
+      before: existingValue,
+      after: deactivatedValue
+    });
+
+    res.json({
+      message: 'Dimension value deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Deactivate dimension value error:', error);
+    res.status(500).json({
+      error: 'Failed to deactivate dimension value'
+    });
+  }
+});
+
+const budgetValidation = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2 to 100 characters'),
+  body('scope').isIn(BUDGET_SCOPES).withMessage(`Scope must be one of ${BUDGET_SCOPES.join(', ')}`),
+  body('dimensionValueId').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Dimension value must be an ID'),
+  body('userId').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('User must be an ID'),
+  body('periodStart').isISO8601().withMessage('Period start must be a date'),
+  body('periodEnd').isISO8601().withMessage('Period end must be a date'),
+  body('amount').isFloat({ gt: 0, max: MAX_AMOUNT }).withMessage(`Amount must be a positive number up to ${MAX_AMOUNT}`),
+  body('overBudgetApproverId').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Over-budget approver must be a user ID'),
+  body('isActive').optional().isBoolean()
+];
+
+/**
+ * Build budget fields from a request body
+ * Only the ID the scope uses is kept.
+ * @param {Object} body - Request body
+ * @param {string} currency - Company currency the amount is entered in
+ * @returns {Object} - Budget fields
+ */
+function buildBudgetData(body, currency) {
+  return {
+    name: body.name,
+    scope: body.scope,
+    dimensionValueId: body.scope !== 'USER' && body.dimensionValueId ? parseInt(body.dimensionValueId) : null,
+    userId: body.scope === 'USER' && body.userId ? parseInt(body.userId) : null,
+    periodStart: startOfDay(body.periodStart),
+    periodEnd: startOfDay(body.periodEnd),
+    amountMinor: toMinorUnits(body.amount, currency),
+    overBudgetApproverId: body.overBudgetApproverId ? parseInt(body.overBudgetApproverId) : null
+  };
+}
+
+/**
+ * Check a budget's period and that its cost center, project, user and approver belong to the company
+ * @param {Object} budgetData - Budget fields
+ * @param {number} companyId - ID of the company
+ * @returns {Promise<string|null>} - Error message or null if valid
+ */
+async function validateBudget(budgetData, companyId) {
+  if (budgetData.periodEnd < budgetData.periodStart) {
+    return 'Period end must not be before period start';
+  }
+
+  if (budgetData.scope === 'USER') {
+    const user = budgetData.userId && await prisma.user.findFirst({
+      where: { id: budgetData.userId, companyId: companyId }
+    });
+    if (!user) {
+      return 'User budgets require a user of the company';
+    }
+  } else {
+    const dimension = budgetData.scope === 'PROJECT' ? 'PROJECT' : 'COST_CENTER';
+    const value = budgetData.dimensionValueId && await prisma.dimensionValue.findFirst({
+      where: { id: budgetData.dimensionValueId, companyId: companyId, dimension: dimension }
+    });
+    if (!value) {
+      return dimension === 'PROJECT'
+        ? 'Project budgets require a project of the company'
+        : 'Cost center budgets require a cost center of the company';
+    }
+  }
+
+  if (budgetData.overBudgetApproverId) {
+    const approver = await prisma.user.findFirst({
+      where: {
+        id: budgetData.overBudgetApproverId,
+        companyId: companyId,
+        isActive: true,
+        role: { in: ['MANAGER', 'ADMIN'] }
+      }
+    });
+    if (!approver) {
+      return 'The over-budget approver must be an active manager or admin of the company';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @route   GET /api/admin/budgets
+ * @desc    Get the company's budgets with what has been approved and is pending against them
+ * @access  Private (Admin)
+ */
+router.get('/budgets', [
+  query('includeInactive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const where = {
+      companyId: req.user.companyId
+    };
+
+    if (req.query.includeInactive !== 'true') {
+      where.isActive = true;
+    }
+
+    const budgets = await prisma.budget.findMany({
+      where: where,
+      include: budgetInclude,
+      orderBy: [{ periodStart: 'desc' }, { name: 'asc' }]
+    });
+
+    const formattedBudgets = [];
+    for (const budget of budgets) {
+      const consumption = await getBudgetConsumption(budget);
+      formattedBudgets.push(formatBudget(budget, consumption, req.user.company.currency));
+    }
+
+    res.json({
+      budgets: formattedBudgets
+    });
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch budgets'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/budgets
+ * @desc    Create a budget
+ * @access  Private (Admin)
+ */
+router.post('/budgets', budgetValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const budgetData = buildBudgetData(req.body, req.user.company.currency);
+    const validationError = await validateBudget(budgetData, req.user.companyId);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    const budget = await prisma.budget.create({
+      data: {
+        ...budgetData,
+        companyId: req.user.companyId,
+        isActive: true
+      },
+      include: budgetInclude
+    });
+
+    await recordAudit({
+      req,
+      action: 'budget.create',
+      entityType: 'BUDGET',
+      entityId: budget.id,
+      after: budget
+    });
+
+    res.status(201).json({
+      message: 'Budget created successfully',
+      budget: formatBudget(budget, await getBudgetConsumption(budget), req.user.company.currency)
+    });
+  } catch (error) {
+    console.error('Create budget error:', error);
+    res.status(500).json({
+      error: 'Failed to create budget'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/budgets/:id
+ * @desc    Update or reactivate a budget
+ * @access  Private (Admin)
+ */
+router.put('/budgets/:id', budgetValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const budgetId = parseInt(req.params.id);
+    const existingBudget = await prisma.budget.findFirst({
+      where: {
+        id: budgetId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingBudget) {
+      return res.status(404).json({
+        error: 'Budget not found'
+      });
+    }
+
+    const budgetData = buildBudgetData(req.body, req.user.company.currency);
+    const validationError = await validateBudget(budgetData, req.user.companyId);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError
+      });
+    }
+
+    if (req.body.isActive !== undefined) {
+      budgetData.isActive = req.body.isActive;
+    }
+
+    // Chains already built keep or lack their over-budget step; the change applies to new submissions
+    const budget = await prisma.budget.update({
+      where: { id: budgetId },
+      data: budgetData,
+      include: budgetInclude
+    });
+
+    await recordAudit({
+      req,
+      action: 'budget.update',
+      entityType: 'BUDGET',
+      entityId: budgetId,
+      before: existingBudget,
+      after: budget
+    });
+
+    res.json({
+      message: 'Budget updated successfully',
+      budget: formatBudget(budget, await getBudgetConsumption(budget), req.user.company.currency)
+    });
+  } catch (error) {
+    console.error('Update budget error:', error);
+    res.status(500).json({
+      error: 'Failed to update budget'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/budgets/:id
+ * @desc    Deactivate a budget
+ * @access  Private (Admin)
+ */
+router.delete('/budgets/:id', async (req, res) => {
+  try {
+    const budgetId = parseInt(req.params.id);
+    const existingBudget = await prisma.budget.findFirst({
+      where: {
+        id: budgetId,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existingBudget) {
+      return res.status(404).json({
+        error: 'Budget not found'
+      });
+    }
+
+    const deactivatedBudget = await prisma.budget.update({
+      where: { id: budgetId },
+      data: { isActive: false }
+    });
+
+    await recordAudit({
+      req,
+      action: 'budget.deactivate',
+      entityType: 'BUDGET',
+      entityId: budgetId,
+      before: existingBudget,
+      after: deactivatedBudget
+    });
+
+    res.json({
+      message: 'Budget deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Deactivate budget error:', error);
+    res.status(500).json({
+      error: 'Failed to deactivate budget'
+    });
+  }
+});
+
+const auditLogFilters = [
+  query('entityType').optional().isIn(AUDIT_ENTITY_TYPES),
+  query('entityId').optional().isInt(),
+  query('actorId').optional().isInt(),
+  query('action').optional().trim(),
+  query('startDate').optional().isISO8601(),
+  query('endDate').optional().isISO8601()
+];
+
+/**
+ * Build the audit log where clause from request filters
+ * @param {Object} filters - Query parameters
+ * @param {number} companyId - ID of the admin's company
+ * @returns {Object} - Prisma where clause
+ */
+function buildAuditLogWhere(filters, companyId) {
+  const where = {
+    companyId: companyId
+  };
+
+  if (filters.entityType) {
+    where.entityType = filters.entityType;
+  }
+
+  if (filters.entityId) {
+    where.entityId = parseInt(filters.entityId);
+  }
+
+  if (filters.actorId) {
+    where.actorId = parseInt(filters.actorId);
+  }
+
+  if (filters.action) {
+    where.action = { startsWith: filters.action };
+  }
+
+  if (filters.startDate || filters.endDate) {
+    where.createdAt = {};
+    if (filters.startDate) {
+      where.createdAt.gte = new Date(filters.startDate);
+    }
+    if (filters.endDate) {
+      where.createdAt.lte = new Date(filters.endDate);
+    }
+  }
+
+  return where;
+}
+
+const auditLogActorSelect = {
+  id: true,
+  fullName: true,
+  email: true
+};
+
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Get the company's audit trail
+ * @access  Private (Admin)
+ */
+router.get('/audit-logs', [
+  ...auditLogFilters,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const where = buildAuditLogWhere(req.query, req.user.companyId);
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where: where,
+        include: {
+          actor: { select: auditLogActorSelect }
+        },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: skip,
+        take: parseInt(limit)
+      }),
+      prisma.auditLog.count({ where: where })
+    ]);
+
+    res.json({
+      logs: logs.map(log => ({
+        id: log.id,
+        action: log.action,
+        entityType: log.entityType,
+        entityId: log.entityId,
+        actor: log.actor,
+        changes: parseJsonField(log.changes, {}),
+        ipAddress: log.ipAddress,
+        userAgent: log.userAgent,
+        createdAt: log.createdAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch audit logs'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/audit-logs/export
+ * @desc    Export the filtered audit trail as CSV
+ * @access  Private (Admin)
+ */
+router.get('/audit-logs/export', auditLogFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const logs = await prisma.auditLog.findMany({
+      where: buildAuditLogWhere(req.query, req.user.companyId),
+      include: {
+        actor: { select: auditLogActorSelect }
+      },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+    });
+
+    const csv = toCsv(
+      ['id', 'timestamp', 'actor_id', 'actor_email', 'action', 'entity_type', 'entity_id', 'changes', 'ip_address', 'user_agent'],
+      logs.map(log => [
+        log.id,
+        log.createdAt,
+        log.actorId,
+        log.actor ? log.actor.email : 'system',
+        log.action,
+        log.entityType,
+        log.entityId,
+        log.changes,
+        log.ipAddress,
+        log.userAgent
+      ])
+    );
+
+    const fileName = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Export audit logs error:', error);
+    res.status(500).json({
+      error: 'Failed to export audit logs'
+    });
+  }
+});
+
 module.exports = router;
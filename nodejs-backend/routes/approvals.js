@@ -1,18 +1,254 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { PrismaClient } = require('@prisma/client');
-const { processApproval } = require('../utils/approvalWorkflow');
+const { createPrismaClient } = require('../utils/prisma');
+const {
+  APPROVAL_DECISIONS,
+  getApprovalSubject,
+  processApproval,
+  rejectReportLine,
+  getApprovalState,
+  withApprovalStates
+} = require('../utils/approvalWorkflow');
+const { isOpenLine, summarizeReport } = require('../utils/expenseReports');
+const { formatAmounts, fromMinorUnits } = require('../utils/money');
+const { getMonthlyStatsStart, groupByMonth } = require('../utils/stats');
+const { formatAttachment } = require('../utils/attachments');
+const { formatConversion } = require('../utils/currency');
+const { getActingApproverIds } = require('../utils/delegation');
+const { recordAudit } = require('../utils/audit');
+const { formatPolicyViolations } = require('../utils/expensePolicies');
+const { formatSuspectedDuplicates } = require('../utils/duplicates');
+const { dimensionInclude, formatDimensions } = require('../utils/dimensions');
+const { formatMileage } = require('../utils/mileage');
+const { formatPerDiem } = require('../utils/perDiem');
+const { getExpenseBudgets } = require('../utils/budgets');
 const { requireManager } = require('../middleware/auth');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = createPrismaClient();
 
 // Validation middleware
 const approvalValidation = [
-  body('decision').isIn(['APPROVED', 'REJECTED']).withMessage('Decision must be APPROVED or REJECTED'),
+  body('decision').optional().isIn(APPROVAL_DECISIONS).withMessage('Decision must be APPROVED, REJECTED or CHANGES_REQUESTED'),
   body('comment').optional().trim()
 ];
 
+const requestChangesValidation = [
+  ...approvalValidation,
+  body('comment').trim().notEmpty().withMessage('Comment is required when requesting changes')
+];
+
+const rejectLineValidation = [
+  body('comment').trim().notEmpty().withMessage('Comment is required when rejecting a line')
+];
+
+// Decisions can only be taken while the expense or report is still under review
+const openSubjectFilter = [
+  { expense: { status: 'PENDING' } },
+  { report: { status: 'PENDING' } }
+];
+
+const submitterSelect = {
+  select: {
+    id: true,
+    fullName: true,
+    email: true
+  }
+};
+
+const chainInclude = {
+  where: { supersededAt: null },
+  include: {
+    approver: {
+      select: {
+        id: true,
+        fullName: true,
+        email: true
+      }
+    },
+    originalApprover: {
+      select: {
+        id: true,
+        fullName: true
+      }
+    },
+    actedBy: {
+      select: {
+        id: true,
+        fullName: true
+      }
+    }
+  },
+  orderBy: { order: 'asc' }
+};
+
+const escalationsInclude = {
+  include: {
+    fromApprover: {
+      select: {
+        id: true,
+        fullName: true
+      }
+    },
+    toApprover: {
+      select: {
+        id: true,
+        fullName: true
+      }
+    }
+  },
+  orderBy: { createdAt: 'asc' }
+};
+
+const attachmentInclude = {
+  orderBy: { createdAt: 'asc' }
+};
+
+const reportChainInclude = {
+  include: {
+    user: submitterSelect,
+    expenses: {
+      include: { attachments: attachmentInclude, ...dimensionInclude },
+      orderBy: { date: 'asc' }
+    },
+    approvals: chainInclude,
+    escalations: escalationsInclude
+  }
+};
+
+/**
+ * Get the budgets the expenses under review count against
+ * @param {Array} approvals - Approvals with their expense or report lines loaded
+ * @param {Object} company - Company of the approver
+ * @returns {Promise<Map>} - Expense ID to its budgets, see getExpenseBudgets
+ */
+async function getChainBudgets(approvals, company) {
+  const expenses = approvals.flatMap(approval =>
+    approval.expense ? [approval.expense] : approval.report.expenses
+  );
+  return getExpenseBudgets(expenses, company.id, company.currency);
+}
+
+/**
+ * Format an expense and its approval chain for approver views
+ * @param {Object} expense - Expense with user, approvals, escalations and attachments loaded
+ * @param {Map} budgets - Budgets of the expense, from getChainBudgets
+ * @returns {Object} - Expense for API responses
+ */
+function formatChainExpense(expense, budgets) {
+  return {
+    id: expense.id,
+    ...formatAmounts(expense),
+    originalCurrency: expense.originalCurrency,
+    companyCurrency: expense.companyCurrency,
+    conversion: formatConversion(expense),
+    category: expense.category,
+    description: expense.description,
+    merchant: expense.merchant,
+    expenseType: expense.expenseType,
+    mileage: formatMileage(expense),
+    perDiem: formatPerDiem(expense),
+    date: expense.date,
+    status: expense.status,
+    receiptPath: expense.receiptPath,
+    policyViolations: formatPolicyViolations(expense),
+    suspectedDuplicates: formatSuspectedDuplicates(expense),
+    ...formatDimensions(expense),
+    budgets: budgets.get(expense.id) || [],
+    attachments: expense.attachments.map(formatAttachment),
+    createdAt: expense.createdAt,
+    user: expense.user,
+    approvals: withApprovalStates(expense.approvals),
+    escalations: expense.escalations
+  };
+}
+
+/**
+ * Format an expense report, its lines and its approval chain for approver views
+ * @param {Object} report - Report with user, expenses, approvals and escalations loaded
+ * @param {Object} company - Company of the report, for the company currency
+ * @param {Map} budgets - Budgets of the report lines, from getChainBudgets
+ * @returns {Object} - Report for API responses
+ */
+function formatChainReport(report, company, budgets) {
+  return {
+    id: report.id,
+    title: report.title,
+    purpose: report.purpose,
+    startDate: report.startDate,
+    endDate: report.endDate,
+    status: report.status,
+    submittedAt: report.submittedAt,
+    createdAt: report.createdAt,
+    user: report.user,
+    companyCurrency: company.currency,
+    totals: summarizeReport(report.expenses, company.currency),
+    expenses: report.expenses.map(expense => ({
+      id: expense.id,
+      ...formatAmounts(expense),
+      originalCurrency: expense.originalCurrency,
+      companyCurrency: expense.companyCurrency,
+      conversion: formatConversion(expense),
+      category: expense.category,
+      description: expense.description,
+      merchant: expense.merchant,
+      expenseType: expense.expenseType,
+      mileage: formatMileage(expense),
+      perDiem: formatPerDiem(expense),
+      date: expense.date,
+      status: expense.status,
+      receiptPath: expense.receiptPath,
+      policyViolations: formatPolicyViolations(expense),
+      suspectedDuplicates: formatSuspectedDuplicates(expense),
+      ...formatDimensions(expense),
+      budgets: budgets.get(expense.id) || [],
+      attachments: expense.attachments.map(formatAttachment),
+      reviewComment: expense.reviewComment
+    })),
+    approvals: withApprovalStates(report.approvals),
+    escalations: report.escalations
+  };
+}
+
+/**
+ * Record an approval decision, and the expense or report outcome it caused, in the audit log
+ * @param {Object} req - Express request
+ * @param {Object} approval - Approval record before the decision
+ * @param {string} decision - 'APPROVED', 'REJECTED' or 'CHANGES_REQUESTED'
+ * @param {string} comment - Comment from the approver
+ * @param {Object} result - Result of processApproval
+ * @returns {Promise<void>}
+ */
+async function auditDecision(req, approval, decision, comment, result) {
+  await recordAudit({
+    req,
+    action: `approval.${decision.toLowerCase()}`,
+    entityType: 'APPROVAL',
+    entityId: approval.id,
+    before: {
+      status: approval.status,
+      comment: approval.comment,
+      actedById: approval.actedById
+    },
+    after: {
+      status: decision,
+      comment: comment || null,
+      actedById: req.user.id
+    }
+  });
+
+  if (result.finalDecision) {
+    await recordAudit({
+      req,
+      action: approval.reportId ? 'expense_report.status' : 'expense.status',
+      entityType: approval.reportId ? 'EXPENSE_REPORT' : 'EXPENSE',
+      entityId: approval.reportId || approval.expenseId,
+      before: { status: (approval.expense || approval.report).status },
+      after: { status: result.finalDecision }
+    });
+  }
+}
+
 /**
  * @route   GET /api/approvals/pending
  * @desc    Get pending approvals for the current user
@@ -20,7 +256,8 @@ const approvalValidation = [
  */
 router.get('/pending', [
   query('page').optional().isInt({ min: 1 }),
-  query('limit').optional().isInt({ min: 1, max: 100 })
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('state').optional().isIn(['actionable', 'waiting', 'all'])
 ], requireManager, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -33,79 +270,70 @@ router.get('/pending', [
 
     const {
       page = 1,
-      limit = 20
+      limit = 20,
+      state = 'actionable'
     } = req.query;
 
-    const userId = req.user.id;
+    const approverIds = await getActingApproverIds(req.user.id);
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Get pending approvals for this user
-    const [approvals, total] = await Promise.all([
-      prisma.expenseApproval.findMany({
-        where: {
-          approverId: userId,
-          status: 'PENDING'
+    // Get pending approvals for this user and anyone delegating to them
+    const pendingApprovals = await prisma.expenseApproval.findMany({
+      where: {
+        approverId: { in: approverIds },
+        status: 'PENDING',
+        supersededAt: null,
+        OR: openSubjectFilter
+      },
+      include: {
+        approver: {
+          select: {
+            id: true,
+            fullName: true,
+            email: true
+          }
         },
-        include: {
-          expense: {
-            include: {
-              user: {
-                select: {
-                  id: true,
-                  fullName: true,
-                  email: true
-                }
-              },
-              approvals: {
-                include: {
-                  approver: {
-                    select: {
-                      id: true,
-                      fullName: true,
-                      email: true
-                    }
-                  }
-                },
-                orderBy: { order: 'asc' }
-              }
-            }
+        expense: {
+          include: {
+            user: submitterSelect,
+            approvals: chainInclude,
+            escalations: escalationsInclude,
+            attachments: attachmentInclude,
+            ...dimensionInclude
           }
         },
-        orderBy: { createdAt: 'desc' },
-        skip: skip,
-        take: parseInt(limit)
-      }),
-      prisma.expenseApproval.count({
-        where: {
-          approverId: userId,
-          status: 'PENDING'
-        }
-      })
-    ]);
+        report: reportChainInclude
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    // Steps waiting on earlier stages are hidden unless requested
+    const filteredApprovals = pendingApprovals
+      .map(approval => ({
+        ...approval,
+        state: getApprovalState(approval, (approval.expense || approval.report).approvals)
+      }))
+      .filter(approval => state === 'all' || approval.state === state);
+
+    const total = filteredApprovals.length;
+    const approvals = filteredApprovals.slice(skip, skip + parseInt(limit));
+    const budgets = await getChainBudgets(approvals, req.user.company);
 
     res.json({
       approvals: approvals.map(approval => ({
         id: approval.id,
         expenseId: approval.expenseId,
+        reportId: approval.reportId,
         order: approval.order,
+        stage: approval.stage,
         status: approval.status,
+        state: approval.state,
+        approver: approval.approver,
+        onBehalfOf: approval.approverId !== req.user.id ? approval.approver : null,
         comment: approval.comment,
         createdAt: approval.createdAt,
-        expense: {
-          id: approval.expense.id,
-          originalAmount: approval.expense.originalAmount,
-          originalCurrency: approval.expense.originalCurrency,
-          companyAmount: approval.expense.companyAmount,
-          companyCurrency: approval.expense.companyCurrency,
-          category: approval.expense.category,
-          description: approval.expense.description,
-          date: approval.expense.date,
-          status: approval.expense.status,
-          receiptPath: approval.expense.receiptPath,
-          createdAt: approval.expense.createdAt,
-          user: approval.expense.user,
-          approvals: approval.expense.approvals
-        }
+        expense: approval.expense ? formatChainExpense(approval.expense, budgets) : null,
+        report: approval.report ? formatChainReport(approval.report, req.user.company, budgets) : null
       })),
       pagination: {
         page: parseInt(page),
@@ -130,7 +358,7 @@ router.get('/pending', [
 router.get('/history', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('status').optional().isIn(['APPROVED', 'REJECTED'])
+  query('status').optional().isIn(APPROVAL_DECISIONS)
 ], requireManager, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -150,9 +378,12 @@ router.get('/history', [
     const userId = req.user.id;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Build where clause
+    // Build where clause, including decisions taken as a delegate
     const where = {
-      approverId: userId,
+      OR: [
+        { approverId: userId },
+        { actedById: userId }
+      ],
       status: { not: 'PENDING' }
     };
 
@@ -167,13 +398,13 @@ router.get('/history', [
         include: {
           expense: {
             include: {
-              user: {
-                select: {
-                  id: true,
-                  fullName: true,
-                  email: true
-                }
-              }
+              user: submitterSelect
+            }
+          },
+          report: {
+            include: {
+              user: submitterSelect,
+              expenses: true
             }
           }
         },
@@ -188,16 +419,16 @@ router.get('/history', [
       approvals: approvals.map(approval => ({
         id: approval.id,
         expenseId: approval.expenseId,
+        reportId: approval.reportId,
         order: approval.order,
         status: approval.status,
         comment: approval.comment,
         createdAt: approval.createdAt,
         updatedAt: approval.updatedAt,
-        expense: {
+        expense: approval.expense ? {
           id: approval.expense.id,
-          originalAmount: approval.expense.originalAmount,
+          ...formatAmounts(approval.expense),
           originalCurrency: approval.expense.originalCurrency,
-          companyAmount: approval.expense.companyAmount,
           companyCurrency: approval.expense.companyCurrency,
           category: approval.expense.category,
           description: approval.expense.description,
@@ -205,7 +436,17 @@ router.get('/history', [
           status: approval.expense.status,
           createdAt: approval.expense.createdAt,
           user: approval.expense.user
-        }
+        } : null,
+        report: approval.report ? {
+          id: approval.report.id,
+          title: approval.report.title,
+          startDate: approval.report.startDate,
+          endDate: approval.report.endDate,
+          status: approval.report.status,
+          totals: summarizeReport(approval.report.expenses, req.user.company.currency),
+          createdAt: approval.report.createdAt,
+          user: approval.report.user
+        } : null
       })),
       pagination: {
         page: parseInt(page),
@@ -239,17 +480,20 @@ router.post('/:id/approve', approvalValidation, requireManager, async (req, res)
 
     const approvalId = parseInt(req.params.id);
     const { comment } = req.body;
-    const approverId = req.user.id;
+    const approverIds = await getActingApproverIds(req.user.id);
 
-    // Check if approval exists and belongs to current user
+    // Check if approval exists and belongs to current user or someone they substitute for
     const approval = await prisma.expenseApproval.findFirst({
       where: {
         id: approvalId,
-        approverId: approverId,
-        status: 'PENDING'
+        approverId: { in: approverIds },
+        status: 'PENDING',
+        supersededAt: null,
+        OR: openSubjectFilter
       },
       include: {
-        expense: true
+        expense: true,
+        report: true
       }
     });
 
@@ -260,7 +504,9 @@ router.post('/:id/approve', approvalValidation, requireManager, async (req, res)
     }
 
     // Process the approval
-    const result = await processApproval(approval.expenseId, approverId, 'APPROVED', comment);
+    const result = await processApproval(getApprovalSubject(approval), approval.approverId, 'APPROVED', comment, req.user.id);
+
+    await auditDecision(req, approval, 'APPROVED', comment, result);
 
     res.json({
       message: 'Expense approved successfully',
@@ -268,8 +514,8 @@ router.post('/:id/approve', approvalValidation, requireManager, async (req, res)
     });
   } catch (error) {
     console.error('Approve expense error:', error);
-    res.status(500).json({
-      error: 'Failed to approve expense'
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to approve expense'
     });
   }
 });
@@ -291,17 +537,20 @@ router.post('/:id/reject', approvalValidation, requireManager, async (req, res)
 
     const approvalId = parseInt(req.params.id);
     const { comment } = req.body;
-    const approverId = req.user.id;
+    const approverIds = await getActingApproverIds(req.user.id);
 
-    // Check if approval exists and belongs to current user
+    // Check if approval exists and belongs to current user or someone they substitute for
     const approval = await prisma.expenseApproval.findFirst({
       where: {
         id: approvalId,
-        approverId: approverId,
-        status: 'PENDING'
+        approverId: { in: approverIds },
+        status: 'PENDING',
+        supersededAt: null,
+        OR: openSubjectFilter
       },
       include: {
-        expense: true
+        expense: true,
+        report: true
       }
     });
 
@@ -312,7 +561,9 @@ router.post('/:id/reject', approvalValidation, requireManager, async (req, res)
     }
 
     // Process the rejection
-    const result = await processApproval(approval.expenseId, approverId, 'REJECTED', comment);
+    const result = await processApproval(getApprovalSubject(approval), approval.approverId, 'REJECTED', comment, req.user.id);
+
+    await auditDecision(req, approval, 'REJECTED', comment, result);
 
     res.json({
       message: 'Expense rejected successfully',
@@ -320,8 +571,167 @@ router.post('/:id/reject', approvalValidation, requireManager, async (req, res)
     });
   } catch (error) {
     console.error('Reject expense error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to reject expense'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/approvals/:id/request-changes
+ * @desc    Send an expense back to its submitter for changes
+ * @access  Private (Manager/Admin)
+ */
+router.post('/:id/request-changes', requestChangesValidation, requireManager, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const approvalId = parseInt(req.params.id);
+    const { comment } = req.body;
+    const approverIds = await getActingApproverIds(req.user.id);
+
+    // Check if approval exists and belongs to current user or someone they substitute for
+    const approval = await prisma.expenseApproval.findFirst({
+      where: {
+        id: approvalId,
+        approverId: { in: approverIds },
+        status: 'PENDING',
+        supersededAt: null,
+        OR: openSubjectFilter
+      },
+      include: {
+        expense: true,
+        report: true
+      }
+    });
+
+    if (!approval) {
+      return res.status(404).json({
+        error: 'Approval not found or already processed'
+      });
+    }
+
+    // Return the expense to the submitter
+    const result = await processApproval(getApprovalSubject(approval), approval.approverId, 'CHANGES_REQUESTED', comment, req.user.id);
+
+    await auditDecision(req, approval, 'CHANGES_REQUESTED', comment, result);
+
+    res.json({
+      message: 'Changes requested successfully',
+      result: result
+    });
+  } catch (error) {
+    console.error('Request changes error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to request changes'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/approvals/:id/lines/:expenseId/reject
+ * @desc    Reject a single line of an expense report while approving the rest
+ * @access  Private (Manager/Admin)
+ */
+router.post('/:id/lines/:expenseId/reject', rejectLineValidation, requireManager, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const approvalId = parseInt(req.params.id);
+    const expenseId = parseInt(req.params.expenseId);
+    const { comment } = req.body;
+    const approverIds = await getActingApproverIds(req.user.id);
+
+    // Only the approver whose step is up can reject lines of the report
+    const approval = await prisma.expenseApproval.findFirst({
+      where: {
+        id: approvalId,
+        approverId: { in: approverIds },
+        status: 'PENDING',
+        supersededAt: null,
+        report: { status: 'PENDING' }
+      },
+      include: {
+        report: {
+          include: {
+            approvals: {
+              where: { supersededAt: null }
+            }
+          }
+        }
+      }
+    });
+
+    if (!approval) {
+      return res.status(404).json({
+        error: 'Report approval not found or already processed'
+      });
+    }
+
+    if (getApprovalState(approval, approval.report.approvals) !== 'actionable') {
+      return res.status(409).json({
+        error: 'Approval is waiting on earlier approval steps'
+      });
+    }
+
+    const line = await prisma.expense.findFirst({
+      where: {
+        id: expenseId,
+        reportId: approval.reportId,
+        status: 'PENDING'
+      }
+    });
+
+    if (!line) {
+      return res.status(404).json({
+        error: 'Line not found or already rejected'
+      });
+    }
+
+    const result = await rejectReportLine(approval.reportId, expenseId, comment);
+
+    await recordAudit({
+      req,
+      action: 'expense.line_reject',
+      entityType: 'EXPENSE',
+      entityId: expenseId,
+      before: line,
+      after: result.expense
+    });
+
+    if (result.finalDecision) {
+      await recordAudit({
+        req,
+        action: 'expense_report.status',
+        entityType: 'EXPENSE_REPORT',
+        entityId: approval.reportId,
+        before: { status: approval.report.status },
+        after: { status: result.finalDecision }
+      });
+    }
+
+    res.json({
+      message: result.finalDecision ? 'Last line rejected; report rejected' : 'Line rejected successfully',
+      result: {
+        finalDecision: result.finalDecision
+      }
+    });
+  } catch (error) {
+    console.error('Reject report line error:', error);
     res.status(500).json({
-      error: 'Failed to reject expense'
+      error: 'Failed to reject line'
     });
   }
 });
@@ -336,6 +746,9 @@ router.get('/stats', requireManager, async (req, res) => {
     const userId = req.user.id;
     const companyId = req.user.companyId;
 
+    // Decisions on the user's own steps, and those they made as someone's delegate
+    const decidedBy = [{ approverId: userId }, { actedById: userId }];
+
     // Get approval statistics
     const [
       pendingCount,
@@ -348,61 +761,81 @@ router.get('/stats', requireManager, async (req, res) => {
       prisma.expenseApproval.count({
         where: {
           approverId: userId,
-          status: 'PENDING'
+          status: 'PENDING',
+          supersededAt: null,
+          OR: openSubjectFilter
         }
       }),
       // Approved count
       prisma.expenseApproval.count({
         where: {
-          approverId: userId,
-          status: 'APPROVED'
+          status: 'APPROVED',
+          OR: decidedBy
         }
       }),
       // Rejected count
       prisma.expenseApproval.count({
         where: {
-          approverId: userId,
-          status: 'REJECTED'
+          status: 'REJECTED',
+          OR: decidedBy
         }
       }),
-      // Total amount approved by this user
-      prisma.expenseApproval.aggregate({
+      // Total amount of the expenses, and report lines, this user approved
+      prisma.expense.aggregate({
         where: {
-          approverId: userId,
-          status: 'APPROVED'
+          companyId: companyId,
+          status: { in: ['APPROVED', 'SCHEDULED', 'PAID'] },
+          OR: [
+            { approvals: { some: { status: 'APPROVED', OR: decidedBy } } },
+            { report: { approvals: { some: { status: 'APPROVED', OR: decidedBy } } } }
+          ]
         },
         _sum: {
-          expense: {
-            companyAmount: true
-          }
+          companyAmountMinor: true
         }
       }),
-      // Monthly statistics for the last 12 months
-      prisma.$queryRaw`
-        SELECT 
-          DATE_TRUNC('month', "updatedAt") as month,
-          COUNT(*) FILTER (WHERE status = 'APPROVED') as approved_count,
-          COUNT(*) FILTER (WHERE status = 'REJECTED') as rejected_count,
-          SUM(e."companyAmount") FILTER (WHERE status = 'APPROVED') as approved_amount
-        FROM "expense_approvals" ea
-        JOIN "expenses" e ON ea."expenseId" = e.id
-        WHERE ea."approverId" = ${userId}
-          AND ea."updatedAt" >= NOW() - INTERVAL '12 months'
-          AND ea.status != 'PENDING'
-        GROUP BY DATE_TRUNC('month', ea."updatedAt")
-        ORDER BY month DESC
-        LIMIT 12
-      `
+      // Decisions of the last 12 months, totalled per month below
+      prisma.expenseApproval.findMany({
+        where: {
+          status: { in: ['APPROVED', 'REJECTED'] },
+          updatedAt: { gte: getMonthlyStatsStart() },
+          OR: decidedBy
+        },
+        select: {
+          status: true,
+          updatedAt: true,
+          expense: { select: { companyAmountMinor: true } },
+          report: { select: { expenses: { select: { status: true, companyAmountMinor: true } } } }
+        }
+      })
     ]);
 
+    const currency = req.user.company.currency;
+    const approvalAmountMinor = (approval) => {
+      const expenses = approval.expense ? [approval.expense] : approval.report.expenses.filter(isOpenLine);
+      return expenses.reduce((sum, expense) => sum + (expense.companyAmountMinor ?? 0), 0);
+    };
+
     res.json({
       stats: {
         pending: pendingCount,
         approved: approvedCount,
         rejected: rejectedCount,
-        totalAmountApproved: totalAmountApproved._sum.expense?.companyAmount || 0
+        totalAmountApproved: fromMinorUnits(totalAmountApproved._sum.companyAmountMinor ?? 0, currency)
       },
-      monthlyStats: monthlyStats
+      monthlyStats: groupByMonth(monthlyStats, approval => approval.updatedAt).map(({ month, records }) => {
+        const approved = records.filter(approval => approval.status === 'APPROVED');
+        return {
+          month: month,
+          approved_count: approved.length,
+          rejected_count: records.length - approved.length,
+          approved_amount: fromMinorUnits(
+            approved.reduce((sum, approval) => sum + approvalAmountMinor(approval), 0),
+            currency
+          )
+        };
+      }),
+      currency: currency
     });
   } catch (error) {
     console.error('Get approval stats error:', error);
@@ -420,37 +853,27 @@ router.get('/stats', requireManager, async (req, res) => {
 router.get('/:id', requireManager, async (req, res) => {
   try {
     const approvalId = parseInt(req.params.id);
-    const userId = req.user.id;
+    const approverIds = await getActingApproverIds(req.user.id);
 
     const approval = await prisma.expenseApproval.findFirst({
       where: {
         id: approvalId,
-        approverId: userId
+        OR: [
+          { approverId: { in: approverIds } },
+          { actedById: req.user.id }
+        ]
       },
       include: {
         expense: {
           include: {
-            user: {
-              select: {
-                id: true,
-                fullName: true,
-                email: true
-              }
-            },
-            approvals: {
-              include: {
-                approver: {
-                  select: {
-                    id: true,
-                    fullName: true,
-                    email: true
-                  }
-                }
-              },
-              orderBy: { order: 'asc' }
-            }
+            user: submitterSelect,
+            approvals: chainInclude,
+            escalations: escalationsInclude,
+            attachments: attachmentInclude,
+            ...dimensionInclude
           }
-        }
+        },
+        report: reportChainInclude
       }
     });
 
@@ -460,30 +883,22 @@ router.get('/:id', requireManager, async (req, res) => {
       });
     }
 
+    const budgets = await getChainBudgets([approval], req.user.company);
+
     res.json({
       approval: {
         id: approval.id,
         expenseId: approval.expenseId,
+        reportId: approval.reportId,
         order: approval.order,
+        stage: approval.stage,
         status: approval.status,
+        state: getApprovalState(approval, (approval.expense || approval.report).approvals),
         comment: approval.comment,
         createdAt: approval.createdAt,
         updatedAt: approval.updatedAt,
-        expense: {
-          id: approval.expense.id,
-          originalAmount: approval.expense.originalAmount,
-          originalCurrency: approval.expense.originalCurrency,
-          companyAmount: approval.expense.companyAmount,
-          companyCurrency: approval.expense.companyCurrency,
-          category: approval.expense.category,
-          description: approval.expense.description,
-          date: approval.expense.date,
-          status: approval.expense.status,
-          receiptPath: approval.expense.receiptPath,
-          createdAt: approval.expense.createdAt,
-          user: approval.expense.user,
-          approvals: approval.expense.approvals
-        }
+        expense: approval.expense ? formatChainExpense(approval.expense, budgets) : null,
+        report: approval.report ? formatChainReport(approval.report, req.user.company, budgets) : null
       }
     });
   } catch (error) {
@@ -494,4 +909,84 @@ router.get('/:id', requireManager, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/approvals/:id/duplicates
+ * @desc    Get the expenses suspected to be the originals of the expense (or report lines) under review
+ * @access  Private (Manager/Admin)
+ */
+router.get('/:id/duplicates', requireManager, async (req, res) => {
+  try {
+    const approvalId = parseInt(req.params.id);
+    const approverIds = await getActingApproverIds(req.user.id);
+
+    const approval = await prisma.expenseApproval.findFirst({
+      where: {
+        id: approvalId,
+        OR: [
+          { approverId: { in: approverIds } },
+          { actedById: req.user.id }
+        ]
+      },
+      include: {
+        expense: true,
+        report: { include: { expenses: true } }
+      }
+    });
+
+    if (!approval) {
+      return res.status(404).json({
+        error: 'Approval not found'
+      });
+    }
+
+    const reviewed = approval.expense ? [approval.expense] : approval.report.expenses;
+    const suspects = reviewed.flatMap(expense =>
+      formatSuspectedDuplicates(expense).map(duplicate => ({ ...duplicate, duplicateOfId: expense.id }))
+    );
+
+    const originals = await prisma.expense.findMany({
+      where: {
+        id: { in: suspects.map(suspect => suspect.expenseId) },
+        companyId: req.user.companyId
+      },
+      include: {
+        user: submitterSelect,
+        attachments: attachmentInclude
+      }
+    });
+
+    res.json({
+      duplicates: suspects
+        .filter(suspect => originals.some(original => original.id === suspect.expenseId))
+        .map(suspect => {
+          const original = originals.find(expense => expense.id === suspect.expenseId);
+          return {
+            duplicateOfId: suspect.duplicateOfId,
+            matchedOn: suspect.matchedOn,
+            expense: {
+              id: original.id,
+              ...formatAmounts(original),
+              originalCurrency: original.originalCurrency,
+              companyCurrency: original.companyCurrency,
+              category: original.category,
+              description: original.description,
+              merchant: original.merchant,
+              date: original.date,
+              status: original.status,
+              reportId: original.reportId,
+              createdAt: original.createdAt,
+              user: original.user,
+              attachments: original.attachments.map(formatAttachment)
+            }
+          };
+        })
+    });
+  } catch (error) {
+    console.error('Get suspected duplicates error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch suspected duplicates'
+    });
+  }
+});
+
 module.exports = router;
@@ -2,11 +2,15 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const { PrismaClient } = require('@prisma/client');
+const { createPrismaClient } = require('../utils/prisma');
 const { detectCurrencyForCountry } = require('../utils/currency');
+const { isDelegationActive } = require('../utils/delegation');
+const { authenticateToken } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { createDefaultCategories } = require('../utils/categories');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = createPrismaClient();
 
 // Validation middleware
 const signupValidation = [
@@ -22,6 +26,20 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+const delegateSelect = {
+  id: true,
+  fullName: true,
+  email: true,
+  role: true
+};
+
+const formatDelegation = (user) => ({
+  delegate: user.delegate || null,
+  delegateFrom: user.delegateFrom,
+  delegateUntil: user.delegateUntil,
+  isActive: isDelegationActive(user)
+});
+
 // Generate JWT token
 const generateToken = (userId) => {
   return jwt.sign(
@@ -95,16 +113,38 @@ router.post('/signup', signupValidation, async (req, res) => {
       await tx.approvalSequence.create({
         data: {
           companyId: company.id,
-          sequence: [
+          sequence: JSON.stringify([
             { type: 'manager', value: null },
             { type: 'role', value: 'manager' }
-          ]
+          ])
         }
       });
 
+      await createDefaultCategories(company.id, tx);
+
       return { company, user };
     });
 
+    await recordAudit({
+      req,
+      companyId: result.company.id,
+      actorId: result.user.id,
+      action: 'company.create',
+      entityType: 'COMPANY',
+      entityId: result.company.id,
+      after: result.company
+    });
+
+    await recordAudit({
+      req,
+      companyId: result.company.id,
+      actorId: result.user.id,
+      action: 'user.create',
+      entityType: 'USER',
+      entityId: result.user.id,
+      after: result.user
+    });
+
     // Generate JWT token
     const token = generateToken(result.user.id);
 
@@ -211,7 +251,7 @@ router.post('/login', loginValidation, async (req, res) => {
  * @desc    Get current user profile
  * @access  Private
  */
-router.get('/me', async (req, res) => {
+router.get('/me', authenticateToken, async (req, res) => {
   try {
     // This route should be protected by authenticateToken middleware
     // The user will be available in req.user
@@ -239,7 +279,7 @@ router.get('/me', async (req, res) => {
  * @desc    Update user profile
  * @access  Private
  */
-router.put('/profile', [
+router.put('/profile', authenticateToken, [
   body('fullName').optional().trim().isLength({ min: 2 }),
   body('email').optional().isEmail().normalizeEmail()
 ], async (req, res) => {
@@ -290,6 +330,15 @@ router.put('/profile', [
 
     const { password, ...userWithoutPassword } = updatedUser;
 
+    await recordAudit({
+      req,
+      action: 'user.profile_update',
+      entityType: 'USER',
+      entityId: userId,
+      before: req.user,
+      after: updatedUser
+    });
+
     res.json({
       message: 'Profile updated successfully',
       user: userWithoutPassword
@@ -307,7 +356,7 @@ router.put('/profile', [
  * @desc    Change user password
  * @access  Private
  */
-router.post('/change-password', [
+router.post('/change-password', authenticateToken, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
 ], async (req, res) => {
@@ -345,6 +394,14 @@ router.post('/change-password', [
       data: { password: hashedNewPassword }
     });
 
+    // The password itself is never written to the audit log
+    await recordAudit({
+      req,
+      action: 'user.password_change',
+      entityType: 'USER',
+      entityId: userId
+    });
+
     res.json({
       message: 'Password changed successfully'
     });
@@ -356,4 +413,178 @@ router.post('/change-password', [
   }
 });
 
+/**
+ * @route   GET /api/auth/delegation
+ * @desc    Get current user's out-of-office delegation
+ * @access  Private
+ */
+router.get('/delegation', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      include: {
+        delegate: { select: delegateSelect }
+      }
+    });
+
+    res.json({
+      delegation: formatDelegation(user)
+    });
+  } catch (error) {
+    console.error('Get delegation error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch delegation'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/delegation/candidates
+ * @desc    Get users who can act as the current user's delegate
+ * @access  Private
+ */
+router.get('/delegation/candidates', authenticateToken, async (req, res) => {
+  try {
+    const candidates = await prisma.user.findMany({
+      where: {
+        companyId: req.user.companyId,
+        id: { not: req.user.id },
+        role: { in: ['ADMIN', 'MANAGER'] },
+        isActive: true
+      },
+      select: delegateSelect,
+      orderBy: { fullName: 'asc' }
+    });
+
+    res.json({
+      candidates: candidates
+    });
+  } catch (error) {
+    console.error('Get delegation candidates error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch delegation candidates'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/auth/delegation
+ * @desc    Set a delegate to handle approvals for a date range
+ * @access  Private
+ */
+router.put('/delegation', authenticateToken, [
+  body('delegateId').isInt().withMessage('Delegate is required'),
+  body('delegateFrom').isISO8601().withMessage('Valid start date is required'),
+  body('delegateUntil').isISO8601().withMessage('Valid end date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const delegateId = parseInt(req.body.delegateId);
+    const delegateFrom = new Date(req.body.delegateFrom);
+    const delegateUntil = new Date(req.body.delegateUntil);
+
+    if (delegateUntil <= delegateFrom) {
+      return res.status(400).json({
+        error: 'End date must be after start date'
+      });
+    }
+
+    if (delegateId === req.user.id) {
+      return res.status(400).json({
+        error: 'You cannot delegate to yourself'
+      });
+    }
+
+    // Delegates must be able to approve and belong to the same company
+    const delegate = await prisma.user.findFirst({
+      where: {
+        id: delegateId,
+        companyId: req.user.companyId,
+        role: { in: ['ADMIN', 'MANAGER'] },
+        isActive: true
+      }
+    });
+
+    if (!delegate) {
+      return res.status(400).json({
+        error: 'Invalid delegate specified'
+      });
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        delegateId: delegateId,
+        delegateFrom: delegateFrom,
+        delegateUntil: delegateUntil
+      },
+      include: {
+        delegate: { select: delegateSelect }
+      }
+    });
+
+    await recordAudit({
+      req,
+      action: 'user.delegation_update',
+      entityType: 'USER',
+      entityId: req.user.id,
+      before: req.user,
+      after: updatedUser
+    });
+
+    res.json({
+      message: 'Delegation saved successfully',
+      delegation: formatDelegation(updatedUser)
+    });
+  } catch (error) {
+    console.error('Update delegation error:', error);
+    res.status(500).json({
+      error: 'Failed to save delegation'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/delegation
+ * @desc    Remove current user's delegation
+ * @access  Private
+ */
+router.delete('/delegation', authenticateToken, async (req, res) => {
+  try {
+    const updatedUser = await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        delegateId: null,
+        delegateFrom: null,
+        delegateUntil: null
+      }
+    });
+
+    await recordAudit({
+      req,
+      action: 'user.delegation_remove',
+      entityType: 'USER',
+      entityId: req.user.id,
+      before: req.user,
+      after: updatedUser
+    });
+
+    res.json({
+      message: 'Delegation removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove delegation error:', error);
+    res.status(500).json({
+      error: 'Failed to remove delegation'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,260 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { createPrismaClient } = require('../utils/prisma');
+const { requireAdmin } = require('../middleware/auth');
+const { uploadDataFile } = require('../middleware/upload');
+const { recordAudit } = require('../utils/audit');
+const { toCsv } = require('../utils/csv');
+const { fromMinorUnits } = require('../utils/money');
+const { parseStatement } = require('../utils/cardStatements');
+const {
+  cardTransactionInclude,
+  importStatement,
+  formatCardTransaction
+} = require('../utils/cardTransactions');
+
+const router = express.Router();
+const prisma = createPrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @route   GET /api/card-transactions
+ * @desc    Get the current user's card transactions, e.g. unmatched ones to claim
+ * @access  Private
+ */
+router.get('/', [
+  query('status').optional().isIn(['UNMATCHED', 'MATCHED'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const where = {
+      userId: req.user.id
+    };
+
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+
+    const transactions = await prisma.cardTransaction.findMany({
+      where: where,
+      include: cardTransactionInclude,
+      orderBy: { transactionDate: 'desc' }
+    });
+
+    res.json({
+      transactions: transactions.map(formatCardTransaction)
+    });
+  } catch (error) {
+    console.error('Get card transactions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch card transactions'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/card-transactions/import
+ * @desc    Import a cardholder's CSV, OFX/QFX or CAMT.053 card statement and match it against their expenses
+ * @access  Private (Admin)
+ */
+router.post('/import', requireAdmin, uploadDataFile('statement'), [
+  body('userId').isInt().withMessage('Cardholder is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Statement file is required'
+      });
+    }
+
+    const cardholder = await prisma.user.findFirst({
+      where: {
+        id: parseInt(req.body.userId),
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!cardholder) {
+      return res.status(404).json({
+        error: 'Cardholder not found'
+      });
+    }
+
+    let statement;
+    try {
+      statement = parseStatement(req.file.buffer, req.file.originalname, req.user.company.currency, cardholder.id);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: `Invalid statement: ${parseError.message}`
+      });
+    }
+
+    const result = await importStatement({
+      statement: statement,
+      fileName: req.file.originalname,
+      companyId: req.user.companyId,
+      userId: cardholder.id,
+      importedById: req.user.id
+    });
+
+    await recordAudit({
+      req,
+      action: 'card_transaction.import',
+      entityType: 'CARD_TRANSACTION',
+      after: {
+        cardholderId: cardholder.id,
+        fileName: req.file.originalname,
+        ...result
+      }
+    });
+
+    res.status(201).json({
+      message: `${result.imported} transaction(s) imported, ${result.matched} matched to expenses`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Import card statement error:', error);
+    res.status(500).json({
+      error: 'Failed to import card statement'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/card-transactions/unclaimed
+ * @desc    Report card spend no expense was submitted for, grouped by cardholder; format=csv downloads it
+ * @access  Private (Admin)
+ */
+router.get('/unclaimed', requireAdmin, [
+  query('olderThanDays').optional().isInt({ min: 0 }),
+  query('format').optional().isIn(['json', 'csv'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    // Cardholders get a month to submit the expense before a charge counts as unclaimed
+    const olderThanDays = req.query.olderThanDays !== undefined ? parseInt(req.query.olderThanDays) : 30;
+
+    const transactions = await prisma.cardTransaction.findMany({
+      where: {
+        companyId: req.user.companyId,
+        status: 'UNMATCHED',
+        transactionDate: { lte: new Date(Date.now() - olderThanDays * DAY_MS) }
+      },
+      include: cardTransactionInclude,
+      orderBy: [{ userId: 'asc' }, { transactionDate: 'asc' }]
+    });
+
+    if (req.query.format === 'csv') {
+      const csv = toCsv(
+        ['id', 'cardholder', 'email', 'date', 'amount', 'currency', 'merchant', 'description', 'statement_id'],
+        transactions.map(transaction => [
+          transaction.id,
+          transaction.user.fullName,
+          transaction.user.email,
+          transaction.transactionDate.toISOString().split('T')[0],
+          fromMinorUnits(transaction.amountMinor, transaction.currency),
+          transaction.currency,
+          transaction.merchant,
+          transaction.description,
+          transaction.externalId
+        ])
+      );
+
+      const fileName = `unclaimed-card-transactions-${new Date().toISOString().split('T')[0]}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(csv);
+    }
+
+    // One group per cardholder and currency, with the total still undocumented
+    const groups = new Map();
+    transactions.forEach(transaction => {
+      const key = `${transaction.userId}:${transaction.currency}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          user: transaction.user,
+          currency: transaction.currency,
+          totalAmountMinor: 0,
+          transactions: []
+        });
+      }
+
+      const group = groups.get(key);
+      group.totalAmountMinor += transaction.amountMinor;
+      group.transactions.push(transaction);
+    });
+
+    res.json({
+      olderThanDays: olderThanDays,
+      groups: Array.from(groups.values()).map(group => ({
+        user: group.user,
+        currency: group.currency,
+        count: group.transactions.length,
+        totalAmount: fromMinorUnits(group.totalAmountMinor, group.currency),
+        transactions: group.transactions.map(formatCardTransaction)
+      }))
+    });
+  } catch (error) {
+    console.error('Get unclaimed card transactions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch unclaimed card transactions'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/card-transactions/:id
+ * @desc    Get one of the current user's card transactions, e.g. to pre-fill an expense claiming it
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const transaction = await prisma.cardTransaction.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.user.id
+      },
+      include: cardTransactionInclude
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        error: 'Card transaction not found'
+      });
+    }
+
+    res.json({
+      transaction: formatCardTransaction(transaction)
+    });
+  } catch (error) {
+    console.error('Get card transaction error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch card transaction'
+    });
+  }
+});
+
+module.exports = router;
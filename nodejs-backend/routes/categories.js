@@ -0,0 +1,26 @@
+const express = require('express');
+const { getActiveCategories, formatCategory } = require('../utils/categories');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/categories
+ * @desc    Get the categories expenses can be filed under in the user's company
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const categories = await getActiveCategories(req.user.companyId);
+
+    res.json({
+      categories: categories.map(formatCategory)
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch categories'
+    });
+  }
+});
+
+module.exports = router;
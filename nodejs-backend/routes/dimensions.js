@@ -0,0 +1,35 @@
+const express = require('express');
+const { createPrismaClient } = require('../utils/prisma');
+const { formatDimensionValue } = require('../utils/dimensions');
+
+const router = express.Router();
+const prisma = createPrismaClient();
+
+/**
+ * @route   GET /api/dimensions
+ * @desc    Get the active projects and cost centers expenses can be charged to
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const values = await prisma.dimensionValue.findMany({
+      where: {
+        companyId: req.user.companyId,
+        isActive: true
+      },
+      orderBy: { code: 'asc' }
+    });
+
+    res.json({
+      projects: values.filter(value => value.dimension === 'PROJECT').map(formatDimensionValue),
+      costCenters: values.filter(value => value.dimension === 'COST_CENTER').map(formatDimensionValue)
+    });
+  } catch (error) {
+    console.error('Get dimensions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch dimensions'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,28 +1,724 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
-const { PrismaClient } = require('@prisma/client');
-const { convertAmount } = require('../utils/currency');
-const { createApprovalSequence } = require('../utils/approvalWorkflow');
-const { uploadSingle } = require('../middleware/upload');
+const { createPrismaClient } = require('../utils/prisma');
+const { convertAmountForDate, formatConversion } = require('../utils/currency');
+const { MAX_AMOUNT, toMinorUnits, fromMinorUnits, formatAmounts } = require('../utils/money');
+const { createApprovalSequence, withApprovalStates, resubmitExpense } = require('../utils/approvalWorkflow');
+const { recordAudit } = require('../utils/audit');
+const {
+  evaluatePolicies,
+  hasBlockingViolation,
+  refreshPolicyViolations,
+  formatPolicyViolations
+} = require('../utils/expensePolicies');
+const {
+  findDuplicates,
+  refreshSuspectedDuplicates,
+  formatSuspectedDuplicates
+} = require('../utils/duplicates');
+const { findActiveCategory, findCategory } = require('../utils/categories');
+const {
+  dimensionInclude,
+  resolveDimensions,
+  getMissingDimensions,
+  buildDimensionFilters,
+  formatDimensions
+} = require('../utils/dimensions');
+const { parseJsonField, serializeJsonField } = require('../utils/json');
+const {
+  MAX_ATTACHMENTS_PER_EXPENSE,
+  buildAttachmentData,
+  formatAttachment,
+  removeStoredFiles,
+  syncReceiptPath
+} = require('../utils/attachments');
+const {
+  matchExpense,
+  claimTransaction,
+  releaseCardTransactions,
+  formatCardTransaction
+} = require('../utils/cardTransactions');
+const { VEHICLE_TYPES, calculateMileage, formatMileage } = require('../utils/mileage');
+const { calculatePerDiem, getProvidedMeals, formatPerDiem } = require('../utils/perDiem');
+const { uploadSingle, uploadMultiple } = require('../middleware/upload');
 
 const router = express.Router();
-const prisma = new PrismaClient();
+const prisma = createPrismaClient();
 
 // Validation middleware
+// Multipart forms send an empty string to clear a project or cost center, and tags comma-separated
+const dimensionValidation = [
+  body('projectId').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Project ID must be an integer'),
+  body('costCenterId').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Cost center ID must be an integer'),
+  body('tags').optional({ nullable: true })
+];
+
+// Mileage trips and per diems are priced from the company's rate tables instead of a receipt amount
+const EXPENSE_TYPES = ['RECEIPT', 'MILEAGE', 'PER_DIEM'];
+const isMileageRequest = () => body('expenseType').equals('MILEAGE');
+const isPerDiemRequest = () => body('expenseType').equals('PER_DIEM');
+const isReceiptRequest = () => body('expenseType').not().isIn(['MILEAGE', 'PER_DIEM']);
+
+// Trip details of a mileage expense; optional when editing one
+const mileageValidation = [
+  body('startLocation').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Start location must be 1 to 200 characters'),
+  body('endLocation').optional().trim().isLength({ min: 1, max: 200 }).withMessage('End location must be 1 to 200 characters'),
+  body('distance').optional().isFloat({ gt: 0 }).withMessage('Distance must be greater than 0'),
+  body('vehicleType').optional().isIn(VEHICLE_TYPES).withMessage(`Vehicle type must be one of ${VEHICLE_TYPES.join(', ')}`)
+];
+
+// Destination and stay of a per diem; optional when editing one
+const perDiemValidation = [
+  body('country').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Country must be 2 to 100 characters'),
+  body('city').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('City must be at most 100 characters'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a date'),
+  body('includeLodging').optional().isBoolean().toBoolean(),
+  body('providedMeals').optional()
+];
+
 const expenseValidation = [
-  body('originalAmount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
-  body('originalCurrency').isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('expenseType').optional().isIn(EXPENSE_TYPES).withMessage('Expense type must be RECEIPT, MILEAGE or PER_DIEM'),
+  body('originalAmount').if(isReceiptRequest()).isFloat({ min: 0.01, max: MAX_AMOUNT }).withMessage(`Amount must be greater than 0 and at most ${MAX_AMOUNT}`),
+  body('originalCurrency').if(isReceiptRequest()).isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('startLocation').if(isMileageRequest()).trim().isLength({ min: 1, max: 200 }).withMessage('Start location is required'),
+  body('endLocation').if(isMileageRequest()).trim().isLength({ min: 1, max: 200 }).withMessage('End location is required'),
+  body('distance').if(isMileageRequest()).isFloat({ gt: 0 }).withMessage('Distance must be greater than 0'),
+  body('vehicleType').if(isMileageRequest()).isIn(VEHICLE_TYPES).withMessage(`Vehicle type must be one of ${VEHICLE_TYPES.join(', ')}`),
+  body('country').if(isPerDiemRequest()).trim().isLength({ min: 2, max: 100 }).withMessage('Destination country is required'),
+  body('city').if(isPerDiemRequest()).optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('City must be at most 100 characters'),
+  body('endDate').if(isPerDiemRequest()).isISO8601().withMessage('End date is required'),
+  body('includeLodging').if(isPerDiemRequest()).optional().isBoolean().toBoolean(),
   body('category').trim().isLength({ min: 2 }).withMessage('Category is required'),
   body('date').isISO8601().withMessage('Valid date is required'),
-  body('description').optional().trim()
+  body('description').optional().trim(),
+  body('merchant').optional().trim().isLength({ max: 100 }).withMessage('Merchant must be at most 100 characters'),
+  body('reportId').optional().isInt().withMessage('Report ID must be an integer'),
+  body('cardTransactionId').optional({ checkFalsy: true }).isInt().withMessage('Card transaction ID must be an integer'),
+  ...dimensionValidation
+];
+
+// Fields of the expense form a draft keeps between autosaves, as sent to POST /api/expenses
+const DRAFT_FIELDS = [
+  'expenseType', 'originalAmount', 'originalCurrency', 'category', 'description', 'merchant', 'date',
+  'startLocation', 'endLocation', 'distance', 'vehicleType',
+  'country', 'city', 'endDate', 'includeLodging', 'providedMeals',
+  'cardTransactionId', 'projectId', 'costCenterId', 'tags'
+];
+
+// A draft may be half typed; only its expense type has to be known to continue it
+const draftValidation = [
+  body('expenseType').optional().isIn(EXPENSE_TYPES).withMessage('Expense type must be RECEIPT, MILEAGE or PER_DIEM')
+];
+
+// Report statuses in which the submitter can still add, edit or remove lines
+const EDITABLE_REPORT_STATUSES = ['DRAFT', 'CHANGES_REQUESTED'];
+
+// Lines of a report the submitter can still edit or remove
+const editableReportLineFilter = {
+  report: { status: { in: EDITABLE_REPORT_STATUSES } },
+  status: { in: EDITABLE_REPORT_STATUSES }
+};
+
+// Expenses that are still open: drafts, awaiting approval or changes, or a line of an editable report
+const openExpenseFilter = [
+  { reportId: null, status: { in: ['DRAFT', 'PENDING', 'CHANGES_REQUESTED'] } },
+  editableReportLineFilter
 ];
 
+const attachmentInclude = {
+  orderBy: { createdAt: 'asc' }
+};
+
+const revisionInclude = {
+  include: {
+    createdBy: {
+      select: {
+        id: true,
+        fullName: true
+      }
+    }
+  },
+  orderBy: { revision: 'asc' }
+};
+
+const reportSelect = {
+  select: {
+    id: true,
+    title: true,
+    status: true
+  }
+};
+
+// Payout details shown to the employee once an expense is scheduled for reimbursement
+const reimbursementBatchSelect = {
+  select: {
+    id: true,
+    status: true,
+    scheduledFor: true,
+    paymentReference: true,
+    paidAt: true
+  }
+};
+
+/**
+ * Format a stored expense revision for API responses
+ * @param {Object} revision - ExpenseRevision record
+ * @param {string} companyCurrency - Company currency of the expense
+ * @returns {Object} - Revision with parsed approval snapshot
+ */
+function formatRevision(revision, companyCurrency) {
+  return {
+    revision: revision.revision,
+    ...formatAmounts(revision, companyCurrency),
+    originalCurrency: revision.originalCurrency,
+    category: revision.category,
+    description: revision.description,
+    date: revision.date,
+    receiptPath: revision.receiptPath,
+    approvals: parseJsonField(revision.approvals, []),
+    resubmittedBy: revision.createdBy,
+    resubmittedAt: revision.createdAt
+  };
+}
+
+/**
+ * Work out the columns of a draft expense from its form fields
+ * The fields are stored as sent; the columns are filled as far as they can be, for listing the draft.
+ * @param {Object} body - Request body with the form fields
+ * @param {Object} company - Company of the submitter
+ * @returns {Object} - Fields to store on the draft
+ */
+function buildDraftData(body, company) {
+  const fields = {};
+  DRAFT_FIELDS.filter(field => body[field] !== undefined).forEach(field => {
+    fields[field] = body[field];
+  });
+
+  const text = value => (typeof value === 'string' && value.trim()) || null;
+  const expenseType = fields.expenseType || 'RECEIPT';
+  const currency = expenseType === 'RECEIPT' && /^[A-Za-z]{3}$/.test(fields.originalCurrency)
+    ? fields.originalCurrency.toUpperCase()
+    : company.currency;
+  const amount = parseFloat(fields.originalAmount);
+  const date = new Date(fields.date);
+
+  // Mileage trips and per diems are priced when the draft is submitted; amounts out of range
+  // stay in draftData for the form and are rejected by the validation on submit
+  const hasAmount = expenseType === 'RECEIPT' && amount > 0 && amount <= MAX_AMOUNT;
+  return {
+    expenseType: expenseType,
+    originalAmountMinor: hasAmount ? toMinorUnits(amount, currency) : 0,
+    originalCurrency: currency,
+    category: text(fields.category) || '',
+    description: text(fields.description),
+    merchant: text(fields.merchant),
+    date: isNaN(date.getTime()) ? new Date() : date,
+    draftData: serializeJsonField(fields)
+  };
+}
+
+/**
+ * Format a draft expense for API responses
+ * @param {Object} draft - Expense record with its attachments, project and cost center
+ * @returns {Object} - Draft with its form fields
+ */
+function formatDraft(draft) {
+  return {
+    id: draft.id,
+    expenseType: draft.expenseType,
+    ...formatAmounts(draft),
+    originalCurrency: draft.originalCurrency,
+    category: draft.category,
+    description: draft.description,
+    merchant: draft.merchant,
+    date: draft.date,
+    status: draft.status,
+    ...formatDimensions(draft),
+    recurringExpenseId: draft.recurringExpenseId,
+    // Drafts generated by a recurring series have no form fields until they are edited
+    fields: parseJsonField(draft.draftData, null),
+    attachments: draft.attachments.map(formatAttachment),
+    createdAt: draft.createdAt,
+    updatedAt: draft.updatedAt
+  };
+}
+
+/**
+ * Resolve a category change to the company's spelling of an active category
+ * An expense may keep its current category even after it was deactivated.
+ * @param {number} companyId - ID of the company
+ * @param {string} name - Category as entered
+ * @param {string} currentCategory - Category the expense is filed under now
+ * @returns {Promise<string|null>} - Category name to store, or null if not an active category
+ */
+async function resolveCategoryChange(companyId, name, currentCategory) {
+  if (name === currentCategory) {
+    return currentCategory;
+  }
+
+  const category = await findActiveCategory(companyId, name);
+  return category ? category.name : null;
+}
+
+/**
+ * Validate the project, cost center and tags sent for an expense against what its category requires
+ * @param {number} companyId - ID of the company
+ * @param {Object} body - Request body
+ * @param {string} categoryName - Category the expense will be filed under
+ * @param {Object} [current] - Expense being updated
+ * @returns {Promise<Object>} - { data } with the dimension fields to store, or { error }
+ */
+async function resolveExpenseDimensions(companyId, body, categoryName, current = {}) {
+  const result = await resolveDimensions(companyId, body, current);
+  if (result.error) {
+    return result;
+  }
+
+  const category = await findCategory(companyId, categoryName);
+  const missing = getMissingDimensions(category, { ...current, ...result.data });
+  if (missing.length > 0) {
+    return { error: `${categoryName} expenses require: ${missing.join(', ')}` };
+  }
+
+  return result;
+}
+
+/**
+ * Work out the changes to a mileage expense's trip and re-price it
+ * The amount of a trip comes from the rate table, so it cannot be edited directly.
+ * @param {Object} req - Request with the changed fields in its body
+ * @param {Object} existingExpense - Expense being edited
+ * @returns {Promise<Object>} - { data } with the fields to update, or { error }
+ */
+async function resolveMileageChange(req, existingExpense) {
+  if (existingExpense.expenseType !== 'MILEAGE') {
+    return { data: {} };
+  }
+
+  if (req.body.originalAmount || req.body.originalCurrency) {
+    return { error: 'The amount of a mileage expense is computed from its distance' };
+  }
+
+  const data = {};
+  if (req.body.startLocation) {
+    data.startLocation = req.body.startLocation;
+  }
+  if (req.body.endLocation) {
+    data.endLocation = req.body.endLocation;
+  }
+
+  if (req.body.distance || req.body.vehicleType || req.body.date) {
+    const mileage = await calculateMileage({
+      companyId: existingExpense.companyId,
+      userId: existingExpense.userId,
+      currency: existingExpense.originalCurrency,
+      vehicleType: req.body.vehicleType || existingExpense.vehicleType,
+      distanceKm: req.body.distance || existingExpense.distanceKm,
+      date: req.body.date ? new Date(req.body.date) : existingExpense.date,
+      excludeExpenseId: existingExpense.id
+    });
+
+    if (mileage.error) {
+      return { error: mileage.error };
+    }
+
+    Object.assign(data, {
+      originalAmountMinor: mileage.amountMinor,
+      distanceKm: mileage.distanceKm,
+      vehicleType: req.body.vehicleType || existingExpense.vehicleType,
+      mileageBreakdown: serializeJsonField(mileage.breakdown)
+    });
+  }
+
+  return { data };
+}
+
+/**
+ * Work out the changes to a per diem's trip and re-price it
+ * The amount of a per diem comes from the rate table, so it cannot be edited directly.
+ * @param {Object} req - Request with the changed fields in its body
+ * @param {Object} existingExpense - Expense being edited
+ * @returns {Promise<Object>} - { data } with the fields to update, or { error }
+ */
+async function resolvePerDiemChange(req, existingExpense) {
+  if (existingExpense.expenseType !== 'PER_DIEM') {
+    return { data: {} };
+  }
+
+  if (req.body.originalAmount || req.body.originalCurrency) {
+    return { error: 'The amount of a per diem is computed from the trip' };
+  }
+
+  const tripFields = ['country', 'city', 'date', 'endDate', 'providedMeals', 'includeLodging'];
+  if (!tripFields.some(field => req.body[field] !== undefined)) {
+    return { data: {} };
+  }
+
+  const perDiem = await calculatePerDiem({
+    companyId: existingExpense.companyId,
+    userId: existingExpense.userId,
+    country: req.body.country || existingExpense.destinationCountry,
+    city: req.body.city !== undefined ? req.body.city : existingExpense.destinationCity,
+    startDate: req.body.date ? new Date(req.body.date) : existingExpense.date,
+    endDate: req.body.endDate ? new Date(req.body.endDate) : existingExpense.tripEndDate,
+    providedMeals: req.body.providedMeals !== undefined ? req.body.providedMeals : getProvidedMeals(existingExpense),
+    includeLodging: req.body.includeLodging !== undefined
+      ? req.body.includeLodging
+      : parseJsonField(existingExpense.perDiemBreakdown, {}).lodgingIncluded !== false,
+    excludeExpenseId: existingExpense.id
+  });
+
+  if (perDiem.error) {
+    return { error: perDiem.error };
+  }
+
+  // The destination's currency may differ, so the amount is stored with it
+  return {
+    data: {
+      originalAmountMinor: perDiem.amountMinor,
+      originalCurrency: perDiem.currency,
+      destinationCountry: req.body.country || existingExpense.destinationCountry,
+      destinationCity: req.body.city !== undefined ? req.body.city || null : existingExpense.destinationCity,
+      tripEndDate: perDiem.endDate,
+      perDiemBreakdown: serializeJsonField(perDiem.breakdown)
+    }
+  };
+}
+
+/**
+ * Describe the expenses a new one probably duplicates, for the submitter
+ * Colleagues' expenses are summarized without their description or receipts.
+ * @param {Array} duplicates - Result of findDuplicates
+ * @param {number} userId - ID of the submitter
+ * @returns {Promise<Array>} - Suspected originals for API responses
+ */
+async function describeDuplicates(duplicates, userId) {
+  if (duplicates.length === 0) {
+    return [];
+  }
+
+  const originals = await prisma.expense.findMany({
+    where: { id: { in: duplicates.map(duplicate => duplicate.expenseId) } },
+    include: {
+      user: {
+        select: {
+          id: true,
+          fullName: true
+        }
+      }
+    }
+  });
+
+  return originals.map(original => ({
+    expenseId: original.id,
+    matchedOn: duplicates.find(duplicate => duplicate.expenseId === original.id).matchedOn,
+    ...formatAmounts(original),
+    originalCurrency: original.originalCurrency,
+    category: original.category,
+    merchant: original.merchant,
+    date: original.date,
+    status: original.status,
+    submittedBy: original.user.fullName,
+    isOwn: original.userId === userId
+  }));
+}
+
+/**
+ * Validate a new expense and work out the fields to store
+ * Shared by submitting an expense directly and submitting a draft.
+ * @param {Object} user - Submitter, with their company
+ * @param {Object} fields - Validated fields, as sent to POST /api/expenses
+ * @param {Array} attachments - Uploaded files or stored attachments, with their content hashes
+ * @param {number} [expenseId] - Draft being submitted, so it is not compared with itself
+ * @returns {Promise<Object>} - { data, report, cardTransaction, computed } or { status, error, violations }
+ */
+async function prepareExpense(user, fields, attachments, expenseId) {
+  const {
+    originalAmount,
+    originalCurrency,
+    category,
+    description,
+    merchant,
+    date,
+    reportId,
+    cardTransactionId,
+    expenseType = 'RECEIPT'
+  } = fields;
+
+  const userId = user.id;
+  const companyId = user.companyId;
+
+  // Lines of a report are approved with the report, not on their own
+  let report = null;
+  if (reportId) {
+    report = await prisma.expenseReport.findFirst({
+      where: {
+        id: parseInt(reportId),
+        userId: userId,
+        status: { in: EDITABLE_REPORT_STATUSES }
+      }
+    });
+
+    if (!report) {
+      return { status: 404, error: 'Expense report not found or no longer editable' };
+    }
+
+    const expenseDate = new Date(date);
+    if (expenseDate < report.startDate || expenseDate > report.endDate) {
+      return { status: 400, error: 'Expense date is outside the report period' };
+    }
+  }
+
+  // Mileage is paid in company currency at the rate for the trip date
+  const isMileage = expenseType === 'MILEAGE';
+  const isPerDiem = expenseType === 'PER_DIEM';
+  let currency = isMileage ? user.company.currency : originalCurrency && originalCurrency.toUpperCase();
+
+  let mileage = null;
+  if (isMileage) {
+    mileage = await calculateMileage({
+      companyId: companyId,
+      userId: userId,
+      currency: currency,
+      vehicleType: fields.vehicleType,
+      distanceKm: fields.distance,
+      date: new Date(date),
+      excludeExpenseId: expenseId
+    });
+
+    if (mileage.error) {
+      return { status: 400, error: mileage.error };
+    }
+  }
+
+  // Per diems are paid in the destination's currency and converted like any foreign expense
+  let perDiem = null;
+  if (isPerDiem) {
+    perDiem = await calculatePerDiem({
+      companyId: companyId,
+      userId: userId,
+      country: fields.country,
+      city: fields.city,
+      startDate: new Date(date),
+      endDate: new Date(fields.endDate),
+      providedMeals: fields.providedMeals,
+      includeLodging: fields.includeLodging,
+      excludeExpenseId: expenseId
+    });
+
+    if (perDiem.error) {
+      return { status: 400, error: perDiem.error };
+    }
+
+    if (report && perDiem.endDate > report.endDate) {
+      return { status: 400, error: 'Trip end date is outside the report period' };
+    }
+
+    currency = perDiem.currency;
+  }
+
+  const computed = mileage || perDiem;
+  const originalAmountMinor = computed ? computed.amountMinor : toMinorUnits(originalAmount, currency);
+  if (originalAmountMinor <= 0) {
+    return { status: 400, error: 'Amount must be greater than 0' };
+  }
+
+  // The employee claims one of their card charges with this expense
+  let cardTransaction = null;
+  if (cardTransactionId) {
+    cardTransaction = await prisma.cardTransaction.findFirst({
+      where: {
+        id: parseInt(cardTransactionId),
+        userId: userId,
+        status: 'UNMATCHED'
+      }
+    });
+
+    if (!cardTransaction) {
+      return { status: 404, error: 'Card transaction not found or already matched' };
+    }
+
+    if (cardTransaction.currency !== currency ||
+      cardTransaction.amountMinor !== originalAmountMinor) {
+      return { status: 400, error: 'Amount and currency must match the card transaction' };
+    }
+  }
+
+  const expenseCategory = await findActiveCategory(companyId, category);
+  if (!expenseCategory) {
+    return { status: 400, error: 'Category is not one of the company\'s active categories' };
+  }
+
+  const dimensions = await resolveExpenseDimensions(companyId, fields, expenseCategory.name);
+  if (dimensions.error) {
+    return { status: 400, error: dimensions.error };
+  }
+
+  // Convert amount to company currency at the rate of the expense date
+  const conversion = await convertAmountForDate(
+    originalAmountMinor,
+    currency,
+    user.company.currency,
+    new Date(date),
+    companyId
+  );
+
+  const violations = await evaluatePolicies({
+    id: expenseId,
+    userId: userId,
+    companyId: companyId,
+    companyAmountMinor: conversion.companyAmountMinor,
+    companyCurrency: user.company.currency,
+    category: expenseCategory.name,
+    description: description,
+    merchant: merchant,
+    date: new Date(date),
+    reportId: report ? report.id : null,
+    expenseType: expenseType
+  }, attachments.length);
+
+  // Report lines are checked again when the report is submitted
+  if (!report && hasBlockingViolation(violations)) {
+    return { status: 400, error: 'Expense violates company policy', violations: violations };
+  }
+
+  // Likely duplicates are flagged for approvers rather than refused
+  const duplicates = await findDuplicates({
+    id: expenseId,
+    companyId: companyId,
+    originalAmountMinor: originalAmountMinor,
+    originalCurrency: currency,
+    date: new Date(date),
+    category: expenseCategory.name,
+    merchant: merchant
+  }, attachments.map(attachment => attachment.contentHash).filter(Boolean));
+
+  return {
+    data: {
+      originalAmountMinor: originalAmountMinor,
+      originalCurrency: currency,
+      ...conversion,
+      companyCurrency: user.company.currency,
+      category: expenseCategory.name,
+      description: description,
+      merchant: computed ? null : merchant || null,
+      date: new Date(date),
+      ...(isMileage && {
+        expenseType: 'MILEAGE',
+        startLocation: fields.startLocation,
+        endLocation: fields.endLocation,
+        distanceKm: mileage.distanceKm,
+        vehicleType: fields.vehicleType,
+        mileageBreakdown: serializeJsonField(mileage.breakdown)
+      }),
+      ...(isPerDiem && {
+        expenseType: 'PER_DIEM',
+        destinationCountry: fields.country,
+        destinationCity: fields.city || null,
+        tripEndDate: perDiem.endDate,
+        perDiemBreakdown: serializeJsonField(perDiem.breakdown)
+      }),
+      policyViolations: serializeJsonField(violations),
+      suspectedDuplicates: serializeJsonField(duplicates),
+      ...dimensions.data,
+      reportId: report ? report.id : null
+    },
+    report: report,
+    cardTransaction: cardTransaction,
+    computed: computed
+  };
+}
+
+/**
+ * Reconcile a submitted expense with the card statement
+ * Links the charge the submitter claimed, or else one with the same amount, date and merchant.
+ * @param {Object} req - Request of the submitter, for the audit log
+ * @param {Object} expense - Submitted expense
+ * @param {Object|null} cardTransaction - Charge claimed with the expense
+ * @param {boolean} computed - Whether the amount was priced from a rate table instead of a receipt
+ * @returns {Promise<Object|null>} - Matched card transaction
+ */
+async function reconcileCardTransaction(req, expense, cardTransaction, computed) {
+  let matchedTransaction = null;
+  if (cardTransaction) {
+    if (await claimTransaction(cardTransaction.id, expense.id)) {
+      matchedTransaction = await prisma.cardTransaction.findUnique({ where: { id: cardTransaction.id } });
+    }
+  } else if (!computed) {
+    matchedTransaction = await matchExpense(expense);
+  }
+
+  if (matchedTransaction) {
+    await recordAudit({
+      req,
+      action: 'card_transaction.match',
+      entityType: 'CARD_TRANSACTION',
+      entityId: matchedTransaction.id,
+      before: { status: 'UNMATCHED', expenseId: null },
+      after: {
+        status: matchedTransaction.status,
+        expenseId: matchedTransaction.expenseId,
+        matchMethod: matchedTransaction.matchMethod
+      }
+    });
+  }
+
+  return matchedTransaction;
+}
+
+/**
+ * @route   POST /api/expenses/duplicate-check
+ * @desc    Look for expenses a new expense would probably duplicate, before submitting it
+ * @access  Private
+ */
+router.post('/duplicate-check', [
+  body('originalAmount').isFloat({ min: 0.01, max: MAX_AMOUNT }).withMessage(`Amount must be greater than 0 and at most ${MAX_AMOUNT}`),
+  body('originalCurrency').isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('date').isISO8601().withMessage('Valid date is required'),
+  body('category').optional().trim(),
+  body('merchant').optional().trim(),
+  body('contentHashes').optional().isArray({ max: MAX_ATTACHMENTS_PER_EXPENSE }),
+  body('contentHashes.*').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Content hashes must be SHA-256 hex digests'),
+  body('expenseId').optional().isInt().withMessage('Expense ID must be an integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const originalCurrency = req.body.originalCurrency.toUpperCase();
+    // A draft being submitted is not a duplicate of itself
+    const duplicates = await findDuplicates({
+      id: req.body.expenseId ? parseInt(req.body.expenseId) : undefined,
+      companyId: req.user.companyId,
+      originalAmountMinor: toMinorUnits(req.body.originalAmount, originalCurrency),
+      originalCurrency: originalCurrency,
+      date: new Date(req.body.date),
+      category: req.body.category,
+      merchant: req.body.merchant
+    }, (req.body.contentHashes || []).map(hash => hash.toLowerCase()));
+
+    res.json({
+      duplicates: await describeDuplicates(duplicates, req.user.id)
+    });
+  } catch (error) {
+    console.error('Duplicate check error:', error);
+    res.status(500).json({
+      error: 'Failed to check for duplicates'
+    });
+  }
+});
+
 /**
  * @route   POST /api/expenses
  * @desc    Submit a new expense
  * @access  Private
  */
-router.post('/', uploadSingle('receipt'), expenseValidation, async (req, res) => {
+router.post('/', uploadMultiple('attachments', MAX_ATTACHMENTS_PER_EXPENSE), expenseValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -32,43 +728,33 @@ router.post('/', uploadSingle('receipt'), expenseValidation, async (req, res) =>
       });
     }
 
-    const {
-      originalAmount,
-      originalCurrency,
-      category,
-      description,
-      date
-    } = req.body;
-
     const userId = req.user.id;
     const companyId = req.user.companyId;
+    const files = req.files || [];
 
-    // Convert amount to company currency if different
-    let companyAmount = null;
-    if (originalCurrency !== req.user.company.currency) {
-      companyAmount = await convertAmount(
-        originalAmount,
-        originalCurrency,
-        req.user.company.currency
-      );
-    } else {
-      companyAmount = originalAmount;
+    const prepared = await prepareExpense(req.user, req.body, files);
+    if (prepared.error) {
+      await removeStoredFiles(files);
+      return res.status(prepared.status).json({
+        error: prepared.error,
+        ...(prepared.violations && { violations: prepared.violations })
+      });
     }
 
+    const { report, cardTransaction, computed } = prepared;
+
     // Create expense in database
     const expense = await prisma.expense.create({
       data: {
         userId: userId,
         companyId: companyId,
-        originalAmount: parseFloat(originalAmount),
-        originalCurrency: originalCurrency.toUpperCase(),
-        companyAmount: companyAmount,
-        companyCurrency: req.user.company.currency,
-        category: category,
-        description: description,
-        date: new Date(date),
-        receiptPath: req.file ? req.file.path : null,
-        status: 'PENDING'
+        ...prepared.data,
+        // The first file is the receipt; the rest are supporting documents
+        receiptPath: files.length > 0 ? files[0].key : null,
+        status: report ? report.status : 'PENDING',
+        attachments: {
+          create: buildAttachmentData(files, userId)
+        }
       },
       include: {
         user: {
@@ -77,26 +763,48 @@ router.post('/', uploadSingle('receipt'), expenseValidation, async (req, res) =>
             fullName: true,
             email: true
           }
-        }
+        },
+        attachments: attachmentInclude,
+        ...dimensionInclude
       }
     });
 
     // Create approval sequence
-    const approvals = await createApprovalSequence(expense.id, companyId, userId);
+    const approvals = report ? [] : await createApprovalSequence(expense.id, companyId, userId);
+
+    await recordAudit({
+      req,
+      action: 'expense.create',
+      entityType: 'EXPENSE',
+      entityId: expense.id,
+      after: expense
+    });
+
+    const matchedTransaction = await reconcileCardTransaction(req, expense, cardTransaction, computed);
 
     res.status(201).json({
-      message: 'Expense submitted successfully',
+      message: report ? 'Expense added to report' : 'Expense submitted successfully',
       expense: {
         id: expense.id,
-        originalAmount: expense.originalAmount,
+        reportId: expense.reportId,
+        ...formatAmounts(expense),
         originalCurrency: expense.originalCurrency,
-        companyAmount: expense.companyAmount,
         companyCurrency: expense.companyCurrency,
+        conversion: formatConversion(expense),
         category: expense.category,
         description: expense.description,
+        merchant: expense.merchant,
+        expenseType: expense.expenseType,
+        mileage: formatMileage(expense),
+        perDiem: formatPerDiem(expense),
         date: expense.date,
         status: expense.status,
         receiptPath: expense.receiptPath,
+        policyViolations: formatPolicyViolations(expense),
+        suspectedDuplicates: formatSuspectedDuplicates(expense),
+        ...formatDimensions(expense),
+        attachments: expense.attachments.map(formatAttachment),
+        cardTransaction: matchedTransaction ? formatCardTransaction(matchedTransaction) : null,
         createdAt: expense.createdAt,
         approvals: approvals.map(approval => ({
           id: approval.id,
@@ -121,8 +829,11 @@ router.post('/', uploadSingle('receipt'), expenseValidation, async (req, res) =>
  * @access  Private
  */
 router.get('/', [
-  query('status').optional().isIn(['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED']),
+  query('status').optional().isIn(['DRAFT', 'PENDING', 'CHANGES_REQUESTED', 'APPROVED', 'SCHEDULED', 'PAID', 'REJECTED', 'CANCELLED']),
   query('category').optional().trim(),
+  query('projectId').optional().isInt(),
+  query('costCenterId').optional().isInt(),
+  query('tag').optional().trim(),
   query('startDate').optional().isISO8601(),
   query('endDate').optional().isISO8601(),
   query('page').optional().isInt({ min: 1 }),
@@ -151,11 +862,15 @@ router.get('/', [
 
     // Build where clause
     const where = {
-      userId: userId
+      userId: userId,
+      ...buildDimensionFilters(req.query)
     };
 
+    // Standalone drafts are listed by GET /drafts unless asked for
     if (status) {
       where.status = status;
+    } else {
+      where.NOT = { reportId: null, status: 'DRAFT' };
     }
 
     if (category) {
@@ -181,6 +896,7 @@ router.get('/', [
         where: where,
         include: {
           approvals: {
+            where: { supersededAt: null },
             include: {
               approver: {
                 select: {
@@ -188,10 +904,45 @@ router.get('/', [
                   fullName: true,
                   email: true
                 }
+              },
+              originalApprover: {
+                select: {
+                  id: true,
+                  fullName: true
+                }
+              },
+              actedBy: {
+                select: {
+                  id: true,
+                  fullName: true
+                }
               }
             },
             orderBy: { order: 'asc' }
-          }
+          },
+          escalations: {
+            include: {
+              fromApprover: {
+                select: {
+                  id: true,
+                  fullName: true
+                }
+              },
+              toApprover: {
+                select: {
+                  id: true,
+                  fullName: true
+                }
+              }
+            },
+            orderBy: { createdAt: 'asc' }
+          },
+          revisions: revisionInclude,
+          attachments: attachmentInclude,
+          reimbursementBatch: reimbursementBatchSelect,
+          report: reportSelect,
+          cardTransaction: true,
+          ...dimensionInclude
         },
         orderBy: { createdAt: 'desc' },
         skip: skip,
@@ -204,10 +955,10 @@ router.get('/', [
     const summary = await prisma.expense.aggregate({
       where: {
         userId: userId,
-        status: 'APPROVED'
+        status: { in: ['APPROVED', 'SCHEDULED', 'PAID'] }
       },
       _sum: {
-        companyAmount: true
+        companyAmountMinor: true
       },
       _count: {
         id: true
@@ -217,17 +968,33 @@ router.get('/', [
     res.json({
       expenses: expenses.map(expense => ({
         id: expense.id,
-        originalAmount: expense.originalAmount,
+        ...formatAmounts(expense),
         originalCurrency: expense.originalCurrency,
-        companyAmount: expense.companyAmount,
         companyCurrency: expense.companyCurrency,
+        conversion: formatConversion(expense),
         category: expense.category,
         description: expense.description,
+        merchant: expense.merchant,
+        expenseType: expense.expenseType,
+        mileage: formatMileage(expense),
+        perDiem: formatPerDiem(expense),
         date: expense.date,
         status: expense.status,
         receiptPath: expense.receiptPath,
+        policyViolations: formatPolicyViolations(expense),
+        suspectedDuplicates: formatSuspectedDuplicates(expense),
+        ...formatDimensions(expense),
+        revision: expense.revision,
+        recurringExpenseId: expense.recurringExpenseId,
         createdAt: expense.createdAt,
-        approvals: expense.approvals
+        approvals: withApprovalStates(expense.approvals),
+        escalations: expense.escalations,
+        revisions: expense.revisions.map(revision => formatRevision(revision, expense.companyCurrency)),
+        attachments: expense.attachments.map(formatAttachment),
+        reimbursement: expense.reimbursementBatch,
+        report: expense.report,
+        cardTransaction: expense.cardTransaction ? formatCardTransaction(expense.cardTransaction) : null,
+        reviewComment: expense.reviewComment
       })),
       pagination: {
         page: parseInt(page),
@@ -236,7 +1003,7 @@ router.get('/', [
         pages: Math.ceil(total / parseInt(limit))
       },
       summary: {
-        totalApprovedAmount: summary._sum.companyAmount || 0,
+        totalApprovedAmount: fromMinorUnits(summary._sum.companyAmountMinor || 0, req.user.company.currency),
         totalApprovedExpenses: summary._count.id || 0
       }
     });
@@ -249,79 +1016,42 @@ router.get('/', [
 });
 
 /**
- * @route   GET /api/expenses/:id
- * @desc    Get a specific expense by ID
+ * @route   GET /api/expenses/drafts
+ * @desc    Get the user's draft expenses, most recently saved first
  * @access  Private
  */
-router.get('/:id', async (req, res) => {
+router.get('/drafts', async (req, res) => {
   try {
-    const expenseId = parseInt(req.params.id);
-    const userId = req.user.id;
-
-    const expense = await prisma.expense.findFirst({
+    const drafts = await prisma.expense.findMany({
       where: {
-        id: expenseId,
-        userId: userId // Ensure user can only access their own expenses
+        userId: req.user.id,
+        reportId: null,
+        status: 'DRAFT'
       },
       include: {
-        approvals: {
-          include: {
-            approver: {
-              select: {
-                id: true,
-                fullName: true,
-                email: true
-              }
-            }
-          },
-          orderBy: { order: 'asc' }
-        }
-      }
+        attachments: attachmentInclude,
+        ...dimensionInclude
+      },
+      orderBy: { updatedAt: 'desc' }
     });
 
-    if (!expense) {
-      return res.status(404).json({
-        error: 'Expense not found'
-      });
-    }
-
     res.json({
-      expense: {
-        id: expense.id,
-        originalAmount: expense.originalAmount,
-        originalCurrency: expense.originalCurrency,
-        companyAmount: expense.companyAmount,
-        companyCurrency: expense.companyCurrency,
-        category: expense.category,
-        description: expense.description,
-        date: expense.date,
-        status: expense.status,
-        receiptPath: expense.receiptPath,
-        createdAt: expense.createdAt,
-        updatedAt: expense.updatedAt,
-        approvals: expense.approvals
-      }
+      drafts: drafts.map(formatDraft)
     });
   } catch (error) {
-    console.error('Get expense error:', error);
+    console.error('Get draft expenses error:', error);
     res.status(500).json({
-      error: 'Failed to fetch expense'
+      error: 'Failed to get draft expenses'
     });
   }
 });
 
 /**
- * @route   PUT /api/expenses/:id
- * @desc    Update an expense (only if pending)
+ * @route   POST /api/expenses/drafts
+ * @desc    Start a draft expense; the fields are only validated when it is submitted
  * @access  Private
  */
-router.put('/:id', [
-  body('originalAmount').optional().isFloat({ min: 0.01 }),
-  body('originalCurrency').optional().isLength({ min: 3, max: 3 }),
-  body('category').optional().trim().isLength({ min: 2 }),
-  body('description').optional().trim(),
-  body('date').optional().isISO8601()
-], async (req, res) => {
+router.post('/drafts', draftValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -331,7 +1061,242 @@ router.put('/:id', [
       });
     }
 
-    const expenseId = parseInt(req.params.id);
+    const draft = await prisma.expense.create({
+      data: {
+        userId: req.user.id,
+        companyId: req.user.companyId,
+        companyCurrency: req.user.company.currency,
+        ...buildDraftData(req.body, req.user.company),
+        status: 'DRAFT'
+      },
+      include: {
+        attachments: attachmentInclude,
+        ...dimensionInclude
+      }
+    });
+
+    await recordAudit({
+      req,
+      action: 'expense.draft_create',
+      entityType: 'EXPENSE',
+      entityId: draft.id,
+      after: draft
+    });
+
+    res.status(201).json({
+      message: 'Draft saved',
+      draft: formatDraft(draft)
+    });
+  } catch (error) {
+    console.error('Create draft expense error:', error);
+    res.status(500).json({
+      error: 'Failed to save draft'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/expenses/drafts/:id
+ * @desc    Autosave a draft expense, replacing its fields
+ * @access  Private
+ */
+router.put('/drafts/:id', draftValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const draftId = parseInt(req.params.id);
+
+    const existingDraft = await prisma.expense.findFirst({
+      where: {
+        id: draftId,
+        userId: req.user.id,
+        reportId: null,
+        status: 'DRAFT'
+      }
+    });
+
+    if (!existingDraft) {
+      return res.status(404).json({
+        error: 'Draft expense not found'
+      });
+    }
+
+    const draft = await prisma.expense.update({
+      where: { id: draftId },
+      data: buildDraftData(req.body, req.user.company),
+      include: {
+        attachments: attachmentInclude,
+        ...dimensionInclude
+      }
+    });
+
+    await recordAudit({
+      req,
+      action: 'expense.draft_update',
+      entityType: 'EXPENSE',
+      entityId: draftId,
+      before: existingDraft,
+      after: draft
+    });
+
+    res.json({
+      message: 'Draft saved',
+      draft: formatDraft(draft)
+    });
+  } catch (error) {
+    console.error('Save draft expense error:', error);
+    res.status(500).json({
+      error: 'Failed to save draft'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/expenses/:id
+ * @desc    Get a specific expense by ID
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const expenseId = parseInt(req.params.id);
+    const userId = req.user.id;
+
+    const expense = await prisma.expense.findFirst({
+      where: {
+        id: expenseId,
+        userId: userId // Ensure user can only access their own expenses
+      },
+      include: {
+        approvals: {
+          where: { supersededAt: null },
+          include: {
+            approver: {
+              select: {
+                id: true,
+                fullName: true,
+                email: true
+              }
+            },
+            originalApprover: {
+              select: {
+                id: true,
+                fullName: true
+              }
+            },
+            actedBy: {
+              select: {
+                id: true,
+                fullName: true
+              }
+            }
+          },
+          orderBy: { order: 'asc' }
+        },
+        escalations: {
+          include: {
+            fromApprover: {
+              select: {
+                id: true,
+                fullName: true
+              }
+            },
+            toApprover: {
+              select: {
+                id: true,
+                fullName: true
+              }
+            }
+          },
+          orderBy: { createdAt: 'asc' }
+        },
+        revisions: revisionInclude,
+        attachments: attachmentInclude,
+        reimbursementBatch: reimbursementBatchSelect,
+        report: reportSelect,
+        cardTransaction: true,
+        ...dimensionInclude
+      }
+    });
+
+    if (!expense) {
+      return res.status(404).json({
+        error: 'Expense not found'
+      });
+    }
+
+    res.json({
+      expense: {
+        id: expense.id,
+        ...formatAmounts(expense),
+        originalCurrency: expense.originalCurrency,
+        companyCurrency: expense.companyCurrency,
+        conversion: formatConversion(expense),
+        category: expense.category,
+        description: expense.description,
+        merchant: expense.merchant,
+        expenseType: expense.expenseType,
+        mileage: formatMileage(expense),
+        perDiem: formatPerDiem(expense),
+        date: expense.date,
+        status: expense.status,
+        receiptPath: expense.receiptPath,
+        policyViolations: formatPolicyViolations(expense),
+        suspectedDuplicates: formatSuspectedDuplicates(expense),
+        ...formatDimensions(expense),
+        revision: expense.revision,
+        recurringExpenseId: expense.recurringExpenseId,
+        createdAt: expense.createdAt,
+        updatedAt: expense.updatedAt,
+        approvals: withApprovalStates(expense.approvals),
+        escalations: expense.escalations,
+        revisions: expense.revisions.map(revision => formatRevision(revision, expense.companyCurrency)),
+        attachments: expense.attachments.map(formatAttachment),
+        reimbursement: expense.reimbursementBatch,
+        report: expense.report,
+        cardTransaction: expense.cardTransaction ? formatCardTransaction(expense.cardTransaction) : null,
+        reviewComment: expense.reviewComment
+      }
+    });
+  } catch (error) {
+    console.error('Get expense error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch expense'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/expenses/:id
+ * @desc    Update an expense (only if pending, or a line of a report that is still editable)
+ * @access  Private
+ */
+router.put('/:id', [
+  body('originalAmount').optional().isFloat({ min: 0.01, max: MAX_AMOUNT }).withMessage(`Amount must be greater than 0 and at most ${MAX_AMOUNT}`),
+  body('originalCurrency').optional().isLength({ min: 3, max: 3 }),
+  body('category').optional().trim().isLength({ min: 2 }),
+  body('description').optional().trim(),
+  body('merchant').optional().trim().isLength({ max: 100 }),
+  body('date').optional().isISO8601(),
+  ...mileageValidation,
+  ...perDiemValidation,
+  ...dimensionValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const expenseId = parseInt(req.params.id);
     const userId = req.user.id;
 
     // Check if expense exists and belongs to user
@@ -339,7 +1304,14 @@ router.put('/:id', [
       where: {
         id: expenseId,
         userId: userId,
-        status: 'PENDING' // Only allow updates to pending expenses
+        OR: [
+          { reportId: null, status: 'PENDING' },
+          editableReportLineFilter
+        ]
+      },
+      include: {
+        report: true,
+        attachments: { select: { contentHash: true } }
       }
     });
 
@@ -349,45 +1321,117 @@ router.put('/:id', [
       });
     }
 
-    const updateData = {};
+    const mileage = await resolveMileageChange(req, existingExpense);
+    if (mileage.error) {
+      return res.status(400).json({
+        error: mileage.error
+      });
+    }
 
-    // Update fields if provided
-    if (req.body.originalAmount) {
-      updateData.originalAmount = parseFloat(req.body.originalAmount);
+    const perDiem = await resolvePerDiemChange(req, existingExpense);
+    if (perDiem.error) {
+      return res.status(400).json({
+        error: perDiem.error
+      });
     }
 
+    const updateData = { ...mileage.data, ...perDiem.data };
+
+    // Update fields if provided
     if (req.body.originalCurrency) {
       updateData.originalCurrency = req.body.originalCurrency.toUpperCase();
     }
 
+    // A new currency changes what the stored minor units mean, so the amount is re-derived as well
+    if (req.body.originalAmount || req.body.originalCurrency) {
+      const currency = updateData.originalCurrency || existingExpense.originalCurrency;
+      const amount = req.body.originalAmount ||
+        fromMinorUnits(existingExpense.originalAmountMinor, existingExpense.originalCurrency);
+      updateData.originalAmountMinor = toMinorUnits(amount, currency);
+
+      if (updateData.originalAmountMinor <= 0) {
+        return res.status(400).json({
+          error: 'Amount must be greater than 0'
+        });
+      }
+    }
+
     if (req.body.category) {
-      updateData.category = req.body.category;
+      updateData.category = await resolveCategoryChange(req.user.companyId, req.body.category, existingExpense.category);
+
+      if (!updateData.category) {
+        return res.status(400).json({
+          error: 'Category is not one of the company\'s active categories'
+        });
+      }
     }
 
     if (req.body.description !== undefined) {
       updateData.description = req.body.description;
     }
 
+    if (req.body.merchant !== undefined) {
+      updateData.merchant = req.body.merchant || null;
+    }
+
     if (req.body.date) {
       updateData.date = new Date(req.body.date);
+
+      const { report } = existingExpense;
+      if (report && (updateData.date < report.startDate || updateData.date > report.endDate)) {
+        return res.status(400).json({
+          error: 'Expense date is outside the report period'
+        });
+      }
     }
 
-    // Recalculate company amount if currency or amount changed
-    if (updateData.originalAmount || updateData.originalCurrency) {
-      const originalAmount = updateData.originalAmount || existingExpense.originalAmount;
-      const originalCurrency = updateData.originalCurrency || existingExpense.originalCurrency;
+    if (updateData.tripEndDate && existingExpense.report && updateData.tripEndDate > existingExpense.report.endDate) {
+      return res.status(400).json({
+        error: 'Trip end date is outside the report period'
+      });
+    }
 
-      if (originalCurrency !== req.user.company.currency) {
-        const companyAmount = await convertAmount(
-          originalAmount,
-          originalCurrency,
-          req.user.company.currency
-        );
-        updateData.companyAmount = companyAmount;
-      } else {
-        updateData.companyAmount = originalAmount;
-      }
+    const dimensions = await resolveExpenseDimensions(
+      req.user.companyId,
+      req.body,
+      updateData.category || existingExpense.category,
+      existingExpense
+    );
+    if (dimensions.error) {
+      return res.status(400).json({
+        error: dimensions.error
+      });
+    }
+    Object.assign(updateData, dimensions.data);
+
+    // Recalculate company amount if amount, currency or date changed
+    if (updateData.originalAmountMinor !== undefined || updateData.date) {
+      Object.assign(updateData, await convertAmountForDate(
+        updateData.originalAmountMinor ?? existingExpense.originalAmountMinor,
+        updateData.originalCurrency || existingExpense.originalCurrency,
+        req.user.company.currency,
+        updateData.date || existingExpense.date,
+        req.user.companyId
+      ));
+    }
+
+    const { report, attachments, ...currentExpense } = existingExpense;
+    const violations = await evaluatePolicies({ ...currentExpense, ...updateData }, attachments.length);
+
+    // Report lines are checked again when the report is submitted
+    if (!report && hasBlockingViolation(violations)) {
+      return res.status(400).json({
+        error: 'Expense violates company policy',
+        violations: violations
+      });
     }
+    updateData.policyViolations = serializeJsonField(violations);
+
+    const duplicates = await findDuplicates(
+      { ...currentExpense, ...updateData },
+      attachments.map(attachment => attachment.contentHash).filter(Boolean)
+    );
+    updateData.suspectedDuplicates = serializeJsonField(duplicates);
 
     // Update expense
     const updatedExpense = await prisma.expense.update({
@@ -395,6 +1439,7 @@ router.put('/:id', [
       data: updateData,
       include: {
         approvals: {
+          where: { supersededAt: null },
           include: {
             approver: {
               select: {
@@ -402,29 +1447,58 @@ router.put('/:id', [
                 fullName: true,
                 email: true
               }
+            },
+            originalApprover: {
+              select: {
+                id: true,
+                fullName: true
+              }
+            },
+            actedBy: {
+              select: {
+                id: true,
+                fullName: true
+              }
             }
           },
           orderBy: { order: 'asc' }
-        }
+        },
+        ...dimensionInclude
       }
     });
 
+    await recordAudit({
+      req,
+      action: 'expense.update',
+      entityType: 'EXPENSE',
+      entityId: expenseId,
+      before: existingExpense,
+      after: updatedExpense
+    });
+
     res.json({
       message: 'Expense updated successfully',
       expense: {
         id: updatedExpense.id,
-        originalAmount: updatedExpense.originalAmount,
+        ...formatAmounts(updatedExpense),
         originalCurrency: updatedExpense.originalCurrency,
-        companyAmount: updatedExpense.companyAmount,
         companyCurrency: updatedExpense.companyCurrency,
+        conversion: formatConversion(updatedExpense),
         category: updatedExpense.category,
         description: updatedExpense.description,
+        merchant: updatedExpense.merchant,
+        expenseType: updatedExpense.expenseType,
+        mileage: formatMileage(updatedExpense),
+        perDiem: formatPerDiem(updatedExpense),
         date: updatedExpense.date,
         status: updatedExpense.status,
         receiptPath: updatedExpense.receiptPath,
+        policyViolations: formatPolicyViolations(updatedExpense),
+        suspectedDuplicates: formatSuspectedDuplicates(updatedExpense),
+        ...formatDimensions(updatedExpense),
         createdAt: updatedExpense.createdAt,
         updatedAt: updatedExpense.updatedAt,
-        approvals: updatedExpense.approvals
+        approvals: withApprovalStates(updatedExpense.approvals)
       }
     });
   } catch (error) {
@@ -435,9 +1509,548 @@ router.put('/:id', [
   }
 });
 
+/**
+ * @route   POST /api/expenses/:id/submit
+ * @desc    Validate a draft expense like a new one and submit it for approval
+ * @access  Private
+ */
+router.post('/:id/submit', async (req, res) => {
+  try {
+    const expenseId = parseInt(req.params.id);
+
+    const existingExpense = await prisma.expense.findFirst({
+      where: {
+        id: expenseId,
+        userId: req.user.id,
+        reportId: null,
+        status: 'DRAFT'
+      },
+      include: {
+        attachments: { select: { contentHash: true } }
+      }
+    });
+
+    if (!existingExpense) {
+      return res.status(404).json({
+        error: 'Draft expense not found'
+      });
+    }
+
+    // Drafts generated by a recurring series were complete when generated, but policies may have changed since
+    let prepared = null;
+    if (existingExpense.draftData) {
+      const draft = { body: parseJsonField(existingExpense.draftData, {}) };
+      for (const validation of expenseValidation) {
+        await validation.run(draft);
+      }
+
+      const errors = validationResult(draft);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      prepared = await prepareExpense(req.user, draft.body, existingExpense.attachments, expenseId);
+      if (prepared.error) {
+        return res.status(prepared.status).json({
+          error: prepared.error,
+          ...(prepared.violations && { violations: prepared.violations })
+        });
+      }
+    } else {
+      const violations = await refreshPolicyViolations(expenseId);
+      if (hasBlockingViolation(violations)) {
+        return res.status(400).json({
+          error: 'Expense violates company policy',
+          violations: violations
+        });
+      }
+    }
+
+    // Only one of two racing submits (a double click, an autosave retry) may leave DRAFT and build the approval chain
+    const submitted = await prisma.expense.updateMany({
+      where: {
+        id: expenseId,
+        userId: req.user.id,
+        status: 'DRAFT'
+      },
+      data: {
+        ...(prepared && prepared.data),
+        status: 'PENDING',
+        draftData: null
+      }
+    });
+
+    if (submitted.count !== 1) {
+      return res.status(409).json({
+        error: 'Draft expense was already submitted'
+      });
+    }
+
+    const submittedExpense = await prisma.expense.findUnique({
+      where: { id: expenseId }
+    });
+
+    const approvals = await createApprovalSequence(expenseId, req.user.companyId, req.user.id);
+
+    await recordAudit({
+      req,
+      action: 'expense.submit',
+      entityType: 'EXPENSE',
+      entityId: expenseId,
+      before: existingExpense,
+      after: submittedExpense
+    });
+
+    // Drafts are left out of card matching until they are submitted
+    const matchedTransaction = await reconcileCardTransaction(
+      req,
+      submittedExpense,
+      prepared && prepared.cardTransaction,
+      prepared && prepared.computed
+    );
+
+    res.json({
+      message: 'Expense submitted successfully',
+      expense: {
+        id: submittedExpense.id,
+        ...formatAmounts(submittedExpense),
+        originalCurrency: submittedExpense.originalCurrency,
+        companyCurrency: submittedExpense.companyCurrency,
+        category: submittedExpense.category,
+        status: submittedExpense.status,
+        policyViolations: formatPolicyViolations(submittedExpense),
+        suspectedDuplicates: formatSuspectedDuplicates(submittedExpense),
+        cardTransaction: matchedTransaction ? formatCardTransaction(matchedTransaction) : null,
+        approvals: approvals.map(approval => ({
+          id: approval.id,
+          approverId: approval.approverId,
+          approverRole: approval.approverRole,
+          status: approval.status,
+          order: approval.order
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Submit draft expense error:', error);
+    res.status(500).json({
+      error: 'Failed to submit expense'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/expenses/:id/resubmit
+ * @desc    Resubmit an expense an approver sent back for changes
+ * @access  Private
+ */
+router.post('/:id/resubmit', uploadSingle('receipt'), [
+  body('originalAmount').optional().isFloat({ min: 0.01, max: MAX_AMOUNT }).withMessage(`Amount must be greater than 0 and at most ${MAX_AMOUNT}`),
+  body('originalCurrency').optional().isLength({ min: 3, max: 3 }),
+  body('category').optional().trim().isLength({ min: 2 }),
+  body('description').optional().trim(),
+  body('merchant').optional().trim().isLength({ max: 100 }),
+  body('date').optional().isISO8601(),
+  ...mileageValidation,
+  ...perDiemValidation,
+  ...dimensionValidation
+], async (req, res) => {
+  // The uploaded receipt is removed again unless the resubmission stores it
+  const files = req.file ? [req.file] : [];
+  let fileStored = false;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const expenseId = parseInt(req.params.id);
+    const userId = req.user.id;
+
+    // Only the submitter can resubmit, and only after changes were requested
+    const existingExpense = await prisma.expense.findFirst({
+      where: {
+        id: expenseId,
+        userId: userId,
+        status: 'CHANGES_REQUESTED'
+      },
+      include: {
+        _count: { select: { attachments: true } }
+      }
+    });
+
+    if (!existingExpense) {
+      return res.status(404).json({
+        error: 'Expense not found or not awaiting changes'
+      });
+    }
+
+    if (existingExpense.reportId) {
+      return res.status(400).json({
+        error: 'Edit the line and resubmit its expense report instead'
+      });
+    }
+
+    const mileage = await resolveMileageChange(req, existingExpense);
+    if (mileage.error) {
+      return res.status(400).json({
+        error: mileage.error
+      });
+    }
+
+    const perDiem = await resolvePerDiemChange(req, existingExpense);
+    if (perDiem.error) {
+      return res.status(400).json({
+        error: perDiem.error
+      });
+    }
+
+    const changes = { ...mileage.data, ...perDiem.data };
+
+    if (req.body.originalCurrency) {
+      changes.originalCurrency = req.body.originalCurrency.toUpperCase();
+    }
+
+    if (req.body.originalAmount || req.body.originalCurrency) {
+      const currency = changes.originalCurrency || existingExpense.originalCurrency;
+      const amount = req.body.originalAmount ||
+        fromMinorUnits(existingExpense.originalAmountMinor, existingExpense.originalCurrency);
+      changes.originalAmountMinor = toMinorUnits(amount, currency);
+
+      if (changes.originalAmountMinor <= 0) {
+        return res.status(400).json({
+          error: 'Amount must be greater than 0'
+        });
+      }
+    }
+
+    if (req.body.category) {
+      changes.category = await resolveCategoryChange(req.user.companyId, req.body.category, existingExpense.category);
+
+      if (!changes.category) {
+        return res.status(400).json({
+          error: 'Category is not one of the company\'s active categories'
+        });
+      }
+    }
+
+    if (req.body.description !== undefined) {
+      changes.description = req.body.description;
+    }
+
+    if (req.body.merchant !== undefined) {
+      changes.merchant = req.body.merchant || null;
+    }
+
+    if (req.body.date) {
+      changes.date = new Date(req.body.date);
+    }
+
+    if (req.file) {
+      changes.receiptPath = req.file.key;
+    }
+
+    const dimensions = await resolveExpenseDimensions(
+      req.user.companyId,
+      req.body,
+      changes.category || existingExpense.category,
+      existingExpense
+    );
+    if (dimensions.error) {
+      return res.status(400).json({
+        error: dimensions.error
+      });
+    }
+    Object.assign(changes, dimensions.data);
+
+    // Recalculate company amount if amount, currency or date changed
+    if (changes.originalAmountMinor !== undefined || changes.date) {
+      Object.assign(changes, await convertAmountForDate(
+        changes.originalAmountMinor ?? existingExpense.originalAmountMinor,
+        changes.originalCurrency || existingExpense.originalCurrency,
+        req.user.company.currency,
+        changes.date || existingExpense.date,
+        req.user.companyId
+      ));
+    }
+
+    const { _count, ...currentExpense } = existingExpense;
+    const violations = await evaluatePolicies(
+      { ...currentExpense, ...changes },
+      _count.attachments + (req.file ? 1 : 0)
+    );
+
+    if (hasBlockingViolation(violations)) {
+      return res.status(400).json({
+        error: 'Expense violates company policy',
+        violations: violations
+      });
+    }
+    changes.policyViolations = serializeJsonField(violations);
+
+    const resubmittedExpense = await resubmitExpense(existingExpense, changes, userId);
+    fileStored = true;
+
+    // A replacement receipt is kept alongside the earlier attachments
+    if (req.file) {
+      await prisma.expenseAttachment.create({
+        data: {
+          expenseId: expenseId,
+          ...buildAttachmentData([req.file], userId)[0]
+        }
+      });
+    }
+    await refreshSuspectedDuplicates(expenseId);
+
+    await recordAudit({
+      req,
+      action: 'expense.resubmit',
+      entityType: 'EXPENSE',
+      entityId: expenseId,
+      before: existingExpense,
+      after: resubmittedExpense
+    });
+
+    const expense = await prisma.expense.findUnique({
+      where: { id: expenseId },
+      include: {
+        approvals: {
+          where: { supersededAt: null },
+          include: {
+            approver: {
+              select: {
+                id: true,
+                fullName: true,
+                email: true
+              }
+            }
+          },
+          orderBy: { order: 'asc' }
+        },
+        revisions: revisionInclude,
+        attachments: attachmentInclude,
+        ...dimensionInclude
+      }
+    });
+
+    res.json({
+      message: 'Expense resubmitted successfully',
+      expense: {
+        id: expense.id,
+        ...formatAmounts(expense),
+        originalCurrency: expense.originalCurrency,
+        companyCurrency: expense.companyCurrency,
+        conversion: formatConversion(expense),
+        category: expense.category,
+        description: expense.description,
+        merchant: expense.merchant,
+        expenseType: expense.expenseType,
+        mileage: formatMileage(expense),
+        perDiem: formatPerDiem(expense),
+        date: expense.date,
+        status: expense.status,
+        receiptPath: expense.receiptPath,
+        policyViolations: formatPolicyViolations(expense),
+        suspectedDuplicates: formatSuspectedDuplicates(expense),
+        ...formatDimensions(expense),
+        revision: expense.revision,
+        recurringExpenseId: expense.recurringExpenseId,
+        createdAt: expense.createdAt,
+        updatedAt: expense.updatedAt,
+        approvals: withApprovalStates(expense.approvals),
+        revisions: expense.revisions.map(revision => formatRevision(revision, expense.companyCurrency)),
+        attachments: expense.attachments.map(formatAttachment)
+      }
+    });
+  } catch (error) {
+    console.error('Resubmit expense error:', error);
+    res.status(500).json({
+      error: 'Failed to resubmit expense'
+    });
+  } finally {
+    if (!fileStored) {
+      await removeStoredFiles(files);
+    }
+  }
+});
+
+/**
+ * @route   GET /api/expenses/:id/attachments
+ * @desc    List the receipts and supporting documents of an expense
+ * @access  Private
+ */
+router.get('/:id/attachments', async (req, res) => {
+  try {
+    const expense = await prisma.expense.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.user.id
+      },
+      include: { attachments: attachmentInclude }
+    });
+
+    if (!expense) {
+      return res.status(404).json({
+        error: 'Expense not found'
+      });
+    }
+
+    res.json({
+      attachments: expense.attachments.map(formatAttachment)
+    });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch attachments'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/expenses/:id/attachments
+ * @desc    Add receipts or supporting documents to an open expense
+ * @access  Private
+ */
+router.post('/:id/attachments', uploadMultiple('attachments', MAX_ATTACHMENTS_PER_EXPENSE), async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    const expenseId = parseInt(req.params.id);
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: 'No files provided'
+      });
+    }
+
+    const expense = await prisma.expense.findFirst({
+      where: {
+        id: expenseId,
+        userId: req.user.id,
+        OR: openExpenseFilter
+      },
+      include: {
+        _count: { select: { attachments: true } }
+      }
+    });
+
+    if (!expense) {
+      await removeStoredFiles(files);
+      return res.status(404).json({
+        error: 'Expense not found or cannot be updated'
+      });
+    }
+
+    if (expense._count.attachments + files.length > MAX_ATTACHMENTS_PER_EXPENSE) {
+      await removeStoredFiles(files);
+      return res.status(400).json({
+        error: `An expense can have at most ${MAX_ATTACHMENTS_PER_EXPENSE} attachments`
+      });
+    }
+
+    const attachments = await prisma.$transaction(
+      buildAttachmentData(files, req.user.id).map(data =>
+        prisma.expenseAttachment.create({
+          data: { expenseId: expenseId, ...data }
+        })
+      )
+    );
+    await syncReceiptPath(expenseId);
+    await refreshPolicyViolations(expenseId);
+    await refreshSuspectedDuplicates(expenseId);
+
+    for (const attachment of attachments) {
+      await recordAudit({
+        req,
+        action: 'expense.attachment_add',
+        entityType: 'EXPENSE',
+        entityId: expenseId,
+        after: attachment
+      });
+    }
+
+    res.status(201).json({
+      message: `${attachments.length} attachment${attachments.length !== 1 ? 's' : ''} added`,
+      attachments: attachments.map(formatAttachment)
+    });
+  } catch (error) {
+    console.error('Add attachments error:', error);
+    await removeStoredFiles(files);
+    res.status(500).json({
+      error: 'Failed to add attachments'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/expenses/:id/attachments/:attachmentId
+ * @desc    Remove a receipt or supporting document from an open expense
+ * @access  Private
+ */
+router.delete('/:id/attachments/:attachmentId', async (req, res) => {
+  try {
+    const attachment = await prisma.expenseAttachment.findFirst({
+      where: {
+        id: parseInt(req.params.attachmentId),
+        expense: {
+          id: parseInt(req.params.id),
+          userId: req.user.id,
+          OR: openExpenseFilter
+        }
+      }
+    });
+
+    if (!attachment) {
+      return res.status(404).json({
+        error: 'Attachment not found or expense cannot be updated'
+      });
+    }
+
+    await prisma.expenseAttachment.delete({
+      where: { id: attachment.id }
+    });
+    await syncReceiptPath(attachment.expenseId);
+    await refreshPolicyViolations(attachment.expenseId);
+
+    // Earlier revisions may still point at the file, so it stays on disk while one does
+    const revisionUsingFile = await prisma.expenseRevision.findFirst({
+      where: {
+        expenseId: attachment.expenseId,
+        receiptPath: attachment.storageKey
+      }
+    });
+    if (!revisionUsingFile) {
+      await removeStoredFiles([{ storage: attachment.storage, key: attachment.storageKey }]);
+    }
+
+    await recordAudit({
+      req,
+      action: 'expense.attachment_remove',
+      entityType: 'EXPENSE',
+      entityId: attachment.expenseId,
+      before: attachment
+    });
+
+    res.json({
+      message: 'Attachment removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove attachment error:', error);
+    res.status(500).json({
+      error: 'Failed to remove attachment'
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/expenses/:id
- * @desc    Cancel an expense (only if pending)
+ * @desc    Cancel an expense (only if pending or awaiting changes, or a line of a report that is still editable)
  * @access  Private
  */
 router.delete('/:id', async (req, res) => {
@@ -450,7 +2063,8 @@ router.delete('/:id', async (req, res) => {
       where: {
         id: expenseId,
         userId: userId,
-        status: 'PENDING' // Only allow cancellation of pending expenses
+        // Only allow cancellation of open expenses
+        OR: openExpenseFilter
       }
     });
 
@@ -461,11 +2075,23 @@ router.delete('/:id', async (req, res) => {
     }
 
     // Update expense status to cancelled
-    await prisma.expense.update({
+    const cancelledExpense = await prisma.expense.update({
       where: { id: expenseId },
       data: { status: 'CANCELLED' }
     });
 
+    // A cancelled expense no longer documents the card charge it was matched to
+    await releaseCardTransactions({ id: expenseId });
+
+    await recordAudit({
+      req,
+      action: 'expense.cancel',
+      entityType: 'EXPENSE',
+      entityId: expenseId,
+      before: existingExpense,
+      after: cancelledExpense
+    });
+
     res.json({
       message: 'Expense cancelled successfully'
     });
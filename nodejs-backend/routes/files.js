@@ -0,0 +1,83 @@
+const express = require('express');
+const path = require('path');
+const { createPrismaClient } = require('../utils/prisma');
+const { authenticateToken } = require('../middleware/auth');
+const { verifyAttachmentSignature, canViewExpenseFiles } = require('../utils/fileAccess');
+const { getStorageDriver } = require('../utils/storage');
+
+const router = express.Router();
+const prisma = createPrismaClient();
+
+/**
+ * Accept either a valid signed URL or a bearer token
+ * Signed URLs are only handed out in responses to users who may view the file.
+ */
+function authenticateFileRequest(req, res, next) {
+  const { expires, signature } = req.query;
+
+  if (signature) {
+    if (!verifyAttachmentSignature(parseInt(req.params.id), expires, signature)) {
+      return res.status(403).json({ error: 'Invalid or expired file link' });
+    }
+    req.signedAccess = true;
+    return next();
+  }
+
+  return authenticateToken(req, res, next);
+}
+
+/**
+ * @route   GET /files/attachments/:id
+ * @desc    Download a receipt or supporting document
+ * @access  Private (submitter, approvers and company admins) or signed URL
+ */
+router.get('/attachments/:id', authenticateFileRequest, async (req, res) => {
+  try {
+    const attachment = await prisma.expenseAttachment.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: {
+        expense: {
+          include: {
+            approvals: true,
+            report: {
+              include: { approvals: true }
+            }
+          }
+        }
+      }
+    });
+
+    // Same response whether the file is missing or belongs to someone else
+    if (!attachment || (!req.signedAccess && !(await canViewExpenseFiles(req.user, attachment.expense)))) {
+      return res.status(404).json({
+        error: 'File not found'
+      });
+    }
+
+    const stream = await getStorageDriver(attachment.storage).get(attachment.storageKey);
+    if (!stream) {
+      return res.status(404).json({
+        error: 'File not found'
+      });
+    }
+
+    // Let the frontend, which runs on another origin, embed the file in <img> tags
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.set('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`);
+    res.type(attachment.mimeType || path.extname(attachment.storageKey));
+
+    stream.on('error', (error) => {
+      console.error('Stream attachment error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      error: 'Failed to download file'
+    });
+  }
+});
+
+module.exports = router;
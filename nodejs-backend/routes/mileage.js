@@ -0,0 +1,154 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { createPrismaClient } = require('../utils/prisma');
+const { fromMinorUnits } = require('../utils/money');
+const { STANDALONE_DRAFT } = require('../utils/expenseReports');
+const {
+  VEHICLE_TYPES,
+  getYearlyDistance,
+  calculateMileage,
+  formatMileageRate
+} = require('../utils/mileage');
+
+const router = express.Router();
+const prisma = createPrismaClient();
+
+/**
+ * @route   GET /api/mileage/rates
+ * @desc    Get the mileage rates in effect today for each vehicle type
+ * @access  Private
+ */
+router.get('/rates', async (req, res) => {
+  try {
+    const rates = await prisma.mileageRate.findMany({
+      where: {
+        companyId: req.user.companyId,
+        effectiveFrom: { lte: new Date() }
+      },
+      orderBy: { effectiveFrom: 'desc' }
+    });
+
+    // The latest rate of each vehicle type is the one in effect
+    const current = VEHICLE_TYPES
+      .map(vehicleType => rates.find(rate => rate.vehicleType === vehicleType))
+      .filter(Boolean);
+
+    res.json({
+      currency: req.user.company.currency,
+      rates: current.map(formatMileageRate)
+    });
+  } catch (error) {
+    console.error('Get mileage rates error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch mileage rates'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/mileage/summary
+ * @desc    Get the distance the current user claimed in a year, per vehicle type
+ * @access  Private
+ */
+router.get('/summary', [
+  query('year').optional().isInt({ min: 2000, max: 2100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const year = req.query.year ? parseInt(req.query.year) : new Date().getUTCFullYear();
+
+    const totals = await prisma.expense.groupBy({
+      by: ['vehicleType'],
+      where: {
+        userId: req.user.id,
+        expenseType: 'MILEAGE',
+        status: { notIn: ['CANCELLED', 'REJECTED'] },
+        NOT: STANDALONE_DRAFT,
+        date: {
+          gte: new Date(Date.UTC(year, 0, 1)),
+          lt: new Date(Date.UTC(year + 1, 0, 1))
+        }
+      },
+      _sum: { distanceKm: true, originalAmountMinor: true },
+      _count: { id: true }
+    });
+
+    const currency = req.user.company.currency;
+
+    res.json({
+      year: year,
+      currency: currency,
+      totalDistanceKm: await getYearlyDistance(req.user.id, year),
+      vehicles: totals.map(total => ({
+        vehicleType: total.vehicleType,
+        trips: total._count.id,
+        distanceKm: Math.round((total._sum.distanceKm || 0) * 10) / 10,
+        amount: fromMinorUnits(total._sum.originalAmountMinor || 0, currency)
+      }))
+    });
+  } catch (error) {
+    console.error('Get mileage summary error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch mileage summary'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/mileage/quote
+ * @desc    Compute what a trip would be reimbursed, before submitting it
+ * @access  Private
+ */
+router.post('/quote', [
+  body('distance').isFloat({ gt: 0 }).withMessage('Distance must be greater than 0'),
+  body('vehicleType').isIn(VEHICLE_TYPES).withMessage(`Vehicle type must be one of ${VEHICLE_TYPES.join(', ')}`),
+  body('date').isISO8601().withMessage('Valid date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const currency = req.user.company.currency;
+    const mileage = await calculateMileage({
+      companyId: req.user.companyId,
+      userId: req.user.id,
+      currency: currency,
+      vehicleType: req.body.vehicleType,
+      distanceKm: req.body.distance,
+      date: new Date(req.body.date)
+    });
+
+    if (mileage.error) {
+      return res.status(400).json({
+        error: mileage.error
+      });
+    }
+
+    res.json({
+      amount: fromMinorUnits(mileage.amountMinor, currency),
+      currency: currency,
+      distanceKm: mileage.distanceKm,
+      priorDistanceKm: mileage.priorDistanceKm,
+      breakdown: mileage.breakdown
+    });
+  } catch (error) {
+    console.error('Mileage quote error:', error);
+    res.status(500).json({
+      error: 'Failed to compute mileage amount'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { processReceipt } = require('../utils/ocr');
-const { uploadSingle } = require('../middleware/upload');
+const { getActiveCategories, findActiveCategory, formatCategory } = require('../utils/categories');
+const { uploadToMemory } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -9,7 +10,7 @@ const router = express.Router();
  * @desc    Process receipt image and extract expense information
  * @access  Private
  */
-router.post('/process-receipt', uploadSingle('receipt'), async (req, res) => {
+router.post('/process-receipt', uploadToMemory('receipt'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -17,8 +18,9 @@ router.post('/process-receipt', uploadSingle('receipt'), async (req, res) => {
       });
     }
 
-    // Process the receipt image
-    const result = await processReceipt(req.file.path);
+    // Process the receipt image, classifying it into the company's own categories
+    const categories = await getActiveCategories(req.user.companyId);
+    const result = await processReceipt(req.file.buffer, categories.map(formatCategory));
 
     if (!result.success) {
       return res.status(400).json({
@@ -86,6 +88,8 @@ router.post('/validate-expense', async (req, res) => {
     // Validate category
     if (!expenseInfo.category) {
       validation.warnings.push('Category could not be automatically determined');
+    } else if (!await findActiveCategory(req.user.companyId, expenseInfo.category)) {
+      validation.warnings.push(`${expenseInfo.category} is not one of the company's categories`);
     }
 
     // Validate description
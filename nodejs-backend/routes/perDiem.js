@@ -0,0 +1,90 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { createPrismaClient } = require('../utils/prisma');
+const { fromMinorUnits } = require('../utils/money');
+const { calculatePerDiem, formatPerDiemDays, formatPerDiemRate } = require('../utils/perDiem');
+
+const router = express.Router();
+const prisma = createPrismaClient();
+
+/**
+ * @route   GET /api/per-diem/destinations
+ * @desc    Get the destinations with a per diem rate in effect today or later
+ * @access  Private
+ */
+router.get('/destinations', async (req, res) => {
+  try {
+    const today = new Date(new Date().toISOString().split('T')[0]);
+    const rates = await prisma.perDiemRate.findMany({
+      where: {
+        companyId: req.user.companyId,
+        OR: [{ validTo: null }, { validTo: { gte: today } }]
+      },
+      orderBy: [{ country: 'asc' }, { city: 'asc' }, { validFrom: 'asc' }]
+    });
+
+    res.json({
+      rates: rates.map(formatPerDiemRate)
+    });
+  } catch (error) {
+    console.error('Get per diem destinations error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch per diem destinations'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/per-diem/quote
+ * @desc    Compute the per diem of a trip, before submitting it
+ * @access  Private
+ */
+router.post('/quote', [
+  body('country').trim().isLength({ min: 2, max: 100 }).withMessage('Destination country is required'),
+  body('city').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  body('startDate').isISO8601().withMessage('Start date is required'),
+  body('endDate').isISO8601().withMessage('End date is required'),
+  body('includeLodging').optional().isBoolean().toBoolean(),
+  body('providedMeals').optional().isArray()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const perDiem = await calculatePerDiem({
+      companyId: req.user.companyId,
+      userId: req.user.id,
+      country: req.body.country,
+      city: req.body.city,
+      startDate: new Date(req.body.startDate),
+      endDate: new Date(req.body.endDate),
+      providedMeals: req.body.providedMeals,
+      includeLodging: req.body.includeLodging
+    });
+
+    if (perDiem.error) {
+      return res.status(400).json({
+        error: perDiem.error
+      });
+    }
+
+    res.json({
+      amount: fromMinorUnits(perDiem.amountMinor, perDiem.currency),
+      currency: perDiem.currency,
+      lodgingIncluded: perDiem.breakdown.lodgingIncluded,
+      days: formatPerDiemDays(perDiem.breakdown.days, perDiem.currency)
+    });
+  } catch (error) {
+    console.error('Per diem quote error:', error);
+    res.status(500).json({
+      error: 'Failed to compute per diem'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,533 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { createPrismaClient } = require('../utils/prisma');
+const { MAX_AMOUNT, toMinorUnits, fromMinorUnits } = require('../utils/money');
+const { recordAudit } = require('../utils/audit');
+const { findActiveCategory, findCategory } = require('../utils/categories');
+const { dimensionInclude, resolveDimensions, getMissingDimensions } = require('../utils/dimensions');
+const { copyStoredFile, removeStoredFiles } = require('../utils/attachments');
+const { startOfDay } = require('../utils/exchangeRates');
+const {
+  FREQUENCIES,
+  SUBMIT_MODES,
+  getNextOccurrence,
+  validateSchedule,
+  getResumeDate,
+  formatRecurringExpense
+} = require('../utils/recurringExpenses');
+const { uploadSingle } = require('../middleware/upload');
+
+const router = express.Router();
+const prisma = createPrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const seriesInclude = {
+  ...dimensionInclude,
+  _count: { select: { expenses: true } }
+};
+
+// Multipart forms send an empty string to clear the end date
+const scheduleValidation = [
+  body('frequency').optional().isIn(FREQUENCIES).withMessage(`Frequency must be one of ${FREQUENCIES.join(', ')}`),
+  body('cronExpression').optional({ nullable: true, checkFalsy: true }).trim().isLength({ max: 100 }).withMessage('Cron expression must be at most 100 characters'),
+  body('endDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('End date must be a date'),
+  body('submitMode').optional().isIn(SUBMIT_MODES).withMessage(`Submit mode must be one of ${SUBMIT_MODES.join(', ')}`)
+];
+
+/**
+ * Find a series of the current user
+ * @param {Object} req - Request with the series ID in its params
+ * @returns {Promise<Object|null>} - RecurringExpense record
+ */
+function findOwnSeries(req) {
+  return prisma.recurringExpense.findFirst({
+    where: {
+      id: parseInt(req.params.id),
+      userId: req.user.id
+    }
+  });
+}
+
+/**
+ * Change the status of a series and record it
+ * @param {Object} req - Express request
+ * @param {Object} series - Series before the change
+ * @param {string} action - Audit action, e.g. 'recurring_expense.pause'
+ * @param {Object} data - Fields to update
+ * @returns {Promise<Object>} - Updated series loaded with seriesInclude
+ */
+async function updateSeriesStatus(req, series, action, data) {
+  const updatedSeries = await prisma.recurringExpense.update({
+    where: { id: series.id },
+    data: data,
+    include: seriesInclude
+  });
+
+  await recordAudit({
+    req,
+    action: action,
+    entityType: 'RECURRING_EXPENSE',
+    entityId: series.id,
+    before: series,
+    after: updatedSeries
+  });
+
+  return updatedSeries;
+}
+
+/**
+ * @route   GET /api/recurring-expenses
+ * @desc    Get the current user's recurring expenses
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const series = await prisma.recurringExpense.findMany({
+      where: { userId: req.user.id },
+      include: seriesInclude,
+      orderBy: [{ status: 'asc' }, { nextRunDate: 'asc' }, { createdAt: 'desc' }]
+    });
+
+    res.json({
+      recurringExpenses: series.map(formatRecurringExpense)
+    });
+  } catch (error) {
+    console.error('Get recurring expenses error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch recurring expenses'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/recurring-expenses
+ * @desc    Repeat one of the current user's expenses on a schedule
+ * @access  Private
+ */
+router.post('/', [
+  body('expenseId').isInt().withMessage('Expense ID is required'),
+  body('frequency').isIn(FREQUENCIES).withMessage(`Frequency must be one of ${FREQUENCIES.join(', ')}`),
+  body('includeReceipt').optional().isBoolean().toBoolean(),
+  ...scheduleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const expense = await prisma.expense.findFirst({
+      where: {
+        id: parseInt(req.body.expenseId),
+        userId: req.user.id,
+        status: { notIn: ['CANCELLED', 'REJECTED'] },
+        // An autosaved draft may still be incomplete
+        draftData: null
+      },
+      include: {
+        attachments: {
+          orderBy: { createdAt: 'asc' },
+          take: 1
+        }
+      }
+    });
+
+    if (!expense) {
+      return res.status(404).json({
+        error: 'Expense not found'
+      });
+    }
+
+    // Mileage trips and per diems are priced per trip, so they cannot simply repeat
+    if (expense.expenseType !== 'RECEIPT') {
+      return res.status(400).json({
+        error: 'Only receipt expenses can be repeated'
+      });
+    }
+
+    if (expense.recurringExpenseId) {
+      return res.status(400).json({
+        error: 'This expense already belongs to a recurring series'
+      });
+    }
+
+    const schedule = {
+      frequency: req.body.frequency,
+      cronExpression: req.body.frequency === 'CUSTOM' ? req.body.cronExpression : null,
+      startDate: startOfDay(expense.date),
+      endDate: req.body.endDate ? startOfDay(req.body.endDate) : null
+    };
+
+    // The expense is the series' first occurrence; the scheduler takes over from the next one
+    const dayAfterExpense = new Date(schedule.startDate.getTime() + DAY_MS);
+    const today = startOfDay(new Date());
+    const nextRun = validateSchedule(schedule, dayAfterExpense > today ? dayAfterExpense : today);
+    if (nextRun.error) {
+      return res.status(400).json({
+        error: nextRun.error
+      });
+    }
+
+    let receipt = null;
+    const [attachment] = expense.attachments;
+    if (req.body.includeReceipt && attachment) {
+      const copy = await copyStoredFile({
+        storage: attachment.storage,
+        key: attachment.storageKey,
+        fileName: attachment.fileName,
+        mimeType: attachment.mimeType
+      });
+
+      if (copy) {
+        receipt = {
+          receiptKey: copy.key,
+          receiptStorage: copy.storage,
+          receiptFileName: attachment.fileName,
+          receiptMimeType: attachment.mimeType,
+          receiptSize: copy.size
+        };
+      }
+    }
+
+    const series = await prisma.recurringExpense.create({
+      data: {
+        companyId: req.user.companyId,
+        userId: req.user.id,
+        originalAmountMinor: expense.originalAmountMinor,
+        originalCurrency: expense.originalCurrency,
+        category: expense.category,
+        description: expense.description,
+        merchant: expense.merchant,
+        projectId: expense.projectId,
+        costCenterId: expense.costCenterId,
+        tags: expense.tags,
+        ...schedule,
+        nextRunDate: nextRun.nextRunDate,
+        lastRunDate: schedule.startDate,
+        submitMode: req.body.submitMode || 'SUBMIT',
+        ...receipt,
+        expenses: {
+          connect: { id: expense.id }
+        }
+      },
+      include: seriesInclude
+    });
+
+    await recordAudit({
+      req,
+      action: 'recurring_expense.create',
+      entityType: 'RECURRING_EXPENSE',
+      entityId: series.id,
+      after: series
+    });
+
+    res.status(201).json({
+      message: 'Recurring expense created successfully',
+      recurringExpense: formatRecurringExpense(series)
+    });
+  } catch (error) {
+    console.error('Create recurring expense error:', error);
+    res.status(500).json({
+      error: 'Failed to create recurring expense'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/recurring-expenses/:id
+ * @desc    Update the template or schedule of a series; changes apply to future occurrences
+ * @access  Private
+ */
+router.put('/:id', uploadSingle('receipt'), [
+  body('originalAmount').optional().isFloat({ min: 0.01, max: MAX_AMOUNT }).withMessage(`Amount must be greater than 0 and at most ${MAX_AMOUNT}`),
+  body('originalCurrency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('category').optional().trim().isLength({ min: 2 }).withMessage('Category is required'),
+  body('description').optional({ nullable: true }).trim(),
+  body('merchant').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Merchant must be at most 100 characters'),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a date'),
+  body('projectId').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Project ID must be an integer'),
+  body('costCenterId').optional({ nullable: true, checkFalsy: true }).isInt().withMessage('Cost center ID must be an integer'),
+  body('tags').optional({ nullable: true }),
+  body('removeReceipt').optional().isBoolean().toBoolean(),
+  ...scheduleValidation
+], async (req, res) => {
+  const newFiles = req.file ? [req.file] : [];
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await removeStoredFiles(newFiles);
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const series = await findOwnSeries(req);
+    if (!series || series.status === 'ENDED') {
+      await removeStoredFiles(newFiles);
+      return res.status(404).json({
+        error: 'Recurring expense not found or already ended'
+      });
+    }
+
+    const updateData = {};
+
+    if (req.body.originalCurrency) {
+      updateData.originalCurrency = req.body.originalCurrency.toUpperCase();
+    }
+
+    // A new currency changes what the stored minor units mean, so the amount is re-derived as well
+    if (req.body.originalAmount || req.body.originalCurrency) {
+      const currency = updateData.originalCurrency || series.originalCurrency;
+      const amount = req.body.originalAmount ||
+        fromMinorUnits(series.originalAmountMinor, series.originalCurrency);
+      updateData.originalAmountMinor = toMinorUnits(amount, currency);
+
+      if (updateData.originalAmountMinor <= 0) {
+        await removeStoredFiles(newFiles);
+        return res.status(400).json({
+          error: 'Amount must be greater than 0'
+        });
+      }
+    }
+
+    if (req.body.category && req.body.category !== series.category) {
+      const category = await findActiveCategory(req.user.companyId, req.body.category);
+      if (!category) {
+        await removeStoredFiles(newFiles);
+        return res.status(400).json({
+          error: 'Category is not one of the company\'s active categories'
+        });
+      }
+      updateData.category = category.name;
+    }
+
+    if (req.body.description !== undefined) {
+      updateData.description = req.body.description || null;
+    }
+
+    if (req.body.merchant !== undefined) {
+      updateData.merchant = req.body.merchant || null;
+    }
+
+    const dimensions = await resolveDimensions(req.user.companyId, req.body, series);
+    if (dimensions.error) {
+      await removeStoredFiles(newFiles);
+      return res.status(400).json({
+        error: dimensions.error
+      });
+    }
+    Object.assign(updateData, dimensions.data);
+
+    const categoryName = updateData.category || series.category;
+    const missing = getMissingDimensions(await findCategory(req.user.companyId, categoryName), { ...series, ...updateData });
+    if (missing.length > 0) {
+      await removeStoredFiles(newFiles);
+      return res.status(400).json({
+        error: `${categoryName} expenses require: ${missing.join(', ')}`
+      });
+    }
+
+    if (req.body.submitMode) {
+      updateData.submitMode = req.body.submitMode;
+    }
+
+    if (req.body.frequency) {
+      updateData.frequency = req.body.frequency;
+    }
+    if (req.body.cronExpression !== undefined) {
+      updateData.cronExpression = req.body.cronExpression || null;
+    }
+    if (req.body.startDate) {
+      updateData.startDate = startOfDay(req.body.startDate);
+    }
+    if (req.body.endDate !== undefined) {
+      updateData.endDate = req.body.endDate ? startOfDay(req.body.endDate) : null;
+    }
+
+    const scheduleChanged = ['frequency', 'cronExpression', 'startDate', 'endDate']
+      .some(field => updateData[field] !== undefined);
+
+    if (scheduleChanged) {
+      const schedule = { ...series, ...updateData };
+      if (schedule.frequency !== 'CUSTOM') {
+        schedule.cronExpression = null;
+        updateData.cronExpression = null;
+      }
+
+      const nextRun = validateSchedule(schedule, getResumeDate(series));
+      if (nextRun.error) {
+        await removeStoredFiles(newFiles);
+        return res.status(400).json({
+          error: nextRun.error
+        });
+      }
+
+      // Paused series pick their next day when they are resumed
+      if (series.status === 'ACTIVE') {
+        updateData.nextRunDate = nextRun.nextRunDate;
+      }
+    }
+
+    // A new receipt replaces the current one; the old file is only referenced by the series
+    const replacedFiles = [];
+    if (req.file || req.body.removeReceipt) {
+      if (series.receiptKey) {
+        replacedFiles.push({ storage: series.receiptStorage, key: series.receiptKey });
+      }
+
+      Object.assign(updateData, {
+        receiptKey: req.file ? req.file.key : null,
+        receiptStorage: req.file ? req.file.storage : null,
+        receiptFileName: req.file ? req.file.originalname : null,
+        receiptMimeType: req.file ? req.file.mimetype : null,
+        receiptSize: req.file ? req.file.size : null
+      });
+    }
+
+    const updatedSeries = await prisma.recurringExpense.update({
+      where: { id: series.id },
+      data: updateData,
+      include: seriesInclude
+    });
+
+    await removeStoredFiles(replacedFiles);
+
+    await recordAudit({
+      req,
+      action: 'recurring_expense.update',
+      entityType: 'RECURRING_EXPENSE',
+      entityId: series.id,
+      before: series,
+      after: updatedSeries
+    });
+
+    res.json({
+      message: 'Recurring expense updated successfully',
+      recurringExpense: formatRecurringExpense(updatedSeries)
+    });
+  } catch (error) {
+    console.error('Update recurring expense error:', error);
+    await removeStoredFiles(newFiles);
+    res.status(500).json({
+      error: 'Failed to update recurring expense'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/recurring-expenses/:id/pause
+ * @desc    Stop generating expenses for a series until it is resumed
+ * @access  Private
+ */
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const series = await findOwnSeries(req);
+    if (!series || series.status !== 'ACTIVE') {
+      return res.status(404).json({
+        error: 'Active recurring expense not found'
+      });
+    }
+
+    const updatedSeries = await updateSeriesStatus(req, series, 'recurring_expense.pause', {
+      status: 'PAUSED'
+    });
+
+    res.json({
+      message: 'Recurring expense paused',
+      recurringExpense: formatRecurringExpense(updatedSeries)
+    });
+  } catch (error) {
+    console.error('Pause recurring expense error:', error);
+    res.status(500).json({
+      error: 'Failed to pause recurring expense'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/recurring-expenses/:id/resume
+ * @desc    Resume a paused series from its next day; days missed while paused are skipped
+ * @access  Private
+ */
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const series = await findOwnSeries(req);
+    if (!series || series.status !== 'PAUSED') {
+      return res.status(404).json({
+        error: 'Paused recurring expense not found'
+      });
+    }
+
+    const nextRunDate = getNextOccurrence(series, getResumeDate(series));
+    if (!nextRunDate) {
+      return res.status(400).json({
+        error: 'The schedule has no occurrence left; end the series instead'
+      });
+    }
+
+    const updatedSeries = await updateSeriesStatus(req, series, 'recurring_expense.resume', {
+      status: 'ACTIVE',
+      nextRunDate: nextRunDate,
+      lastError: null
+    });
+
+    res.json({
+      message: 'Recurring expense resumed',
+      recurringExpense: formatRecurringExpense(updatedSeries)
+    });
+  } catch (error) {
+    console.error('Resume recurring expense error:', error);
+    res.status(500).json({
+      error: 'Failed to resume recurring expense'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/recurring-expenses/:id/end
+ * @desc    End a series for good; expenses it already generated are kept
+ * @access  Private
+ */
+router.post('/:id/end', async (req, res) => {
+  try {
+    const series = await findOwnSeries(req);
+    if (!series || series.status === 'ENDED') {
+      return res.status(404).json({
+        error: 'Recurring expense not found or already ended'
+      });
+    }
+
+    const updatedSeries = await updateSeriesStatus(req, series, 'recurring_expense.end', {
+      status: 'ENDED',
+      nextRunDate: null,
+      receiptKey: null,
+      receiptStorage: null,
+      receiptFileName: null,
+      receiptMimeType: null,
+      receiptSize: null
+    });
+
+    // Occurrences have their own copies of the receipt
+    if (series.receiptKey) {
+      await removeStoredFiles([{ storage: series.receiptStorage, key: series.receiptKey }]);
+    }
+
+    res.json({
+      message: 'Recurring expense ended',
+      recurringExpense: formatRecurringExpense(updatedSeries)
+    });
+  } catch (error) {
+    console.error('End recurring expense error:', error);
+    res.status(500).json({
+      error: 'Failed to end recurring expense'
+    });
+  }
+});
+
+module.exports = router;
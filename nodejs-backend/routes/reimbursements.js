@@ -0,0 +1,602 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { createPrismaClient } = require('../utils/prisma');
+const { requireAdmin } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { buildSepaCreditTransfer, buildPaymentCsv } = require('../utils/payments');
+const { formatAmounts, fromMinorUnits } = require('../utils/money');
+
+const router = express.Router();
+const prisma = createPrismaClient();
+
+// Reimbursements are handled by finance, which uses admin accounts
+router.use(requireAdmin);
+
+const batchStatuses = ['SCHEDULED', 'PAID', 'CANCELLED'];
+
+const batchInclude = {
+  user: {
+    select: {
+      id: true,
+      fullName: true,
+      email: true,
+      iban: true,
+      bic: true
+    }
+  },
+  createdBy: {
+    select: {
+      id: true,
+      fullName: true
+    }
+  },
+  expenses: {
+    select: {
+      id: true,
+      category: true,
+      description: true,
+      date: true,
+      originalAmountMinor: true,
+      originalCurrency: true,
+      companyAmountMinor: true,
+      companyCurrency: true
+    },
+    orderBy: { date: 'asc' }
+  }
+};
+
+/**
+ * Format an expense of a reimbursement for API responses
+ * @param {Object} expense - Expense record
+ * @returns {Object} - Expense with amounts in major units
+ */
+function formatPayoutExpense(expense) {
+  return {
+    ...expense,
+    ...formatAmounts(expense)
+  };
+}
+
+/**
+ * Format a reimbursement batch for API responses
+ * @param {Object} batch - Batch with user and expenses loaded
+ * @returns {Object} - Batch with amounts in major units
+ */
+function formatBatch(batch) {
+  return {
+    ...batch,
+    totalAmount: fromMinorUnits(batch.totalAmountMinor, batch.currency),
+    expenses: batch.expenses.map(formatPayoutExpense)
+  };
+}
+
+/**
+ * Group approved expenses by employee and payout currency
+ * @param {Array} expenses - Approved expenses with user loaded
+ * @returns {Array} - Groups of { user, currency, totalAmountMinor, expenses }
+ */
+function groupForPayout(expenses) {
+  const groups = new Map();
+
+  expenses.forEach(expense => {
+    const currency = expense.companyCurrency || expense.originalCurrency;
+    const key = `${expense.userId}:${currency}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        user: expense.user,
+        currency: currency,
+        totalAmountMinor: 0,
+        expenses: []
+      });
+    }
+
+    const group = groups.get(key);
+    group.totalAmountMinor += expense.companyAmountMinor ?? expense.originalAmountMinor;
+    group.expenses.push(expense);
+  });
+
+  return Array.from(groups.values());
+}
+
+/**
+ * @route   GET /api/reimbursements/eligible
+ * @desc    Get approved expenses awaiting payout, grouped by employee and currency
+ * @access  Private (Admin)
+ */
+router.get('/eligible', async (req, res) => {
+  try {
+    const expenses = await prisma.expense.findMany({
+      where: {
+        companyId: req.user.companyId,
+        status: 'APPROVED',
+        reimbursementBatchId: null,
+        // Expenses still waiting for an exchange rate cannot be paid out yet
+        conversionStatus: 'CONVERTED',
+        // Card charges were paid by the company, so there is nothing to reimburse
+        cardTransaction: { is: null }
+      },
+      include: {
+        user: {
+          select: {
+            id: true,
+            fullName: true,
+            email: true,
+            iban: true,
+            bic: true
+          }
+        }
+      },
+      orderBy: { date: 'asc' }
+    });
+
+    res.json({
+      groups: groupForPayout(expenses).map(group => ({
+        ...group,
+        totalAmount: fromMinorUnits(group.totalAmountMinor, group.currency),
+        expenses: group.expenses.map(formatPayoutExpense)
+      }))
+    });
+  } catch (error) {
+    console.error('Get eligible reimbursements error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch eligible expenses'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reimbursements/batches
+ * @desc    Schedule approved expenses for payout, one batch per employee and currency
+ * @access  Private (Admin)
+ */
+router.post('/batches', [
+  body('expenseIds').optional().isArray({ min: 1 }).withMessage('Expense IDs must be a non-empty array'),
+  body('expenseIds.*').optional().isInt().withMessage('Expense IDs must be integers'),
+  body('scheduledFor').optional().isISO8601().withMessage('Valid execution date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const companyId = req.user.companyId;
+    const scheduledFor = req.body.scheduledFor ? new Date(req.body.scheduledFor) : new Date();
+
+    const where = {
+      companyId: companyId,
+      status: 'APPROVED',
+      reimbursementBatchId: null,
+      conversionStatus: 'CONVERTED',
+      cardTransaction: { is: null }
+    };
+
+    if (req.body.expenseIds) {
+      where.id = { in: req.body.expenseIds.map(id => parseInt(id)) };
+    }
+
+    const expenses = await prisma.expense.findMany({
+      where: where,
+      include: { user: true }
+    });
+
+    if (expenses.length === 0) {
+      return res.status(400).json({
+        error: 'No approved expenses awaiting payout'
+      });
+    }
+
+    if (req.body.expenseIds && expenses.length !== req.body.expenseIds.length) {
+      return res.status(400).json({
+        error: 'One or more expenses are not approved or already scheduled'
+      });
+    }
+
+    const batches = [];
+
+    for (const group of groupForPayout(expenses)) {
+      const expenseIds = group.expenses.map(expense => expense.id);
+
+      const batch = await prisma.$transaction(async (tx) => {
+        const created = await tx.reimbursementBatch.create({
+          data: {
+            companyId: companyId,
+            userId: group.user.id,
+            currency: group.currency,
+            totalAmountMinor: group.totalAmountMinor,
+            status: 'SCHEDULED',
+            scheduledFor: scheduledFor,
+            createdById: req.user.id
+          }
+        });
+
+        await tx.expense.updateMany({
+          where: { id: { in: expenseIds } },
+          data: {
+            status: 'SCHEDULED',
+            reimbursementBatchId: created.id
+          }
+        });
+
+        return tx.reimbursementBatch.findUnique({
+          where: { id: created.id },
+          include: batchInclude
+        });
+      });
+
+      await recordAudit({
+        req,
+        action: 'reimbursement.schedule',
+        entityType: 'REIMBURSEMENT_BATCH',
+        entityId: batch.id,
+        after: batch
+      });
+
+      for (const expenseId of expenseIds) {
+        await recordAudit({
+          req,
+          action: 'expense.status',
+          entityType: 'EXPENSE',
+          entityId: expenseId,
+          before: { status: 'APPROVED' },
+          after: { status: 'SCHEDULED', reimbursementBatchId: batch.id }
+        });
+      }
+
+      batches.push(batch);
+    }
+
+    res.status(201).json({
+      message: `${batches.length} reimbursement batch(es) scheduled`,
+      batches: batches.map(formatBatch)
+    });
+  } catch (error) {
+    console.error('Create reimbursement batches error:', error);
+    res.status(500).json({
+      error: 'Failed to schedule reimbursements'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/reimbursements/batches
+ * @desc    Get reimbursement batches
+ * @access  Private (Admin)
+ */
+router.get('/batches', [
+  query('status').optional().isIn(batchStatuses),
+  query('userId').optional().isInt(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, userId, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {
+      companyId: req.user.companyId
+    };
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (userId) {
+      where.userId = parseInt(userId);
+    }
+
+    const [batches, total] = await Promise.all([
+      prisma.reimbursementBatch.findMany({
+        where: where,
+        include: batchInclude,
+        orderBy: [{ scheduledFor: 'desc' }, { id: 'desc' }],
+        skip: skip,
+        take: parseInt(limit)
+      }),
+      prisma.reimbursementBatch.count({ where: where })
+    ]);
+
+    res.json({
+      batches: batches.map(formatBatch),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get reimbursement batches error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reimbursement batches'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/reimbursements/export
+ * @desc    Download a bank payment file for scheduled batches
+ * @access  Private (Admin)
+ */
+router.get('/export', [
+  query('format').isIn(['sepa', 'csv']).withMessage('Format must be sepa or csv'),
+  query('batchIds').optional().matches(/^\d+(,\d+)*$/).withMessage('Batch IDs must be a comma-separated list')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { format, batchIds } = req.query;
+
+    const where = {
+      companyId: req.user.companyId,
+      status: 'SCHEDULED'
+    };
+
+    if (batchIds) {
+      where.id = { in: batchIds.split(',').map(id => parseInt(id)) };
+    }
+
+    const batches = await prisma.reimbursementBatch.findMany({
+      where: where,
+      include: batchInclude,
+      orderBy: [{ scheduledFor: 'asc' }, { id: 'asc' }]
+    });
+
+    if (batches.length === 0) {
+      return res.status(400).json({
+        error: 'No scheduled batches to export'
+      });
+    }
+
+    const fileDate = new Date().toISOString().split('T')[0];
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="reimbursements-${fileDate}.csv"`);
+      return res.send(buildPaymentCsv(batches));
+    }
+
+    // SEPA credit transfers are EUR only and need both accounts
+    const company = await prisma.company.findUnique({
+      where: { id: req.user.companyId }
+    });
+
+    if (!company.iban) {
+      return res.status(400).json({
+        error: 'Set the company IBAN in settings before exporting SEPA files'
+      });
+    }
+
+    const nonEuroBatch = batches.find(batch => batch.currency !== 'EUR');
+    if (nonEuroBatch) {
+      return res.status(400).json({
+        error: `Batch ${nonEuroBatch.id} is in ${nonEuroBatch.currency}; SEPA files only support EUR`
+      });
+    }
+
+    const missingIban = batches.find(batch => !batch.user.iban);
+    if (missingIban) {
+      return res.status(400).json({
+        error: `${missingIban.user.fullName} has no IBAN on file`
+      });
+    }
+
+    const messageId = `REIMB-${company.id}-${Date.now()}`;
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="reimbursements-${fileDate}.xml"`);
+    res.send(buildSepaCreditTransfer(company, batches, messageId));
+  } catch (error) {
+    console.error('Export reimbursements error:', error);
+    res.status(500).json({
+      error: 'Failed to export payment file'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/reimbursements/batches/:id
+ * @desc    Get a reimbursement batch
+ * @access  Private (Admin)
+ */
+router.get('/batches/:id', async (req, res) => {
+  try {
+    const batch = await prisma.reimbursementBatch.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        companyId: req.user.companyId
+      },
+      include: batchInclude
+    });
+
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Reimbursement batch not found'
+      });
+    }
+
+    res.json({
+      batch: formatBatch(batch)
+    });
+  } catch (error) {
+    console.error('Get reimbursement batch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reimbursement batch'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reimbursements/batches/:id/pay
+ * @desc    Mark a scheduled batch and its expenses as paid
+ * @access  Private (Admin)
+ */
+router.post('/batches/:id/pay', [
+  body('paymentReference').trim().notEmpty().withMessage('Payment reference is required'),
+  body('paidAt').optional().isISO8601().withMessage('Valid payment date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const batchId = parseInt(req.params.id);
+
+    const existingBatch = await prisma.reimbursementBatch.findFirst({
+      where: {
+        id: batchId,
+        companyId: req.user.companyId,
+        status: 'SCHEDULED'
+      },
+      include: { expenses: { select: { id: true } } }
+    });
+
+    if (!existingBatch) {
+      return res.status(404).json({
+        error: 'Scheduled reimbursement batch not found'
+      });
+    }
+
+    const paidAt = req.body.paidAt ? new Date(req.body.paidAt) : new Date();
+
+    const [batch] = await prisma.$transaction([
+      prisma.reimbursementBatch.update({
+        where: { id: batchId },
+        data: {
+          status: 'PAID',
+          paymentReference: req.body.paymentReference,
+          paidAt: paidAt
+        },
+        include: batchInclude
+      }),
+      prisma.expense.updateMany({
+        where: { reimbursementBatchId: batchId },
+        data: { status: 'PAID' }
+      })
+    ]);
+
+    await recordAudit({
+      req,
+      action: 'reimbursement.pay',
+      entityType: 'REIMBURSEMENT_BATCH',
+      entityId: batchId,
+      before: existingBatch,
+      after: batch
+    });
+
+    for (const expense of existingBatch.expenses) {
+      await recordAudit({
+        req,
+        action: 'expense.status',
+        entityType: 'EXPENSE',
+        entityId: expense.id,
+        before: { status: 'SCHEDULED' },
+        after: { status: 'PAID' }
+      });
+    }
+
+    res.json({
+      message: 'Reimbursement batch marked as paid',
+      batch: formatBatch(batch)
+    });
+  } catch (error) {
+    console.error('Pay reimbursement batch error:', error);
+    res.status(500).json({
+      error: 'Failed to mark batch as paid'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reimbursements/batches/:id/cancel
+ * @desc    Cancel a scheduled batch and return its expenses to APPROVED
+ * @access  Private (Admin)
+ */
+router.post('/batches/:id/cancel', async (req, res) => {
+  try {
+    const batchId = parseInt(req.params.id);
+
+    const existingBatch = await prisma.reimbursementBatch.findFirst({
+      where: {
+        id: batchId,
+        companyId: req.user.companyId,
+        status: 'SCHEDULED'
+      },
+      include: { expenses: { select: { id: true } } }
+    });
+
+    if (!existingBatch) {
+      return res.status(404).json({
+        error: 'Scheduled reimbursement batch not found'
+      });
+    }
+
+    const [batch] = await prisma.$transaction([
+      prisma.reimbursementBatch.update({
+        where: { id: batchId },
+        data: { status: 'CANCELLED' },
+        include: batchInclude
+      }),
+      prisma.expense.updateMany({
+        where: { reimbursementBatchId: batchId },
+        data: {
+          status: 'APPROVED',
+          reimbursementBatchId: null
+        }
+      })
+    ]);
+
+    await recordAudit({
+      req,
+      action: 'reimbursement.cancel',
+      entityType: 'REIMBURSEMENT_BATCH',
+      entityId: batchId,
+      before: existingBatch,
+      after: batch
+    });
+
+    for (const expense of existingBatch.expenses) {
+      await recordAudit({
+        req,
+        action: 'expense.status',
+        entityType: 'EXPENSE',
+        entityId: expense.id,
+        before: { status: 'SCHEDULED', reimbursementBatchId: batchId },
+        after: { status: 'APPROVED', reimbursementBatchId: null }
+      });
+    }
+
+    res.json({
+      message: 'Reimbursement batch cancelled',
+      batch: formatBatch(batch)
+    });
+  } catch (error) {
+    console.error('Cancel reimbursement batch error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel reimbursement batch'
+    });
+  }
+});
+
+module.exports = router;
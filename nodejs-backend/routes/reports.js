@@ -0,0 +1,612 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { createPrismaClient } = require('../utils/prisma');
+const { createReportApprovalSequence, resubmitReport, withApprovalStates } = require('../utils/approvalWorkflow');
+const { isOpenLine, summarizeReport } = require('../utils/expenseReports');
+const { formatAttachment } = require('../utils/attachments');
+const { formatConversion } = require('../utils/currency');
+const { formatAmounts } = require('../utils/money');
+const { recordAudit } = require('../utils/audit');
+const { hasBlockingViolation, refreshPolicyViolations, formatPolicyViolations } = require('../utils/expensePolicies');
+const { formatSuspectedDuplicates } = require('../utils/duplicates');
+const { dimensionInclude, formatDimensions } = require('../utils/dimensions');
+const { formatMileage } = require('../utils/mileage');
+const { formatPerDiem } = require('../utils/perDiem');
+const { releaseCardTransactions } = require('../utils/cardTransactions');
+
+const router = express.Router();
+const prisma = createPrismaClient();
+
+const REPORT_STATUSES = ['DRAFT', 'PENDING', 'APPROVED', 'REJECTED', 'CHANGES_REQUESTED', 'CANCELLED'];
+
+// Validation middleware
+const reportValidation = [
+  body('title').trim().isLength({ min: 2 }).withMessage('Title is required'),
+  body('purpose').optional().trim(),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required')
+    .custom((endDate, { req }) => new Date(endDate) >= new Date(req.body.startDate))
+    .withMessage('End date must not be before the start date')
+];
+
+const reportInclude = {
+  expenses: {
+    include: {
+      attachments: {
+        orderBy: { createdAt: 'asc' }
+      },
+      ...dimensionInclude
+    },
+    orderBy: { date: 'asc' }
+  },
+  approvals: {
+    where: { supersededAt: null },
+    include: {
+      approver: {
+        select: {
+          id: true,
+          fullName: true,
+          email: true
+        }
+      },
+      originalApprover: {
+        select: {
+          id: true,
+          fullName: true
+        }
+      },
+      actedBy: {
+        select: {
+          id: true,
+          fullName: true
+        }
+      }
+    },
+    orderBy: { order: 'asc' }
+  },
+  escalations: {
+    include: {
+      fromApprover: {
+        select: {
+          id: true,
+          fullName: true
+        }
+      },
+      toApprover: {
+        select: {
+          id: true,
+          fullName: true
+        }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+/**
+ * Format an expense report for API responses
+ * @param {Object} report - Report with expenses, approvals and escalations loaded
+ * @param {string} companyCurrency - Currency company totals are expressed in
+ * @returns {Object} - Report with totals
+ */
+function formatReport(report, companyCurrency) {
+  return {
+    id: report.id,
+    title: report.title,
+    purpose: report.purpose,
+    startDate: report.startDate,
+    endDate: report.endDate,
+    status: report.status,
+    submittedAt: report.submittedAt,
+    createdAt: report.createdAt,
+    updatedAt: report.updatedAt,
+    companyCurrency: companyCurrency,
+    totals: summarizeReport(report.expenses, companyCurrency),
+    expenses: report.expenses.map(expense => ({
+      id: expense.id,
+      ...formatAmounts(expense),
+      originalCurrency: expense.originalCurrency,
+      companyCurrency: expense.companyCurrency,
+      conversion: formatConversion(expense),
+      category: expense.category,
+      description: expense.description,
+      merchant: expense.merchant,
+      expenseType: expense.expenseType,
+      mileage: formatMileage(expense),
+      perDiem: formatPerDiem(expense),
+      date: expense.date,
+      status: expense.status,
+      receiptPath: expense.receiptPath,
+      policyViolations: formatPolicyViolations(expense),
+      suspectedDuplicates: formatSuspectedDuplicates(expense),
+      ...formatDimensions(expense),
+      attachments: expense.attachments.map(formatAttachment),
+      reviewComment: expense.reviewComment
+    })),
+    approvals: withApprovalStates(report.approvals),
+    escalations: report.escalations
+  };
+}
+
+/**
+ * Find lines of a report dated outside its period
+ * @param {Object} report - Report with expenses loaded
+ * @returns {Array} - Open lines outside the report period
+ */
+function getLinesOutsidePeriod(report) {
+  return report.expenses
+    .filter(isOpenLine)
+    .filter(expense => expense.date < report.startDate || expense.date > report.endDate);
+}
+
+/**
+ * Check the open lines of a report against company policy again, as of now
+ * Limits per day or trip and the age of an expense can change after a line was added.
+ * @param {Object} report - Report with expenses loaded
+ * @returns {Promise<Array>} - Blocking violations as { expenseId, ...violation }
+ */
+async function getBlockingViolations(report) {
+  const blocking = [];
+
+  for (const expense of report.expenses.filter(isOpenLine)) {
+    const violations = await refreshPolicyViolations(expense.id);
+    if (hasBlockingViolation(violations)) {
+      violations
+        .filter(violation => violation.action === 'BLOCK')
+        .forEach(violation => blocking.push({ expenseId: expense.id, ...violation }));
+    }
+  }
+
+  return blocking;
+}
+
+/**
+ * @route   GET /api/reports
+ * @desc    Get user's expense reports
+ * @access  Private
+ */
+router.get('/', [
+  query('status').optional().isIn(REPORT_STATUSES),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {
+      userId: req.user.id
+    };
+
+    if (status) {
+      where.status = status;
+    }
+
+    const [reports, total] = await Promise.all([
+      prisma.expenseReport.findMany({
+        where: where,
+        include: reportInclude,
+        orderBy: { createdAt: 'desc' },
+        skip: skip,
+        take: parseInt(limit)
+      }),
+      prisma.expenseReport.count({ where: where })
+    ]);
+
+    res.json({
+      reports: reports.map(report => formatReport(report, req.user.company.currency)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get expense reports error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch expense reports'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reports
+ * @desc    Start a draft expense report; lines are added with POST /api/expenses and a reportId
+ * @access  Private
+ */
+router.post('/', reportValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { title, purpose, startDate, endDate } = req.body;
+
+    const report = await prisma.expenseReport.create({
+      data: {
+        companyId: req.user.companyId,
+        userId: req.user.id,
+        title: title,
+        purpose: purpose || null,
+        startDate: new Date(startDate),
+        endDate: new Date(endDate),
+        status: 'DRAFT'
+      },
+      include: reportInclude
+    });
+
+    await recordAudit({
+      req,
+      action: 'expense_report.create',
+      entityType: 'EXPENSE_REPORT',
+      entityId: report.id,
+      after: report
+    });
+
+    res.status(201).json({
+      message: 'Expense report created',
+      report: formatReport(report, req.user.company.currency)
+    });
+  } catch (error) {
+    console.error('Create expense report error:', error);
+    res.status(500).json({
+      error: 'Failed to create expense report'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/reports/:id
+ * @desc    Get an expense report with its lines and approval chain
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const report = await prisma.expenseReport.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        userId: req.user.id
+      },
+      include: reportInclude
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        error: 'Expense report not found'
+      });
+    }
+
+    res.json({
+      report: formatReport(report, req.user.company.currency)
+    });
+  } catch (error) {
+    console.error('Get expense report error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch expense report'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/reports/:id
+ * @desc    Update a report's details (only while draft or awaiting changes)
+ * @access  Private
+ */
+router.put('/:id', [
+  body('title').optional().trim().isLength({ min: 2 }),
+  body('purpose').optional().trim(),
+  body('startDate').optional().isISO8601(),
+  body('endDate').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const reportId = parseInt(req.params.id);
+
+    const existingReport = await prisma.expenseReport.findFirst({
+      where: {
+        id: reportId,
+        userId: req.user.id,
+        status: { in: ['DRAFT', 'CHANGES_REQUESTED'] }
+      }
+    });
+
+    if (!existingReport) {
+      return res.status(404).json({
+        error: 'Expense report not found or cannot be updated'
+      });
+    }
+
+    const updateData = {};
+    if (req.body.title) updateData.title = req.body.title;
+    if (req.body.purpose !== undefined) updateData.purpose = req.body.purpose || null;
+    if (req.body.startDate) updateData.startDate = new Date(req.body.startDate);
+    if (req.body.endDate) updateData.endDate = new Date(req.body.endDate);
+
+    if ((updateData.endDate || existingReport.endDate) < (updateData.startDate || existingReport.startDate)) {
+      return res.status(400).json({
+        error: 'End date must not be before the start date'
+      });
+    }
+
+    const report = await prisma.expenseReport.update({
+      where: { id: reportId },
+      data: updateData,
+      include: reportInclude
+    });
+
+    await recordAudit({
+      req,
+      action: 'expense_report.update',
+      entityType: 'EXPENSE_REPORT',
+      entityId: reportId,
+      before: existingReport,
+      after: report
+    });
+
+    res.json({
+      message: 'Expense report updated successfully',
+      report: formatReport(report, req.user.company.currency)
+    });
+  } catch (error) {
+    console.error('Update expense report error:', error);
+    res.status(500).json({
+      error: 'Failed to update expense report'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reports/:id/submit
+ * @desc    Submit a draft report for approval as a single unit
+ * @access  Private
+ */
+router.post('/:id/submit', async (req, res) => {
+  try {
+    const reportId = parseInt(req.params.id);
+
+    const existingReport = await prisma.expenseReport.findFirst({
+      where: {
+        id: reportId,
+        userId: req.user.id,
+        status: 'DRAFT'
+      },
+      include: { expenses: true }
+    });
+
+    if (!existingReport) {
+      return res.status(404).json({
+        error: 'Draft expense report not found'
+      });
+    }
+
+    if (!existingReport.expenses.some(isOpenLine)) {
+      return res.status(400).json({
+        error: 'Add at least one expense before submitting the report'
+      });
+    }
+
+    if (getLinesOutsidePeriod(existingReport).length > 0) {
+      return res.status(400).json({
+        error: 'Some expenses are dated outside the report period'
+      });
+    }
+
+    // Report totals, and the approval steps chosen from them, need every line in company currency
+    if (existingReport.expenses.some(expense => isOpenLine(expense) && expense.conversionStatus === 'PENDING')) {
+      return res.status(400).json({
+        error: 'Some expenses are still waiting for an exchange rate'
+      });
+    }
+
+    const violations = await getBlockingViolations(existingReport);
+    if (violations.length > 0) {
+      return res.status(400).json({
+        error: 'Some expenses violate company policy',
+        violations: violations
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.expenseReport.update({
+        where: { id: reportId },
+        data: {
+          status: 'PENDING',
+          submittedAt: new Date()
+        }
+      }),
+      prisma.expense.updateMany({
+        where: {
+          reportId: reportId,
+          status: 'DRAFT'
+        },
+        data: { status: 'PENDING' }
+      })
+    ]);
+
+    await createReportApprovalSequence(reportId, req.user.companyId, req.user.id);
+
+    const report = await prisma.expenseReport.findUnique({
+      where: { id: reportId },
+      include: reportInclude
+    });
+
+    await recordAudit({
+      req,
+      action: 'expense_report.submit',
+      entityType: 'EXPENSE_REPORT',
+      entityId: reportId,
+      before: existingReport,
+      after: report
+    });
+
+    res.json({
+      message: 'Expense report submitted successfully',
+      report: formatReport(report, req.user.company.currency)
+    });
+  } catch (error) {
+    console.error('Submit expense report error:', error);
+    res.status(500).json({
+      error: 'Failed to submit expense report'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reports/:id/resubmit
+ * @desc    Resubmit a report an approver sent back for changes
+ * @access  Private
+ */
+router.post('/:id/resubmit', async (req, res) => {
+  try {
+    const reportId = parseInt(req.params.id);
+
+    const existingReport = await prisma.expenseReport.findFirst({
+      where: {
+        id: reportId,
+        userId: req.user.id,
+        status: 'CHANGES_REQUESTED'
+      },
+      include: { expenses: true }
+    });
+
+    if (!existingReport) {
+      return res.status(404).json({
+        error: 'Expense report not found or not awaiting changes'
+      });
+    }
+
+    if (!existingReport.expenses.some(isOpenLine)) {
+      return res.status(400).json({
+        error: 'The report has no remaining expenses to resubmit'
+      });
+    }
+
+    if (getLinesOutsidePeriod(existingReport).length > 0) {
+      return res.status(400).json({
+        error: 'Some expenses are dated outside the report period'
+      });
+    }
+
+    // Report totals, and the approval steps chosen from them, need every line in company currency
+    if (existingReport.expenses.some(expense => isOpenLine(expense) && expense.conversionStatus === 'PENDING')) {
+      return res.status(400).json({
+        error: 'Some expenses are still waiting for an exchange rate'
+      });
+    }
+
+    const violations = await getBlockingViolations(existingReport);
+    if (violations.length > 0) {
+      return res.status(400).json({
+        error: 'Some expenses violate company policy',
+        violations: violations
+      });
+    }
+
+    await resubmitReport(existingReport);
+
+    const report = await prisma.expenseReport.findUnique({
+      where: { id: reportId },
+      include: reportInclude
+    });
+
+    await recordAudit({
+      req,
+      action: 'expense_report.resubmit',
+      entityType: 'EXPENSE_REPORT',
+      entityId: reportId,
+      before: existingReport,
+      after: report
+    });
+
+    res.json({
+      message: 'Expense report resubmitted successfully',
+      report: formatReport(report, req.user.company.currency)
+    });
+  } catch (error) {
+    console.error('Resubmit expense report error:', error);
+    res.status(500).json({
+      error: 'Failed to resubmit expense report'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/reports/:id
+ * @desc    Cancel a report and its open lines (only if not yet decided)
+ * @access  Private
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const reportId = parseInt(req.params.id);
+
+    const existingReport = await prisma.expenseReport.findFirst({
+      where: {
+        id: reportId,
+        userId: req.user.id,
+        status: { in: ['DRAFT', 'PENDING', 'CHANGES_REQUESTED'] }
+      }
+    });
+
+    if (!existingReport) {
+      return res.status(404).json({
+        error: 'Expense report not found or cannot be cancelled'
+      });
+    }
+
+    const [cancelledReport] = await prisma.$transaction([
+      prisma.expenseReport.update({
+        where: { id: reportId },
+        data: { status: 'CANCELLED' }
+      }),
+      prisma.expense.updateMany({
+        where: {
+          reportId: reportId,
+          status: { in: ['DRAFT', 'PENDING', 'CHANGES_REQUESTED'] }
+        },
+        data: { status: 'CANCELLED' }
+      })
+    ]);
+
+    await releaseCardTransactions({ reportId: reportId, status: 'CANCELLED' });
+
+    await recordAudit({
+      req,
+      action: 'expense_report.cancel',
+      entityType: 'EXPENSE_REPORT',
+      entityId: reportId,
+      before: existingReport,
+      after: cancelledReport
+    });
+
+    res.json({
+      message: 'Expense report cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Cancel expense report error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel expense report'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createPrismaClient } = require('../utils/prisma');
+
+const { importRatesFile } = require('../utils/exchangeRates');
+
+const prisma = createPrismaClient();
+
+const USAGE = 'Usage: node scripts/import-rates.js <file.csv|file.xml>';
+
+async function main() {
+  const filePath = process.argv[2];
+  if (!filePath || process.argv.length > 3) {
+    throw new Error(USAGE);
+  }
+
+  // The rate store is shared by every company, so imports are an operator task rather than an admin endpoint
+  const result = await importRatesFile(fs.readFileSync(filePath), path.basename(filePath));
+
+  console.log(
+    `🎉 Imported ${result.imported} rate(s) from ${result.format} ` +
+    `(${result.from.toISOString().split('T')[0]} to ${result.to.toISOString().split('T')[0]})`
+  );
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Rate import failed:', e.message);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,96 @@
+require('dotenv').config();
+const { createPrismaClient } = require('../utils/prisma');
+
+const { STORAGE_DRIVERS, getStorageDriver, streamToBuffer } = require('../utils/storage');
+
+const prisma = createPrismaClient();
+
+const USAGE = 'Usage: node scripts/migrate-storage.js --to <local|s3> [--delete-source] [--dry-run]';
+
+/**
+ * Parse command line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - { to, deleteSource, dryRun }
+ */
+function parseArgs(args) {
+  const options = { to: null, deleteSource: false, dryRun: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--to') {
+      options.to = args[++i];
+    } else if (args[i] === '--delete-source') {
+      options.deleteSource = true;
+    } else if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Unknown option: ${args[i]}\n${USAGE}`);
+    }
+  }
+
+  if (!STORAGE_DRIVERS.includes(options.to)) {
+    throw new Error(USAGE);
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const target = getStorageDriver(options.to);
+
+  const attachments = await prisma.expenseAttachment.findMany({
+    where: { storage: { not: options.to } },
+    orderBy: { id: 'asc' }
+  });
+
+  console.log(`📦 ${attachments.length} attachment(s) to move to ${options.to}${options.dryRun ? ' (dry run)' : ''}`);
+
+  let moved = 0;
+  let missing = 0;
+
+  // One file at a time: each is copied, then the record is switched, so a failed run can simply be repeated
+  for (const attachment of attachments) {
+    const source = getStorageDriver(attachment.storage);
+    const stream = await source.get(attachment.storageKey);
+
+    if (!stream) {
+      console.warn(`⚠️  Attachment ${attachment.id}: ${attachment.storageKey} not found in ${attachment.storage}, skipped`);
+      missing++;
+      continue;
+    }
+
+    if (options.dryRun) {
+      stream.destroy();
+      console.log(`➡️  Attachment ${attachment.id}: ${attachment.storage} -> ${options.to} (${attachment.storageKey})`);
+      moved++;
+      continue;
+    }
+
+    await target.put(attachment.storageKey, await streamToBuffer(stream), attachment.mimeType);
+    await prisma.expenseAttachment.update({
+      where: { id: attachment.id },
+      data: { storage: options.to }
+    });
+
+    if (options.deleteSource) {
+      await source.remove(attachment.storageKey);
+    }
+
+    console.log(`✅ Attachment ${attachment.id}: ${attachment.storage} -> ${options.to}`);
+    moved++;
+  }
+
+  console.log(`🎉 Storage migration finished: ${moved} moved, ${missing} missing`);
+  if (!options.dryRun && moved > 0) {
+    console.log(`📝 Set STORAGE_DRIVER=${options.to} so new uploads go to the same backend`);
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Storage migration failed:', e.message);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
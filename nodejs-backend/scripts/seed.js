@@ -1,7 +1,8 @@
-const { PrismaClient } = require('@prisma/client');
+const { createPrismaClient } = require('../utils/prisma');
 const bcrypt = require('bcryptjs');
+const { createDefaultCategories } = require('../utils/categories');
 
-const prisma = new PrismaClient();
+const prisma = createPrismaClient();
 
 async function main() {
   console.log('🌱 Starting database seeding...');
@@ -20,6 +21,11 @@ async function main() {
 
   console.log('✅ Company created:', company.name);
 
+  if (await prisma.category.count({ where: { companyId: company.id } }) === 0) {
+    await createDefaultCategories(company.id);
+    console.log('✅ Default categories created');
+  }
+
   // Create admin user
   const adminPassword = await bcrypt.hash('admin123', 12);
   const admin = await prisma.user.upsert({
@@ -108,9 +114,9 @@ async function main() {
     {
       userId: employee1.id,
       companyId: company.id,
-      originalAmount: 25.50,
+      originalAmountMinor: 2550,
       originalCurrency: 'USD',
-      companyAmount: 25.50,
+      companyAmountMinor: 2550,
       companyCurrency: 'USD',
       category: 'Meals',
       description: 'Lunch meeting with client',
@@ -120,9 +126,9 @@ async function main() {
     {
       userId: employee2.id,
       companyId: company.id,
-      originalAmount: 45.00,
+      originalAmountMinor: 4500,
       originalCurrency: 'USD',
-      companyAmount: 45.00,
+      companyAmountMinor: 4500,
       companyCurrency: 'USD',
       category: 'Transportation',
       description: 'Taxi fare to client office',
@@ -132,9 +138,9 @@ async function main() {
     {
       userId: employee1.id,
       companyId: company.id,
-      originalAmount: 120.00,
+      originalAmountMinor: 12000,
       originalCurrency: 'USD',
-      companyAmount: 120.00,
+      companyAmountMinor: 12000,
       companyCurrency: 'USD',
       category: 'Office Supplies',
       description: 'Printer paper and stationery',
@@ -147,7 +153,7 @@ async function main() {
     const expense = await prisma.expense.create({
       data: expenseData
     });
-    console.log(`✅ Sample expense created: $${expense.originalAmount} - ${expense.category}`);
+    console.log(`✅ Sample expense created: $${(expense.originalAmountMinor / 100).toFixed(2)} - ${expense.category}`);
   }
 
   console.log('🎉 Database seeding completed successfully!');
@@ -6,7 +6,7 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
-const { PrismaClient } = require('@prisma/client');
+const { createPrismaClient } = require('./utils/prisma');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -15,13 +15,23 @@ const approvalRoutes = require('./routes/approvals');
 const adminRoutes = require('./routes/admin');
 const ocrRoutes = require('./routes/ocr');
 const currencyRoutes = require('./routes/currency');
+const reimbursementRoutes = require('./routes/reimbursements');
+const cardTransactionRoutes = require('./routes/cardTransactions');
+const mileageRoutes = require('./routes/mileage');
+const perDiemRoutes = require('./routes/perDiem');
+const recurringExpenseRoutes = require('./routes/recurringExpenses');
+const reportRoutes = require('./routes/reports');
+const categoryRoutes = require('./routes/categories');
+const dimensionRoutes = require('./routes/dimensions');
+const fileRoutes = require('./routes/files');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const { authenticateToken } = require('./middleware/auth');
+const { startScheduler, stopScheduler } = require('./utils/scheduler');
 
 const app = express();
-const prisma = new PrismaClient();
+const prisma = createPrismaClient();
 
 // Security middleware
 app.use(helmet());
@@ -62,13 +72,21 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/expenses', authenticateToken, expenseRoutes);
+app.use('/api/reports', authenticateToken, reportRoutes);
+app.use('/api/categories', authenticateToken, categoryRoutes);
+app.use('/api/dimensions', authenticateToken, dimensionRoutes);
 app.use('/api/approvals', authenticateToken, approvalRoutes);
 app.use('/api/admin', authenticateToken, adminRoutes);
 app.use('/api/ocr', authenticateToken, ocrRoutes);
 app.use('/api/currency', currencyRoutes);
+app.use('/api/reimbursements', authenticateToken, reimbursementRoutes);
+app.use('/api/card-transactions', authenticateToken, cardTransactionRoutes);
+app.use('/api/mileage', authenticateToken, mileageRoutes);
+app.use('/api/per-diem', authenticateToken, perDiemRoutes);
+app.use('/api/recurring-expenses', authenticateToken, recurringExpenseRoutes);
 
-// Serve static files (receipts)
-app.use('/uploads', express.static('uploads'));
+// Receipts and documents: authenticated or signed URLs, outside the API rate limit so galleries can load
+app.use('/files', fileRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -84,12 +102,14 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Received SIGINT, shutting down gracefully...');
+  stopScheduler();
   await prisma.$disconnect();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('Received SIGTERM, shutting down gracefully...');
+  stopScheduler();
   await prisma.$disconnect();
   process.exit(0);
 });
@@ -100,6 +120,11 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+
+  // Background jobs (approval escalation)
+  if (process.env.DISABLE_SCHEDULER !== 'true') {
+    startScheduler();
+  }
 });
 
 module.exports = app;
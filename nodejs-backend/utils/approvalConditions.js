@@ -0,0 +1,100 @@
+// Fields a sequence step condition can test, with how they compare
+const CONDITION_FIELDS = {
+  companyAmount: 'number',
+  originalAmount: 'number',
+  category: 'string',
+  originalCurrency: 'string',
+  submitterRole: 'string'
+};
+
+const CONDITION_OPERATORS = ['=', '!=', '>', '>=', '<', '<='];
+
+const CLAUSE_PATTERN = /^(\w+)\s*(!=|>=|<=|=|>|<)\s*(?:"([^"]*)"|'([^']*)'|(\S+))$/;
+
+/**
+ * Parse a condition string into clauses
+ *
+ * Grammar: `field operator value` clauses joined by AND, e.g.
+ * `companyAmount > 1000 AND category = "Business Travel"`. Amount fields
+ * compare numerically; text fields only support = and != and ignore case.
+ * @param {string} condition - Condition expression
+ * @returns {Array<Object>} - Clauses of { field, operator, value }
+ * @throws {Error} - If the condition does not follow the grammar
+ */
+function parseCondition(condition) {
+  if (typeof condition !== 'string' || condition.trim() === '') {
+    throw new Error('Condition must be a non-empty string');
+  }
+
+  return condition.split(/\s+AND\s+/i).map(part => {
+    const match = part.trim().match(CLAUSE_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid condition clause "${part.trim()}"`);
+    }
+
+    const [, field, operator, doubleQuoted, singleQuoted, bare] = match;
+    const fieldType = CONDITION_FIELDS[field];
+
+    if (!fieldType) {
+      throw new Error(`Unknown condition field "${field}"`);
+    }
+
+    let value = doubleQuoted ?? singleQuoted ?? bare;
+
+    if (fieldType === 'number') {
+      value = Number(value);
+      if (!Number.isFinite(value)) {
+        throw new Error(`Condition field "${field}" must be compared to a number`);
+      }
+    } else if (!['=', '!='].includes(operator)) {
+      throw new Error(`Condition field "${field}" only supports = and !=`);
+    }
+
+    return { field, operator, value };
+  });
+}
+
+/**
+ * Compare a single clause against a value
+ * @param {*} actual - Value taken from the expense context
+ * @param {Object} clause - Parsed clause
+ * @returns {boolean} - True if the clause holds
+ */
+function matchClause(actual, clause) {
+  if (CONDITION_FIELDS[clause.field] === 'string') {
+    const equal = String(actual ?? '').toLowerCase() === String(clause.value).toLowerCase();
+    return clause.operator === '=' ? equal : !equal;
+  }
+
+  const amount = Number(actual);
+  switch (clause.operator) {
+    case '=': return amount === clause.value;
+    case '!=': return amount !== clause.value;
+    case '>': return amount > clause.value;
+    case '>=': return amount >= clause.value;
+    case '<': return amount < clause.value;
+    case '<=': return amount <= clause.value;
+    default: return false;
+  }
+}
+
+/**
+ * Check whether a condition holds for an expense
+ * @param {string|null} condition - Condition expression; empty means always
+ * @param {Object} context - { companyAmount, originalAmount, category, originalCurrency, submitterRole }
+ * @returns {boolean} - True if every clause holds
+ */
+function evaluateCondition(condition, context) {
+  if (!condition) {
+    return true;
+  }
+
+  return parseCondition(condition).every(clause => matchClause(context[clause.field], clause));
+}
+
+module.exports = {
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  parseCondition,
+  evaluateCondition
+};
@@ -1,100 +1,231 @@
-const { PrismaClient } = require('@prisma/client');
+const { createPrismaClient } = require('./prisma');
+const { parseJsonField, serializeJsonField } = require('./json');
+const { resolveApprover } = require('./delegation');
+const { evaluateCondition } = require('./approvalConditions');
+const { CLOSED_LINE_STATUSES, isOpenLine, summarizeReport } = require('./expenseReports');
+const { fromMinorUnits } = require('./money');
+const { getOverBudgetApproverIds } = require('./budgets');
+const { releaseCardTransactions } = require('./cardTransactions');
 
-const prisma = new PrismaClient();
+const prisma = createPrismaClient();
+
+const APPROVAL_MODES = ['SEQUENTIAL', 'PARALLEL', 'STAGED'];
+
+const APPROVAL_DECISIONS = ['APPROVED', 'REJECTED', 'CHANGES_REQUESTED'];
+
+const RESUBMISSION_POLICIES = ['RESTART', 'RESUME'];
 
 /**
- * Create approval records for an expense based on company's approval sequence
- * @param {number} expenseId - ID of the expense
+ * Determine the stage of a sequence step for the given approval mode
+ * @param {Object} step - Sequence step
+ * @param {number} index - Position of the step in the sequence
+ * @param {string} mode - SEQUENTIAL, PARALLEL or STAGED
+ * @returns {number} - Stage number
+ */
+function getStepStage(step, index, mode) {
+  if (mode === 'PARALLEL') {
+    return 0;
+  }
+  if (mode === 'STAGED') {
+    return parseInt(step.stage) || 0;
+  }
+  return index;
+}
+
+/**
+ * Get the record an approval chain belongs to
+ * @param {Object} approval - Approval record
+ * @returns {Object} - { expenseId } for standalone expenses or { reportId } for expense reports
+ */
+function getApprovalSubject(approval) {
+  return approval.reportId ? { reportId: approval.reportId } : { expenseId: approval.expenseId };
+}
+
+/**
+ * Get the state of an approval step within its chain
+ * @param {Object} approval - Approval record
+ * @param {Array} approvals - All approval records of the same expense
+ * @returns {string} - 'completed', 'actionable' or 'waiting'
+ */
+function getApprovalState(approval, approvals) {
+  if (approval.status !== 'PENDING') {
+    return 'completed';
+  }
+
+  const blocked = approvals.some(other =>
+    other.stage < approval.stage && other.status !== 'APPROVED'
+  );
+
+  return blocked ? 'waiting' : 'actionable';
+}
+
+/**
+ * Add a state field to every approval of a chain
+ * @param {Array} approvals - All approval records of the same expense
+ * @returns {Array} - Approval records with state
+ */
+function withApprovalStates(approvals) {
+  return approvals.map(approval => ({
+    ...approval,
+    state: getApprovalState(approval, approvals)
+  }));
+}
+
+/**
+ * Create the approval records of a chain from the company's approval sequence
+ * Steps with a condition are only included when it matches the context. Over-budget approvers
+ * not already in the chain get a step after all others.
+ * @param {Object} subject - { expenseId } or { reportId } the chain belongs to
  * @param {number} companyId - ID of the company
- * @param {number} userId - ID of the user who submitted the expense
+ * @param {number} userId - ID of the user who submitted the expense or report
+ * @param {Object} conditionContext - Values step conditions are evaluated against
+ * @param {Array<number>} [budgetApproverIds] - Approvers of budgets the submission exceeds
  * @returns {Promise<Array>} - Array of created approval records
  */
-async function createApprovalSequence(expenseId, companyId, userId) {
-  try {
-    // Get company's active approval sequence
-    const sequence = await prisma.approvalSequence.findFirst({
-      where: {
-        companyId: companyId,
-        isActive: true
-      }
-    });
+async function buildApprovalChain(subject, companyId, userId, conditionContext, budgetApproverIds = []) {
+  // Get company's active approval sequence
+  const sequence = await prisma.approvalSequence.findFirst({
+    where: {
+      companyId: companyId,
+      isActive: true
+    }
+  });
 
-    const approvals = [];
-
-    if (sequence && sequence.sequence) {
-      // Process the approval sequence
-      const sequenceSteps = sequence.sequence;
-      
-      for (let i = 0; i < sequenceSteps.length; i++) {
-        const step = sequenceSteps[i];
-        let approverId = null;
-        let approverRole = null;
-
-        if (step.type === 'user') {
-          // Specific user approver
-          approverId = step.value;
-        } else if (step.type === 'role') {
-          // Role-based approver - find a user with this role
-          const approver = await prisma.user.findFirst({
-            where: {
-              companyId: companyId,
-              role: step.value.toUpperCase(),
-              isActive: true
-            }
-          });
-          
-          if (approver) {
-            approverId = approver.id;
-            approverRole = step.value.toUpperCase();
-          }
-        } else if (step.type === 'manager') {
-          // Manager of the expense submitter
-          const user = await prisma.user.findUnique({
-            where: { id: userId },
-            include: { manager: true }
-          });
-          
-          if (user && user.manager) {
-            approverId = user.manager.id;
-            approverRole = 'MANAGER';
+  const approvals = [];
+  const mode = (sequence && sequence.mode) || 'SEQUENTIAL';
+
+  const sequenceSteps = sequence ? parseJsonField(sequence.sequence, []) : [];
+
+  // Keep only the steps whose condition matches
+  const matchingSteps = sequenceSteps.filter(step =>
+    evaluateCondition(step.condition, conditionContext)
+  );
+
+  if (matchingSteps.length > 0) {
+    // Process the approval sequence
+    for (let i = 0; i < matchingSteps.length; i++) {
+      const step = matchingSteps[i];
+      let approverId = null;
+      let approverRole = null;
+
+      if (step.type === 'user') {
+        // Specific user approver
+        approverId = parseInt(step.value);
+      } else if (step.type === 'role') {
+        // Role-based approver - find a user with this role
+        const approver = await prisma.user.findFirst({
+          where: {
+            companyId: companyId,
+            role: step.value.toUpperCase(),
+            isActive: true
           }
+        });
+
+        if (approver) {
+          approverId = approver.id;
+          approverRole = step.value.toUpperCase();
         }
+      } else if (step.type === 'manager') {
+        // Manager of the submitter
+        const user = await prisma.user.findUnique({
+          where: { id: userId },
+          include: { manager: true }
+        });
 
-        if (approverId) {
-          const approval = await prisma.expenseApproval.create({
-            data: {
-              expenseId: expenseId,
-              approverId: approverId,
-              approverRole: approverRole,
-              order: i,
-              status: 'PENDING'
-            }
-          });
-          approvals.push(approval);
+        if (user && user.manager) {
+          approverId = user.manager.id;
+          approverRole = 'MANAGER';
         }
       }
-    } else {
-      // Fallback: assign to user's manager
-      const user = await prisma.user.findUnique({
-        where: { id: userId },
-        include: { manager: true }
-      });
 
-      if (user && user.manager) {
+      if (approverId) {
+        // Route to the approver's delegate while they are away
+        const routing = await resolveApprover(approverId);
         const approval = await prisma.expenseApproval.create({
           data: {
-            expenseId: expenseId,
-            approverId: user.manager.id,
-            approverRole: 'MANAGER',
-            order: 0,
+            ...subject,
+            approverId: routing.approverId,
+            originalApproverId: routing.originalApproverId,
+            approverRole: approverRole,
+            order: i,
+            stage: getStepStage(step, i, mode),
             status: 'PENDING'
           }
         });
         approvals.push(approval);
       }
     }
+  } else {
+    // Fallback: no step applies, assign to user's manager
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: { manager: true }
+    });
 
-    return approvals;
+    if (user && user.manager) {
+      const routing = await resolveApprover(user.manager.id);
+      const approval = await prisma.expenseApproval.create({
+        data: {
+          ...subject,
+          approverId: routing.approverId,
+          originalApproverId: routing.originalApproverId,
+          approverRole: 'MANAGER',
+          order: 0,
+          stage: 0,
+          status: 'PENDING'
+        }
+      });
+      approvals.push(approval);
+    }
+  }
+
+  for (const budgetApproverId of budgetApproverIds) {
+    if (approvals.some(approval => (approval.originalApproverId || approval.approverId) === budgetApproverId)) {
+      continue;
+    }
+
+    const order = approvals.length > 0 ? Math.max(...approvals.map(approval => approval.order)) + 1 : 0;
+    const stage = approvals.length > 0 ? Math.max(...approvals.map(approval => approval.stage)) + 1 : 0;
+    const routing = await resolveApprover(budgetApproverId);
+    const approval = await prisma.expenseApproval.create({
+      data: {
+        ...subject,
+        approverId: routing.approverId,
+        originalApproverId: routing.originalApproverId,
+        approverRole: 'BUDGET',
+        order: order,
+        stage: mode === 'PARALLEL' ? 0 : stage,
+        status: 'PENDING'
+      }
+    });
+    approvals.push(approval);
+  }
+
+  return approvals;
+}
+
+/**
+ * Create approval records for an expense based on company's approval sequence
+ * Steps with a condition are only included when it matches the expense
+ * @param {number} expenseId - ID of the expense
+ * @param {number} companyId - ID of the company
+ * @param {number} userId - ID of the user who submitted the expense
+ * @returns {Promise<Array>} - Array of created approval records
+ */
+async function createApprovalSequence(expenseId, companyId, userId) {
+  try {
+    const expense = await prisma.expense.findUnique({
+      where: { id: expenseId },
+      include: { user: true }
+    });
+
+    return await buildApprovalChain({ expenseId }, companyId, userId, {
+      companyAmount: fromMinorUnits(expense.companyAmountMinor, expense.companyCurrency),
+      originalAmount: fromMinorUnits(expense.originalAmountMinor, expense.originalCurrency),
+      category: expense.category,
+      originalCurrency: expense.originalCurrency,
+      submitterRole: expense.user.role
+    }, await getOverBudgetApproverIds([expense], companyId));
   } catch (error) {
     console.error('Error creating approval sequence:', error);
     throw error;
@@ -102,45 +233,139 @@ async function createApprovalSequence(expenseId, companyId, userId) {
 }
 
 /**
- * Process approval and check if expense should be approved/rejected
- * @param {number} expenseId - ID of the expense
- * @param {number} approverId - ID of the approver
- * @param {string} decision - 'APPROVED' or 'REJECTED'
+ * Create approval records for an expense report, which is approved as a unit
+ * Conditions see the report total; category and currency only match when every line shares them
+ * @param {number} reportId - ID of the expense report
+ * @param {number} companyId - ID of the company
+ * @param {number} userId - ID of the user who submitted the report
+ * @returns {Promise<Array>} - Array of created approval records
+ */
+async function createReportApprovalSequence(reportId, companyId, userId) {
+  try {
+    const report = await prisma.expenseReport.findUnique({
+      where: { id: reportId },
+      include: {
+        user: true,
+        company: true,
+        expenses: true
+      }
+    });
+
+    const lines = report.expenses.filter(isOpenLine);
+    const totals = summarizeReport(lines, report.company.currency);
+    const categories = new Set(lines.map(expense => expense.category));
+
+    return await buildApprovalChain({ reportId }, companyId, userId, {
+      companyAmount: totals.companyAmount,
+      originalAmount: totals.originalAmounts.length === 1 ? totals.originalAmounts[0].amount : totals.companyAmount,
+      category: categories.size === 1 ? lines[0].category : null,
+      originalCurrency: totals.originalAmounts.length === 1 ? totals.originalAmounts[0].currency : null,
+      submitterRole: report.user.role
+    }, await getOverBudgetApproverIds(lines, companyId));
+  } catch (error) {
+    console.error('Error creating report approval sequence:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply a final decision to the expense or report a chain belongs to
+ * Report lines follow the report unless an approver already rejected them
+ * @param {Object} subject - { expenseId } or { reportId }
+ * @param {string} decision - 'APPROVED', 'REJECTED' or 'CHANGES_REQUESTED'
+ * @returns {Promise<void>}
+ */
+async function applyFinalDecision(subject, decision) {
+  if (subject.reportId) {
+    await prisma.$transaction([
+      prisma.expenseReport.update({
+        where: { id: subject.reportId },
+        data: { status: decision }
+      }),
+      prisma.expense.updateMany({
+        where: {
+          reportId: subject.reportId,
+          status: 'PENDING'
+        },
+        data: { status: decision }
+      })
+    ]);
+  } else {
+    await prisma.expense.update({
+      where: { id: subject.expenseId },
+      data: {
+        status: decision,
+        updatedAt: new Date()
+      }
+    });
+  }
+
+  // Rejected expenses do not document card charges; the cardholder has to claim them again
+  if (decision === 'REJECTED') {
+    await releaseCardTransactions(subject.reportId
+      ? { reportId: subject.reportId, status: 'REJECTED' }
+      : { id: subject.expenseId });
+  }
+}
+
+/**
+ * Process approval and check if the expense or report should be approved/rejected
+ * @param {Object} subject - { expenseId } or { reportId } the chain belongs to
+ * @param {number} approverId - ID of the approver the step is assigned to
+ * @param {string} decision - 'APPROVED', 'REJECTED' or 'CHANGES_REQUESTED'
  * @param {string} comment - Optional comment from approver
+ * @param {number} actedById - ID of the user recording the decision (the approver or their delegate)
  * @returns {Promise<Object>} - Result of the approval process
  */
-async function processApproval(expenseId, approverId, decision, comment = null) {
+async function processApproval(subject, approverId, decision, comment = null, actedById = approverId) {
   try {
-    // Update the approval record
-    const approval = await prisma.expenseApproval.updateMany({
+    const approvals = await prisma.expenseApproval.findMany({
       where: {
-        expenseId: expenseId,
-        approverId: approverId,
-        status: 'PENDING'
-      },
+        ...subject,
+        supersededAt: null
+      }
+    });
+
+    const pendingApprovals = approvals.filter(a =>
+      a.approverId === approverId && a.status === 'PENDING'
+    );
+
+    if (pendingApprovals.length === 0) {
+      throw new Error('No pending approval found for this user');
+    }
+
+    // Only steps whose earlier stages are complete can be decided
+    const actionableApproval = pendingApprovals.find(a =>
+      getApprovalState(a, approvals) === 'actionable'
+    );
+
+    if (!actionableApproval) {
+      const error = new Error('Approval is waiting on earlier approval steps');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // Update the approval record
+    await prisma.expenseApproval.update({
+      where: { id: actionableApproval.id },
       data: {
         status: decision,
         comment: comment,
+        actedById: actedById,
+        // Keep the assigned approver on record when a delegate decides
+        ...(actedById !== approverId && !actionableApproval.originalApproverId && {
+          originalApproverId: approverId
+        }),
         updatedAt: new Date()
       }
     });
 
-    if (approval.count === 0) {
-      throw new Error('No pending approval found for this user');
-    }
-
     // Check if expense should be approved/rejected based on rules
-    const result = await evaluateApprovalRules(expenseId);
+    const result = await evaluateApprovalRules(subject);
 
-    // Update expense status if decision is final
+    // Update expense or report status if decision is final
     if (result.finalDecision) {
-      await prisma.expense.update({
-        where: { id: expenseId },
-        data: { 
-          status: result.finalDecision,
-          updatedAt: new Date()
-        }
-      });
+      await applyFinalDecision(subject, result.finalDecision);
     }
 
     return result;
@@ -151,35 +376,48 @@ async function processApproval(expenseId, approverId, decision, comment = null)
 }
 
 /**
- * Evaluate approval rules to determine if expense should be approved/rejected
- * @param {number} expenseId - ID of the expense
+ * Check whether an approval step is assigned to a user, directly or through their delegate
+ * @param {Object} approval - ExpenseApproval record
+ * @param {number} userId - ID of the user
+ * @returns {boolean} - True if the step is the user's
+ */
+function isStepOf(approval, userId) {
+  return approval.approverId === userId || approval.originalApproverId === userId;
+}
+
+/**
+ * Evaluate approval rules to determine if an expense or report should be approved/rejected
+ * @param {Object} subject - { expenseId } or { reportId } the chain belongs to
  * @returns {Promise<Object>} - Evaluation result
  */
-async function evaluateApprovalRules(expenseId) {
+async function evaluateApprovalRules(subject) {
   try {
-    // Get expense and company info
-    const expense = await prisma.expense.findUnique({
-      where: { id: expenseId },
-      include: { company: true }
-    });
+    // Get the expense or report to find its company
+    const record = subject.reportId
+      ? await prisma.expenseReport.findUnique({ where: { id: subject.reportId } })
+      : await prisma.expense.findUnique({ where: { id: subject.expenseId } });
 
-    if (!expense) {
-      throw new Error('Expense not found');
+    if (!record) {
+      throw new Error(subject.reportId ? 'Expense report not found' : 'Expense not found');
     }
 
-    // Get all approvals for this expense
+    // Get all approvals of the chain
     const approvals = await prisma.expenseApproval.findMany({
-      where: { expenseId: expenseId },
+      where: {
+        ...subject,
+        supersededAt: null
+      },
       orderBy: { order: 'asc' },
       include: { approver: true }
     });
 
-    // Get company's approval rules
+    // Get company's approval rules in evaluation order
     const rules = await prisma.approvalRule.findMany({
       where: {
-        companyId: expense.companyId,
+        companyId: record.companyId,
         isActive: true
-      }
+      },
+      orderBy: [{ priority: 'asc' }, { id: 'asc' }]
     });
 
     // Check if any approval was rejected
@@ -193,6 +431,17 @@ async function evaluateApprovalRules(expenseId) {
       };
     }
 
+    // Send the expense back to the submitter if an approver asked for changes
+    const changesApproval = approvals.find(a => a.status === 'CHANGES_REQUESTED');
+    if (changesApproval) {
+      return {
+        finalDecision: 'CHANGES_REQUESTED',
+        reason: 'Changes requested by approver',
+        requestedBy: changesApproval.approver?.fullName,
+        comment: changesApproval.comment
+      };
+    }
+
     // Count approved and pending approvals
     const approvedApprovals = approvals.filter(a => a.status === 'APPROVED');
     const pendingApprovals = approvals.filter(a => a.status === 'PENDING');
@@ -213,7 +462,7 @@ async function evaluateApprovalRules(expenseId) {
       } else if (rule.ruleType === 'SPECIFIC') {
         // Specific approver rule
         if (rule.specificApproverId) {
-          const specificApproval = approvals.find(a => a.approverId === rule.specificApproverId);
+          const specificApproval = approvals.find(a => isStepOf(a, rule.specificApproverId));
           if (specificApproval && specificApproval.status === 'APPROVED') {
             return {
               finalDecision: 'APPROVED',
@@ -233,15 +482,19 @@ async function evaluateApprovalRules(expenseId) {
         }
       } else if (rule.ruleType === 'HYBRID') {
         // Hybrid rule - check percentage OR specific approver
-        const config = rule.config || {};
+        const config = parseJsonField(rule.config, {});
         const percentageThreshold = config.percentageThreshold || 0.5;
         const specificRole = config.specificRole;
+        const specificApproverId = config.specificApproverId ? parseInt(config.specificApproverId) : null;
         
         const requiredApprovals = Math.ceil(totalApprovals * percentageThreshold);
         const percentageSatisfied = approvedApprovals.length >= requiredApprovals;
         
         let specificSatisfied = false;
-        if (specificRole) {
+        if (specificApproverId) {
+          const specificApproval = approvals.find(a => isStepOf(a, specificApproverId));
+          specificSatisfied = specificApproval && specificApproval.status === 'APPROVED';
+        } else if (specificRole) {
           const roleApproval = approvals.find(a => a.approverRole === specificRole);
           specificSatisfied = roleApproval && roleApproval.status === 'APPROVED';
         }
@@ -278,8 +531,209 @@ async function evaluateApprovalRules(expenseId) {
   }
 }
 
+/**
+ * Put a chain that requested changes back into approval according to the company's policy
+ * @param {Object} subject - { expenseId } or { reportId } the chain belongs to
+ * @param {string} policy - RESTART or RESUME
+ * @param {Function} createChain - Builds a fresh chain when restarting
+ * @returns {Promise<void>}
+ */
+async function reopenApprovalChain(subject, policy, createChain) {
+  if (policy === 'RESUME') {
+    // Reopen only the steps that asked for changes; earlier approvals stand
+    await prisma.expenseApproval.updateMany({
+      where: {
+        ...subject,
+        supersededAt: null,
+        status: 'CHANGES_REQUESTED'
+      },
+      data: {
+        status: 'PENDING',
+        comment: null,
+        actedById: null
+      }
+    });
+    return;
+  }
+
+  // Retire the old chain and build a new one for the updated submission
+  await prisma.expenseApproval.updateMany({
+    where: {
+      ...subject,
+      supersededAt: null
+    },
+    data: { supersededAt: new Date() }
+  });
+
+  await createChain();
+}
+
+/**
+ * Apply the submitter's changes to an expense sent back for changes and put it back into approval
+ * @param {Object} expense - Expense in CHANGES_REQUESTED status
+ * @param {Object} changes - Updated expense fields
+ * @param {number} userId - ID of the submitter
+ * @returns {Promise<Object>} - Updated expense
+ */
+async function resubmitExpense(expense, changes, userId) {
+  try {
+    const company = await prisma.company.findUnique({
+      where: { id: expense.companyId }
+    });
+
+    const currentApprovals = await prisma.expenseApproval.findMany({
+      where: {
+        expenseId: expense.id,
+        supersededAt: null
+      },
+      orderBy: { order: 'asc' },
+      include: {
+        approver: {
+          select: {
+            id: true,
+            fullName: true
+          }
+        }
+      }
+    });
+
+    // Keep the revision being replaced, including the decisions made on it
+    await prisma.expenseRevision.create({
+      data: {
+        expenseId: expense.id,
+        revision: expense.revision,
+        originalAmountMinor: expense.originalAmountMinor,
+        originalCurrency: expense.originalCurrency,
+        companyAmountMinor: expense.companyAmountMinor,
+        category: expense.category,
+        description: expense.description,
+        date: expense.date,
+        receiptPath: expense.receiptPath,
+        approvals: serializeJsonField(currentApprovals.map(approval => ({
+          id: approval.id,
+          approverId: approval.approverId,
+          approverName: approval.approver?.fullName || null,
+          approverRole: approval.approverRole,
+          stage: approval.stage,
+          status: approval.status,
+          comment: approval.comment,
+          actedById: approval.actedById,
+          decidedAt: approval.status === 'PENDING' ? null : approval.updatedAt
+        }))),
+        createdById: userId
+      }
+    });
+
+    const updatedExpense = await prisma.expense.update({
+      where: { id: expense.id },
+      data: {
+        ...changes,
+        status: 'PENDING',
+        revision: expense.revision + 1
+      }
+    });
+
+    await reopenApprovalChain({ expenseId: expense.id }, company.resubmissionPolicy, () =>
+      createApprovalSequence(expense.id, expense.companyId, expense.userId)
+    );
+
+    return updatedExpense;
+  } catch (error) {
+    console.error('Error resubmitting expense:', error);
+    throw error;
+  }
+}
+
+/**
+ * Put an expense report sent back for changes back into approval
+ * Lines rejected by an approver stay rejected
+ * @param {Object} report - Expense report in CHANGES_REQUESTED status
+ * @returns {Promise<Object>} - Updated report
+ */
+async function resubmitReport(report) {
+  try {
+    const company = await prisma.company.findUnique({
+      where: { id: report.companyId }
+    });
+
+    const [updatedReport] = await prisma.$transaction([
+      prisma.expenseReport.update({
+        where: { id: report.id },
+        data: {
+          status: 'PENDING',
+          submittedAt: new Date()
+        }
+      }),
+      prisma.expense.updateMany({
+        where: {
+          reportId: report.id,
+          status: 'CHANGES_REQUESTED'
+        },
+        data: { status: 'PENDING' }
+      })
+    ]);
+
+    await reopenApprovalChain({ reportId: report.id }, company.resubmissionPolicy, () =>
+      createReportApprovalSequence(report.id, report.companyId, report.userId)
+    );
+
+    return updatedReport;
+  } catch (error) {
+    console.error('Error resubmitting expense report:', error);
+    throw error;
+  }
+}
+
+/**
+ * Reject a single line of an expense report under review
+ * The report is rejected as a whole once no open lines remain
+ * @param {number} reportId - ID of the expense report
+ * @param {number} expenseId - ID of the line to reject
+ * @param {string} comment - Reason for rejecting the line
+ * @returns {Promise<Object>} - { expense, finalDecision }
+ */
+async function rejectReportLine(reportId, expenseId, comment) {
+  try {
+    const expense = await prisma.expense.update({
+      where: { id: expenseId },
+      data: {
+        status: 'REJECTED',
+        reviewComment: comment
+      }
+    });
+    await releaseCardTransactions({ id: expenseId });
+
+    const openLines = await prisma.expense.count({
+      where: {
+        reportId: reportId,
+        status: { notIn: CLOSED_LINE_STATUSES }
+      }
+    });
+
+    if (openLines === 0) {
+      await applyFinalDecision({ reportId }, 'REJECTED');
+      return { expense, finalDecision: 'REJECTED' };
+    }
+
+    return { expense, finalDecision: null };
+  } catch (error) {
+    console.error('Error rejecting report line:', error);
+    throw error;
+  }
+}
+
 module.exports = {
+  APPROVAL_MODES,
+  APPROVAL_DECISIONS,
+  RESUBMISSION_POLICIES,
+  getApprovalSubject,
+  getApprovalState,
+  withApprovalStates,
   createApprovalSequence,
+  createReportApprovalSequence,
   processApproval,
-  evaluateApprovalRules
+  evaluateApprovalRules,
+  resubmitExpense,
+  resubmitReport,
+  rejectReportLine
 };
@@ -0,0 +1,113 @@
+const { createPrismaClient } = require('./prisma');
+const { signAttachmentUrl } = require('./fileAccess');
+const { getStorageDriver, createStorageKey, streamToBuffer } = require('./storage');
+
+const prisma = createPrismaClient();
+
+// Receipts and supporting documents (folios, boarding passes, invoices) per expense
+const MAX_ATTACHMENTS_PER_EXPENSE = parseInt(process.env.MAX_ATTACHMENTS_PER_EXPENSE) || 10;
+
+/**
+ * Build attachment records for uploaded files
+ * @param {Array} files - Files stored by multer
+ * @param {number} uploadedById - ID of the user who uploaded them
+ * @returns {Array} - Data for ExpenseAttachment records
+ */
+function buildAttachmentData(files, uploadedById) {
+  return files.map(file => ({
+    storageKey: file.key,
+    storage: file.storage,
+    fileName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    contentHash: file.contentHash || null,
+    uploadedById: uploadedById
+  }));
+}
+
+/**
+ * Format an attachment for API responses
+ * Only call this for users who may view the file: the response carries a signed download URL.
+ * @param {Object} attachment - ExpenseAttachment record
+ * @returns {Object} - Attachment for API responses
+ */
+function formatAttachment(attachment) {
+  return {
+    id: attachment.id,
+    fileName: attachment.fileName,
+    url: signAttachmentUrl(attachment.id),
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    createdAt: attachment.createdAt
+  };
+}
+
+/**
+ * Delete stored files, e.g. uploads of a rejected request or removed attachments
+ * A file that is already gone is not an error.
+ * @param {Array<Object>} files - { storage, key } of the files to delete
+ * @returns {Promise<void>}
+ */
+async function removeStoredFiles(files) {
+  await Promise.all(files.map(async (file) => {
+    try {
+      await getStorageDriver(file.storage).remove(file.key);
+    } catch (error) {
+      console.error('Remove attachment file error:', error);
+    }
+  }));
+}
+
+/**
+ * Copy a stored file under a new key, so the copy can be deleted on its own
+ * @param {Object} file - { storage, key, fileName, mimeType } of the file to copy
+ * @returns {Promise<Object|null>} - { storage, key, size } of the copy, or null if the file is gone
+ */
+async function copyStoredFile(file) {
+  const stream = await getStorageDriver(file.storage).get(file.key);
+  if (!stream) {
+    return null;
+  }
+
+  const body = await streamToBuffer(stream);
+  const driver = getStorageDriver();
+  const key = createStorageKey(file.fileName);
+  await driver.put(key, body, file.mimeType);
+
+  return { storage: driver.name, key: key, size: body.length };
+}
+
+/**
+ * Point the expense's primary receipt at its earliest attachment when the current one is gone
+ * @param {number} expenseId - ID of the expense
+ * @returns {Promise<void>}
+ */
+async function syncReceiptPath(expenseId) {
+  const expense = await prisma.expense.findUnique({
+    where: { id: expenseId },
+    include: {
+      attachments: {
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  const attachmentKeys = expense.attachments.map(attachment => attachment.storageKey);
+  if (expense.receiptPath && attachmentKeys.includes(expense.receiptPath)) {
+    return;
+  }
+
+  await prisma.expense.update({
+    where: { id: expenseId },
+    data: { receiptPath: attachmentKeys[0] || null }
+  });
+}
+
+module.exports = {
+  MAX_ATTACHMENTS_PER_EXPENSE,
+  buildAttachmentData,
+  formatAttachment,
+  removeStoredFiles,
+  copyStoredFile,
+  syncReceiptPath
+};
@@ -0,0 +1,93 @@
+const { createPrismaClient } = require('./prisma');
+const { serializeJsonField } = require('./json');
+
+const prisma = createPrismaClient();
+
+const AUDIT_ENTITY_TYPES = ['EXPENSE', 'APPROVAL', 'USER', 'COMPANY', 'APPROVAL_SEQUENCE', 'APPROVAL_RULE', 'REIMBURSEMENT_BATCH', 'EXPENSE_REPORT', 'EXCHANGE_RATE', 'EXPENSE_POLICY', 'CATEGORY', 'DIMENSION_VALUE', 'BUDGET', 'CARD_TRANSACTION', 'MILEAGE_RATE', 'PER_DIEM_RATE', 'RECURRING_EXPENSE'];
+
+// Never copied into audit entries
+const IGNORED_FIELDS = ['password', 'createdAt', 'updatedAt'];
+
+/**
+ * Normalize a value so before/after snapshots compare and serialize consistently
+ * @param {*} value - Field value
+ * @returns {*} - Comparable value
+ */
+function normalizeValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Build a field-level diff between two snapshots of a record
+ * @param {Object|null} before - Record before the change (null when created)
+ * @param {Object|null} after - Record after the change (null when removed)
+ * @returns {Object} - Map of field -> { from, to } for fields that changed
+ */
+function diffChanges(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+
+    const from = normalizeValue(before ? before[field] : null);
+    const to = normalizeValue(after ? after[field] : null);
+
+    // Nested records (includes) are audited on their own
+    if ((from !== null && typeof from === 'object') || (to !== null && typeof to === 'object')) {
+      return;
+    }
+
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Append an entry to the audit log
+ *
+ * Failures are logged rather than thrown so an audit problem never masks the
+ * outcome of the change it describes.
+ * @param {Object} entry - Audit entry
+ * @param {Object} [entry.req] - Express request; supplies actor, company, IP and user agent
+ * @param {number} [entry.companyId] - Company ID when there is no request (background jobs)
+ * @param {number} [entry.actorId] - Acting user ID when there is no request
+ * @param {string} entry.action - Action name, e.g. 'expense.update'
+ * @param {string} entry.entityType - One of AUDIT_ENTITY_TYPES
+ * @param {number} [entry.entityId] - ID of the affected record
+ * @param {Object|null} [entry.before] - Record before the change
+ * @param {Object|null} [entry.after] - Record after the change
+ * @returns {Promise<void>}
+ */
+async function recordAudit({ req, companyId, actorId, action, entityType, entityId = null, before = null, after = null }) {
+  try {
+    await prisma.auditLog.create({
+      data: {
+        companyId: companyId || req.user.companyId,
+        actorId: actorId !== undefined ? actorId : (req && req.user ? req.user.id : null),
+        action: action,
+        entityType: entityType,
+        entityId: entityId,
+        changes: serializeJsonField(diffChanges(before, after)),
+        ipAddress: req ? req.ip : null,
+        userAgent: req ? req.get('User-Agent') || null : null
+      }
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+}
+
+module.exports = {
+  AUDIT_ENTITY_TYPES,
+  diffChanges,
+  recordAudit
+};
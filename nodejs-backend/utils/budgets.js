@@ -0,0 +1,222 @@
+const { createPrismaClient } = require('./prisma');
+const { fromMinorUnits } = require('./money');
+
+const prisma = createPrismaClient();
+
+// What a budget caps: spending charged to a cost center or project, or claimed by one employee
+const BUDGET_SCOPES = ['COST_CENTER', 'PROJECT', 'USER'];
+
+// Expense field each scope matches on
+const SCOPE_FIELDS = {
+  COST_CENTER: 'costCenterId',
+  PROJECT: 'projectId',
+  USER: 'userId'
+};
+
+// Approved expenses keep consuming the budget once they are scheduled for payout or paid
+const APPROVED_STATUSES = ['APPROVED', 'SCHEDULED', 'PAID'];
+const PENDING_STATUSES = ['PENDING'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const budgetInclude = {
+  dimensionValue: {
+    select: {
+      id: true,
+      dimension: true,
+      code: true,
+      name: true
+    }
+  },
+  user: {
+    select: {
+      id: true,
+      fullName: true
+    }
+  },
+  overBudgetApprover: {
+    select: {
+      id: true,
+      fullName: true
+    }
+  }
+};
+
+/**
+ * Get the ID of the cost center, project or user a budget is for
+ * @param {Object} budget - Budget record
+ * @returns {number} - Value expenses must have in the scope's field
+ */
+function getScopeId(budget) {
+  return budget.scope === 'USER' ? budget.userId : budget.dimensionValueId;
+}
+
+/**
+ * Check whether an expense counts against a budget
+ * The period end is inclusive, so a budget ending on 31 March covers expenses dated that day.
+ * @param {Object} budget - Budget record
+ * @param {Object} expense - Expense with date, userId, projectId and costCenterId
+ * @returns {boolean} - True if the expense is in the budget's scope and period
+ */
+function budgetCovers(budget, expense) {
+  const date = new Date(expense.date).getTime();
+  const scopeId = getScopeId(budget);
+
+  return scopeId !== null && expense[SCOPE_FIELDS[budget.scope]] === scopeId &&
+    date >= budget.periodStart.getTime() &&
+    date < budget.periodEnd.getTime() + DAY_MS;
+}
+
+/**
+ * Add up the company amounts of the approved and pending expenses a budget covers
+ * Expenses still waiting for an exchange rate have no company amount yet and are left out.
+ * @param {Object} budget - Budget record
+ * @param {Array<number>} [excludeIds] - Expenses to leave out, e.g. the ones an approval chain is built for
+ * @returns {Promise<Object>} - { approvedMinor, pendingMinor } in minor units of the company currency
+ */
+async function getBudgetConsumption(budget, excludeIds = []) {
+  const where = {
+    companyId: budget.companyId,
+    [SCOPE_FIELDS[budget.scope]]: getScopeId(budget),
+    status: { in: [...APPROVED_STATUSES, ...PENDING_STATUSES] },
+    date: {
+      gte: budget.periodStart,
+      lt: new Date(budget.periodEnd.getTime() + DAY_MS)
+    }
+  };
+
+  if (excludeIds.length > 0) {
+    where.id = { notIn: excludeIds };
+  }
+
+  const totals = await prisma.expense.groupBy({
+    by: ['status'],
+    where: where,
+    _sum: { companyAmountMinor: true }
+  });
+
+  const sumOf = statuses => totals
+    .filter(total => statuses.includes(total.status))
+    .reduce((sum, total) => sum + (total._sum.companyAmountMinor || 0), 0);
+
+  return {
+    approvedMinor: sumOf(APPROVED_STATUSES),
+    pendingMinor: sumOf(PENDING_STATUSES)
+  };
+}
+
+/**
+ * Get the company's active budgets
+ * @param {number} companyId - ID of the company
+ * @returns {Promise<Array>} - Budget records
+ */
+async function getActiveBudgets(companyId) {
+  return prisma.budget.findMany({
+    where: {
+      companyId: companyId,
+      isActive: true
+    },
+    orderBy: { periodStart: 'asc' }
+  });
+}
+
+/**
+ * Format a budget with its consumption for API responses
+ * @param {Object} budget - Budget record, with budgetInclude for admin views
+ * @param {Object} consumption - Result of getBudgetConsumption
+ * @param {string} currency - Company currency
+ * @returns {Object} - Budget with amounts in major units
+ */
+function formatBudget(budget, consumption, currency) {
+  const remainingMinor = budget.amountMinor - consumption.approvedMinor - consumption.pendingMinor;
+
+  return {
+    id: budget.id,
+    name: budget.name,
+    scope: budget.scope,
+    dimensionValue: budget.dimensionValue,
+    user: budget.user,
+    periodStart: budget.periodStart,
+    periodEnd: budget.periodEnd,
+    amount: fromMinorUnits(budget.amountMinor, currency),
+    approved: fromMinorUnits(consumption.approvedMinor, currency),
+    pending: fromMinorUnits(consumption.pendingMinor, currency),
+    remaining: fromMinorUnits(remainingMinor, currency),
+    overBudget: remainingMinor < 0,
+    overBudgetApprover: budget.overBudgetApprover,
+    isActive: budget.isActive,
+    createdAt: budget.createdAt,
+    updatedAt: budget.updatedAt
+  };
+}
+
+/**
+ * Get the budgets each expense counts against, with what is left of them
+ * Consumption includes the pending expenses themselves, so remaining is what is left if they are approved.
+ * @param {Array} expenses - Expenses with id, date, userId, projectId and costCenterId
+ * @param {number} companyId - ID of the company
+ * @param {string} currency - Company currency
+ * @returns {Promise<Map>} - Expense ID to its formatted budgets
+ */
+async function getExpenseBudgets(expenses, companyId, currency) {
+  const budgetsByExpense = new Map();
+  const budgets = await getActiveBudgets(companyId);
+  const consumptions = new Map();
+
+  for (const expense of expenses) {
+    const statuses = [];
+
+    for (const budget of budgets.filter(candidate => budgetCovers(candidate, expense))) {
+      if (!consumptions.has(budget.id)) {
+        consumptions.set(budget.id, await getBudgetConsumption(budget));
+      }
+      const { id, name, amount, remaining, overBudget } = formatBudget(budget, consumptions.get(budget.id), currency);
+      statuses.push({ id, name, currency, amount, remaining, overBudget });
+    }
+
+    budgetsByExpense.set(expense.id, statuses);
+  }
+
+  return budgetsByExpense;
+}
+
+/**
+ * Find the extra approvers of budgets that a set of expenses takes over their amount
+ * Checked when an approval chain is built, counting everything else already approved or pending.
+ * @param {Array} expenses - Expenses being submitted together, with their company amounts
+ * @param {number} companyId - ID of the company
+ * @returns {Promise<Array<number>>} - IDs of the over-budget approvers, each once
+ */
+async function getOverBudgetApproverIds(expenses, companyId) {
+  const budgets = (await getActiveBudgets(companyId)).filter(budget => budget.overBudgetApproverId);
+  const expenseIds = expenses.map(expense => expense.id);
+  const approverIds = [];
+
+  for (const budget of budgets) {
+    const covered = expenses.filter(expense =>
+      expense.companyAmountMinor !== null && budgetCovers(budget, expense)
+    );
+    if (covered.length === 0 || approverIds.includes(budget.overBudgetApproverId)) {
+      continue;
+    }
+
+    const consumption = await getBudgetConsumption(budget, expenseIds);
+    const total = consumption.approvedMinor + consumption.pendingMinor +
+      covered.reduce((sum, expense) => sum + expense.companyAmountMinor, 0);
+
+    if (total > budget.amountMinor) {
+      approverIds.push(budget.overBudgetApproverId);
+    }
+  }
+
+  return approverIds;
+}
+
+module.exports = {
+  BUDGET_SCOPES,
+  budgetInclude,
+  getBudgetConsumption,
+  getExpenseBudgets,
+  getOverBudgetApproverIds,
+  formatBudget
+};
@@ -0,0 +1,330 @@
+const { parseCsv } = require('./csv');
+const { MAX_AMOUNT, toMinorUnits } = require('./money');
+const { hashContent } = require('./duplicates');
+
+// Accepted header names of each CSV column, compared in lowercase
+const CSV_COLUMNS = {
+  date: ['date', 'transaction date', 'posting date', 'booking date'],
+  amount: ['amount'],
+  currency: ['currency'],
+  merchant: ['merchant', 'payee', 'name'],
+  description: ['description', 'memo', 'details'],
+  id: ['id', 'reference', 'transaction id']
+};
+
+/**
+ * Normalize an amount typed with thousands separators or a decimal comma
+ * @param {string} value - Amount as exported, e.g. "1,234.50" or "12,50"
+ * @returns {string} - Amount with a decimal point
+ */
+function normalizeAmount(value) {
+  const text = value.replace(/\s/g, '');
+  return !text.includes('.') && /^[+-]?\d+,\d{1,2}$/.test(text)
+    ? text.replace(',', '.')
+    : text.replace(/,/g, '');
+}
+
+/**
+ * Check that an imported amount is within the amounts the app accepts
+ * @param {number} amountMinor - Amount in minor units, negative for debits in OFX files
+ * @param {string} currency - Currency code
+ * @returns {boolean} - True if the amount is at most MAX_AMOUNT either way
+ */
+function isWithinMaxAmount(amountMinor, currency) {
+  return Math.abs(amountMinor) <= toMinorUnits(MAX_AMOUNT, currency);
+}
+
+/**
+ * Build a stable ID for a transaction whose statement does not carry one
+ * Identical charges on the same day are told apart by their position among them,
+ * and the same charge on two cardholders' statements gets two IDs.
+ * @param {Object} transaction - Parsed transaction
+ * @param {number} userId - ID of the cardholder
+ * @param {number} occurrence - How many identical transactions came before it in the file
+ * @returns {string} - Generated ID
+ */
+function buildExternalId(transaction, userId, occurrence) {
+  const key = [
+    userId,
+    transaction.transactionDate.toISOString().split('T')[0],
+    transaction.amountMinor,
+    transaction.currency,
+    transaction.merchant.toLowerCase(),
+    occurrence
+  ].join('|');
+  return `hash:${hashContent(Buffer.from(key)).slice(0, 32)}`;
+}
+
+/**
+ * Fill in generated IDs for transactions without one
+ * @param {Array} transactions - Parsed transactions
+ * @param {number} userId - ID of the cardholder
+ * @returns {Array} - Transactions that all have an externalId
+ */
+function withExternalIds(transactions, userId) {
+  const occurrences = new Map();
+
+  return transactions.map(transaction => {
+    if (transaction.externalId) {
+      return transaction;
+    }
+    const key = buildExternalId(transaction, userId, 0);
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+    return { ...transaction, externalId: buildExternalId(transaction, userId, occurrence) };
+  });
+}
+
+/**
+ * Parse a card statement exported as CSV
+ * Expects a header row with date and amount and a merchant, payee or description column.
+ * Positive amounts are charges; refunds and payments (negative amounts) are skipped.
+ * @param {string} text - CSV text
+ * @param {string} defaultCurrency - Currency of rows without a currency column
+ * @returns {Array} - Card charges
+ */
+function parseCsvStatement(text, defaultCurrency) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new Error('The file is empty');
+  }
+
+  const names = header.map(name => name.trim().toLowerCase());
+  const columns = {};
+  Object.entries(CSV_COLUMNS).forEach(([column, aliases]) => {
+    columns[column] = names.findIndex(name => aliases.includes(name));
+  });
+
+  if (columns.date === -1 || columns.amount === -1) {
+    throw new Error('Missing column(s): date and amount are required');
+  }
+  if (columns.merchant === -1 && columns.description === -1) {
+    throw new Error('Missing column: merchant, payee or description');
+  }
+
+  const transactions = [];
+
+  rows.forEach((cells, index) => {
+    const value = (column) => columns[column] === -1 ? '' : (cells[columns[column]] || '').trim();
+    const line = index + 2;
+
+    const transactionDate = new Date(value('date'));
+    if (isNaN(transactionDate.getTime())) {
+      throw new Error(`Line ${line}: invalid date`);
+    }
+
+    const currency = (value('currency') || defaultCurrency).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      throw new Error(`Line ${line}: invalid currency code`);
+    }
+
+    let amountMinor;
+    try {
+      amountMinor = toMinorUnits(normalizeAmount(value('amount')), currency);
+    } catch (error) {
+      throw new Error(`Line ${line}: invalid amount`);
+    }
+
+    if (!isWithinMaxAmount(amountMinor, currency)) {
+      throw new Error(`Line ${line}: amount must be at most ${MAX_AMOUNT}`);
+    }
+
+    if (amountMinor <= 0) {
+      return;
+    }
+
+    transactions.push({
+      externalId: value('id') || null,
+      transactionDate: transactionDate,
+      amountMinor: amountMinor,
+      currency: currency,
+      merchant: value('merchant') || value('description'),
+      description: value('description') || null
+    });
+  });
+
+  return transactions;
+}
+
+/**
+ * Read a field of an OFX aggregate; OFX 1.x (SGML) leaves element tags unclosed
+ * @param {string} block - Aggregate text
+ * @param {string} tag - Element name
+ * @returns {string} - Field value or an empty string
+ */
+function readOfxField(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Parse an OFX or QFX credit card or bank statement
+ * Charges have negative TRNAMT values; credits are skipped.
+ * @param {string} text - OFX text, SGML or XML
+ * @param {string} defaultCurrency - Currency when the statement has no CURDEF
+ * @returns {Array} - Card charges
+ */
+function parseOfxStatement(text, defaultCurrency) {
+  const statementCurrency = (readOfxField(text, 'CURDEF') || defaultCurrency).toUpperCase();
+  const transactions = [];
+
+  for (const [, block] of text.matchAll(/<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi)) {
+    const transactionName = readOfxField(block, 'FITID') || transactions.length + 1;
+    const posted = readOfxField(block, 'DTPOSTED').match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!posted) {
+      throw new Error(`Transaction ${transactionName}: invalid DTPOSTED`);
+    }
+
+    const currency = (readOfxField(block, 'CURSYM') || statementCurrency).toUpperCase();
+
+    let amountMinor;
+    try {
+      amountMinor = toMinorUnits(readOfxField(block, 'TRNAMT'), currency);
+    } catch (error) {
+      throw new Error(`Transaction ${transactionName}: invalid TRNAMT`);
+    }
+
+    if (!isWithinMaxAmount(amountMinor, currency)) {
+      throw new Error(`Transaction ${transactionName}: amount must be at most ${MAX_AMOUNT}`);
+    }
+    if (amountMinor >= 0) {
+      continue;
+    }
+
+    const name = readOfxField(block, 'NAME');
+    const memo = readOfxField(block, 'MEMO');
+
+    transactions.push({
+      externalId: readOfxField(block, 'FITID') || null,
+      transactionDate: new Date(`${posted[1]}-${posted[2]}-${posted[3]}`),
+      amountMinor: -amountMinor,
+      currency: currency,
+      merchant: name || memo,
+      description: memo || null
+    });
+  }
+
+  if (transactions.length === 0 && !/<STMTTRN>/i.test(text)) {
+    throw new Error('No OFX transactions found in the file');
+  }
+
+  return transactions;
+}
+
+/**
+ * Read the text of the first element with the given path in a CAMT entry
+ * @param {string} block - Entry XML
+ * @param {Array<string>} path - Element names from outer to inner
+ * @returns {string} - Text content or an empty string
+ */
+function readCamtField(block, path) {
+  let scope = block;
+  for (const tag of path) {
+    const match = scope.match(new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`));
+    if (!match) {
+      return '';
+    }
+    scope = match[1];
+  }
+  return scope.trim();
+}
+
+/**
+ * Parse an ISO 20022 CAMT.053 bank-to-customer statement
+ * Debit entries (CdtDbtInd DBIT) are charges; the creditor name is taken as the merchant.
+ * @param {string} text - XML text
+ * @returns {Array} - Card charges
+ */
+function parseCamtStatement(text) {
+  const transactions = [];
+  const entryPattern = /<(?:\w+:)?Ntry>([\s\S]*?)<\/(?:\w+:)?Ntry>/g;
+
+  for (const [, entry] of text.matchAll(entryPattern)) {
+    if (readCamtField(entry, ['CdtDbtInd']) !== 'DBIT') {
+      continue;
+    }
+
+    const amount = entry.match(/<(?:\w+:)?Amt\s+Ccy="([A-Z]{3})"\s*>([\d.]+)</);
+    const date = readCamtField(entry, ['BookgDt', 'Dt']) || readCamtField(entry, ['BookgDt', 'DtTm']) ||
+      readCamtField(entry, ['ValDt', 'Dt']);
+    const transactionDate = new Date(date.slice(0, 10));
+
+    if (!amount || isNaN(transactionDate.getTime())) {
+      throw new Error(`Entry ${transactions.length + 1}: missing amount or booking date`);
+    }
+
+    let amountMinor;
+    try {
+      amountMinor = toMinorUnits(amount[2], amount[1]);
+    } catch (error) {
+      throw new Error(`Entry ${transactions.length + 1}: invalid amount`);
+    }
+
+    if (!isWithinMaxAmount(amountMinor, amount[1])) {
+      throw new Error(`Entry ${transactions.length + 1}: amount must be at most ${MAX_AMOUNT}`);
+    }
+
+    const creditor = readCamtField(entry, ['RltdPties', 'Cdtr', 'Nm']) ||
+      readCamtField(entry, ['RltdPties', 'Cdtr', 'Pty', 'Nm']);
+    const remittance = readCamtField(entry, ['RmtInf', 'Ustrd']);
+    const details = readCamtField(entry, ['AddtlNtryInf']);
+
+    transactions.push({
+      externalId: readCamtField(entry, ['AcctSvcrRef']) || readCamtField(entry, ['NtryRef']) || null,
+      transactionDate: transactionDate,
+      amountMinor: amountMinor,
+      currency: amount[1],
+      merchant: creditor || remittance || details,
+      description: remittance || details || null
+    });
+  }
+
+  if (transactions.length === 0 && !/<(?:\w+:)?Ntry>/.test(text)) {
+    throw new Error('No CAMT.053 entries found in the file');
+  }
+
+  return transactions;
+}
+
+/**
+ * Parse an uploaded card statement
+ * The format is told from the file name, falling back to the contents.
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Name of the uploaded file
+ * @param {string} defaultCurrency - Currency for statements that do not state one
+ * @param {number} userId - ID of the cardholder the statement belongs to
+ * @returns {Object} - { format, transactions } with every transaction carrying an externalId
+ */
+function parseStatement(buffer, fileName, defaultCurrency, userId) {
+  const text = buffer.toString('utf8');
+  const name = fileName.toLowerCase();
+  const start = text.trimStart().slice(0, 500);
+
+  let format = 'CSV';
+  if (name.endsWith('.ofx') || name.endsWith('.qfx') || /OFXHEADER|<OFX>/i.test(start)) {
+    format = 'OFX';
+  } else if (name.endsWith('.xml') || start.startsWith('<')) {
+    format = 'CAMT053';
+  }
+
+  const transactions = format === 'OFX'
+    ? parseOfxStatement(text, defaultCurrency)
+    : format === 'CAMT053'
+      ? parseCamtStatement(text)
+      : parseCsvStatement(text, defaultCurrency);
+
+  return {
+    format: format,
+    transactions: withExternalIds(transactions.map(transaction => ({
+      ...transaction,
+      merchant: (transaction.merchant || 'Unknown merchant').slice(0, 100)
+    })), userId)
+  };
+}
+
+module.exports = {
+  parseCsvStatement,
+  parseOfxStatement,
+  parseCamtStatement,
+  parseStatement
+};
@@ -0,0 +1,272 @@
+const { createPrismaClient } = require('./prisma');
+const { fromMinorUnits } = require('./money');
+const { isSameMerchant } = require('./duplicates');
+const { STANDALONE_DRAFT } = require('./expenseReports');
+
+const prisma = createPrismaClient();
+
+// Days between the card charge and the expense date that still match, for late postings and time zones
+const MATCH_WINDOW_DAYS = 3;
+
+// Cancelled and rejected expenses do not document a charge; standalone drafts are matched once submitted
+const UNMATCHABLE_STATUSES = ['CANCELLED', 'REJECTED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const cardTransactionInclude = {
+  user: {
+    select: {
+      id: true,
+      fullName: true,
+      email: true
+    }
+  },
+  expense: {
+    select: {
+      id: true,
+      status: true,
+      category: true
+    }
+  }
+};
+
+/**
+ * Check whether an expense documents a card transaction
+ * Currency and amount must be identical and the dates close; the merchant must match when both name one.
+ * @param {Object} transaction - Card transaction
+ * @param {Object} expense - Expense of the same cardholder
+ * @returns {boolean} - True if they match
+ */
+function isMatch(transaction, expense) {
+  const dayDifference = Math.abs(new Date(expense.date) - transaction.transactionDate) / DAY_MS;
+
+  return expense.originalCurrency === transaction.currency &&
+    expense.originalAmountMinor === transaction.amountMinor &&
+    dayDifference <= MATCH_WINDOW_DAYS &&
+    (!expense.merchant || isSameMerchant(expense.merchant, transaction.merchant));
+}
+
+/**
+ * Pick the candidate closest in date to a reference date
+ * @param {Array} candidates - Records to choose from
+ * @param {Date} date - Reference date
+ * @param {Function} getDate - Reads the date of a candidate
+ * @returns {Object|null} - Closest candidate
+ */
+function closestByDate(candidates, date, getDate) {
+  return candidates.reduce((closest, candidate) => {
+    if (!closest) {
+      return candidate;
+    }
+    const distance = Math.abs(new Date(getDate(candidate)) - date);
+    return distance < Math.abs(new Date(getDate(closest)) - date) ? candidate : closest;
+  }, null);
+}
+
+/**
+ * Link a card transaction to an expense
+ * Only unmatched transactions are linked, so two matches racing for one transaction cannot both win.
+ * @param {number} transactionId - ID of the card transaction
+ * @param {number} expenseId - ID of the expense
+ * @param {string} method - AUTO or CLAIMED
+ * @returns {Promise<boolean>} - True if the transaction was linked
+ */
+async function linkTransaction(transactionId, expenseId, method) {
+  const result = await prisma.cardTransaction.updateMany({
+    where: {
+      id: transactionId,
+      status: 'UNMATCHED'
+    },
+    data: {
+      status: 'MATCHED',
+      expenseId: expenseId,
+      matchedAt: new Date(),
+      matchMethod: method
+    }
+  });
+
+  return result.count === 1;
+}
+
+/**
+ * Find the cardholder's expense that documents a card transaction
+ * @param {Object} transaction - Card transaction
+ * @returns {Promise<Object|null>} - Closest matching expense without a card transaction
+ */
+async function findMatchingExpense(transaction) {
+  const candidates = await prisma.expense.findMany({
+    where: {
+      userId: transaction.userId,
+      status: { notIn: UNMATCHABLE_STATUSES },
+      NOT: STANDALONE_DRAFT,
+      originalCurrency: transaction.currency,
+      originalAmountMinor: transaction.amountMinor,
+      date: {
+        gte: new Date(transaction.transactionDate.getTime() - MATCH_WINDOW_DAYS * DAY_MS),
+        lte: new Date(transaction.transactionDate.getTime() + MATCH_WINDOW_DAYS * DAY_MS)
+      },
+      cardTransaction: { is: null }
+    }
+  });
+
+  return closestByDate(
+    candidates.filter(expense => isMatch(transaction, expense)),
+    transaction.transactionDate,
+    expense => expense.date
+  );
+}
+
+/**
+ * Match a newly submitted expense against the submitter's unmatched card transactions
+ * @param {Object} expense - Expense record
+ * @returns {Promise<Object|null>} - The matched card transaction, if any
+ */
+async function matchExpense(expense) {
+  const date = new Date(expense.date);
+  const candidates = await prisma.cardTransaction.findMany({
+    where: {
+      userId: expense.userId,
+      status: 'UNMATCHED',
+      currency: expense.originalCurrency,
+      amountMinor: expense.originalAmountMinor,
+      transactionDate: {
+        gte: new Date(date.getTime() - MATCH_WINDOW_DAYS * DAY_MS),
+        lte: new Date(date.getTime() + MATCH_WINDOW_DAYS * DAY_MS)
+      }
+    }
+  });
+
+  const transaction = closestByDate(
+    candidates.filter(candidate => isMatch(candidate, expense)),
+    date,
+    candidate => candidate.transactionDate
+  );
+
+  if (!transaction || !(await linkTransaction(transaction.id, expense.id, 'AUTO'))) {
+    return null;
+  }
+
+  return prisma.cardTransaction.findUnique({ where: { id: transaction.id } });
+}
+
+/**
+ * Link a card transaction the cardholder claimed to the expense they submitted for it
+ * @param {number} transactionId - ID of the card transaction
+ * @param {number} expenseId - ID of the new expense
+ * @returns {Promise<boolean>} - False if the transaction was matched in the meantime
+ */
+async function claimTransaction(transactionId, expenseId) {
+  return linkTransaction(transactionId, expenseId, 'CLAIMED');
+}
+
+/**
+ * Save the transactions of a parsed card statement for one cardholder
+ * Transactions already imported for the cardholder (same statement ID) are skipped, so overlapping statements are safe to upload.
+ * New transactions are matched right away against expenses the cardholder already submitted.
+ * @param {Object} params
+ * @param {Object} params.statement - Result of parseStatement
+ * @param {string} params.fileName - Name of the uploaded file
+ * @param {number} params.companyId - ID of the company
+ * @param {number} params.userId - ID of the cardholder
+ * @param {number} params.importedById - ID of the admin importing the statement
+ * @returns {Promise<Object>} - { format, imported, skipped, matched }
+ */
+async function importStatement({ statement, fileName, companyId, userId, importedById }) {
+  const { format, transactions } = statement;
+
+  const existing = await prisma.cardTransaction.findMany({
+    where: {
+      companyId: companyId,
+      userId: userId,
+      externalId: { in: transactions.map(transaction => transaction.externalId) }
+    },
+    select: { externalId: true }
+  });
+  const existingIds = new Set(existing.map(transaction => transaction.externalId));
+
+  let imported = 0;
+  let matched = 0;
+
+  for (const parsed of transactions.filter(transaction => !existingIds.has(transaction.externalId))) {
+    const transaction = await prisma.cardTransaction.create({
+      data: {
+        ...parsed,
+        companyId: companyId,
+        userId: userId,
+        format: format,
+        sourceFile: fileName,
+        importedById: importedById
+      }
+    });
+    imported++;
+
+    const expense = await findMatchingExpense(transaction);
+    if (expense && await linkTransaction(transaction.id, expense.id, 'AUTO')) {
+      matched++;
+    }
+  }
+
+  return {
+    format: format,
+    imported: imported,
+    skipped: transactions.length - imported,
+    matched: matched
+  };
+}
+
+/**
+ * Unlink the card transactions of expenses that no longer document a charge, e.g. cancelled or rejected ones
+ * The charges become unmatched again and the cardholder has to claim them with another expense.
+ * @param {Object} expenseWhere - Prisma filter selecting the expenses
+ * @returns {Promise<number>} - Number of transactions released
+ */
+async function releaseCardTransactions(expenseWhere) {
+  const result = await prisma.cardTransaction.updateMany({
+    where: {
+      expense: expenseWhere
+    },
+    data: {
+      status: 'UNMATCHED',
+      expenseId: null,
+      matchedAt: null,
+      matchMethod: null
+    }
+  });
+
+  return result.count;
+}
+
+/**
+ * Format a card transaction for API responses
+ * @param {Object} transaction - Card transaction record
+ * @returns {Object} - Transaction with the amount in major units
+ */
+function formatCardTransaction(transaction) {
+  return {
+    id: transaction.id,
+    externalId: transaction.externalId,
+    transactionDate: transaction.transactionDate,
+    amount: fromMinorUnits(transaction.amountMinor, transaction.currency),
+    currency: transaction.currency,
+    merchant: transaction.merchant,
+    description: transaction.description,
+    status: transaction.status,
+    expenseId: transaction.expenseId,
+    expense: transaction.expense,
+    user: transaction.user,
+    matchedAt: transaction.matchedAt,
+    matchMethod: transaction.matchMethod,
+    format: transaction.format,
+    sourceFile: transaction.sourceFile,
+    createdAt: transaction.createdAt
+  };
+}
+
+module.exports = {
+  cardTransactionInclude,
+  matchExpense,
+  claimTransaction,
+  importStatement,
+  releaseCardTransactions,
+  formatCardTransaction
+};
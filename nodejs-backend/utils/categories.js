@@ -0,0 +1,105 @@
+const { createPrismaClient } = require('./prisma');
+const { parseJsonField, serializeJsonField } = require('./json');
+
+const prisma = createPrismaClient();
+
+// Categories every new company starts with; admins rename, extend or deactivate them
+const DEFAULT_CATEGORIES = [
+  { name: 'Meals', ocrKeywords: ['restaurant', 'food', 'dining', 'meal', 'lunch', 'dinner', 'breakfast', 'cafe', 'coffee'] },
+  { name: 'Transportation', ocrKeywords: ['taxi', 'uber', 'lyft', 'flight', 'airline', 'train', 'bus', 'metro', 'gas', 'fuel', 'parking'] },
+  { name: 'Accommodation', ocrKeywords: ['hotel', 'motel', 'lodging', 'accommodation', 'airbnb'] },
+  { name: 'Office Supplies', ocrKeywords: ['office', 'supplies', 'stationery', 'paper', 'pen', 'pencil', 'stapler'] },
+  { name: 'Software', ocrKeywords: ['software', 'subscription', 'license', 'app', 'tool'] },
+  { name: 'Marketing', ocrKeywords: ['marketing', 'advertising', 'promotion', 'campaign', 'social media'] },
+  { name: 'Travel', ocrKeywords: ['travel', 'trip', 'conference', 'meeting', 'seminar', 'workshop'] },
+  { name: 'Other', ocrKeywords: [] }
+];
+
+/**
+ * Create the default categories for a new company
+ * @param {number} companyId - ID of the company
+ * @param {Object} [client] - Prisma client or transaction to use
+ * @returns {Promise<void>}
+ */
+async function createDefaultCategories(companyId, client = prisma) {
+  for (const category of DEFAULT_CATEGORIES) {
+    await client.category.create({
+      data: {
+        companyId: companyId,
+        name: category.name,
+        ocrKeywords: serializeJsonField(category.ocrKeywords)
+      }
+    });
+  }
+}
+
+/**
+ * Get the categories employees can currently file expenses under
+ * @param {number} companyId - ID of the company
+ * @returns {Promise<Array>} - Active Category records, oldest first
+ */
+async function getActiveCategories(companyId) {
+  return prisma.category.findMany({
+    where: {
+      companyId: companyId,
+      isActive: true
+    },
+    orderBy: { id: 'asc' }
+  });
+}
+
+/**
+ * Find the active category an expense is filed under
+ * Names match regardless of case, so "meals" is stored as the company's "Meals".
+ * @param {number} companyId - ID of the company
+ * @param {string} name - Category name as entered
+ * @returns {Promise<Object|null>} - Category record or null if the company has no such active category
+ */
+async function findActiveCategory(companyId, name) {
+  const categories = await getActiveCategories(companyId);
+  const wanted = (name || '').trim().toLowerCase();
+  return categories.find(category => category.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Find a category by its exact name, whether or not it is still active
+ * @param {number} companyId - ID of the company
+ * @param {string} name - Category name as stored on expenses
+ * @returns {Promise<Object|null>} - Category record
+ */
+async function findCategory(companyId, name) {
+  return prisma.category.findFirst({
+    where: {
+      companyId: companyId,
+      name: name
+    }
+  });
+}
+
+/**
+ * Format a category for API responses
+ * @param {Object} category - Category record
+ * @returns {Object} - Category with its OCR keywords as an array
+ */
+function formatCategory(category) {
+  return {
+    id: category.id,
+    name: category.name,
+    isActive: category.isActive,
+    glAccountCode: category.glAccountCode,
+    defaultTaxRate: category.defaultTaxRate,
+    ocrKeywords: parseJsonField(category.ocrKeywords, []),
+    requiredDimensions: parseJsonField(category.requiredDimensions, []),
+    createdAt: category.createdAt,
+    updatedAt: category.updatedAt
+  };
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  createDefaultCategories,
+  getActiveCategories,
+  findActiveCategory,
+  findCategory,
+  formatCategory
+};
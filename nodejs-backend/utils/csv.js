@@ -0,0 +1,93 @@
+/**
+ * Escape a single value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Stop spreadsheet apps from evaluating user-entered text as a formula
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Row values in header order
+ * @returns {string} - CSV text
+ */
+function toCsv(headers, rows) {
+  return [headers, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Parse a CSV document
+ * Handles quoted cells with commas, quotes and line breaks; blank lines are skipped.
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Cell delimiter
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Spreadsheet exports often start with a byte order mark
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+  parseCsv
+};
@@ -1,7 +1,56 @@
 const axios = require('axios');
+const {
+  getCached,
+  setCached,
+  startOfDay,
+  findStoredRate,
+  saveRates,
+  findCompanyRate
+} = require('./exchangeRates');
+const { toMinorUnits, fromMinorUnits, convertMinorUnits } = require('./money');
+const bundledCountries = require('../data/countries.json');
 
 const RESTCOUNTRIES_API = process.env.RESTCOUNTRIES_API || 'https://restcountries.com/v3.1/all?fields=name,currencies';
 const EXCHANGE_RATE_API = process.env.EXCHANGE_RATE_API || 'https://api.exchangerate-api.com/v4/latest';
+// ECB reference rates by date
+const HISTORICAL_RATE_API = process.env.HISTORICAL_RATE_API || 'https://api.frankfurter.app';
+
+// Expenses this recent may fall back to the latest rate when no dated rate is published yet
+const LATEST_RATE_MAX_AGE_DAYS = 1;
+
+// Without the provider, today's rate falls back to a stored rate up to this old
+const OFFLINE_RATE_MAX_AGE_DAYS = 30;
+
+// The country list rarely changes
+const COUNTRY_CACHE_TTL_SECONDS = 24 * 60 * 60;
+
+// Conversion states of an expense
+const CONVERSION_STATUSES = ['CONVERTED', 'PENDING'];
+
+/**
+ * Get all countries with their currency codes
+ * Falls back to the bundled country list when the provider cannot be reached.
+ * @returns {Promise<Array>} - [{ name, currencies }]
+ */
+async function loadCountries() {
+  const cached = getCached('countries');
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await axios.get(RESTCOUNTRIES_API, { timeout: 10000 });
+    const countries = response.data.map(country => ({
+      name: country.name?.common || '',
+      currencies: country.currencies ? Object.keys(country.currencies) : []
+    }));
+    return setCached('countries', countries, COUNTRY_CACHE_TTL_SECONDS);
+  } catch (error) {
+    console.error('Error fetching countries, using bundled list:', error.message);
+    // Cached briefly so the provider is tried again soon
+    return setCached('countries', bundledCountries);
+  }
+}
 
 /**
  * Detect currency for a given country
@@ -9,31 +58,72 @@ const EXCHANGE_RATE_API = process.env.EXCHANGE_RATE_API || 'https://api.exchange
  * @returns {Promise<string|null>} - Currency code or null if not found
  */
 async function detectCurrencyForCountry(countryName) {
-  try {
-    const response = await axios.get(RESTCOUNTRIES_API, { timeout: 10000 });
-    const countries = response.data;
+  const countries = await loadCountries();
 
-    // Find country by name (case-insensitive, partial match)
-    const country = countries.find(entry => {
-      const name = entry.name?.common || '';
-      return name.toLowerCase().includes(countryName.toLowerCase()) ||
-             countryName.toLowerCase().includes(name.toLowerCase());
-    });
+  // Find country by name (case-insensitive, partial match)
+  const country = countries.find(entry => {
+    const name = entry.name;
+    return name && (name.toLowerCase().includes(countryName.toLowerCase()) ||
+           countryName.toLowerCase().includes(name.toLowerCase()));
+  });
 
-    if (country && country.currencies) {
-      // Return the first currency code
-      return Object.keys(country.currencies)[0];
-    }
+  if (country && country.currencies.length > 0) {
+    // Return the first currency code
+    return country.currencies[0];
+  }
 
-    return null;
+  return null;
+}
+
+/**
+ * Fetch the provider's latest rates for a base currency
+ * @param {string} baseCurrency - Base currency code
+ * @returns {Promise<Object|null>} - Map of currency code to rate, or null if the provider failed
+ */
+async function fetchLatestRates(baseCurrency) {
+  const cacheKey = `latest:${baseCurrency}`;
+  const cached = getCached(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await axios.get(`${EXCHANGE_RATE_API}/${baseCurrency}`, {
+      timeout: 10000
+    });
+
+    return response.data.rates ? setCached(cacheKey, response.data.rates) : null;
   } catch (error) {
-    console.error('Error detecting currency for country:', error.message);
+    console.error('Error getting exchange rate:', error.message);
     return null;
   }
 }
 
+/**
+ * Get today's rate from the provider and keep it in the rate store
+ * Provider rates are indicative, so they never replace a reference rate stored for the same day.
+ * @param {string} baseCurrency - Base currency code
+ * @param {string} targetCurrency - Target currency code
+ * @returns {Promise<Object|null>} - { rate, source, rateDate } or null if the provider failed
+ */
+async function getLatestProviderRate(baseCurrency, targetCurrency) {
+  const rates = await fetchLatestRates(baseCurrency);
+  if (!rates || !rates[targetCurrency]) {
+    return null;
+  }
+
+  const result = {
+    rate: rates[targetCurrency],
+    source: 'EXCHANGERATE_API',
+    rateDate: startOfDay(new Date())
+  };
+  await saveRates([{ baseCurrency, targetCurrency, ...result }], { overwrite: false });
+  return result;
+}
+
 /**
  * Get exchange rate between two currencies
+ * Uses the last stored rate when the provider cannot be reached.
  * @param {string} baseCurrency - Base currency code
  * @param {string} targetCurrency - Target currency code
  * @returns {Promise<number|null>} - Exchange rate or null if error
@@ -44,28 +134,150 @@ async function getExchangeRate(baseCurrency, targetCurrency) {
   }
 
   try {
-    const response = await axios.get(`${EXCHANGE_RATE_API}/${baseCurrency}`, { 
-      timeout: 10000 
+    const result = await getLatestProviderRate(baseCurrency, targetCurrency) ||
+      await findStoredRate(baseCurrency, targetCurrency, new Date(), { maxGapDays: OFFLINE_RATE_MAX_AGE_DAYS });
+    return result ? result.rate : null;
+  } catch (error) {
+    console.error('Error getting exchange rate:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} - ISO calendar date
+ */
+function toIsoDate(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Fetch the ECB reference rate for a date and keep it in the rate store
+ * @param {string} baseCurrency - Base currency code
+ * @param {string} targetCurrency - Target currency code
+ * @param {Date} date - Date the rate should apply to
+ * @returns {Promise<Object|null>} - { rate, source, rateDate } or null if the provider failed
+ */
+async function fetchHistoricalRate(baseCurrency, targetCurrency, date) {
+  try {
+    // Returns the last published rate on or before the date (no rates on weekends and holidays)
+    const response = await axios.get(`${HISTORICAL_RATE_API}/${toIsoDate(date)}`, {
+      params: { from: baseCurrency, to: targetCurrency },
+      timeout: 10000
     });
-    
-    const rates = response.data.rates;
-    if (rates && rates[targetCurrency]) {
-      return rates[targetCurrency];
+
+    const rate = response.data.rates && response.data.rates[targetCurrency];
+    if (!rate) {
+      return null;
     }
 
-    return null;
+    const result = { rate: rate, source: 'ECB', rateDate: new Date(response.data.date) };
+    await saveRates([{ baseCurrency, targetCurrency, ...result }]);
+    return result;
   } catch (error) {
-    console.error('Error getting exchange rate:', error.message);
+    console.error('Error getting historical exchange rate:', error.message);
     return null;
   }
 }
 
+/**
+ * Get the exchange rate that applied on a given date
+ *
+ * In order: the company's fixed rate, a rate stored for the date, the ECB rate from the provider,
+ * a stored rate from the days just before, and for today's expenses the provider's latest rate.
+ * @param {string} baseCurrency - Base currency code
+ * @param {string} targetCurrency - Target currency code
+ * @param {Date} date - Date the rate should apply to
+ * @param {number} [companyId] - Company whose fixed rates apply
+ * @returns {Promise<Object|null>} - { rate, source, rateDate } or null if no rate is available
+ */
+async function getExchangeRateForDate(baseCurrency, targetCurrency, date, companyId = null) {
+  if (baseCurrency === targetCurrency) {
+    return { rate: 1.0, source: 'SAME_CURRENCY', rateDate: new Date(toIsoDate(date)) };
+  }
+
+  if (companyId) {
+    const fixedRate = await findCompanyRate(companyId, baseCurrency, targetCurrency, date);
+    if (fixedRate) {
+      return fixedRate;
+    }
+  }
+
+  const cacheKey = `date:${baseCurrency}:${targetCurrency}:${toIsoDate(date)}`;
+  const cached = getCached(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  let result = await findStoredRate(baseCurrency, targetCurrency, date, { exactDate: true }) ||
+    await fetchHistoricalRate(baseCurrency, targetCurrency, date) ||
+    await findStoredRate(baseCurrency, targetCurrency, date);
+
+  // Today's expenses can use the latest rate; older ones must wait for a dated rate
+  const ageDays = (Date.now() - new Date(date).getTime()) / (24 * 60 * 60 * 1000);
+  if (!result && ageDays <= LATEST_RATE_MAX_AGE_DAYS) {
+    result = await getLatestProviderRate(baseCurrency, targetCurrency);
+  }
+
+  return result ? setCached(cacheKey, result) : null;
+}
+
+/**
+ * Convert an expense amount at the rate of the expense date
+ * @param {number} amountMinor - Amount in minor units of the original currency
+ * @param {string} fromCurrency - Original currency
+ * @param {string} toCurrency - Company currency
+ * @param {Date} date - Expense date
+ * @param {number} [companyId] - Company whose fixed rates apply
+ * @returns {Promise<Object>} - Expense fields: companyAmountMinor, exchangeRate, rateSource, rateDate,
+ *   rateFetchedAt and conversionStatus (PENDING, with the other fields null, when no rate is available)
+ */
+async function convertAmountForDate(amountMinor, fromCurrency, toCurrency, date, companyId = null) {
+  const result = await getExchangeRateForDate(fromCurrency, toCurrency, date, companyId);
+
+  if (!result) {
+    return {
+      companyAmountMinor: null,
+      exchangeRate: null,
+      rateSource: null,
+      rateDate: null,
+      rateFetchedAt: null,
+      conversionStatus: 'PENDING'
+    };
+  }
+
+  return {
+    companyAmountMinor: convertMinorUnits(amountMinor, fromCurrency, toCurrency, result.rate),
+    exchangeRate: result.rate,
+    rateSource: result.source,
+    rateDate: result.rateDate,
+    rateFetchedAt: new Date(),
+    conversionStatus: 'CONVERTED'
+  };
+}
+
+/**
+ * Format the conversion details of an expense for API responses
+ * @param {Object} expense - Expense record
+ * @returns {Object} - { status, rate, source, rateDate, fetchedAt }
+ */
+function formatConversion(expense) {
+  return {
+    status: expense.conversionStatus,
+    rate: expense.exchangeRate,
+    source: expense.rateSource,
+    rateDate: expense.rateDate,
+    fetchedAt: expense.rateFetchedAt
+  };
+}
+
 /**
  * Convert amount from one currency to another
- * @param {number} amount - Amount to convert
+ * @param {number|string} amount - Amount to convert
  * @param {string} fromCurrency - Source currency
  * @param {string} toCurrency - Target currency
- * @returns {Promise<number|null>} - Converted amount or null if error
+ * @returns {Promise<number|null>} - Converted amount, rounded to the target currency's decimals, or null if error
  */
 async function convertAmount(amount, fromCurrency, toCurrency) {
   try {
@@ -73,8 +285,9 @@ async function convertAmount(amount, fromCurrency, toCurrency) {
     if (rate === null) {
       return null;
     }
-    
-    return Math.round(amount * rate * 100) / 100; // Round to 2 decimal places
+
+    const convertedMinor = convertMinorUnits(toMinorUnits(amount, fromCurrency), fromCurrency, toCurrency, rate);
+    return fromMinorUnits(convertedMinor, toCurrency);
   } catch (error) {
     console.error('Error converting amount:', error.message);
     return null;
@@ -86,24 +299,16 @@ async function convertAmount(amount, fromCurrency, toCurrency) {
  * @returns {Promise<Array>} - Array of currency objects
  */
 async function getAllCurrencies() {
-  try {
-    const response = await axios.get(RESTCOUNTRIES_API, { timeout: 10000 });
-    const countries = response.data;
-    
-    const currencies = new Set();
-    countries.forEach(country => {
-      if (country.currencies) {
-        Object.keys(country.currencies).forEach(currency => {
-          currencies.add(currency);
-        });
-      }
+  const countries = await loadCountries();
+
+  const currencies = new Set();
+  countries.forEach(country => {
+    country.currencies.forEach(currency => {
+      currencies.add(currency);
     });
+  });
 
-    return Array.from(currencies).sort();
-  } catch (error) {
-    console.error('Error getting all currencies:', error.message);
-    return [];
-  }
+  return Array.from(currencies).sort();
 }
 
 /**
@@ -111,22 +316,18 @@ async function getAllCurrencies() {
  * @returns {Promise<Array>} - Array of country objects with currencies
  */
 async function getAllCountries() {
-  try {
-    const response = await axios.get(RESTCOUNTRIES_API, { timeout: 10000 });
-    return response.data.map(country => ({
-      name: country.name?.common || '',
-      currencies: country.currencies ? Object.keys(country.currencies) : []
-    })).sort((a, b) => a.name.localeCompare(b.name));
-  } catch (error) {
-    console.error('Error getting all countries:', error.message);
-    return [];
-  }
+  const countries = await loadCountries();
+  return [...countries].sort((a, b) => a.name.localeCompare(b.name));
 }
 
 module.exports = {
+  CONVERSION_STATUSES,
   detectCurrencyForCountry,
   getExchangeRate,
+  getExchangeRateForDate,
   convertAmount,
+  convertAmountForDate,
+  formatConversion,
   getAllCurrencies,
   getAllCountries
 };
@@ -0,0 +1,75 @@
+const { createPrismaClient } = require('./prisma');
+
+const prisma = createPrismaClient();
+
+/**
+ * Check whether a user's delegation covers the given moment
+ * @param {Object} user - User with delegateId, delegateFrom and delegateUntil
+ * @param {Date} at - Moment to check
+ * @returns {boolean} - True if the delegation is in effect
+ */
+function isDelegationActive(user, at = new Date()) {
+  if (!user || !user.delegateId) {
+    return false;
+  }
+  if (user.delegateFrom && at < user.delegateFrom) {
+    return false;
+  }
+  if (user.delegateUntil && at > user.delegateUntil) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Resolve who should receive a new approval step, following an active delegation
+ * @param {number} approverId - ID of the approver the step is meant for
+ * @returns {Promise<Object>} - { approverId, originalApproverId }
+ */
+async function resolveApprover(approverId) {
+  const approver = await prisma.user.findUnique({
+    where: { id: approverId },
+    include: { delegate: true }
+  });
+
+  if (isDelegationActive(approver) && approver.delegate && approver.delegate.isActive) {
+    return {
+      approverId: approver.delegate.id,
+      originalApproverId: approver.id
+    };
+  }
+
+  return {
+    approverId: approverId,
+    originalApproverId: null
+  };
+}
+
+/**
+ * Get the IDs of users whose approvals the given user may currently act on
+ * @param {number} userId - ID of the acting user
+ * @returns {Promise<Array<number>>} - The user's own ID followed by the IDs of active delegators
+ */
+async function getActingApproverIds(userId) {
+  const now = new Date();
+
+  const delegators = await prisma.user.findMany({
+    where: {
+      delegateId: userId,
+      isActive: true,
+      AND: [
+        { OR: [{ delegateFrom: null }, { delegateFrom: { lte: now } }] },
+        { OR: [{ delegateUntil: null }, { delegateUntil: { gte: now } }] }
+      ]
+    },
+    select: { id: true }
+  });
+
+  return [userId, ...delegators.map(delegator => delegator.id)];
+}
+
+module.exports = {
+  isDelegationActive,
+  resolveApprover,
+  getActingApproverIds
+};
@@ -0,0 +1,198 @@
+const { createPrismaClient } = require('./prisma');
+const { parseJsonField, serializeJsonField } = require('./json');
+
+const prisma = createPrismaClient();
+
+// Company-defined lists expenses are charged to
+const DIMENSION_TYPES = ['PROJECT', 'COST_CENTER'];
+
+// What a category can make mandatory on its expenses; tags are free-form, so there is no list of them
+const REQUIRABLE_DIMENSIONS = ['PROJECT', 'COST_CENTER', 'TAGS'];
+
+const DIMENSION_LABELS = {
+  PROJECT: 'Project',
+  COST_CENTER: 'Cost center',
+  TAGS: 'Tags'
+};
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const dimensionValueSelect = {
+  select: {
+    id: true,
+    code: true,
+    name: true
+  }
+};
+
+// Include for expense queries whose results go through formatDimensions
+const dimensionInclude = {
+  project: dimensionValueSelect,
+  costCenter: dimensionValueSelect
+};
+
+/**
+ * Normalize tags from a JSON body (array) or a multipart form (comma-separated string)
+ * Duplicates are dropped regardless of case, keeping the first spelling.
+ * @param {Array<string>|string|null} value - Tags as sent
+ * @returns {Array<string>} - Trimmed, unique tags
+ */
+function parseTags(value) {
+  const tags = Array.isArray(value) ? value : String(value || '').split(',');
+  const seen = new Set();
+
+  return tags
+    .map(tag => String(tag).trim())
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Validate the project, cost center and tags sent for an expense
+ * Fields that are not sent are left out, so updates keep their current values. An expense
+ * may keep a project or cost center that was deactivated after it was set.
+ * @param {number} companyId - ID of the expense's company
+ * @param {Object} body - Request body with projectId, costCenterId and tags
+ * @param {Object} [current] - Expense being updated
+ * @returns {Promise<Object>} - { data } with the fields to store, or { error }
+ */
+async function resolveDimensions(companyId, body, current = {}) {
+  const data = {};
+  const fields = [
+    { field: 'projectId', dimension: 'PROJECT' },
+    { field: 'costCenterId', dimension: 'COST_CENTER' }
+  ];
+
+  for (const { field, dimension } of fields) {
+    if (body[field] === undefined) {
+      continue;
+    }
+
+    if (body[field] === null || body[field] === '') {
+      data[field] = null;
+      continue;
+    }
+
+    if (current[field] && current[field] === parseInt(body[field])) {
+      data[field] = current[field];
+      continue;
+    }
+
+    const value = await prisma.dimensionValue.findFirst({
+      where: {
+        id: parseInt(body[field]),
+        companyId: companyId,
+        dimension: dimension,
+        isActive: true
+      }
+    });
+
+    if (!value) {
+      return { error: `${DIMENSION_LABELS[dimension]} not found or inactive` };
+    }
+    data[field] = value.id;
+  }
+
+  if (body.tags !== undefined) {
+    const tags = parseTags(body.tags);
+    if (tags.length > MAX_TAGS) {
+      return { error: `An expense can have at most ${MAX_TAGS} tags` };
+    }
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+    }
+    data.tags = serializeJsonField(tags);
+  }
+
+  return { data };
+}
+
+/**
+ * List the dimensions a category requires that an expense does not set
+ * @param {Object|null} category - Category record of the expense
+ * @param {Object} expense - Expense fields as they will be saved: projectId, costCenterId, tags
+ * @returns {Array<string>} - Labels of the missing dimensions
+ */
+function getMissingDimensions(category, expense) {
+  const required = category ? parseJsonField(category.requiredDimensions, []) : [];
+
+  return required
+    .filter(dimension => {
+      if (dimension === 'PROJECT') return !expense.projectId;
+      if (dimension === 'COST_CENTER') return !expense.costCenterId;
+      return parseJsonField(expense.tags, []).length === 0;
+    })
+    .map(dimension => DIMENSION_LABELS[dimension]);
+}
+
+/**
+ * Build where conditions for the project, cost center and tag filters of expense lists
+ * @param {Object} filters - Query parameters: projectId, costCenterId, tag
+ * @returns {Object} - Prisma where conditions
+ */
+function buildDimensionFilters(filters) {
+  const where = {};
+
+  if (filters.projectId) {
+    where.projectId = parseInt(filters.projectId);
+  }
+
+  if (filters.costCenterId) {
+    where.costCenterId = parseInt(filters.costCenterId);
+  }
+
+  // Tags are a JSON array in a TEXT column; the quotes make this an exact tag match
+  if (filters.tag) {
+    where.tags = { contains: JSON.stringify(filters.tag.trim()) };
+  }
+
+  return where;
+}
+
+/**
+ * Get the dimensions of an expense for API responses
+ * @param {Object} expense - Expense loaded with dimensionInclude
+ * @returns {Object} - { project, costCenter, tags }
+ */
+function formatDimensions(expense) {
+  return {
+    project: expense.project || null,
+    costCenter: expense.costCenter || null,
+    tags: parseJsonField(expense.tags, [])
+  };
+}
+
+/**
+ * Format a project or cost center for API responses
+ * @param {Object} value - DimensionValue record
+ * @returns {Object} - Dimension value
+ */
+function formatDimensionValue(value) {
+  return {
+    id: value.id,
+    dimension: value.dimension,
+    code: value.code,
+    name: value.name,
+    isActive: value.isActive,
+    createdAt: value.createdAt,
+    updatedAt: value.updatedAt
+  };
+}
+
+module.exports = {
+  DIMENSION_TYPES,
+  REQUIRABLE_DIMENSIONS,
+  dimensionInclude,
+  resolveDimensions,
+  getMissingDimensions,
+  buildDimensionFilters,
+  formatDimensions,
+  formatDimensionValue
+};
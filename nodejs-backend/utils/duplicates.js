@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const { createPrismaClient } = require('./prisma');
+const { STANDALONE_DRAFT } = require('./expenseReports');
+const { parseJsonField, serializeJsonField } = require('./json');
+
+const prisma = createPrismaClient();
+
+// Amounts this far apart (as a share of the amount) still count as the same, e.g. a tip added later
+const AMOUNT_TOLERANCE = 0.01;
+
+// Days between two expenses that may be the same one, to allow for time zones and late bookings
+const DATE_WINDOW_DAYS = 1;
+
+// Normalized merchant names at least this similar are treated as the same merchant
+const MERCHANT_SIMILARITY = 0.8;
+
+// Cancelled and rejected expenses are not claims anymore
+const IGNORED_STATUSES = ['CANCELLED', 'REJECTED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash file contents to recognize the same receipt uploaded twice
+ * @param {Buffer} buffer - File contents
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Reduce a merchant name to lowercase letters and digits
+ * @param {string} name - Merchant name
+ * @returns {string} - Normalized name
+ */
+function normalizeMerchant(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Check whether two merchant names probably refer to the same merchant
+ * "Trattoria Roma" matches "TRATTORIA ROMA GMBH" as well as typos like "Tratoria Roma".
+ * @param {string} a - First merchant
+ * @param {string} b - Second merchant
+ * @returns {boolean} - True if the names are similar enough
+ */
+function isSameMerchant(a, b) {
+  const first = normalizeMerchant(a);
+  const second = normalizeMerchant(b);
+  if (!first || !second) {
+    return false;
+  }
+
+  if (first.includes(second) || second.includes(first)) {
+    return true;
+  }
+
+  const similarity = 1 - editDistance(first, second) / Math.max(first.length, second.length);
+  return similarity >= MERCHANT_SIMILARITY;
+}
+
+/**
+ * Find expenses in the company that are probably the same claim
+ * An identical receipt file is a match on its own. Otherwise amount and date must match,
+ * plus the merchant when both expenses name one, or the category when they do not.
+ * @param {Object} expense - Expense being checked: companyId, originalAmountMinor, originalCurrency,
+ *   date, merchant, category and, once saved, id
+ * @param {Array<string>} [contentHashes] - Hashes of the receipts being uploaded with it
+ * @returns {Promise<Array>} - Suspected duplicates: { expenseId, userId, matchedOn }
+ */
+async function findDuplicates(expense, contentHashes = []) {
+  const matches = new Map();
+  const excludeSelf = expense.id ? { id: { not: expense.id } } : {};
+
+  if (contentHashes.length > 0) {
+    const sameFiles = await prisma.expenseAttachment.findMany({
+      where: {
+        contentHash: { in: contentHashes },
+        expense: {
+          companyId: expense.companyId,
+          status: { notIn: IGNORED_STATUSES },
+          NOT: STANDALONE_DRAFT,
+          ...excludeSelf
+        }
+      },
+      include: {
+        expense: { select: { userId: true } }
+      }
+    });
+
+    sameFiles.forEach(attachment => {
+      matches.set(attachment.expenseId, {
+        expenseId: attachment.expenseId,
+        userId: attachment.expense.userId,
+        matchedOn: ['receipt']
+      });
+    });
+  }
+
+  const date = new Date(expense.date);
+  const tolerance = Math.max(1, Math.round(expense.originalAmountMinor * AMOUNT_TOLERANCE));
+
+  const similar = await prisma.expense.findMany({
+    where: {
+      companyId: expense.companyId,
+      status: { notIn: IGNORED_STATUSES },
+      NOT: STANDALONE_DRAFT,
+      originalCurrency: expense.originalCurrency,
+      originalAmountMinor: {
+        gte: expense.originalAmountMinor - tolerance,
+        lte: expense.originalAmountMinor + tolerance
+      },
+      date: {
+        gte: new Date(date.getTime() - DATE_WINDOW_DAYS * DAY_MS),
+        lte: new Date(date.getTime() + DATE_WINDOW_DAYS * DAY_MS)
+      },
+      ...excludeSelf
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  similar.forEach(candidate => {
+    const bothHaveMerchant = normalizeMerchant(expense.merchant) && normalizeMerchant(candidate.merchant);
+    const detailsMatch = bothHaveMerchant
+      ? isSameMerchant(expense.merchant, candidate.merchant)
+      : candidate.category === expense.category;
+
+    if (!detailsMatch) {
+      return;
+    }
+
+    const matchedOn = ['amount', 'date', bothHaveMerchant ? 'merchant' : 'category'];
+    const existing = matches.get(candidate.id);
+    matches.set(candidate.id, {
+      expenseId: candidate.id,
+      userId: candidate.userId,
+      matchedOn: existing ? [...existing.matchedOn, ...matchedOn] : matchedOn
+    });
+  });
+
+  return Array.from(matches.values());
+}
+
+/**
+ * Check a saved expense for duplicates again and store the result, e.g. after its details or receipts changed
+ * @param {number} expenseId - ID of the expense
+ * @returns {Promise<Array>} - Current suspected duplicates
+ */
+async function refreshSuspectedDuplicates(expenseId) {
+  const expense = await prisma.expense.findUnique({
+    where: { id: expenseId },
+    include: {
+      attachments: { select: { contentHash: true } }
+    }
+  });
+
+  const contentHashes = expense.attachments.map(attachment => attachment.contentHash).filter(Boolean);
+  const duplicates = await findDuplicates(expense, contentHashes);
+
+  await prisma.expense.update({
+    where: { id: expenseId },
+    data: { suspectedDuplicates: serializeJsonField(duplicates) }
+  });
+
+  return duplicates;
+}
+
+/**
+ * Get the suspected duplicates stored on an expense for API responses
+ * @param {Object} expense - Expense record
+ * @returns {Array} - Suspected duplicates found when the expense was submitted
+ */
+function formatSuspectedDuplicates(expense) {
+  return parseJsonField(expense.suspectedDuplicates, []);
+}
+
+module.exports = {
+  hashContent,
+  isSameMerchant,
+  findDuplicates,
+  refreshSuspectedDuplicates,
+  formatSuspectedDuplicates
+};
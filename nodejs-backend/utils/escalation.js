@@ -0,0 +1,173 @@
+const { createPrismaClient } = require('./prisma');
+const { getApprovalState } = require('./approvalWorkflow');
+const { resolveApprover } = require('./delegation');
+const { recordAudit } = require('./audit');
+
+const prisma = createPrismaClient();
+
+/**
+ * Get the moment an approval step started waiting on its approver
+ * @param {Object} approval - Pending approval record
+ * @param {Array} approvals - All approval records of the same expense
+ * @returns {Date} - Start of the SLA clock
+ */
+function getPendingSince(approval, approvals) {
+  // Pending steps are only touched when created, escalated or reopened on resubmission
+  let since = approval.updatedAt;
+
+  // Steps behind earlier stages only start waiting once those are approved
+  approvals
+    .filter(other => other.stage < approval.stage)
+    .forEach(other => {
+      if (other.updatedAt > since) {
+        since = other.updatedAt;
+      }
+    });
+
+  return since;
+}
+
+/**
+ * Find who an overdue approval should be escalated to
+ * @param {Object} approval - Pending approval with approver and expense or report loaded
+ * @param {Object} company - Company of the expense
+ * @returns {Promise<Object|null>} - Target user or null if nobody qualifies
+ */
+async function findEscalationTarget(approval, company) {
+  const submitter = approval.expense || approval.report;
+  const excludedIds = [approval.approverId, submitter.userId];
+
+  if (approval.approver && approval.approver.reportsTo) {
+    const manager = await prisma.user.findFirst({
+      where: {
+        id: approval.approver.reportsTo,
+        companyId: company.id,
+        isActive: true
+      }
+    });
+
+    if (manager && !excludedIds.includes(manager.id)) {
+      return manager;
+    }
+  }
+
+  if (company.escalationRole) {
+    return prisma.user.findFirst({
+      where: {
+        companyId: company.id,
+        role: company.escalationRole,
+        isActive: true,
+        id: { notIn: excludedIds }
+      },
+      orderBy: { id: 'asc' }
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Reassign pending approvals that have breached their company's SLA
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of escalated approvals
+ */
+async function escalateOverdueApprovals(now = new Date()) {
+  const companies = await prisma.company.findMany({
+    where: { approvalSlaHours: { gt: 0 } }
+  });
+
+  let escalatedCount = 0;
+
+  for (const company of companies) {
+    const slaMs = company.approvalSlaHours * 60 * 60 * 1000;
+
+    const pendingApprovals = await prisma.expenseApproval.findMany({
+      where: {
+        status: 'PENDING',
+        supersededAt: null,
+        OR: [
+          { expense: { companyId: company.id, status: 'PENDING' } },
+          { report: { companyId: company.id, status: 'PENDING' } }
+        ]
+      },
+      include: {
+        approver: true,
+        expense: {
+          include: {
+            approvals: {
+              where: { supersededAt: null }
+            }
+          }
+        },
+        report: {
+          include: {
+            approvals: {
+              where: { supersededAt: null }
+            }
+          }
+        }
+      }
+    });
+
+    for (const approval of pendingApprovals) {
+      const chain = (approval.expense || approval.report).approvals;
+
+      if (getApprovalState(approval, chain) !== 'actionable') {
+        continue;
+      }
+
+      const pendingSince = getPendingSince(approval, chain);
+      if (now - pendingSince < slaMs) {
+        continue;
+      }
+
+      const target = await findEscalationTarget(approval, company);
+      if (!target) {
+        continue;
+      }
+
+      const routing = await resolveApprover(target.id);
+
+      await prisma.$transaction([
+        prisma.expenseApproval.update({
+          where: { id: approval.id },
+          data: {
+            approverId: routing.approverId,
+            // originalApproverId is only for delegation; the escalation record keeps who the step came from
+            originalApproverId: routing.originalApproverId,
+            escalatedAt: now
+          }
+        }),
+        prisma.approvalEscalation.create({
+          data: {
+            approvalId: approval.id,
+            expenseId: approval.expenseId,
+            reportId: approval.reportId,
+            fromApproverId: approval.approverId,
+            toApproverId: routing.approverId,
+            reason: `Pending for more than ${company.approvalSlaHours} hours`
+          }
+        })
+      ]);
+
+      await recordAudit({
+        companyId: company.id,
+        actorId: null,
+        action: 'approval.escalate',
+        entityType: 'APPROVAL',
+        entityId: approval.id,
+        before: { approverId: approval.approverId, originalApproverId: approval.originalApproverId },
+        after: { approverId: routing.approverId, originalApproverId: routing.originalApproverId }
+      });
+
+      escalatedCount++;
+    }
+  }
+
+  return escalatedCount;
+}
+
+module.exports = {
+  getPendingSince,
+  escalateOverdueApprovals
+};
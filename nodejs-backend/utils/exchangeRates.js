@@ -0,0 +1,332 @@
+const { createPrismaClient } = require('./prisma');
+const { parseCsv } = require('./csv');
+
+const prisma = createPrismaClient();
+
+// How long looked-up rates and provider responses are kept in memory
+const RATE_CACHE_TTL_SECONDS = parseInt(process.env.RATE_CACHE_TTL_SECONDS) || 60 * 60;
+
+// A stored rate still applies this many days later when nothing newer is available (weekends, holidays)
+const STORED_RATE_MAX_GAP_DAYS = 4;
+
+// ECB reference rates are quoted against the euro, so other pairs are crossed through it
+const CROSS_CURRENCY = 'EUR';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const cache = new Map();
+
+/**
+ * Get a value from the in-memory cache
+ * @param {string} key - Cache key
+ * @returns {*} - Cached value or undefined if missing or expired
+ */
+function getCached(key) {
+  const entry = cache.get(key);
+  if (!entry) {
+    return undefined;
+  }
+
+  if (entry.expiresAt < Date.now()) {
+    cache.delete(key);
+    return undefined;
+  }
+
+  return entry.value;
+}
+
+/**
+ * Put a value in the in-memory cache
+ * @param {string} key - Cache key
+ * @param {*} value - Value to cache
+ * @param {number} [ttlSeconds] - Time to live
+ * @returns {*} - The cached value
+ */
+function setCached(key, value, ttlSeconds = RATE_CACHE_TTL_SECONDS) {
+  cache.set(key, { value: value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  return value;
+}
+
+/**
+ * Drop every cached rate, e.g. after an import
+ * @returns {void}
+ */
+function clearRateCache() {
+  cache.clear();
+}
+
+/**
+ * Truncate a date to midnight UTC
+ * @param {Date|string} date - Date
+ * @returns {Date} - Start of the UTC day
+ */
+function startOfDay(date) {
+  return new Date(new Date(date).toISOString().split('T')[0]);
+}
+
+/**
+ * Work out a pair's rate from a set of rates of the same day: direct, inverse or crossed through the euro
+ * @param {Array} rates - Rates with baseCurrency, targetCurrency and rate
+ * @param {string} baseCurrency - Base currency code
+ * @param {string} targetCurrency - Target currency code
+ * @returns {number|null} - Rate or null if the pair cannot be derived
+ */
+function derivePairRate(rates, baseCurrency, targetCurrency) {
+  const lookup = (from, to) => {
+    if (from === to) {
+      return 1.0;
+    }
+
+    const direct = rates.find(rate => rate.baseCurrency === from && rate.targetCurrency === to);
+    if (direct) {
+      return direct.rate;
+    }
+
+    const inverse = rates.find(rate => rate.baseCurrency === to && rate.targetCurrency === from);
+    return inverse ? 1 / inverse.rate : null;
+  };
+
+  const rate = lookup(baseCurrency, targetCurrency);
+  if (rate !== null) {
+    return rate;
+  }
+
+  const toCross = lookup(baseCurrency, CROSS_CURRENCY);
+  const fromCross = lookup(CROSS_CURRENCY, targetCurrency);
+  return toCross !== null && fromCross !== null ? toCross * fromCross : null;
+}
+
+/**
+ * Find a stored rate for a pair on or shortly before a date
+ * @param {string} baseCurrency - Base currency code
+ * @param {string} targetCurrency - Target currency code
+ * @param {Date} date - Date the rate should apply to
+ * @param {Object} [options]
+ * @param {boolean} [options.exactDate] - Only accept a rate published for the date itself
+ * @param {number} [options.maxGapDays] - How far back to look otherwise
+ * @returns {Promise<Object|null>} - { rate, source, rateDate } or null if nothing is stored
+ */
+async function findStoredRate(baseCurrency, targetCurrency, date, options = {}) {
+  const day = startOfDay(date);
+  const maxGapDays = options.exactDate ? 0 : (options.maxGapDays ?? STORED_RATE_MAX_GAP_DAYS);
+  const currencies = [baseCurrency, targetCurrency, CROSS_CURRENCY];
+
+  const rates = await prisma.exchangeRate.findMany({
+    where: {
+      baseCurrency: { in: currencies },
+      targetCurrency: { in: currencies },
+      rateDate: {
+        gte: new Date(day.getTime() - maxGapDays * DAY_MS),
+        lte: day
+      }
+    },
+    orderBy: { rateDate: 'desc' }
+  });
+
+  // Newest day first; fall back a day at a time
+  const days = [...new Set(rates.map(rate => rate.rateDate.getTime()))];
+  for (const time of days) {
+    const sameDay = rates.filter(rate => rate.rateDate.getTime() === time);
+    const rate = derivePairRate(sameDay, baseCurrency, targetCurrency);
+    if (rate !== null) {
+      return {
+        rate: rate,
+        source: sameDay[0].source,
+        rateDate: new Date(time)
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Store rates
+ * @param {Array} rates - { baseCurrency, targetCurrency, rate, rateDate, source }
+ * @param {Object} [options]
+ * @param {boolean} [options.overwrite] - Replace a rate already stored for the same pair and day;
+ *   off for indicative rates that must not replace reference rates
+ * @returns {Promise<number>} - Number of rates passed in
+ */
+async function saveRates(rates, options = {}) {
+  const overwrite = options.overwrite !== false;
+  const CHUNK_SIZE = 500;
+
+  for (let i = 0; i < rates.length; i += CHUNK_SIZE) {
+    await prisma.$transaction(rates.slice(i, i + CHUNK_SIZE).map(rate => {
+      const data = {
+        baseCurrency: rate.baseCurrency,
+        targetCurrency: rate.targetCurrency,
+        rate: rate.rate,
+        rateDate: startOfDay(rate.rateDate),
+        source: rate.source
+      };
+
+      return prisma.exchangeRate.upsert({
+        where: {
+          baseCurrency_targetCurrency_rateDate: {
+            baseCurrency: data.baseCurrency,
+            targetCurrency: data.targetCurrency,
+            rateDate: data.rateDate
+          }
+        },
+        create: data,
+        update: overwrite ? { rate: data.rate, source: data.source } : {}
+      });
+    }));
+  }
+
+  return rates.length;
+}
+
+/**
+ * Find the company's fixed rate for a pair on a date
+ * @param {number} companyId - ID of the company
+ * @param {string} baseCurrency - Base currency code
+ * @param {string} targetCurrency - Target currency code
+ * @param {Date} date - Date the rate should apply to
+ * @returns {Promise<Object|null>} - { rate, source, rateDate } or null if the company has none
+ */
+async function findCompanyRate(companyId, baseCurrency, targetCurrency, date) {
+  const day = startOfDay(date);
+
+  const fixedRate = await prisma.companyExchangeRate.findFirst({
+    where: {
+      companyId: companyId,
+      OR: [
+        { baseCurrency: baseCurrency, targetCurrency: targetCurrency },
+        { baseCurrency: targetCurrency, targetCurrency: baseCurrency }
+      ],
+      validFrom: { lte: day },
+      AND: [
+        { OR: [{ validTo: null }, { validTo: { gte: day } }] }
+      ]
+    },
+    // The most recently started period wins when periods overlap
+    orderBy: [{ validFrom: 'desc' }, { id: 'desc' }]
+  });
+
+  if (!fixedRate) {
+    return null;
+  }
+
+  return {
+    rate: fixedRate.baseCurrency === baseCurrency ? fixedRate.rate : 1 / fixedRate.rate,
+    source: 'COMPANY_FIXED',
+    rateDate: day
+  };
+}
+
+/**
+ * Parse a rate import in CSV format
+ * Expects a header row with date, base, target and rate columns (any order).
+ * @param {string} text - CSV text
+ * @returns {Array} - Rates with source IMPORT
+ */
+function parseRatesCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new Error('The file is empty');
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  const required = ['date', 'base', 'target', 'rate'];
+  const missing = required.filter(name => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`Missing column(s): ${missing.join(', ')}`);
+  }
+
+  return rows.map((cells, index) => {
+    const value = (name) => (cells[columns.indexOf(name)] || '').trim();
+    const line = index + 2;
+
+    const rateDate = new Date(value('date'));
+    const rate = parseFloat(value('rate'));
+    const baseCurrency = value('base').toUpperCase();
+    const targetCurrency = value('target').toUpperCase();
+
+    if (isNaN(rateDate.getTime())) {
+      throw new Error(`Line ${line}: invalid date`);
+    }
+    if (!/^[A-Z]{3}$/.test(baseCurrency) || !/^[A-Z]{3}$/.test(targetCurrency)) {
+      throw new Error(`Line ${line}: invalid currency code`);
+    }
+    if (!(rate > 0)) {
+      throw new Error(`Line ${line}: rate must be a positive number`);
+    }
+
+    return { baseCurrency, targetCurrency, rate, rateDate, source: 'IMPORT' };
+  });
+}
+
+/**
+ * Parse an ECB euro foreign exchange reference rate file (eurofxref-daily.xml or eurofxref-hist.xml)
+ * @param {string} text - XML text
+ * @returns {Array} - Rates from EUR with source ECB
+ */
+function parseEcbXml(text) {
+  const rates = [];
+  const dayPattern = /<Cube\s+time=["'](\d{4}-\d{2}-\d{2})["']\s*>([\s\S]*?)<\/Cube>/g;
+  const ratePattern = /<Cube\s+currency=["']([A-Z]{3})["']\s+rate=["']([\d.]+)["']\s*\/>/g;
+
+  for (const [, time, body] of text.matchAll(dayPattern)) {
+    for (const [, currency, rate] of body.matchAll(ratePattern)) {
+      rates.push({
+        baseCurrency: 'EUR',
+        targetCurrency: currency,
+        rate: parseFloat(rate),
+        rateDate: new Date(time),
+        source: 'ECB'
+      });
+    }
+  }
+
+  if (rates.length === 0) {
+    throw new Error('No ECB reference rates found in the file');
+  }
+
+  return rates;
+}
+
+/**
+ * Import rates from an uploaded file into the rate store
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Name of the uploaded file, used to tell the format
+ * @returns {Promise<Object>} - { format, imported, from, to }
+ */
+async function importRatesFile(buffer, fileName) {
+  const text = buffer.toString('utf8');
+  const isXml = fileName.toLowerCase().endsWith('.xml') || text.trimStart().startsWith('<');
+  const rates = isXml ? parseEcbXml(text) : parseRatesCsv(text);
+
+  if (rates.length === 0) {
+    throw new Error('The file contains no rates');
+  }
+
+  await saveRates(rates);
+  clearRateCache();
+
+  // Historical files hold far too many rates to spread into Math.min
+  const times = rates.map(rate => startOfDay(rate.rateDate).getTime());
+  return {
+    format: isXml ? 'ECB_XML' : 'CSV',
+    imported: rates.length,
+    from: new Date(times.reduce((min, time) => Math.min(min, time))),
+    to: new Date(times.reduce((max, time) => Math.max(max, time)))
+  };
+}
+
+module.exports = {
+  RATE_CACHE_TTL_SECONDS,
+  getCached,
+  setCached,
+  clearRateCache,
+  startOfDay,
+  derivePairRate,
+  findStoredRate,
+  saveRates,
+  findCompanyRate,
+  parseRatesCsv,
+  parseEcbXml,
+  importRatesFile
+};
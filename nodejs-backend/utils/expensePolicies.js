@@ -0,0 +1,234 @@
+const { createPrismaClient } = require('./prisma');
+const { parseJsonField, serializeJsonField } = require('./json');
+const { formatMinorUnits } = require('./money');
+const { CLOSED_LINE_STATUSES, STANDALONE_DRAFT } = require('./expenseReports');
+
+const prisma = createPrismaClient();
+
+const POLICY_TYPES = ['CATEGORY_LIMIT', 'RECEIPT_REQUIRED', 'MAX_AGE', 'WEEKEND', 'MERCHANT'];
+
+// BLOCK stops the expense (or its report) from being submitted; WARN only flags it for approvers
+const POLICY_ACTIONS = ['BLOCK', 'WARN'];
+
+// What a category limit caps: each expense, the employee's total for a day, or the total of a report (trip)
+const LIMIT_PERIODS = ['EXPENSE', 'DAY', 'TRIP'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the start and end of the UTC day of a date
+ * @param {Date} date - Date
+ * @returns {Object} - { start, end }
+ */
+function getDayRange(date) {
+  const start = new Date(new Date(date).toISOString().split('T')[0]);
+  return { start, end: new Date(start.getTime() + DAY_MS - 1) };
+}
+
+/**
+ * Check whether a policy applies to an expense's category
+ * @param {Object} policy - ExpensePolicy record
+ * @param {string} category - Expense category
+ * @returns {boolean} - True for policies without a category or with the same category
+ */
+function appliesToCategory(policy, category) {
+  return !policy.category || policy.category.toLowerCase() === (category || '').toLowerCase();
+}
+
+/**
+ * Add up the company amounts a category limit caps, including the expense being checked
+ * @param {Object} policy - CATEGORY_LIMIT policy
+ * @param {Object} expense - Expense being checked
+ * @returns {Promise<number>} - Total in minor units of the company currency
+ */
+async function getLimitTotal(policy, expense) {
+  const period = policy.period || 'EXPENSE';
+  if (period === 'EXPENSE' || (period === 'TRIP' && !expense.reportId)) {
+    return expense.companyAmountMinor;
+  }
+
+  const where = {
+    companyId: expense.companyId,
+    status: { notIn: CLOSED_LINE_STATUSES },
+    NOT: STANDALONE_DRAFT,
+    companyAmountMinor: { not: null }
+  };
+
+  if (expense.id) {
+    where.id = { not: expense.id };
+  }
+
+  // Category limits are per category unless the policy covers all of them
+  if (policy.category) {
+    where.category = expense.category;
+  }
+
+  if (period === 'DAY') {
+    const { start, end } = getDayRange(expense.date);
+    where.userId = expense.userId;
+    where.date = { gte: start, lte: end };
+  } else {
+    where.reportId = expense.reportId;
+  }
+
+  const others = await prisma.expense.aggregate({
+    where: where,
+    _sum: { companyAmountMinor: true }
+  });
+
+  return expense.companyAmountMinor + (others._sum.companyAmountMinor || 0);
+}
+
+/**
+ * Check an expense against one policy
+ * @param {Object} policy - ExpensePolicy record
+ * @param {Object} expense - Expense being checked
+ * @param {number} attachmentCount - Receipts and documents attached to the expense
+ * @returns {Promise<string|null>} - Violation message or null if the expense complies
+ */
+async function checkPolicy(policy, expense, attachmentCount) {
+  const currency = expense.companyCurrency;
+
+  switch (policy.policyType) {
+    case 'CATEGORY_LIMIT': {
+      // Limits are in company currency; expenses still waiting for a rate are checked once converted
+      if (expense.companyAmountMinor === null || expense.companyAmountMinor === undefined) {
+        return null;
+      }
+
+      const total = await getLimitTotal(policy, expense);
+      if (total <= policy.amountMinor) {
+        return null;
+      }
+
+      const period = policy.period || 'EXPENSE';
+      const scope = period === 'DAY' ? ' per day' : period === 'TRIP' ? ' per trip' : '';
+      return `${policy.category || 'Expense'} limit of ${currency} ${formatMinorUnits(policy.amountMinor, currency)}${scope} exceeded (${currency} ${formatMinorUnits(total, currency)})`;
+    }
+
+    case 'RECEIPT_REQUIRED': {
+      // Mileage and per diems are documented by the trip, not a receipt
+      if (expense.expenseType === 'MILEAGE' || expense.expenseType === 'PER_DIEM') {
+        return null;
+      }
+      if (attachmentCount > 0 || expense.companyAmountMinor === null || expense.companyAmountMinor === undefined) {
+        return null;
+      }
+      if (expense.companyAmountMinor <= (policy.amountMinor || 0)) {
+        return null;
+      }
+      return `A receipt is required above ${currency} ${formatMinorUnits(policy.amountMinor || 0, currency)}`;
+    }
+
+    case 'MAX_AGE': {
+      const ageDays = Math.floor((Date.now() - new Date(expense.date).getTime()) / DAY_MS);
+      if (ageDays <= policy.maxAgeDays) {
+        return null;
+      }
+      return `Expenses must be claimed within ${policy.maxAgeDays} days (this one is ${ageDays} days old)`;
+    }
+
+    case 'WEEKEND': {
+      const day = new Date(expense.date).getUTCDay();
+      if (day !== 0 && day !== 6) {
+        return null;
+      }
+      return `${policy.category || 'Expenses'} on weekends are not allowed`;
+    }
+
+    case 'MERCHANT': {
+      // Matched against the merchant, or the description when no merchant was entered
+      const text = (expense.merchant || expense.description || '').toLowerCase();
+      const merchant = parseJsonField(policy.merchants, [])
+        .find(name => name && text.includes(name.toLowerCase()));
+      return merchant ? `${merchant} is not an allowed merchant` : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check an expense against the active policies of its company
+ * @param {Object} expense - Expense as it will be saved: companyId, userId, category, date,
+ *   companyAmountMinor, companyCurrency, merchant, description, reportId and, once saved, id
+ * @param {number} attachmentCount - Receipts and documents attached to the expense
+ * @returns {Promise<Array>} - Violations: { policyId, policyName, policyType, action, message }
+ */
+async function evaluatePolicies(expense, attachmentCount) {
+  const policies = await prisma.expensePolicy.findMany({
+    where: {
+      companyId: expense.companyId,
+      isActive: true
+    },
+    orderBy: { id: 'asc' }
+  });
+
+  const violations = [];
+  for (const policy of policies.filter(policy => appliesToCategory(policy, expense.category))) {
+    const message = await checkPolicy(policy, expense, attachmentCount);
+    if (message) {
+      violations.push({
+        policyId: policy.id,
+        policyName: policy.name,
+        policyType: policy.policyType,
+        action: policy.action,
+        message: message
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Check whether any violation stops submission
+ * @param {Array} violations - Result of evaluatePolicies
+ * @returns {boolean} - True if a BLOCK policy is violated
+ */
+function hasBlockingViolation(violations) {
+  return violations.some(violation => violation.action === 'BLOCK');
+}
+
+/**
+ * Check a saved expense again and store the result, e.g. after its receipts or conversion changed
+ * @param {number} expenseId - ID of the expense
+ * @returns {Promise<Array>} - Current violations
+ */
+async function refreshPolicyViolations(expenseId) {
+  const expense = await prisma.expense.findUnique({
+    where: { id: expenseId },
+    include: {
+      _count: { select: { attachments: true } }
+    }
+  });
+
+  const violations = await evaluatePolicies(expense, expense._count.attachments);
+
+  await prisma.expense.update({
+    where: { id: expenseId },
+    data: { policyViolations: serializeJsonField(violations) }
+  });
+
+  return violations;
+}
+
+/**
+ * Get the violations stored on an expense for API responses
+ * @param {Object} expense - Expense record
+ * @returns {Array} - Violations found when the expense was last saved
+ */
+function formatPolicyViolations(expense) {
+  return parseJsonField(expense.policyViolations, []);
+}
+
+module.exports = {
+  POLICY_TYPES,
+  POLICY_ACTIONS,
+  LIMIT_PERIODS,
+  evaluatePolicies,
+  hasBlockingViolation,
+  refreshPolicyViolations,
+  formatPolicyViolations
+};
@@ -0,0 +1,54 @@
+const { fromMinorUnits } = require('./money');
+
+// Lines that no longer count towards a report's totals
+const CLOSED_LINE_STATUSES = ['REJECTED', 'CANCELLED'];
+
+// Standalone drafts are not claims yet; lines of a draft report share its DRAFT status but still count
+const STANDALONE_DRAFT = { reportId: null, status: 'DRAFT' };
+
+/**
+ * Check whether a report line still counts towards the report
+ * @param {Object} expense - Expense line
+ * @returns {boolean} - True unless the line was rejected or cancelled
+ */
+function isOpenLine(expense) {
+  return !CLOSED_LINE_STATUSES.includes(expense.status);
+}
+
+/**
+ * Total the open lines of a report in company currency and per original currency
+ * Sums are taken in minor units so they are exact; lines still waiting for an exchange rate
+ * are left out of the company total.
+ * @param {Array} expenses - Expense lines of the report
+ * @param {string} companyCurrency - Currency company totals are expressed in
+ * @returns {Object} - { lineCount, companyAmount, originalAmounts: [{ currency, amount }] }
+ */
+function summarizeReport(expenses, companyCurrency) {
+  const openLines = expenses.filter(isOpenLine);
+  const originalAmounts = new Map();
+
+  let companyAmountMinor = 0;
+  openLines.forEach(expense => {
+    companyAmountMinor += expense.companyAmountMinor ?? 0;
+    originalAmounts.set(
+      expense.originalCurrency,
+      (originalAmounts.get(expense.originalCurrency) || 0) + expense.originalAmountMinor
+    );
+  });
+
+  return {
+    lineCount: openLines.length,
+    companyAmount: fromMinorUnits(companyAmountMinor, companyCurrency),
+    originalAmounts: Array.from(originalAmounts.entries()).map(([currency, amountMinor]) => ({
+      currency: currency,
+      amount: fromMinorUnits(amountMinor, currency)
+    }))
+  };
+}
+
+module.exports = {
+  CLOSED_LINE_STATUSES,
+  STANDALONE_DRAFT,
+  isOpenLine,
+  summarizeReport
+};
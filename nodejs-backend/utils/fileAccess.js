@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { getActingApproverIds } = require('./delegation');
+
+// How long a signed file URL stays valid
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 15 * 60;
+
+/**
+ * Compute the signature of a file URL
+ * @param {number} attachmentId - ID of the attachment
+ * @param {number} expires - Expiry as a Unix timestamp in seconds
+ * @returns {string} - Hex HMAC-SHA256 signature
+ */
+function computeSignature(attachmentId, expires) {
+  const secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`attachment:${attachmentId}:${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Build a time-limited URL for an attachment that works without an Authorization header (e.g. in <img> tags)
+ * Expiry is rounded up to the next TTL window so the URL stays stable, and cacheable, within the window.
+ * @param {number} attachmentId - ID of the attachment
+ * @param {Date} [now] - Current time
+ * @returns {string} - Path of the signed URL, relative to the server root
+ */
+function signAttachmentUrl(attachmentId, now = new Date()) {
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  const expires = (Math.floor(nowSeconds / SIGNED_URL_TTL_SECONDS) + 2) * SIGNED_URL_TTL_SECONDS;
+  return `/files/attachments/${attachmentId}?expires=${expires}&signature=${computeSignature(attachmentId, expires)}`;
+}
+
+/**
+ * Check a signed attachment URL
+ * @param {number} attachmentId - ID of the attachment
+ * @param {string} expires - Expiry from the URL
+ * @param {string} signature - Signature from the URL
+ * @returns {boolean} - True if the signature matches and has not expired
+ */
+function verifyAttachmentSignature(attachmentId, expires, signature) {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(attachmentId, expiresAt), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Check whether a user may view the files of an expense: the submitter, an approver of the
+ * expense or its report (or their active delegate), or an admin of the same company
+ * @param {Object} user - Authenticated user
+ * @param {Object} expense - Expense with approvals and report approvals loaded
+ * @returns {Promise<boolean>} - True if the user may view the files
+ */
+async function canViewExpenseFiles(user, expense) {
+  if (expense.companyId !== user.companyId) {
+    return false;
+  }
+
+  if (expense.userId === user.id || user.role === 'ADMIN') {
+    return true;
+  }
+
+  const approvals = [...expense.approvals, ...(expense.report ? expense.report.approvals : [])];
+  const actingApproverIds = await getActingApproverIds(user.id);
+
+  return approvals.some(approval =>
+    actingApproverIds.includes(approval.approverId) ||
+    approval.originalApproverId === user.id ||
+    approval.actedById === user.id
+  );
+}
+
+module.exports = {
+  SIGNED_URL_TTL_SECONDS,
+  signAttachmentUrl,
+  verifyAttachmentSignature,
+  canViewExpenseFiles
+};
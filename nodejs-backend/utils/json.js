@@ -0,0 +1,41 @@
+/**
+ * Parse a JSON column value. SQLite stores JSON as TEXT, so values may come
+ * back either as strings or (for rows written by older code) already parsed.
+ * @param {string|Object|null} value - Stored column value
+ * @param {*} fallback - Value returned when the column is empty or invalid
+ * @returns {*} - Parsed value or fallback
+ */
+function parseJsonField(value, fallback = null) {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Error parsing JSON field:', error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Serialize a value for storage in a JSON TEXT column
+ * @param {*} value - Value to serialize
+ * @returns {string|null} - JSON string or null
+ */
+function serializeJsonField(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+module.exports = {
+  parseJsonField,
+  serializeJsonField
+};
@@ -0,0 +1,217 @@
+const { createPrismaClient } = require('./prisma');
+const { multiplyToMinorUnits } = require('./money');
+const { parseJsonField } = require('./json');
+const { STANDALONE_DRAFT } = require('./expenseReports');
+
+const prisma = createPrismaClient();
+
+const VEHICLE_TYPES = ['CAR', 'ELECTRIC_CAR', 'MOTORCYCLE', 'BICYCLE'];
+
+// Cancelled and rejected trips do not count towards the yearly distance
+const IGNORED_STATUSES = ['CANCELLED', 'REJECTED'];
+
+/**
+ * Round a distance to the 0.1 km it is recorded with
+ * @param {number|string} distance - Distance in km
+ * @returns {number} - Rounded distance
+ */
+function roundDistance(distance) {
+  return Math.round(parseFloat(distance) * 10) / 10;
+}
+
+/**
+ * Check the tiers of a mileage rate
+ * @param {Array} tiers - [{ fromKm, rate }]
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return 'At least one rate tier is required';
+  }
+
+  for (const [index, tier] of tiers.entries()) {
+    if (!(Number(tier.rate) > 0)) {
+      return `Tier ${index + 1}: rate must be a positive number`;
+    }
+    if (!(Number(tier.fromKm) >= 0)) {
+      return `Tier ${index + 1}: distance must be zero or more`;
+    }
+    if (index === 0 && Number(tier.fromKm) !== 0) {
+      return 'The first tier must start at 0 km';
+    }
+    if (index > 0 && Number(tier.fromKm) <= Number(tiers[index - 1].fromKm)) {
+      return 'Tiers must be in ascending order of distance';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalize tiers from a request body for storage
+ * @param {Array} tiers - Tiers as entered
+ * @returns {Array} - [{ fromKm, rate }] with numeric values
+ */
+function normalizeTiers(tiers) {
+  return tiers.map(tier => ({
+    fromKm: Number(tier.fromKm),
+    rate: Number(tier.rate)
+  }));
+}
+
+/**
+ * Find the rate in effect for a vehicle type on a date
+ * @param {number} companyId - ID of the company
+ * @param {string} vehicleType - Vehicle type
+ * @param {Date} date - Trip date
+ * @returns {Promise<Object|null>} - MileageRate record with the latest effectiveFrom on or before the date
+ */
+async function findMileageRate(companyId, vehicleType, date) {
+  return prisma.mileageRate.findFirst({
+    where: {
+      companyId: companyId,
+      vehicleType: vehicleType,
+      effectiveFrom: { lte: date }
+    },
+    orderBy: { effectiveFrom: 'desc' }
+  });
+}
+
+/**
+ * Get the distance an employee has already claimed in a calendar year, with any vehicle
+ * @param {number} userId - ID of the employee
+ * @param {number} year - Calendar year
+ * @param {Object} [options]
+ * @param {number} [options.excludeExpenseId] - Trip to leave out, e.g. the one being edited
+ * @returns {Promise<number>} - Distance in km
+ */
+async function getYearlyDistance(userId, year, { excludeExpenseId } = {}) {
+  const where = {
+    userId: userId,
+    expenseType: 'MILEAGE',
+    status: { notIn: IGNORED_STATUSES },
+    NOT: STANDALONE_DRAFT,
+    date: {
+      gte: new Date(Date.UTC(year, 0, 1)),
+      lt: new Date(Date.UTC(year + 1, 0, 1))
+    }
+  };
+
+  if (excludeExpenseId) {
+    where.id = { not: excludeExpenseId };
+  }
+
+  const total = await prisma.expense.aggregate({
+    where: where,
+    _sum: { distanceKm: true }
+  });
+
+  return roundDistance(total._sum.distanceKm || 0);
+}
+
+/**
+ * Split a trip over the tiers of a rate and price each part
+ * The trip continues the employee's yearly distance, so it can start in one tier and end in the next.
+ * Each part is rounded to the minor unit, so the amount is the sum of the breakdown lines.
+ * @param {Array} tiers - [{ fromKm, rate }] in ascending order
+ * @param {number} distanceKm - Distance of the trip
+ * @param {number} priorKm - Distance already claimed in the year
+ * @param {string} currency - Currency of the rates
+ * @returns {Object} - { amountMinor, breakdown: [{ fromKm, distanceKm, rate }] }
+ */
+function priceTrip(tiers, distanceKm, priorKm, currency) {
+  const tripEnd = priorKm + distanceKm;
+  const breakdown = [];
+  let amountMinor = 0;
+
+  tiers.forEach((tier, index) => {
+    const tierEnd = index + 1 < tiers.length ? tiers[index + 1].fromKm : Infinity;
+    const covered = roundDistance(Math.min(tripEnd, tierEnd) - Math.max(priorKm, tier.fromKm));
+
+    if (covered > 0) {
+      breakdown.push({ fromKm: tier.fromKm, distanceKm: covered, rate: tier.rate });
+      amountMinor += multiplyToMinorUnits(covered, tier.rate, currency);
+    }
+  });
+
+  return {
+    amountMinor: amountMinor,
+    breakdown: breakdown
+  };
+}
+
+/**
+ * Compute the reimbursement of a mileage trip from the company's rate table
+ * @param {Object} trip
+ * @param {number} trip.companyId - ID of the company
+ * @param {number} trip.userId - ID of the employee
+ * @param {string} trip.currency - Company currency the rates are in
+ * @param {string} trip.vehicleType - Vehicle type
+ * @param {number|string} trip.distanceKm - Distance in km
+ * @param {Date} trip.date - Trip date
+ * @param {number} [trip.excludeExpenseId] - The trip's own expense when it is edited
+ * @returns {Promise<Object>} - { error } or { amountMinor, distanceKm, priorDistanceKm, breakdown, rateId }
+ */
+async function calculateMileage({ companyId, userId, currency, vehicleType, distanceKm, date, excludeExpenseId }) {
+  const distance = roundDistance(distanceKm);
+  if (!(distance > 0)) {
+    return { error: 'Distance must be greater than 0' };
+  }
+
+  const rate = await findMileageRate(companyId, vehicleType, date);
+  if (!rate) {
+    return { error: `No mileage rate is configured for ${vehicleType.toLowerCase().replace('_', ' ')} trips on this date` };
+  }
+
+  const priorDistanceKm = await getYearlyDistance(userId, date.getUTCFullYear(), { excludeExpenseId });
+  const { amountMinor, breakdown } = priceTrip(parseJsonField(rate.tiers, []), distance, priorDistanceKm, currency);
+
+  return {
+    amountMinor: amountMinor,
+    distanceKm: distance,
+    priorDistanceKm: priorDistanceKm,
+    breakdown: breakdown,
+    rateId: rate.id
+  };
+}
+
+/**
+ * Get the mileage details of an expense for API responses
+ * @param {Object} expense - Expense record
+ * @returns {Object|null} - Trip details, or null for receipt expenses
+ */
+function formatMileage(expense) {
+  if (expense.expenseType !== 'MILEAGE') {
+    return null;
+  }
+
+  return {
+    startLocation: expense.startLocation,
+    endLocation: expense.endLocation,
+    distanceKm: expense.distanceKm,
+    vehicleType: expense.vehicleType,
+    breakdown: parseJsonField(expense.mileageBreakdown, [])
+  };
+}
+
+/**
+ * Format a mileage rate for API responses
+ * @param {Object} rate - MileageRate record
+ * @returns {Object} - Rate with parsed tiers
+ */
+function formatMileageRate(rate) {
+  return {
+    ...rate,
+    tiers: parseJsonField(rate.tiers, [])
+  };
+}
+
+module.exports = {
+  VEHICLE_TYPES,
+  validateTiers,
+  normalizeTiers,
+  getYearlyDistance,
+  calculateMileage,
+  formatMileage,
+  formatMileageRate
+};
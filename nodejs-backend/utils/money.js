@@ -0,0 +1,167 @@
+const currencies = require('../data/currencies.json');
+
+// Amounts are stored as integers in the currency's minor unit (cents, or yen for JPY, fils for KWD)
+const MINOR_UNITS = new Map(currencies.map(currency => [currency.code, currency.minorUnits]));
+
+// Digits kept from an exchange rate when converting
+const RATE_PRECISION = 10;
+
+// Largest amount accepted as input, in major units; keeps minor units of every currency a safe integer
+const MAX_AMOUNT = 1000000000000;
+
+/**
+ * Get the number of decimal places of a currency (ISO 4217 exponent)
+ * @param {string} currency - Currency code
+ * @returns {number} - 0, 2 or 3; 2 for unknown currencies
+ */
+function getMinorUnits(currency) {
+  return MINOR_UNITS.get(currency) ?? 2;
+}
+
+/**
+ * Divide two BigInts, rounding half away from zero
+ * @param {bigint} numerator - Numerator
+ * @param {bigint} denominator - Positive denominator
+ * @returns {bigint} - Rounded quotient
+ */
+function divideRounded(numerator, denominator) {
+  const negative = numerator < 0n;
+  const absolute = negative ? -numerator : numerator;
+  const quotient = (absolute * 2n + denominator) / (denominator * 2n);
+  return negative ? -quotient : quotient;
+}
+
+/**
+ * Multiply a BigInt by a power of ten, rounding half away from zero for negative exponents
+ * @param {bigint} value - Value to scale
+ * @param {number} exponent - Power of ten
+ * @returns {number} - Scaled integer
+ */
+function scaleRounded(value, exponent) {
+  if (exponent >= 0) {
+    return Number(value * 10n ** BigInt(exponent));
+  }
+  return Number(divideRounded(value, 10n ** BigInt(-exponent)));
+}
+
+/**
+ * Split a decimal number into its digits and scale without going through floating point
+ * @param {number|string} value - Decimal number, e.g. 12.345 or "12.345"
+ * @param {number} maxScale - Digits after the decimal point to keep (rounded beyond that)
+ * @returns {Object} - { digits: bigint, scale } so that value = digits / 10^scale
+ */
+function parseDecimal(value, maxScale) {
+  // Numbers print as their shortest exact decimal; exponent notation is expanded by toFixed
+  let text = typeof value === 'number' ? String(value) : String(value).trim();
+  if (/e/i.test(text)) {
+    text = Number(text).toFixed(maxScale);
+  }
+
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  let digits = BigInt((whole || '0') + fraction);
+  let scale = fraction.length;
+
+  if (scale > maxScale) {
+    digits = divideRounded(digits, 10n ** BigInt(scale - maxScale));
+    scale = maxScale;
+  }
+
+  return { digits: sign === '-' ? -digits : digits, scale };
+}
+
+/**
+ * Convert an amount in major units (e.g. 12.34 EUR) to an integer in minor units (1234)
+ * @param {number|string} amount - Amount as entered
+ * @param {string} currency - Currency code
+ * @returns {number} - Amount in minor units, rounded half away from zero
+ */
+function toMinorUnits(amount, currency) {
+  const minorUnits = getMinorUnits(currency);
+  const { digits, scale } = parseDecimal(amount, minorUnits);
+  return Number(digits * 10n ** BigInt(minorUnits - scale));
+}
+
+/**
+ * Convert an integer amount in minor units back to major units for API responses
+ * @param {number|null} minor - Amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {number|null} - Amount in major units
+ */
+function fromMinorUnits(minor, currency) {
+  if (minor === null || minor === undefined) {
+    return null;
+  }
+  return Number(formatMinorUnits(minor, currency));
+}
+
+/**
+ * Format an amount in minor units as a plain decimal string with the currency's decimals
+ * Used for payment files, CSV exports and other places that need exact text.
+ * @param {number} minor - Amount in minor units
+ * @param {string} currency - Currency code
+ * @returns {string} - e.g. "1234.50", "1500" for JPY, "12.345" for KWD
+ */
+function formatMinorUnits(minor, currency) {
+  const minorUnits = getMinorUnits(currency);
+  const negative = minor < 0;
+  const text = String(Math.abs(minor)).padStart(minorUnits + 1, '0');
+  const whole = text.slice(0, text.length - minorUnits);
+  const fraction = text.slice(text.length - minorUnits);
+  return `${negative ? '-' : ''}${whole}${minorUnits > 0 ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Convert an amount between currencies at a rate, rounding once in the target currency
+ * @param {number} minor - Amount in minor units of the source currency
+ * @param {string} fromCurrency - Source currency
+ * @param {string} toCurrency - Target currency
+ * @param {number} rate - Units of the target currency per unit of the source currency
+ * @returns {number} - Amount in minor units of the target currency
+ */
+function convertMinorUnits(minor, fromCurrency, toCurrency, rate) {
+  const { digits, scale } = parseDecimal(rate, RATE_PRECISION);
+  const exponent = getMinorUnits(toCurrency) - getMinorUnits(fromCurrency) - scale;
+  return scaleRounded(BigInt(minor) * digits, exponent);
+}
+
+/**
+ * Price a quantity at a rate per unit, rounding once in the currency's minor unit
+ * @param {number|string} quantity - Quantity, e.g. a distance in km
+ * @param {number|string} rate - Price of one unit in major units
+ * @param {string} currency - Currency of the rate
+ * @returns {number} - Amount in minor units
+ */
+function multiplyToMinorUnits(quantity, rate, currency) {
+  const factor = parseDecimal(quantity, RATE_PRECISION);
+  const price = parseDecimal(rate, RATE_PRECISION);
+  return scaleRounded(factor.digits * price.digits, getMinorUnits(currency) - factor.scale - price.scale);
+}
+
+/**
+ * Add the amounts of an expense or revision in major units for API responses
+ * @param {Object} record - Record with originalAmountMinor, companyAmountMinor and currencies
+ * @param {string} [companyCurrency] - Company currency when the record does not carry it
+ * @returns {Object} - { originalAmount, companyAmount }
+ */
+function formatAmounts(record, companyCurrency = record.companyCurrency) {
+  return {
+    originalAmount: fromMinorUnits(record.originalAmountMinor, record.originalCurrency),
+    companyAmount: fromMinorUnits(record.companyAmountMinor, companyCurrency)
+  };
+}
+
+module.exports = {
+  MAX_AMOUNT,
+  getMinorUnits,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMinorUnits,
+  convertMinorUnits,
+  multiplyToMinorUnits,
+  formatAmounts
+};
@@ -1,15 +1,15 @@
 const Tesseract = require('tesseract.js');
-const path = require('path');
 const fs = require('fs');
+const { DEFAULT_CATEGORIES } = require('./categories');
 
 /**
  * Extract text from image using OCR
- * @param {string} imagePath - Path to the image file
+ * @param {string|Buffer} image - Path to the image file, or its contents
  * @returns {Promise<string>} - Extracted text
  */
-async function extractTextFromImage(imagePath) {
+async function extractTextFromImage(image) {
   try {
-    const { data: { text } } = await Tesseract.recognize(imagePath, 'eng', {
+    const { data: { text } } = await Tesseract.recognize(image, 'eng', {
       logger: m => {
         if (m.status === 'recognizing text') {
           console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
@@ -27,9 +27,10 @@ async function extractTextFromImage(imagePath) {
 /**
  * Parse expense information from OCR text
  * @param {string} text - Extracted text from OCR
+ * @param {Array} [categories] - Company categories ({ name, ocrKeywords }) to classify the receipt into
  * @returns {Object} - Parsed expense information
  */
-function parseExpenseFromText(text) {
+function parseExpenseFromText(text, categories = DEFAULT_CATEGORIES) {
   const expense = {
     amount: null,
     date: null,
@@ -78,20 +79,10 @@ function parseExpenseFromText(text) {
   }
 
   // Determine category based on keywords
-  const categoryKeywords = {
-    'Meals': ['restaurant', 'food', 'dining', 'meal', 'lunch', 'dinner', 'breakfast', 'cafe', 'coffee'],
-    'Transportation': ['taxi', 'uber', 'lyft', 'flight', 'airline', 'train', 'bus', 'metro', 'gas', 'fuel', 'parking'],
-    'Accommodation': ['hotel', 'motel', 'lodging', 'accommodation', 'airbnb'],
-    'Office Supplies': ['office', 'supplies', 'stationery', 'paper', 'pen', 'pencil', 'stapler'],
-    'Software': ['software', 'subscription', 'license', 'app', 'tool'],
-    'Marketing': ['marketing', 'advertising', 'promotion', 'campaign', 'social media'],
-    'Travel': ['travel', 'trip', 'conference', 'meeting', 'seminar', 'workshop']
-  };
-
   const textLower = text.toLowerCase();
-  for (const [category, keywords] of Object.entries(categoryKeywords)) {
-    if (keywords.some(keyword => textLower.includes(keyword))) {
-      expense.category = category;
+  for (const category of categories) {
+    if (category.ocrKeywords.some(keyword => keyword && textLower.includes(keyword.toLowerCase()))) {
+      expense.category = category.name;
       break;
     }
   }
@@ -101,22 +92,23 @@ function parseExpenseFromText(text) {
 
 /**
  * Process receipt image and extract expense information
- * @param {string} imagePath - Path to the receipt image
+ * @param {string|Buffer} image - Path to the receipt image, or its contents
+ * @param {Array} [categories] - Company categories ({ name, ocrKeywords }) to classify the receipt into
  * @returns {Promise<Object>} - Extracted expense information
  */
-async function processReceipt(imagePath) {
+async function processReceipt(image, categories) {
   try {
     // Check if file exists
-    if (!fs.existsSync(imagePath)) {
+    if (typeof image === 'string' && !fs.existsSync(image)) {
       throw new Error('Receipt file not found');
     }
 
     // Extract text using OCR
-    const extractedText = await extractTextFromImage(imagePath);
+    const extractedText = await extractTextFromImage(image);
     console.log('Extracted text:', extractedText);
 
     // Parse expense information from text
-    const expenseInfo = parseExpenseFromText(extractedText);
+    const expenseInfo = parseExpenseFromText(extractedText, categories);
 
     return {
       success: true,
@@ -0,0 +1,203 @@
+const { toCsv } = require('./csv');
+const { formatMinorUnits } = require('./money');
+
+const SEPA_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.03';
+
+/**
+ * Normalize an IBAN for storage and comparison
+ * @param {string} iban - IBAN as entered
+ * @returns {string} - Upper-case IBAN without spaces
+ */
+function normalizeIban(iban) {
+  return String(iban || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Check an IBAN's format and mod-97 checksum
+ * @param {string} iban - IBAN to check
+ * @returns {boolean} - True if the IBAN is valid
+ */
+function isValidIban(iban) {
+  const value = normalizeIban(iban);
+
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(value)) {
+    return false;
+  }
+
+  // Move the country code and check digits to the end and convert letters to numbers
+  const rearranged = value.slice(4) + value.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, letter => (letter.charCodeAt(0) - 55).toString());
+
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + parseInt(digit)) % 97;
+  }
+
+  return remainder === 1;
+}
+
+/**
+ * Check a BIC's format
+ * @param {string} bic - BIC to check
+ * @returns {boolean} - True if the BIC is well formed
+ */
+function isValidBic(bic) {
+  return /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(String(bic || '').toUpperCase());
+}
+
+/**
+ * Escape text for an XML element and trim it to the field's maximum length
+ * @param {*} value - Text value
+ * @param {number} maxLength - Maximum length allowed by the schema
+ * @returns {string} - Escaped text
+ */
+function xmlText(value, maxLength = 140) {
+  return String(value ?? '')
+    .slice(0, maxLength)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} - ISO date
+ */
+function formatDate(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Build the remittance text shown on the employee's bank statement
+ * @param {Object} batch - Reimbursement batch with expenses
+ * @returns {string} - Remittance information
+ */
+function getRemittanceText(batch) {
+  return `Expense reimbursement ${batch.expenses.map(expense => `#${expense.id}`).join(' ')}`;
+}
+
+/**
+ * Build the agent (bank) element for an account
+ * @param {string|null} bic - BIC if known
+ * @param {string} indent - Indentation of the element
+ * @returns {string} - FinInstnId XML
+ */
+function buildFinancialInstitution(bic, indent) {
+  const inner = bic
+    ? `<BIC>${xmlText(bic, 11)}</BIC>`
+    : '<Othr><Id>NOTPROVIDED</Id></Othr>';
+  return `${indent}<FinInstnId>${inner}</FinInstnId>`;
+}
+
+/**
+ * Generate a SEPA credit transfer initiation (pain.001.001.03) for reimbursement batches
+ * @param {Object} company - Paying company with name, iban and bic
+ * @param {Array} batches - EUR batches with user (fullName, iban, bic) and expenses loaded
+ * @param {string} messageId - Unique message identification
+ * @param {Date} createdAt - Creation time of the file
+ * @returns {string} - XML document
+ */
+function buildSepaCreditTransfer(company, batches, messageId, createdAt = new Date()) {
+  // SEPA only carries EUR, so control sums are added up in cents
+  const controlSum = batches.reduce((sum, batch) => sum + batch.totalAmountMinor, 0);
+
+  // One payment information block per requested execution date
+  const byDate = new Map();
+  batches.forEach(batch => {
+    const date = formatDate(batch.scheduledFor);
+    if (!byDate.has(date)) {
+      byDate.set(date, []);
+    }
+    byDate.get(date).push(batch);
+  });
+
+  const paymentInfos = Array.from(byDate.entries()).map(([date, dateBatches], index) => {
+    const transactions = dateBatches.map(batch => [
+      '      <CdtTrfTxInf>',
+      `        <PmtId><EndToEndId>${xmlText(`REIMB-${batch.id}`, 35)}</EndToEndId></PmtId>`,
+      `        <Amt><InstdAmt Ccy="${xmlText(batch.currency, 3)}">${formatMinorUnits(batch.totalAmountMinor, batch.currency)}</InstdAmt></Amt>`,
+      // The creditor agent is optional for SEPA; omit it when only the IBAN is known
+      ...(batch.user.bic ? [
+        '        <CdtrAgt>',
+        buildFinancialInstitution(batch.user.bic, '          '),
+        '        </CdtrAgt>'
+      ] : []),
+      `        <Cdtr><Nm>${xmlText(batch.user.fullName, 70)}</Nm></Cdtr>`,
+      `        <CdtrAcct><Id><IBAN>${xmlText(batch.user.iban, 34)}</IBAN></Id></CdtrAcct>`,
+      `        <RmtInf><Ustrd>${xmlText(getRemittanceText(batch), 140)}</Ustrd></RmtInf>`,
+      '      </CdtTrfTxInf>'
+    ].join('\n'));
+
+    const dateSum = dateBatches.reduce((sum, batch) => sum + batch.totalAmountMinor, 0);
+
+    return [
+      '    <PmtInf>',
+      `      <PmtInfId>${xmlText(`${messageId}-${index + 1}`, 35)}</PmtInfId>`,
+      '      <PmtMtd>TRF</PmtMtd>',
+      '      <BtchBookg>true</BtchBookg>',
+      `      <NbOfTxs>${dateBatches.length}</NbOfTxs>`,
+      `      <CtrlSum>${formatMinorUnits(dateSum, 'EUR')}</CtrlSum>`,
+      '      <PmtTpInf><SvcLvl><Cd>SEPA</Cd></SvcLvl></PmtTpInf>',
+      `      <ReqdExctnDt>${date}</ReqdExctnDt>`,
+      `      <Dbtr><Nm>${xmlText(company.name, 70)}</Nm></Dbtr>`,
+      `      <DbtrAcct><Id><IBAN>${xmlText(company.iban, 34)}</IBAN></Id></DbtrAcct>`,
+      '      <DbtrAgt>',
+      buildFinancialInstitution(company.bic, '        '),
+      '      </DbtrAgt>',
+      '      <ChrgBr>SLEV</ChrgBr>',
+      ...transactions,
+      '    </PmtInf>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<Document xmlns="${SEPA_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">`,
+    '  <CstmrCdtTrfInitn>',
+    '    <GrpHdr>',
+    `      <MsgId>${xmlText(messageId, 35)}</MsgId>`,
+    `      <CreDtTm>${createdAt.toISOString().split('.')[0]}</CreDtTm>`,
+    `      <NbOfTxs>${batches.length}</NbOfTxs>`,
+    `      <CtrlSum>${formatMinorUnits(controlSum, 'EUR')}</CtrlSum>`,
+    `      <InitgPty><Nm>${xmlText(company.name, 70)}</Nm></InitgPty>`,
+    '    </GrpHdr>',
+    ...paymentInfos,
+    '  </CstmrCdtTrfInitn>',
+    '</Document>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Generate a generic payment CSV for reimbursement batches
+ * @param {Array} batches - Batches with user and expenses loaded
+ * @returns {string} - CSV text
+ */
+function buildPaymentCsv(batches) {
+  return toCsv(
+    ['batch_id', 'employee', 'email', 'iban', 'bic', 'currency', 'amount', 'execution_date', 'reference', 'expense_ids'],
+    batches.map(batch => [
+      batch.id,
+      batch.user.fullName,
+      batch.user.email,
+      batch.user.iban,
+      batch.user.bic,
+      batch.currency,
+      formatMinorUnits(batch.totalAmountMinor, batch.currency),
+      formatDate(batch.scheduledFor),
+      getRemittanceText(batch),
+      batch.expenses.map(expense => expense.id).join(' ')
+    ])
+  );
+}
+
+module.exports = {
+  normalizeIban,
+  isValidIban,
+  isValidBic,
+  buildSepaCreditTransfer,
+  buildPaymentCsv
+};
@@ -0,0 +1,102 @@
+const { createPrismaClient } = require('./prisma');
+const { convertAmountForDate } = require('./currency');
+const { createApprovalSequence } = require('./approvalWorkflow');
+const { recordAudit } = require('./audit');
+const { refreshPolicyViolations } = require('./expensePolicies');
+
+const prisma = createPrismaClient();
+
+/**
+ * Rebuild the approval chain of a standalone expense that nobody has acted on yet
+ * Conditional steps were chosen without a company amount; now that it is known they are chosen again.
+ * @param {Object} expense - Converted expense with its current approvals loaded
+ * @returns {Promise<boolean>} - True if the chain was rebuilt
+ */
+async function rebuildUndecidedChain(expense) {
+  if (expense.reportId || expense.status !== 'PENDING') {
+    return false;
+  }
+
+  if (expense.approvals.some(approval => approval.status !== 'PENDING')) {
+    return false;
+  }
+
+  await prisma.expenseApproval.updateMany({
+    where: {
+      expenseId: expense.id,
+      supersededAt: null
+    },
+    data: { supersededAt: new Date() }
+  });
+
+  await createApprovalSequence(expense.id, expense.companyId, expense.userId);
+  return true;
+}
+
+/**
+ * Convert expenses that were saved before an exchange rate was available for their date
+ * @returns {Promise<number>} - Number of converted expenses
+ */
+async function retryPendingConversions() {
+  const pendingExpenses = await prisma.expense.findMany({
+    where: { conversionStatus: 'PENDING' },
+    include: {
+      approvals: {
+        where: { supersededAt: null }
+      }
+    },
+    orderBy: { id: 'asc' }
+  });
+
+  let convertedCount = 0;
+
+  for (const expense of pendingExpenses) {
+    const conversion = await convertAmountForDate(
+      expense.originalAmountMinor,
+      expense.originalCurrency,
+      expense.companyCurrency,
+      expense.date,
+      expense.companyId
+    );
+
+    // Still no rate for that date; try again on the next tick
+    if (conversion.conversionStatus === 'PENDING') {
+      continue;
+    }
+
+    await prisma.expense.update({
+      where: { id: expense.id },
+      data: conversion
+    });
+
+    // Limits are in company currency, so they could not be checked before
+    await refreshPolicyViolations(expense.id);
+
+    const chainRebuilt = await rebuildUndecidedChain(expense);
+
+    await recordAudit({
+      companyId: expense.companyId,
+      actorId: null,
+      action: 'expense.conversion',
+      entityType: 'EXPENSE',
+      entityId: expense.id,
+      before: { companyAmountMinor: null, conversionStatus: 'PENDING' },
+      after: {
+        companyAmountMinor: conversion.companyAmountMinor,
+        exchangeRate: conversion.exchangeRate,
+        rateSource: conversion.rateSource,
+        rateDate: conversion.rateDate,
+        conversionStatus: conversion.conversionStatus,
+        approvalChainRebuilt: chainRebuilt
+      }
+    });
+
+    convertedCount++;
+  }
+
+  return convertedCount;
+}
+
+module.exports = {
+  retryPendingConversions
+};
@@ -0,0 +1,286 @@
+const { createPrismaClient } = require('./prisma');
+const { fromMinorUnits } = require('./money');
+const { parseJsonField } = require('./json');
+const { startOfDay } = require('./exchangeRates');
+const { STANDALONE_DRAFT } = require('./expenseReports');
+
+const prisma = createPrismaClient();
+
+const MEALS = ['BREAKFAST', 'LUNCH', 'DINNER'];
+
+// Share of the full-day M&IE rate deducted for each meal the traveler was provided
+const MEAL_DEDUCTIONS = {
+  BREAKFAST: 0.2,
+  LUNCH: 0.4,
+  DINNER: 0.4
+};
+
+// Share of the M&IE rate paid on the first and last day of travel
+const TRAVEL_DAY_SHARE = 0.75;
+
+// Longer stays are paid as a relocation, not a per diem
+const MAX_TRIP_DAYS = 90;
+
+// Cancelled and rejected per diems do not block another claim for the same days
+const IGNORED_STATUSES = ['CANCELLED', 'REJECTED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the calendar days of a trip
+ * @param {Date} startDate - First day of travel
+ * @param {Date} endDate - Last day of travel
+ * @returns {Array<Date>} - Each day at midnight UTC
+ */
+function listTripDays(startDate, endDate) {
+  const days = [];
+  for (let day = startOfDay(startDate); day <= startOfDay(endDate); day = new Date(day.getTime() + DAY_MS)) {
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * Read the meals provided on each day of a trip from a request body
+ * Multipart forms send the list as a JSON string.
+ * @param {Array|string} providedMeals - [{ date, meals: ['BREAKFAST', ...] }]
+ * @returns {Object} - { meals: Map of ISO date to meals } or { error }
+ */
+function parseProvidedMeals(providedMeals) {
+  let entries = providedMeals || [];
+  if (typeof entries === 'string') {
+    try {
+      entries = JSON.parse(entries || '[]');
+    } catch (error) {
+      return { error: 'Provided meals must be a JSON array' };
+    }
+  }
+
+  if (!Array.isArray(entries)) {
+    return { error: 'Provided meals must be a list of days' };
+  }
+
+  const meals = new Map();
+  for (const entry of entries) {
+    if (!entry || isNaN(new Date(entry.date)) || !Array.isArray(entry.meals) ||
+      entry.meals.some(meal => !MEALS.includes(meal))) {
+      return { error: `Provided meals need a date and meals out of ${MEALS.join(', ')}` };
+    }
+    meals.set(startOfDay(entry.date).toISOString(), Array.from(new Set(entry.meals)));
+  }
+
+  return { meals };
+}
+
+/**
+ * Find the per diem rate for a destination on a date
+ * A rate for the city takes precedence over the rate for the rest of the country.
+ * @param {number} companyId - ID of the company
+ * @param {string} country - Destination country
+ * @param {string} [city] - Destination city
+ * @param {Date} date - Day the rate must be valid on
+ * @returns {Promise<Object|null>} - PerDiemRate record
+ */
+async function findPerDiemRate(companyId, country, city, date) {
+  const day = startOfDay(date);
+  const rates = await prisma.perDiemRate.findMany({
+    where: {
+      companyId: companyId,
+      validFrom: { lte: day },
+      OR: [{ validTo: null }, { validTo: { gte: day } }]
+    },
+    orderBy: { validFrom: 'desc' }
+  });
+
+  const isSame = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+  const countryRates = rates.filter(rate => isSame(rate.country, country));
+
+  return (city && countryRates.find(rate => isSame(rate.city, city))) ||
+    countryRates.find(rate => !rate.city) ||
+    null;
+}
+
+/**
+ * Find a per diem of the employee that already covers one of the trip's days
+ * @param {number} userId - ID of the employee
+ * @param {Date} startDate - First day of travel
+ * @param {Date} endDate - Last day of travel
+ * @param {number} [excludeExpenseId] - The trip's own expense when it is edited
+ * @returns {Promise<Object|null>} - Overlapping expense
+ */
+async function findOverlappingPerDiem(userId, startDate, endDate, excludeExpenseId) {
+  return prisma.expense.findFirst({
+    where: {
+      userId: userId,
+      expenseType: 'PER_DIEM',
+      status: { notIn: IGNORED_STATUSES },
+      NOT: STANDALONE_DRAFT,
+      date: { lte: endDate },
+      tripEndDate: { gte: startDate },
+      ...(excludeExpenseId && { id: { not: excludeExpenseId } })
+    }
+  });
+}
+
+/**
+ * Price each day of a stay from a per diem rate
+ * Lodging is paid per night; M&IE per day, at 75% on the first and last day, less the provided meals.
+ * @param {Object} rate - PerDiemRate record
+ * @param {Array<Date>} days - Days of the trip
+ * @param {Map} providedMeals - ISO date to meals provided that day
+ * @param {boolean} includeLodging - False when the company booked the accommodation
+ * @returns {Object} - { amountMinor, days: [{ date, travelDay, providedMeals, lodgingMinor, mealsMinor }] }
+ */
+function priceStay(rate, days, providedMeals, includeLodging) {
+  const breakdown = days.map((day, index) => {
+    const travelDay = index === 0 || index === days.length - 1;
+    const meals = providedMeals.get(day.toISOString()) || [];
+    const base = travelDay ? Math.round(rate.mealsRateMinor * TRAVEL_DAY_SHARE) : rate.mealsRateMinor;
+    const deduction = Math.round(meals.reduce((share, meal) => share + MEAL_DEDUCTIONS[meal], 0) * rate.mealsRateMinor);
+
+    return {
+      date: day.toISOString().split('T')[0],
+      travelDay: travelDay,
+      providedMeals: meals,
+      // The last day has no night
+      lodgingMinor: includeLodging && index < days.length - 1 ? rate.lodgingRateMinor : 0,
+      mealsMinor: Math.max(0, base - deduction)
+    };
+  });
+
+  return {
+    amountMinor: breakdown.reduce((sum, day) => sum + day.lodgingMinor + day.mealsMinor, 0),
+    days: breakdown
+  };
+}
+
+/**
+ * Compute the per diem of a trip from the company's rate table
+ * The rate in effect on the day of departure applies to the whole trip, in the destination's currency.
+ * @param {Object} trip
+ * @param {number} trip.companyId - ID of the company
+ * @param {number} trip.userId - ID of the employee
+ * @param {string} trip.country - Destination country
+ * @param {string} [trip.city] - Destination city
+ * @param {Date} trip.startDate - First day of travel
+ * @param {Date} trip.endDate - Last day of travel
+ * @param {Array|string} [trip.providedMeals] - [{ date, meals }] provided by a hotel, host or conference
+ * @param {boolean} [trip.includeLodging] - False when the company booked the accommodation
+ * @param {number} [trip.excludeExpenseId] - The trip's own expense when it is edited
+ * @returns {Promise<Object>} - { error } or { amountMinor, currency, rateId, startDate, endDate, breakdown }
+ */
+async function calculatePerDiem({ companyId, userId, country, city, startDate, endDate, providedMeals, includeLodging = true, excludeExpenseId }) {
+  const days = listTripDays(startDate, endDate);
+  if (days.length === 0) {
+    return { error: 'The trip cannot end before it starts' };
+  }
+  if (days.length > MAX_TRIP_DAYS) {
+    return { error: `Per diems can be claimed for at most ${MAX_TRIP_DAYS} days` };
+  }
+
+  const meals = parseProvidedMeals(providedMeals);
+  if (meals.error) {
+    return { error: meals.error };
+  }
+
+  const rate = await findPerDiemRate(companyId, country, city, startDate);
+  if (!rate) {
+    return { error: `No per diem rate is configured for ${city ? `${city}, ` : ''}${country} on the departure date` };
+  }
+
+  const overlapping = await findOverlappingPerDiem(userId, days[0], days[days.length - 1], excludeExpenseId);
+  if (overlapping) {
+    return { error: `A per diem was already claimed for some of these days (expense #${overlapping.id})` };
+  }
+
+  const stay = priceStay(rate, days, meals.meals, includeLodging);
+
+  return {
+    amountMinor: stay.amountMinor,
+    currency: rate.currency,
+    rateId: rate.id,
+    startDate: days[0],
+    endDate: days[days.length - 1],
+    breakdown: {
+      rateId: rate.id,
+      city: rate.city,
+      lodgingIncluded: includeLodging,
+      days: stay.days
+    }
+  };
+}
+
+/**
+ * Get the meals provided on a per diem trip, in the form calculatePerDiem takes them
+ * @param {Object} expense - Per diem expense
+ * @returns {Array} - [{ date, meals }]
+ */
+function getProvidedMeals(expense) {
+  return parseJsonField(expense.perDiemBreakdown, { days: [] }).days
+    .filter(day => day.providedMeals.length > 0)
+    .map(day => ({ date: day.date, meals: day.providedMeals }));
+}
+
+/**
+ * Format the daily amounts of a per diem for API responses
+ * @param {Array} days - Days of a per diem breakdown
+ * @param {string} currency - Currency of the amounts
+ * @returns {Array} - Days with lodging and meals in major units
+ */
+function formatPerDiemDays(days, currency) {
+  return days.map(day => ({
+    date: day.date,
+    travelDay: day.travelDay,
+    providedMeals: day.providedMeals,
+    lodging: fromMinorUnits(day.lodgingMinor, currency),
+    meals: fromMinorUnits(day.mealsMinor, currency)
+  }));
+}
+
+/**
+ * Get the per diem details of an expense for API responses
+ * @param {Object} expense - Expense record
+ * @returns {Object|null} - Trip details with daily amounts in major units, or null for other expenses
+ */
+function formatPerDiem(expense) {
+  if (expense.expenseType !== 'PER_DIEM') {
+    return null;
+  }
+
+  const breakdown = parseJsonField(expense.perDiemBreakdown, { days: [] });
+
+  return {
+    country: expense.destinationCountry,
+    city: expense.destinationCity,
+    startDate: expense.date,
+    endDate: expense.tripEndDate,
+    lodgingIncluded: breakdown.lodgingIncluded,
+    days: formatPerDiemDays(breakdown.days, expense.originalCurrency)
+  };
+}
+
+/**
+ * Format a per diem rate for API responses
+ * @param {Object} rate - PerDiemRate record
+ * @returns {Object} - Rate with amounts in major units
+ */
+function formatPerDiemRate(rate) {
+  const { lodgingRateMinor, mealsRateMinor, ...rest } = rate;
+
+  return {
+    ...rest,
+    lodgingRate: fromMinorUnits(lodgingRateMinor, rate.currency),
+    mealsRate: fromMinorUnits(mealsRateMinor, rate.currency)
+  };
+}
+
+module.exports = {
+  MEALS,
+  MEAL_DEDUCTIONS,
+  TRAVEL_DAY_SHARE,
+  calculatePerDiem,
+  getProvidedMeals,
+  formatPerDiemDays,
+  formatPerDiem,
+  formatPerDiemRate
+};
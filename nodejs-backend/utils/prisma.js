@@ -0,0 +1,45 @@
+const { PrismaClient } = require('@prisma/client');
+
+/**
+ * Replace BigInt values in a query result with numbers
+ * Money columns are BigInt in the database so large amounts fit; the rest of the
+ * code does arithmetic and JSON on plain numbers, which hold them exactly since
+ * amounts are bounded well below Number.MAX_SAFE_INTEGER (see MAX_AMOUNT in money.js).
+ * @param {*} value - Query result, record, aggregate or list
+ * @returns {*} - Same value with BigInts converted in place
+ */
+function toNumbers(value) {
+  if (typeof value === 'bigint') {
+    return Number(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toNumbers);
+  }
+
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    for (const key of Object.keys(value)) {
+      value[key] = toNumbers(value[key]);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Create a Prisma client whose results carry money columns as numbers
+ * @returns {PrismaClient} - Extended Prisma client
+ */
+function createPrismaClient() {
+  return new PrismaClient().$extends({
+    query: {
+      async $allOperations({ args, query }) {
+        return toNumbers(await query(args));
+      }
+    }
+  });
+}
+
+module.exports = {
+  createPrismaClient
+};
@@ -0,0 +1,497 @@
+const { createPrismaClient } = require('./prisma');
+const { convertAmountForDate } = require('./currency');
+const { fromMinorUnits } = require('./money');
+const { createApprovalSequence } = require('./approvalWorkflow');
+const { recordAudit } = require('./audit');
+const { evaluatePolicies, hasBlockingViolation } = require('./expensePolicies');
+const { findDuplicates } = require('./duplicates');
+const { findActiveCategory } = require('./categories');
+const { resolveDimensions, getMissingDimensions, formatDimensions } = require('./dimensions');
+const { parseJsonField, serializeJsonField } = require('./json');
+const { buildAttachmentData, copyStoredFile } = require('./attachments');
+const { matchExpense } = require('./cardTransactions');
+const { startOfDay } = require('./exchangeRates');
+
+const prisma = createPrismaClient();
+
+const FREQUENCIES = ['MONTHLY', 'QUARTERLY', 'CUSTOM'];
+const SUBMIT_MODES = ['SUBMIT', 'DRAFT'];
+const SERIES_STATUSES = ['ACTIVE', 'PAUSED', 'ENDED'];
+
+const MONTHS_BETWEEN = {
+  MONTHLY: 1,
+  QUARTERLY: 3
+};
+
+// Expenses are dated by day, so a custom schedule's minute and hour fields are checked but not used
+const CRON_FIELDS = [
+  { name: 'Minute', min: 0, max: 59 },
+  { name: 'Hour', min: 0, max: 23 },
+  { name: 'Day of month', min: 1, max: 31 },
+  { name: 'Month', min: 1, max: 12 },
+  { name: 'Day of week', min: 0, max: 7 }
+];
+
+// How far ahead the next day of a custom schedule is looked for
+const MAX_SEARCH_DAYS = 5 * 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse one field of a cron expression: *, numbers, ranges, lists and steps
+ * @param {string} value - Field as written, e.g. '1-5' or '*\/2'
+ * @param {Object} field - { name, min, max } of the field
+ * @returns {Object} - { values: Set of matching numbers, restricted } or { error }
+ */
+function parseCronField(value, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText);
+    let from;
+    let to;
+
+    if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+      return { error: `${name} has an invalid step: ${part}` };
+    }
+
+    if (range === '*') {
+      from = min;
+      to = max;
+    } else if (/^\d+-\d+$/.test(range)) {
+      [from, to] = range.split('-').map(Number);
+    } else if (/^\d+$/.test(range)) {
+      from = Number(range);
+      // '5/15' means every 15 starting at 5
+      to = stepText === undefined ? from : max;
+    } else {
+      return { error: `${name} is not a valid cron field: ${part}` };
+    }
+
+    if (from < min || to > max || from > to) {
+      return { error: `${name} must be between ${min} and ${max}` };
+    }
+
+    for (let number = from; number <= to; number += step) {
+      values.add(number);
+    }
+  }
+
+  return { values: values, restricted: !value.startsWith('*') };
+}
+
+/**
+ * Parse a five-field cron expression (minute, hour, day of month, month, day of week)
+ * @param {string} expression - Cron expression, e.g. '0 9 1 * *' for the first of every month
+ * @returns {Object} - { dayOfMonth, month, dayOfWeek } field results, or { error }
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    return { error: 'Cron expression must have 5 fields: minute, hour, day of month, month and day of week' };
+  }
+
+  const fields = [];
+  for (let index = 0; index < parts.length; index++) {
+    const field = parseCronField(parts[index], CRON_FIELDS[index]);
+    if (field.error) {
+      return { error: field.error };
+    }
+    fields.push(field);
+  }
+
+  const [, , dayOfMonth, month, dayOfWeek] = fields;
+
+  // Both 0 and 7 are Sunday
+  if (dayOfWeek.values.has(7)) {
+    dayOfWeek.values.add(0);
+  }
+
+  return { dayOfMonth, month, dayOfWeek };
+}
+
+/**
+ * Check whether a day is on a cron schedule
+ * @param {Object} schedule - Parsed cron expression
+ * @param {Date} day - Day at midnight UTC
+ * @returns {boolean} - True if the schedule fires that day
+ */
+function isCronDay(schedule, day) {
+  if (!schedule.month.values.has(day.getUTCMonth() + 1)) {
+    return false;
+  }
+
+  const dayOfMonthMatches = schedule.dayOfMonth.values.has(day.getUTCDate());
+  const dayOfWeekMatches = schedule.dayOfWeek.values.has(day.getUTCDay());
+
+  // As in cron, a day matches either field when both are restricted
+  if (schedule.dayOfMonth.restricted && schedule.dayOfWeek.restricted) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+/**
+ * Move a date by whole months, keeping its day or the last day of shorter months
+ * @param {Date} date - Date at midnight UTC
+ * @param {number} months - Months to add
+ * @returns {Date} - Date at midnight UTC
+ */
+function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * Find the first day of a series on or after a day
+ * Monthly and quarterly series repeat on the day of month of their start date.
+ * @param {Object} series - { frequency, cronExpression, startDate, endDate }
+ * @param {Date} from - Earliest day to consider
+ * @returns {Date|null} - Occurrence at midnight UTC, or null if the series has none left
+ */
+function getNextOccurrence(series, from) {
+  const startDate = startOfDay(series.startDate);
+  const day = startOfDay(from) < startDate ? startDate : startOfDay(from);
+  let occurrence = null;
+
+  if (series.frequency === 'CUSTOM') {
+    const schedule = parseCron(series.cronExpression);
+    if (schedule.error) {
+      return null;
+    }
+
+    for (let offset = 0; offset < MAX_SEARCH_DAYS && !occurrence; offset++) {
+      const candidate = new Date(day.getTime() + offset * DAY_MS);
+      if (isCronDay(schedule, candidate)) {
+        occurrence = candidate;
+      }
+    }
+  } else {
+    const step = MONTHS_BETWEEN[series.frequency];
+    const monthsSinceStart = (day.getUTCFullYear() - startDate.getUTCFullYear()) * 12 +
+      day.getUTCMonth() - startDate.getUTCMonth();
+
+    let index = Math.max(0, Math.floor(monthsSinceStart / step));
+    occurrence = addMonths(startDate, index * step);
+    while (occurrence < day) {
+      index++;
+      occurrence = addMonths(startDate, index * step);
+    }
+  }
+
+  if (occurrence && series.endDate && occurrence > startOfDay(series.endDate)) {
+    return null;
+  }
+  return occurrence;
+}
+
+/**
+ * Check that a schedule is complete and still has an occurrence on or after a day
+ * @param {Object} series - { frequency, cronExpression, startDate, endDate }
+ * @param {Date} from - Day the next occurrence is looked for from
+ * @returns {Object} - { nextRunDate } or { error }
+ */
+function validateSchedule(series, from) {
+  if (series.frequency === 'CUSTOM') {
+    const schedule = parseCron(series.cronExpression);
+    if (schedule.error) {
+      return { error: schedule.error };
+    }
+  }
+
+  if (series.endDate && startOfDay(series.endDate) < startOfDay(series.startDate)) {
+    return { error: 'End date must not be before the start date' };
+  }
+
+  const nextRunDate = getNextOccurrence(series, from);
+  if (!nextRunDate) {
+    return { error: 'The schedule has no occurrence before its end date' };
+  }
+
+  return { nextRunDate };
+}
+
+/**
+ * Get the day after a series' last occurrence, or today if that is later
+ * Occurrences missed while a series was paused are not generated afterwards.
+ * @param {Object} series - RecurringExpense record
+ * @returns {Date} - Day to look for the next occurrence from
+ */
+function getResumeDate(series) {
+  const today = startOfDay(new Date());
+  if (!series.lastRunDate) {
+    return today;
+  }
+
+  const dayAfterLastRun = new Date(startOfDay(series.lastRunDate).getTime() + DAY_MS);
+  return dayAfterLastRun > today ? dayAfterLastRun : today;
+}
+
+/**
+ * Copy the series' receipt for a new occurrence
+ * @param {Object} series - RecurringExpense record
+ * @returns {Promise<Object>} - { files } shaped like multer uploads, or { error }
+ */
+async function copySeriesReceipt(series) {
+  if (!series.receiptKey) {
+    return { files: [] };
+  }
+
+  const copy = await copyStoredFile({
+    storage: series.receiptStorage,
+    key: series.receiptKey,
+    fileName: series.receiptFileName,
+    mimeType: series.receiptMimeType
+  });
+
+  if (!copy) {
+    return { error: 'The receipt of the series is no longer available' };
+  }
+
+  return {
+    files: [{
+      key: copy.key,
+      storage: copy.storage,
+      originalname: series.receiptFileName,
+      mimetype: series.receiptMimeType,
+      size: copy.size,
+      // Every occurrence carries the same file, so its hash would flag each one as a duplicate of the last
+      contentHash: null
+    }]
+  };
+}
+
+/**
+ * Create the expense of one occurrence of a series
+ * Each occurrence is checked like a submitted expense. One that breaks a blocking policy is
+ * kept as a draft for the employee to fix instead of being submitted.
+ * @param {Object} series - RecurringExpense record with its company loaded
+ * @param {Date} date - Day of the occurrence
+ * @returns {Promise<Object>} - { expense } or { error } when the template is no longer valid
+ */
+async function createOccurrence(series, date) {
+  const category = await findActiveCategory(series.companyId, series.category);
+  if (!category) {
+    return { error: `${series.category} is no longer one of the company's active categories` };
+  }
+
+  const dimensions = await resolveDimensions(series.companyId, {
+    projectId: series.projectId,
+    costCenterId: series.costCenterId,
+    tags: parseJsonField(series.tags, [])
+  });
+  if (dimensions.error) {
+    return { error: dimensions.error };
+  }
+
+  const missing = getMissingDimensions(category, dimensions.data);
+  if (missing.length > 0) {
+    return { error: `${category.name} expenses require: ${missing.join(', ')}` };
+  }
+
+  const receipt = await copySeriesReceipt(series);
+  if (receipt.error) {
+    return { error: receipt.error };
+  }
+
+  const companyCurrency = series.company.currency;
+  const conversion = await convertAmountForDate(
+    series.originalAmountMinor,
+    series.originalCurrency,
+    companyCurrency,
+    date,
+    series.companyId
+  );
+
+  const violations = await evaluatePolicies({
+    userId: series.userId,
+    companyId: series.companyId,
+    companyAmountMinor: conversion.companyAmountMinor,
+    companyCurrency: companyCurrency,
+    category: category.name,
+    description: series.description,
+    merchant: series.merchant,
+    date: date,
+    reportId: null,
+    expenseType: 'RECEIPT'
+  }, receipt.files.length);
+
+  const submit = series.submitMode === 'SUBMIT' && !hasBlockingViolation(violations);
+
+  const duplicates = await findDuplicates({
+    companyId: series.companyId,
+    originalAmountMinor: series.originalAmountMinor,
+    originalCurrency: series.originalCurrency,
+    date: date,
+    category: category.name,
+    merchant: series.merchant
+  });
+
+  const expense = await prisma.expense.create({
+    data: {
+      userId: series.userId,
+      companyId: series.companyId,
+      originalAmountMinor: series.originalAmountMinor,
+      originalCurrency: series.originalCurrency,
+      ...conversion,
+      companyCurrency: companyCurrency,
+      category: category.name,
+      description: series.description,
+      merchant: series.merchant,
+      date: date,
+      policyViolations: serializeJsonField(violations),
+      suspectedDuplicates: serializeJsonField(duplicates),
+      ...dimensions.data,
+      receiptPath: receipt.files.length > 0 ? receipt.files[0].key : null,
+      status: submit ? 'PENDING' : 'DRAFT',
+      recurringExpenseId: series.id,
+      attachments: {
+        create: buildAttachmentData(receipt.files, series.userId)
+      }
+    }
+  });
+
+  if (submit) {
+    await createApprovalSequence(expense.id, series.companyId, series.userId);
+  }
+
+  await recordAudit({
+    companyId: series.companyId,
+    actorId: null,
+    action: 'expense.create',
+    entityType: 'EXPENSE',
+    entityId: expense.id,
+    after: expense
+  });
+
+  // Drafts are matched when the employee submits them
+  const matchedTransaction = submit ? await matchExpense(expense) : null;
+  if (matchedTransaction) {
+    await recordAudit({
+      companyId: series.companyId,
+      actorId: null,
+      action: 'card_transaction.match',
+      entityType: 'CARD_TRANSACTION',
+      entityId: matchedTransaction.id,
+      before: { status: 'UNMATCHED', expenseId: null },
+      after: {
+        status: matchedTransaction.status,
+        expenseId: matchedTransaction.expenseId,
+        matchMethod: matchedTransaction.matchMethod
+      }
+    });
+  }
+
+  return { expense };
+}
+
+/**
+ * Generate the expenses of every active series that is due
+ * Days missed while the scheduler was not running are caught up. A series whose template no
+ * longer passes validation is paused with the reason, for its owner to fix.
+ * @returns {Promise<number>} - Number of expenses created
+ */
+async function generateDueExpenses() {
+  const today = startOfDay(new Date());
+  const dueSeries = await prisma.recurringExpense.findMany({
+    where: {
+      status: 'ACTIVE',
+      nextRunDate: { lte: today }
+    },
+    include: { company: true },
+    orderBy: { id: 'asc' }
+  });
+
+  let createdCount = 0;
+
+  for (const series of dueSeries) {
+    let nextRunDate = series.nextRunDate;
+
+    while (nextRunDate && nextRunDate <= today) {
+      const result = await createOccurrence(series, nextRunDate);
+
+      if (result.error) {
+        await prisma.recurringExpense.update({
+          where: { id: series.id },
+          data: { status: 'PAUSED', lastError: result.error }
+        });
+        await recordAudit({
+          companyId: series.companyId,
+          actorId: null,
+          action: 'recurring_expense.pause',
+          entityType: 'RECURRING_EXPENSE',
+          entityId: series.id,
+          before: { status: 'ACTIVE', lastError: null },
+          after: { status: 'PAUSED', lastError: result.error }
+        });
+        break;
+      }
+
+      createdCount++;
+      const lastRunDate = nextRunDate;
+      nextRunDate = getNextOccurrence(series, new Date(lastRunDate.getTime() + DAY_MS));
+
+      // Saved after every occurrence so a crash cannot generate the same day twice
+      await prisma.recurringExpense.update({
+        where: { id: series.id },
+        data: {
+          lastRunDate: lastRunDate,
+          nextRunDate: nextRunDate,
+          status: nextRunDate ? 'ACTIVE' : 'ENDED'
+        }
+      });
+    }
+  }
+
+  return createdCount;
+}
+
+/**
+ * Format a recurring expense for API responses
+ * @param {Object} series - RecurringExpense record loaded with dimensionInclude and an expense count
+ * @returns {Object} - Series with its amount in major units
+ */
+function formatRecurringExpense(series) {
+  return {
+    id: series.id,
+    originalAmount: fromMinorUnits(series.originalAmountMinor, series.originalCurrency),
+    originalCurrency: series.originalCurrency,
+    category: series.category,
+    description: series.description,
+    merchant: series.merchant,
+    ...formatDimensions(series),
+    frequency: series.frequency,
+    cronExpression: series.cronExpression,
+    startDate: series.startDate,
+    endDate: series.endDate,
+    nextRunDate: series.nextRunDate,
+    lastRunDate: series.lastRunDate,
+    submitMode: series.submitMode,
+    status: series.status,
+    lastError: series.lastError,
+    receipt: series.receiptKey ? {
+      fileName: series.receiptFileName,
+      mimeType: series.receiptMimeType,
+      size: series.receiptSize
+    } : null,
+    occurrences: series._count ? series._count.expenses : undefined,
+    createdAt: series.createdAt,
+    updatedAt: series.updatedAt
+  };
+}
+
+module.exports = {
+  FREQUENCIES,
+  SUBMIT_MODES,
+  SERIES_STATUSES,
+  parseCron,
+  getNextOccurrence,
+  validateSchedule,
+  getResumeDate,
+  generateDueExpenses,
+  formatRecurringExpense
+};
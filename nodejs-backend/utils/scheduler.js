@@ -0,0 +1,93 @@
+const { escalateOverdueApprovals } = require('./escalation');
+const { retryPendingConversions } = require('./pendingConversions');
+const { generateDueExpenses } = require('./recurringExpenses');
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 15 * 60 * 1000; // 15 minutes
+
+// Background jobs run on every tick, one after another
+const jobs = [
+  {
+    name: 'approval-escalation',
+    run: async () => {
+      const count = await escalateOverdueApprovals();
+      if (count > 0) {
+        console.log(`⏫ Escalated ${count} overdue approval(s)`);
+      }
+    }
+  },
+  {
+    name: 'currency-conversion-retry',
+    run: async () => {
+      const count = await retryPendingConversions();
+      if (count > 0) {
+        console.log(`💱 Converted ${count} expense(s) waiting for an exchange rate`);
+      }
+    }
+  },
+  {
+    name: 'recurring-expenses',
+    run: async () => {
+      const count = await generateDueExpenses();
+      if (count > 0) {
+        console.log(`🔁 Generated ${count} recurring expense(s)`);
+      }
+    }
+  }
+];
+
+let timer = null;
+let running = false;
+
+/**
+ * Run every registered job once
+ * @returns {Promise<void>}
+ */
+async function runJobs() {
+  // Skip the tick if the previous one is still running
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    for (const job of jobs) {
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Scheduled job ${job.name} failed:`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start running background jobs on an interval
+ * @returns {void}
+ */
+function startScheduler() {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(runJobs, SCHEDULER_INTERVAL_MS);
+  console.log(`⏰ Scheduler running every ${Math.round(SCHEDULER_INTERVAL_MS / 1000)}s`);
+}
+
+/**
+ * Stop the background job interval
+ * @returns {void}
+ */
+function stopScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  runJobs,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,35 @@
+/**
+ * Get the start of the month twelve months before a date, the window of monthly statistics
+ * @param {Date} [now] - Reference time
+ * @returns {Date} - Start of the first month in the window (UTC)
+ */
+function getMonthlyStatsStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 11, 1));
+}
+
+/**
+ * Group records by calendar month, newest month first
+ * @param {Array} records - Records to group
+ * @param {Function} getDate - Returns the date a record belongs to
+ * @returns {Array} - [{ month: 'YYYY-MM', records }]
+ */
+function groupByMonth(records, getDate) {
+  const months = new Map();
+
+  records.forEach(record => {
+    const month = getDate(record).toISOString().slice(0, 7);
+    if (!months.has(month)) {
+      months.set(month, []);
+    }
+    months.get(month).push(record);
+  });
+
+  return Array.from(months.entries())
+    .sort(([a], [b]) => b.localeCompare(a))
+    .map(([month, monthRecords]) => ({ month, records: monthRecords }));
+}
+
+module.exports = {
+  getMonthlyStatsStart,
+  groupByMonth
+};
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+
+const STORAGE_DRIVERS = ['local', 's3'];
+
+/**
+ * Read a stream into memory
+ * @param {Readable} stream - Readable stream
+ * @returns {Promise<Buffer>} - Stream contents
+ */
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Generate a unique storage key for a new file
+ * @param {string} fileName - Original file name; its extension is kept
+ * @returns {string} - Storage key
+ */
+function createStorageKey(fileName) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `receipt-${uniqueSuffix}${path.extname(fileName)}`;
+}
+
+/**
+ * Store files on the local filesystem under UPLOAD_PATH
+ * Only works when every backend instance shares the directory.
+ * @returns {Object} - Storage driver
+ */
+function createLocalDriver() {
+  const root = path.resolve(process.env.UPLOAD_PATH || './uploads');
+  if (!fs.existsSync(root)) {
+    fs.mkdirSync(root, { recursive: true });
+  }
+
+  // Keys are relative to the upload directory and must not escape it
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    async get(key) {
+      const filePath = resolveKey(key);
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    async exists(key) {
+      return fs.existsSync(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Store files in an S3-compatible bucket (AWS S3, MinIO, ...)
+ * @returns {Object} - Storage driver
+ */
+function createS3Driver() {
+  // Loaded on first use so local-only deployments never pay for the SDK
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand
+  } = require('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    // MinIO and most other S3-compatible servers need a custom endpoint and path-style URLs
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+
+  const isNotFound = (error) =>
+    error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: 's3',
+
+    async put(key, body, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType || undefined
+      }));
+    },
+
+    async get(key) {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return response.Body;
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+const driverFactories = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+const drivers = new Map();
+
+/**
+ * Get the storage backend new files are written to
+ * @returns {string} - Driver name from STORAGE_DRIVER, 'local' by default
+ */
+function getDefaultStorageName() {
+  return process.env.STORAGE_DRIVER || 'local';
+}
+
+/**
+ * Get a storage driver
+ *
+ * Every driver exposes put(key, body, contentType), get(key) -> readable stream or null,
+ * exists(key) and remove(key). Stored records keep the driver name next to the key so
+ * files can be read back after the default backend changes.
+ * @param {string} [name] - Driver name; defaults to STORAGE_DRIVER
+ * @returns {Object} - Storage driver
+ */
+function getStorageDriver(name = getDefaultStorageName()) {
+  if (!driverFactories[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  if (!drivers.has(name)) {
+    drivers.set(name, driverFactories[name]());
+  }
+  return drivers.get(name);
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  createStorageKey,
+  getDefaultStorageName,
+  getStorageDriver,
+  streamToBuffer
+};